@@ -0,0 +1,37 @@
+/**
+ * Redis Configuration
+ * Shared client for call state and other cross-instance data
+ */
+
+const { createClient } = require('redis');
+const logger = require('../utils/logger');
+
+let client = null;
+
+const getRedisClient = () => {
+  if (client) return client;
+
+  client = createClient({ url: process.env.REDIS_URL });
+
+  // Handle connection events
+  client.on('error', (err) => {
+    logger.error('Redis connection error:', err);
+  });
+
+  client.on('ready', () => {
+    logger.info('Redis connected');
+  });
+
+  client.on('reconnecting', () => {
+    logger.warn('Redis disconnected. Attempting to reconnect...');
+  });
+
+  // Commands issued before the connection is ready are queued
+  client.connect().catch((error) => {
+    logger.error('Redis connection failed:', error);
+  });
+
+  return client;
+};
+
+module.exports = getRedisClient;
@@ -0,0 +1,279 @@
+const twilio = require('twilio');
+
+jest.mock('../../models', () => ({
+  Error: { logError: jest.fn() }
+}));
+jest.mock('../../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const { Error: ErrorModel } = require('../../models');
+const validateTwilioRequest = require('../twilioSignature');
+const { validateTwilioUpgrade } = require('../twilioSignature');
+
+const AUTH_TOKEN = '12345678901234567890123456789012';
+const PUBLIC_URL = 'https://bot.example.com';
+const PATH = '/webhook/bot_123/respond';
+const PARAMS = { CallSid: 'CA123', SpeechResult: 'אני רוצה להזמין שולחן', Confidence: '0.92' };
+
+const sign = (url, params = PARAMS) => twilio.getExpectedTwilioSignature(AUTH_TOKEN, url, params);
+
+const createRequest = ({ headers = {}, body = PARAMS, url = PATH, protocol = 'http' } = {}) => ({
+  method: 'POST',
+  originalUrl: url,
+  url,
+  protocol,
+  body,
+  ip: '10.0.0.1',
+  headers: { host: 'internal:8080', ...headers }
+});
+
+const createResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.send = jest.fn(() => res);
+  return res;
+};
+
+const run = async (req) => {
+  const res = createResponse();
+  const next = jest.fn();
+  await validateTwilioRequest(req, res, next);
+  return { res, next };
+};
+
+describe('twilioSignature middleware', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    process.env.TWILIO_AUTH_TOKEN = AUTH_TOKEN;
+    process.env.NODE_ENV = 'test';
+    delete process.env.API_URL;
+    delete process.env.TWILIO_SKIP_SIGNATURE_VALIDATION;
+    ErrorModel.logError.mockClear();
+  });
+
+  afterAll(() => {
+    process.env = env;
+  });
+
+  describe('validateTwilioRequest', () => {
+    it('accepts a request signed for its URL', async () => {
+      const req = createRequest({
+        headers: { host: 'bot.example.com', 'x-twilio-signature': sign(`http://bot.example.com${PATH}`) }
+      });
+
+      const { res, next } = await run(req);
+
+      expect(next).toHaveBeenCalledWith();
+      expect(res.status).not.toHaveBeenCalled();
+      expect(ErrorModel.logError).not.toHaveBeenCalled();
+    });
+
+    it('rejects tampered parameters with 403 and logs a twilio error', async () => {
+      const req = createRequest({
+        headers: { host: 'bot.example.com', 'x-twilio-signature': sign(`http://bot.example.com${PATH}`) },
+        body: { ...PARAMS, SpeechResult: 'בטל את כל ההזמנות' }
+      });
+
+      const { res, next } = await run(req);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(ErrorModel.logError).toHaveBeenCalledWith(expect.objectContaining({
+        category: 'twilio',
+        code: 'INVALID_SIGNATURE',
+        message: 'Rejected Twilio webhook: signature mismatch',
+        twilioCallSid: 'CA123'
+      }));
+    });
+
+    it('rejects a request signed with another token', async () => {
+      const signature = twilio.getExpectedTwilioSignature('another-token', `http://bot.example.com${PATH}`, PARAMS);
+      const req = createRequest({ headers: { host: 'bot.example.com', 'x-twilio-signature': signature } });
+
+      const { res } = await run(req);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    it('rejects an unsigned request', async () => {
+      const { res, next } = await run(createRequest({ headers: { host: 'bot.example.com' } }));
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(ErrorModel.logError).toHaveBeenCalledWith(expect.objectContaining({
+        category: 'twilio',
+        message: 'Rejected Twilio webhook: missing signature'
+      }));
+    });
+
+    it('rejects everything when no auth token is configured', async () => {
+      delete process.env.TWILIO_AUTH_TOKEN;
+      const req = createRequest({
+        headers: { host: 'bot.example.com', 'x-twilio-signature': sign(`http://bot.example.com${PATH}`) }
+      });
+
+      const { res } = await run(req);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(ErrorModel.logError).toHaveBeenCalledWith(expect.objectContaining({
+        message: 'Rejected Twilio webhook: auth token not configured'
+      }));
+    });
+
+    it('still answers 403 when logging the rejection fails', async () => {
+      ErrorModel.logError.mockRejectedValueOnce(new Error('db down'));
+
+      const { res } = await run(createRequest());
+
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    describe('behind a proxy', () => {
+      it('rebuilds the URL from the forwarded proto and host', async () => {
+        const req = createRequest({
+          headers: {
+            'x-forwarded-proto': 'https',
+            'x-forwarded-host': 'bot.example.com',
+            'x-twilio-signature': sign(`${PUBLIC_URL}${PATH}`)
+          }
+        });
+
+        const { next } = await run(req);
+
+        expect(next).toHaveBeenCalled();
+      });
+
+      it('takes the first value of a forwarded header chain', async () => {
+        const req = createRequest({
+          headers: {
+            'x-forwarded-proto': 'https, http',
+            'x-forwarded-host': 'bot.example.com, internal:8080',
+            'x-twilio-signature': sign(`${PUBLIC_URL}${PATH}`)
+          }
+        });
+
+        const { next } = await run(req);
+
+        expect(next).toHaveBeenCalled();
+      });
+
+      it('falls back to API_URL when the forwarded headers are missing', async () => {
+        process.env.API_URL = `${PUBLIC_URL}/`;
+        const req = createRequest({ headers: { 'x-twilio-signature': sign(`${PUBLIC_URL}${PATH}`) } });
+
+        const { next } = await run(req);
+
+        expect(next).toHaveBeenCalled();
+      });
+
+      it('logs the URLs it tried', async () => {
+        process.env.API_URL = PUBLIC_URL;
+        const req = createRequest({
+          headers: { 'x-forwarded-proto': 'https', 'x-twilio-signature': sign('https://elsewhere.example.com/') }
+        });
+
+        await run(req);
+
+        expect(ErrorModel.logError).toHaveBeenCalledWith(expect.objectContaining({
+          details: { urls: [`https://internal:8080${PATH}`, `${PUBLIC_URL}${PATH}`] }
+        }));
+      });
+    });
+
+    describe('bypass', () => {
+      it('skips validation when enabled outside production', async () => {
+        process.env.TWILIO_SKIP_SIGNATURE_VALIDATION = 'true';
+        process.env.NODE_ENV = 'development';
+
+        const { next } = await run(createRequest());
+
+        expect(next).toHaveBeenCalled();
+        expect(ErrorModel.logError).not.toHaveBeenCalled();
+      });
+
+      it('is ignored in production', async () => {
+        process.env.TWILIO_SKIP_SIGNATURE_VALIDATION = 'true';
+        process.env.NODE_ENV = 'production';
+
+        const { res, next } = await run(createRequest());
+
+        expect(next).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(403);
+      });
+
+      it('is off unless set to true', async () => {
+        process.env.TWILIO_SKIP_SIGNATURE_VALIDATION = '1';
+
+        const { res } = await run(createRequest());
+
+        expect(res.status).toHaveBeenCalledWith(403);
+      });
+    });
+  });
+
+  describe('validateTwilioUpgrade', () => {
+    const STREAM_PATH = '/media-stream';
+
+    const createUpgrade = (headers) => ({
+      method: 'GET',
+      url: STREAM_PATH,
+      headers: { host: 'internal:8080', ...headers },
+      socket: { remoteAddress: '10.0.0.1' }
+    });
+
+    it('accepts an upgrade signed with the wss URL', async () => {
+      const req = createUpgrade({
+        'x-forwarded-proto': 'https',
+        'x-forwarded-host': 'bot.example.com',
+        'x-twilio-signature': sign(`wss://bot.example.com${STREAM_PATH}`, {})
+      });
+
+      expect(await validateTwilioUpgrade(req)).toBe(true);
+    });
+
+    it('accepts a ws URL over plain http', async () => {
+      const req = createUpgrade({
+        host: 'localhost:3000',
+        'x-twilio-signature': sign(`ws://localhost:3000${STREAM_PATH}`, {})
+      });
+
+      expect(await validateTwilioUpgrade(req)).toBe(true);
+    });
+
+    it('rejects an upgrade signed with the https URL', async () => {
+      const req = createUpgrade({
+        'x-forwarded-proto': 'https',
+        'x-forwarded-host': 'bot.example.com',
+        'x-twilio-signature': sign(`https://bot.example.com${STREAM_PATH}`, {})
+      });
+
+      expect(await validateTwilioUpgrade(req)).toBe(false);
+      expect(ErrorModel.logError).toHaveBeenCalledWith(expect.objectContaining({
+        category: 'twilio',
+        details: { urls: [`wss://bot.example.com${STREAM_PATH}`] }
+      }));
+    });
+
+    it('rejects an unsigned upgrade', async () => {
+      expect(await validateTwilioUpgrade(createUpgrade({}))).toBe(false);
+      expect(ErrorModel.logError).toHaveBeenCalledWith(expect.objectContaining({
+        message: 'Rejected Twilio webhook: missing signature'
+      }));
+    });
+
+    it('honours the bypass only outside production', async () => {
+      process.env.TWILIO_SKIP_SIGNATURE_VALIDATION = 'true';
+
+      process.env.NODE_ENV = 'development';
+      expect(await validateTwilioUpgrade(createUpgrade({}))).toBe(true);
+
+      process.env.NODE_ENV = 'production';
+      expect(await validateTwilioUpgrade(createUpgrade({}))).toBe(false);
+    });
+  });
+});
@@ -24,8 +24,8 @@ const apiLimiter = rateLimit({
     res.status(429).json(options.message);
   },
   skip: (req) => {
-    // Skip rate limiting for webhooks
-    return req.path.startsWith('/webhook');
+    // Skip rate limiting for webhooks and Twilio audio fetches
+    return req.path.startsWith('/webhook') || req.path.startsWith('/audio/');
   }
 });
 
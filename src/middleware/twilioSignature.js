@@ -0,0 +1,137 @@
+/**
+ * Twilio Signature Middleware
+ * Verifies X-Twilio-Signature on incoming voice webhooks
+ */
+
+const twilio = require('twilio');
+const logger = require('../utils/logger');
+const { Error: ErrorModel } = require('../models');
+
+/**
+ * Take the first value of a possibly comma-separated proxy header
+ */
+const firstHeaderValue = (value) => {
+  return value ? value.split(',')[0].trim() : null;
+};
+
+/**
+ * Candidate public URLs Twilio may have signed
+ * Behind Fly/Render the request reaches us as plain http on an internal
+ * host, so the URL is rebuilt from the forwarded headers and API_URL
+ * WebSocket upgrades are signed with the ws:// or wss:// URL
+ */
+const getCandidateUrls = (req, options = {}) => {
+  const urls = [];
+  const path = req.originalUrl || req.url;
+
+  const proto = firstHeaderValue(req.headers['x-forwarded-proto']) ||
+    req.protocol ||
+    (req.socket?.encrypted ? 'https' : 'http');
+  const host = firstHeaderValue(req.headers['x-forwarded-host']) || req.headers.host;
+  if (host) {
+    urls.push(`${proto}://${host}${path}`);
+  }
+
+  if (process.env.API_URL) {
+    urls.push(`${process.env.API_URL.replace(/\/$/, '')}${path}`);
+  }
+
+  const candidates = options.websocket
+    ? urls.map(url => url.replace(/^http(s?):/, 'ws$1:'))
+    : urls;
+
+  return [...new Set(candidates)];
+};
+
+/**
+ * Whether validation is bypassed for local simulation
+ * Never honored in production
+ */
+const isBypassed = () => {
+  return process.env.TWILIO_SKIP_SIGNATURE_VALIDATION === 'true' &&
+         process.env.NODE_ENV !== 'production';
+};
+
+/**
+ * Check the request signature
+ * @returns {Object} { valid, reason, urls }
+ */
+const checkSignature = (req, params, options = {}) => {
+  const signature = req.headers['x-twilio-signature'];
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  const urls = getCandidateUrls(req, options);
+
+  const valid = Boolean(signature && authToken) && urls.some(url =>
+    twilio.validateRequest(authToken, signature, url, params)
+  );
+
+  const reason = valid ? null
+    : !authToken ? 'auth token not configured'
+    : !signature ? 'missing signature'
+    : 'signature mismatch';
+
+  return { valid, reason, urls };
+};
+
+/**
+ * Log a rejected request
+ */
+const logRejection = async (req, reason, urls, callSid) => {
+  logger.warn('Rejected Twilio webhook', { reason, urls, ip: req.ip || req.socket?.remoteAddress });
+
+  try {
+    await ErrorModel.logError({
+      category: 'twilio',
+      severity: 'medium',
+      code: 'INVALID_SIGNATURE',
+      message: `Rejected Twilio webhook: ${reason}`,
+      twilioCallSid: callSid,
+      details: { urls },
+      context: {
+        endpoint: req.originalUrl || req.url,
+        method: req.method,
+        userAgent: req.headers['user-agent'],
+        ip: req.ip || req.socket?.remoteAddress
+      }
+    });
+  } catch (logError) {
+    logger.error('Failed to log rejected webhook:', logError);
+  }
+};
+
+const validateTwilioRequest = async (req, res, next) => {
+  if (isBypassed()) {
+    return next();
+  }
+
+  const { valid, reason, urls } = checkSignature(req, req.body || {});
+
+  if (valid) {
+    return next();
+  }
+
+  await logRejection(req, reason, urls, req.body?.CallSid);
+
+  res.status(403).send('Forbidden');
+};
+
+/**
+ * Validate a Media Streams WebSocket upgrade request
+ * @returns {boolean} Whether the upgrade may proceed
+ */
+const validateTwilioUpgrade = async (req) => {
+  if (isBypassed()) {
+    return true;
+  }
+
+  const { valid, reason, urls } = checkSignature(req, {}, { websocket: true });
+
+  if (!valid) {
+    await logRejection(req, reason, urls);
+  }
+
+  return valid;
+};
+
+module.exports = validateTwilioRequest;
+module.exports.validateTwilioUpgrade = validateTwilioUpgrade;
@@ -4,7 +4,25 @@
  */
 
 const mongoose = require('mongoose');
+const moment = require('moment-timezone');
 const { v4: uuidv4 } = require('uuid');
+const { getHolidays, isRestTime } = require('../utils/hebrewCalendar');
+const {
+  DAY_MINUTES,
+  toMinutes,
+  toTime,
+  getDayIntervals,
+  toIntervals,
+  isWithinIntervals
+} = require('../utils/hours');
+
+const DEFAULT_TIMEZONE = 'Asia/Jerusalem';
+
+// A close at or before the open runs past midnight (20:00-02:00)
+const HoursIntervalSchema = new mongoose.Schema({
+  openTime: { type: String, required: true },
+  closeTime: { type: String, required: true }
+}, { _id: false });
 
 const BusinessHoursSchema = new mongoose.Schema({
   day: {
@@ -14,7 +32,9 @@ const BusinessHoursSchema = new mongoose.Schema({
   },
   isOpen: { type: Boolean, default: true },
   openTime: { type: String, default: '09:00' },
-  closeTime: { type: String, default: '22:00' }
+  closeTime: { type: String, default: '22:00' },
+  // Several shifts a day (lunch and dinner) - replaces openTime/closeTime when set
+  intervals: [HoursIntervalSchema]
 }, { _id: false });
 
 const FAQSchema = new mongoose.Schema({
@@ -40,21 +60,232 @@ const MenuItemSchema = new mongoose.Schema({
   isGlutenFree: { type: Boolean, default: false }
 }, { _id: true });
 
+const TableSchema = new mongoose.Schema({
+  number: { type: String, required: true },
+  area: {
+    type: String,
+    enum: ['indoor', 'outdoor', 'bar', 'private'],
+    default: 'indoor'
+  },
+  minSeats: { type: Number, default: 1 },
+  maxSeats: { type: Number, required: true },
+  isActive: { type: Boolean, default: true }
+}, { _id: true });
+
+const SeatingDurationSchema = new mongoose.Schema({
+  maxPartySize: { type: Number, required: true }, // Parties up to this size
+  minutes: { type: Number, required: true }
+}, { _id: false });
+
+const ServiceSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  nameHebrew: { type: String, required: true },
+  description: String,
+  duration: { type: Number, required: true }, // minutes
+  price: Number,
+  category: String,
+  isActive: { type: Boolean, default: true }
+}, { _id: true });
+
+const StaffMemberSchema = new mongoose.Schema({
+  name: { type: String, required: true }, // As callers say it, e.g. 'דנה'
+  role: String,
+  services: [mongoose.Schema.Types.ObjectId], // Empty = all services
+  schedule: [BusinessHoursSchema], // Empty = business hours
+  daysOff: [Date],
+  isActive: { type: Boolean, default: true }
+}, { _id: true });
+
 const ReservationSettingsSchema = new mongoose.Schema({
   enabled: { type: Boolean, default: true },
   maxPartySize: { type: Number, default: 20 },
   minPartySize: { type: Number, default: 1 },
   advanceBookingDays: { type: Number, default: 30 },
   timeSlotDuration: { type: Number, default: 30 }, // minutes
+  // Capacity: tables when configured, otherwise a guest limit per slot
+  tables: [TableSchema],
+  maxCapacityPerSlot: { type: Number, default: 50 },
+  defaultSeatingDuration: { type: Number, default: 90 }, // minutes
+  seatingDurations: [SeatingDurationSchema],
+  maxAlternatives: { type: Number, default: 3 },
   requirePhoneNumber: { type: Boolean, default: true },
   requireEmail: { type: Boolean, default: false },
   confirmationMessage: {
     type: String,
     default: 'ההזמנה שלך אושרה! נשמח לראותך.'
   },
+  // SMS after bot-created reservations
+  // Placeholders: {customerName} {businessName} {confirmationMessage}
+  // {reservationNumber} {date} {time} {partySize} {cancelUrl}
+  smsEnabled: { type: Boolean, default: true },
+  smsTemplate: {
+    type: String,
+    default: 'שלום {customerName}, {confirmationMessage}\n{businessName} | {date} בשעה {time} | {partySize} אנשים\nמספר הזמנה: {reservationNumber}\nלביטול: {cancelUrl}'
+  },
+  // Confirmation for appointments, also {serviceName} {staffName}
+  appointmentSmsTemplate: {
+    type: String,
+    default: 'שלום {customerName}, התור ל{serviceName} ב{businessName} נקבע ל{date} בשעה {time}.\nמספר תור: {reservationNumber}\nלביטול: {cancelUrl}'
+  },
+  cancellationSmsTemplate: {
+    type: String,
+    default: 'שלום {customerName}, ההזמנה {reservationNumber} ב{businessName} ל{date} בשעה {time} בוטלה.'
+  },
   blockedDates: [Date]
 }, { _id: false });
 
+// One-off hours for a date (closed for an event, extended hours, ...)
+const SpecialDaySchema = new mongoose.Schema({
+  date: { type: Date, required: true },
+  isOpen: { type: Boolean, default: false },
+  openTime: String, // Empty = regular hours
+  closeTime: String,
+  note: String // Told to callers, e.g. 'אירוע פרטי'
+}, { _id: true });
+
+// Override for a holiday key ('yom-kippur', 'erev-pesach') or type ('fast', 'memorial')
+const HolidayRuleSchema = new mongoose.Schema({
+  holiday: { type: String, required: true },
+  isOpen: { type: Boolean, default: false },
+  openTime: String,
+  closeTime: String
+}, { _id: false });
+
+const HolidaySettingsSchema = new mongoose.Schema({
+  // Apply the Israeli holiday calendar to hours and reservations
+  enabled: { type: Boolean, default: true },
+  closeOnYomTov: { type: Boolean, default: true },
+  // Erev chag closes early (empty = regular hours)
+  erevChagCloseTime: { type: String, default: '14:00' },
+  rules: [HolidayRuleSchema]
+}, { _id: false });
+
+const TransferNumberSchema = new mongoose.Schema({
+  name: String,
+  phone: { type: String, required: true }
+}, { _id: true });
+
+const TransferSettingsSchema = new mongoose.Schema({
+  enabled: { type: Boolean, default: false },
+  numbers: [TransferNumberSchema], // Rung simultaneously, first to answer wins
+  hours: [BusinessHoursSchema], // Empty = same as business hours
+  ringTimeout: { type: Number, default: 20 }, // seconds
+  transferOnComplaint: { type: Boolean, default: true },
+  maxFailedTurns: { type: Number, default: 3 },
+  whisperSummary: { type: Boolean, default: true },
+  voicemailEnabled: { type: Boolean, default: true },
+  transferMessage: {
+    type: String,
+    default: 'רגע אחד, אני מעבירה אותך לנציג.'
+  },
+  voicemailMessage: {
+    type: String,
+    default: 'לא הצלחנו להשיג נציג כרגע. השאירו הודעה אחרי הצליל ונחזור אליכם.'
+  }
+}, { _id: false });
+
+const AfterHoursSettingsSchema = new mongoose.Schema({
+  enabled: { type: Boolean, default: false },
+  // record = keep the caller's audio, transcribe = speech-to-text via <Gather>
+  messageMode: {
+    type: String,
+    enum: ['record', 'transcribe'],
+    default: 'transcribe'
+  },
+  maxMessageLength: { type: Number, default: 120 }, // seconds
+  greetingMessage: {
+    type: String,
+    default: 'שלום, הגעתם ל{businessName}. אנחנו סגורים כרגע. ספרו לנו בקצרה במה נוכל לעזור ונחזור אליכם.'
+  },
+  callbackPrompt: {
+    type: String,
+    default: 'נחזור אליכם למספר שממנו התקשרתם. לאישור הקישו 1. למספר אחר, הקישו אותו וסיימו בסולמית.'
+  },
+  confirmationMessage: {
+    type: String,
+    default: 'תודה! קיבלנו את ההודעה ונחזור אליכם בהקדם.'
+  },
+  notifyEmail: String // Defaults to the business email, then the owner's email
+}, { _id: false });
+
+// Owner emails about calls that need attention, sent after the call is processed
+const CallAlertSettingsSchema = new mongoose.Schema({
+  enabled: { type: Boolean, default: false },
+  negativeSentiment: { type: Boolean, default: true },
+  complaints: { type: Boolean, default: true },
+  transfers: { type: Boolean, default: false }, // Transfers nobody answered
+  notifyEmail: String // Defaults to the business email, then the owner's email
+}, { _id: false });
+
+const ReminderSettingsSchema = new mongoose.Schema({
+  enabled: { type: Boolean, default: false },
+  hoursBefore: { type: Number, default: 24 },
+  maxAttempts: { type: Number, default: 2 },
+  retryDelayMinutes: { type: Number, default: 60 },
+  // No outbound calls between these times (business time)
+  quietHours: {
+    start: { type: String, default: '21:00' },
+    end: { type: String, default: '09:00' }
+  },
+  respectShabbat: { type: Boolean, default: true },
+  // Placeholders: {customerName} {businessName} {date} {time} {partySize}
+  reminderMessage: {
+    type: String,
+    default: 'שלום {customerName}, כאן {businessName}. רצינו להזכיר את ההזמנה שלך ל{date} בשעה {time} ל-{partySize} אנשים. האם ההזמנה בתוקף?'
+  },
+  confirmedMessage: {
+    type: String,
+    default: 'מעולה, ההזמנה מאושרת. נתראה!'
+  },
+  cancelledMessage: {
+    type: String,
+    default: 'ההזמנה בוטלה. תודה שעדכנת אותנו!'
+  },
+  changedMessage: {
+    type: String,
+    default: 'עדכנתי את ההזמנה ל{date} בשעה {time} ל-{partySize} אנשים. נתראה!'
+  },
+  voicemailMessage: {
+    type: String,
+    default: 'שלום, כאן {businessName}. זו תזכורת להזמנה שלך ל{date} בשעה {time}. לשינוי או ביטול אפשר להתקשר אלינו. תודה!'
+  }
+}, { _id: false });
+
+const WaitlistSettingsSchema = new mongoose.Schema({
+  // Offer a waitlist when the requested slot is full
+  enabled: { type: Boolean, default: false },
+  // How long a notified customer has to claim a freed slot
+  claimMinutes: { type: Number, default: 30 },
+  maxEntriesPerSlot: { type: Number, default: 10 },
+  // Placeholders: {customerName} {businessName} {date} {time} {partySize} {claimMinutes} {claimUrl}
+  smsTemplate: {
+    type: String,
+    default: 'שלום {customerName}, התפנה מקום ב{businessName} ל{date} בשעה {time} ל-{partySize} אנשים. לשריון המקום ({claimMinutes} דקות): {claimUrl}'
+  }
+}, { _id: false });
+
+// Scripted LLM provider rule - a match on the caller's words replies or calls a tool
+const ScriptRuleSchema = new mongoose.Schema({
+  // Case-insensitive regex
+  match: {
+    type: String,
+    required: true,
+    validate: {
+      validator: (value) => {
+        try {
+          return Boolean(new RegExp(value, 'i'));
+        } catch (error) {
+          return false;
+        }
+      },
+      message: 'Invalid regular expression'
+    }
+  },
+  reply: String,
+  tool: String,
+  arguments: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
 const BotPersonalitySchema = new mongoose.Schema({
   name: { type: String, default: 'שירה' },
   gender: { type: String, enum: ['male', 'female'], default: 'female' },
@@ -99,6 +330,22 @@ const BillingSchema = new mongoose.Schema({
   paymentMethod: String
 }, { _id: false });
 
+// Match a spoken name against a list of named subdocuments
+const findByName = (items, value, fields) => {
+  if (!value) return null;
+
+  const id = String(value);
+  const byId = items.find(item => String(item._id) === id);
+  if (byId) return byId;
+
+  const spoken = id.trim().toLowerCase();
+  const names = (item) => fields.map(f => item[f]).filter(Boolean).map(n => n.toLowerCase());
+
+  return items.find(item => names(item).includes(spoken)) ||
+         items.find(item => names(item).some(n => n.includes(spoken) || spoken.includes(n))) ||
+         null;
+};
+
 const BusinessSchema = new mongoose.Schema({
   // Unique identifier for webhook routing
   botId: {
@@ -147,6 +394,16 @@ const BusinessSchema = new mongoose.Schema({
     country: { type: String, default: 'Israel' }
   },
 
+  // IANA timezone of the business hours
+  timezone: {
+    type: String,
+    default: DEFAULT_TIMEZONE,
+    validate: {
+      validator: (value) => Boolean(moment.tz.zone(value)),
+      message: 'Unknown timezone'
+    }
+  },
+
   // Business Hours
   businessHours: {
     type: [BusinessHoursSchema],
@@ -161,10 +418,21 @@ const BusinessSchema = new mongoose.Schema({
     ]
   },
 
+  // Calendar: one-off dates and holiday handling on top of businessHours
+  specialDays: [SpecialDaySchema],
+  holidaySettings: {
+    type: HolidaySettingsSchema,
+    default: () => ({})
+  },
+
   // Menu/Services (for restaurants)
   menuItems: [MenuItemSchema],
   menuCategories: [String],
 
+  // Appointments (salons, clinics) - booked per service and staff member
+  services: [ServiceSchema],
+  staff: [StaffMemberSchema],
+
   // FAQ & Knowledge Base
   faqs: [FAQSchema],
 
@@ -180,13 +448,59 @@ const BusinessSchema = new mongoose.Schema({
     default: () => ({})
   },
 
+  // Live Transfer to Staff
+  transferSettings: {
+    type: TransferSettingsSchema,
+    default: () => ({})
+  },
+
+  // After-hours Message Taking
+  afterHoursSettings: {
+    type: AfterHoursSettingsSchema,
+    default: () => ({})
+  },
+
+  // Emails about negative calls, complaints and missed transfers
+  callAlertSettings: {
+    type: CallAlertSettingsSchema,
+    default: () => ({})
+  },
+
+  // Outbound Reminder Calls
+  reminderSettings: {
+    type: ReminderSettingsSchema,
+    default: () => ({})
+  },
+
+  // Waitlist for full slots
+  waitlistSettings: {
+    type: WaitlistSettingsSchema,
+    default: () => ({})
+  },
+
   // AI Configuration
   aiConfig: {
+    // LLM provider - empty uses LLM_PROVIDER from the environment
+    provider: { type: String, enum: ['openai', 'azure', 'local', 'scripted'] },
+    // Model (Azure: deployment) overrides per tier
+    models: {
+      fast: String,
+      smart: String,
+      embedding: String
+    },
+    script: [ScriptRuleSchema],
     useGPT4ForComplex: { type: Boolean, default: false },
     maxResponseTokens: { type: Number, default: 150 },
     temperature: { type: Number, default: 0.7 },
     enableSentimentAnalysis: { type: Boolean, default: true },
-    enableAutoFAQ: { type: Boolean, default: true }
+    enableAutoFAQ: { type: Boolean, default: true },
+    // Answer from an FAQ when the caller's question is this similar (cosine) to it
+    enableFAQMatching: { type: Boolean, default: true },
+    faqMatchThreshold: { type: Number, default: 0.75, min: 0, max: 1 },
+    // Knowledge base chunks added to each turn's prompt
+    enableKnowledgeBase: { type: Boolean, default: true },
+    knowledgeTokenBudget: { type: Number, default: 800, min: 0 },
+    knowledgeMinScore: { type: Number, default: 0.3, min: 0, max: 1 }
   },
 
   // Voice Configuration
@@ -194,7 +508,13 @@ const BusinessSchema = new mongoose.Schema({
     language: { type: String, default: 'he-IL' },
     voiceName: { type: String, default: 'he-IL-Wavenet-A' }, // Female Hebrew voice
     speakingRate: { type: Number, default: 1.0 },
-    pitch: { type: Number, default: 0 }
+    pitch: { type: Number, default: 0 },
+    // gather = <Play>/<Gather> per turn, stream = Media Streams with barge-in
+    conversationMode: {
+      type: String,
+      enum: ['gather', 'stream'],
+      default: 'gather'
+    }
   },
 
   // Billing
@@ -203,7 +523,7 @@ const BusinessSchema = new mongoose.Schema({
     default: () => ({})
   },
 
-  // Statistics (updated in real-time)
+  // Statistics - totals of the monthly rollups (see rollup.service)
   stats: {
     totalCalls: { type: Number, default: 0 },
     totalMinutes: { type: Number, default: 0 },
@@ -211,7 +531,14 @@ const BusinessSchema = new mongoose.Schema({
     totalCost: { type: Number, default: 0 },
     avgCallDuration: { type: Number, default: 0 },
     successRate: { type: Number, default: 0 },
-    lastCallAt: Date
+    lastCallAt: Date,
+    // The month of the latest counted call
+    currentMonth: {
+      month: String, // YYYY-MM in the business timezone
+      calls: { type: Number, default: 0 },
+      minutes: { type: Number, default: 0 }, // Billable
+      cost: { type: Number, default: 0 }
+    }
   },
 
   // Owner/Client
@@ -231,7 +558,11 @@ const BusinessSchema = new mongoose.Schema({
     field: String,
     suggestion: String,
     priority: { type: String, enum: ['low', 'medium', 'high'], default: 'medium' },
-    detectedAt: { type: Date, default: Date.now }
+    detectedAt: { type: Date, default: Date.now },
+    call: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Call'
+    }
   }],
 
   // Metadata
@@ -259,29 +590,270 @@ BusinessSchema.virtual('webhookUrl').get(function() {
   return `${process.env.API_URL}/webhook/${this.botId}`;
 });
 
-// Virtual for current month usage
+// Virtual for current month usage - billable minutes, none yet if the last call was in an earlier month
 BusinessSchema.virtual('currentMonthMinutes').get(function() {
-  // This would be calculated from calls collection
-  return this.stats.totalMinutes;
+  const month = moment().tz(this.getTimezone()).format('YYYY-MM');
+  return this.stats?.currentMonth?.month === month ? this.stats.currentMonth.minutes : 0;
 });
 
+// Method to get the business timezone
+BusinessSchema.methods.getTimezone = function() {
+  return this.timezone || DEFAULT_TIMEZONE;
+};
+
+// Method to turn a spoken or entered day (YYYY-MM-DD) into midnight in the business
+// timezone - new Date() reads it as UTC, the day before west of UTC. Dates and full
+// timestamps are kept as they are.
+BusinessSchema.methods.parseDay = function(date) {
+  if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    return moment.tz(date, 'YYYY-MM-DD', this.getTimezone()).toDate();
+  }
+  return new Date(date);
+};
+
+// Method to check if a time falls within a weekly hours table
+BusinessSchema.methods.isWithinHours = function(hours, date = new Date()) {
+  const now = moment(date).tz(this.getTimezone());
+  const intervalsOf = (at) => toIntervals(getDayIntervals(
+    hours.find(h => h.day === at.format('dddd').toLowerCase())
+  ));
+
+  return isWithinIntervals(
+    intervalsOf(now),
+    intervalsOf(now.clone().subtract(1, 'day')),
+    now.hours() * 60 + now.minutes()
+  );
+};
+
 // Method to check if business is currently open
 BusinessSchema.methods.isCurrentlyOpen = function() {
-  const moment = require('moment-timezone');
-  const now = moment().tz('Asia/Jerusalem');
-  const dayName = now.format('dddd').toLowerCase();
-  
-  const todayHours = this.businessHours.find(h => h.day === dayName);
-  if (!todayHours || !todayHours.isOpen) return false;
-  
-  const currentTime = now.format('HH:mm');
-  return currentTime >= todayHours.openTime && currentTime <= todayHours.closeTime;
+  return this.isOpenAt(new Date());
+};
+
+// Method to check if business is open at a moment
+BusinessSchema.methods.isOpenAt = function(date = new Date()) {
+  const at = moment(date).tz(this.getTimezone());
+  return this.isOpenAtTime(at.format('YYYY-MM-DD'), at.format('HH:mm'));
+};
+
+// Method to check if business is open at a local date and time
+// Includes the overnight hours of the day before (Saturday 20:00-02:00 covers Sunday 01:00)
+BusinessSchema.methods.isOpenAtTime = function(day, time) {
+  const yesterday = moment.utc(day).subtract(1, 'day').format('YYYY-MM-DD');
+
+  return isWithinIntervals(
+    toIntervals(this.getHoursForDate(day).intervals),
+    toIntervals(this.getHoursForDate(yesterday).intervals),
+    toMinutes(time)
+  );
+};
+
+// Method to get the hours for a date (YYYY-MM-DD, business time)
+// A special day wins, then holiday rules, then the weekly hours
+BusinessSchema.methods.getHoursForDate = function(day) {
+  const weekday = moment.utc(day).format('dddd').toLowerCase();
+
+  // No weekly hours configured = no restriction
+  const weekly = this.businessHours?.length
+    ? getDayIntervals(this.businessHours.find(h => h.day === weekday))
+    : [{ openTime: '00:00', closeTime: '24:00' }];
+
+  const build = (intervals, source = 'weekly', name = null) => ({
+    date: day,
+    day: weekday,
+    isOpen: intervals.length > 0,
+    openTime: intervals[0]?.openTime,
+    closeTime: intervals[intervals.length - 1]?.closeTime,
+    intervals,
+    source,
+    name
+  });
+
+  // Explicit times replace the day's shifts, otherwise the regular shifts apply
+  const override = (source, name, rule) => {
+    if (!rule.isOpen) return build([], source, name);
+    if (!rule.openTime && !rule.closeTime && weekly.length) return build(weekly, source, name);
+
+    return build([{
+      openTime: rule.openTime || weekly[0]?.openTime || '00:00',
+      closeTime: rule.closeTime || weekly[weekly.length - 1]?.closeTime || '24:00'
+    }], source, name);
+  };
+
+  const timezone = this.getTimezone();
+  const special = (this.specialDays || []).find(d =>
+    moment(d.date).tz(timezone).format('YYYY-MM-DD') === day
+  );
+  if (special) return override('special', special.note || null, special);
+
+  const settings = this.holidaySettings || {};
+  if (settings.enabled === false) return build(weekly);
+
+  const rules = settings.rules || [];
+
+  for (const holiday of getHolidays(day)) {
+    const key = holiday.erev ? `erev-${holiday.key}` : holiday.key;
+    const rule = rules.find(r => r.holiday === key) || rules.find(r => r.holiday === holiday.type);
+    if (rule) return override('holiday', holiday.name, rule);
+
+    if (holiday.type === 'yomtov' && settings.closeOnYomTov !== false) {
+      return build([], 'holiday', holiday.name);
+    }
+
+    // Erev chag: shifts are cut at the early close time
+    if (holiday.type === 'erev-chag' && settings.erevChagCloseTime) {
+      const cutoff = toMinutes(settings.erevChagCloseTime);
+      const shortened = toIntervals(weekly).some(i => i.close > cutoff);
+
+      if (shortened) {
+        const intervals = toIntervals(weekly)
+          .filter(i => i.open < cutoff)
+          .map(i => ({ openTime: toTime(i.open), closeTime: toTime(Math.min(i.close, cutoff)) }));
+        return build(intervals, 'holiday', holiday.name);
+      }
+    }
+  }
+
+  return build(weekly);
+};
+
+// Method to list the days that differ from the weekly hours (holidays, special days)
+BusinessSchema.methods.getSpecialHours = function(days = 14, from = new Date()) {
+  const start = moment(from).tz(this.getTimezone());
+  const result = [];
+
+  for (let i = 0; i < days; i++) {
+    const hours = this.getHoursForDate(start.clone().add(i, 'days').format('YYYY-MM-DD'));
+    if (hours.source !== 'weekly') result.push(hours);
+  }
+
+  return result;
+};
+
+// Method to find when the business next opens ("מתי אתם פותחים?")
+// @returns {Object|null} { isOpen, opensAt, closesAt, date, day, openTime, closeTime, name }
+// While open, opensAt is null and closesAt is the end of the current shift
+BusinessSchema.methods.getNextOpening = function(from = new Date(), days = 14) {
+  const timezone = this.getTimezone();
+  const now = moment(from).tz(timezone);
+
+  // Start a day back - an overnight shift may still be running
+  for (let i = -1; i <= days; i++) {
+    const day = now.clone().add(i, 'days').format('YYYY-MM-DD');
+    const hours = this.getHoursForDate(day);
+
+    for (const interval of toIntervals(hours.intervals)) {
+      const at = (minutes) => moment.tz(day, 'YYYY-MM-DD', timezone)
+        .add(Math.floor(minutes / DAY_MINUTES), 'days')
+        .hours(Math.floor((minutes % DAY_MINUTES) / 60))
+        .minutes(minutes % 60);
+
+      const opensAt = at(interval.open);
+      const closesAt = at(interval.close);
+      if (!closesAt.isAfter(now)) continue;
+
+      const isOpen = !opensAt.isAfter(now);
+      return {
+        isOpen,
+        opensAt: isOpen ? null : opensAt.toDate(),
+        closesAt: closesAt.toDate(),
+        date: day,
+        day: hours.day,
+        openTime: toTime(interval.open),
+        closeTime: toTime(interval.close),
+        name: hours.name
+      };
+    }
+  }
+
+  return null;
+};
+
+// Method to check if a live transfer to staff is possible right now
+BusinessSchema.methods.canTransferNow = function() {
+  const settings = this.transferSettings;
+  if (!settings?.enabled || !settings.numbers?.length) return false;
+
+  return settings.hours?.length > 0
+    ? this.isWithinHours(settings.hours)
+    : this.isCurrentlyOpen();
+};
+
+// Method to check if outbound calls may be placed at a given time
+// Shabbat and yom tov run from candle lighting to havdalah
+BusinessSchema.methods.isCallingAllowed = function(date = new Date()) {
+  const at = moment(date).tz(this.getTimezone());
+  const time = at.format('HH:mm');
+  const settings = this.reminderSettings || {};
+  const quiet = settings.quietHours || {};
+
+  if (quiet.start && quiet.end) {
+    const inQuietHours = quiet.start > quiet.end
+      ? time >= quiet.start || time < quiet.end
+      : time >= quiet.start && time < quiet.end;
+    if (inQuietHours) return false;
+  }
+
+  if (settings.respectShabbat !== false && isRestTime(date)) {
+    return false;
+  }
+
+  return true;
+};
+
+// Method to find the nearest allowed calling time
+// direction: 1 = next allowed time, -1 = latest allowed time before
+BusinessSchema.methods.findCallingTime = function(from, direction = 1) {
+  const stepMs = 15 * 60 * 1000;
+  const maxSteps = 4 * 24 * 4; // 4 days
+
+  let candidate = new Date(from);
+  for (let i = 0; i < maxSteps; i++) {
+    if (this.isCallingAllowed(candidate)) return candidate;
+    candidate = new Date(candidate.getTime() + direction * stepMs);
+  }
+
+  return null;
+};
+
+// Method to get how long a party keeps its table (minutes)
+BusinessSchema.methods.getSeatingDuration = function(partySize) {
+  const settings = this.reservationSettings || {};
+  const match = [...(settings.seatingDurations || [])]
+    .sort((a, b) => a.maxPartySize - b.maxPartySize)
+    .find(d => partySize <= d.maxPartySize);
+
+  return match ? match.minutes : (settings.defaultSeatingDuration || 90);
+};
+
+// Businesses with services book appointments instead of tables
+BusinessSchema.methods.usesAppointments = function() {
+  return (this.services || []).some(s => s.isActive);
+};
+
+// Find an active service by id or spoken name
+BusinessSchema.methods.findService = function(value) {
+  const services = (this.services || []).filter(s => s.isActive);
+  return findByName(services, value, ['nameHebrew', 'name']);
+};
+
+// Find an active staff member by id or spoken name
+BusinessSchema.methods.findStaffMember = function(value) {
+  const staff = (this.staff || []).filter(s => s.isActive);
+  return findByName(staff, value, ['name']);
+};
+
+// Active staff members who perform a service
+BusinessSchema.methods.getStaffForService = function(serviceId) {
+  return (this.staff || []).filter(s =>
+    s.isActive &&
+    (!s.services?.length || s.services.some(id => String(id) === String(serviceId)))
+  );
 };
 
 // Method to get greeting based on time
 BusinessSchema.methods.getTimeBasedGreeting = function() {
-  const moment = require('moment-timezone');
-  const hour = moment().tz('Asia/Jerusalem').hour();
+  const hour = moment().tz(this.getTimezone()).hour();
   
   if (hour < 12) return 'בוקר טוב';
   if (hour < 17) return 'צהריים טובים';
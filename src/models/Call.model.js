@@ -4,6 +4,16 @@
  */
 
 const mongoose = require('mongoose');
+const { STAGES, percentile } = require('../utils/tracing');
+
+// A timed stage of a turn (see utils/tracing)
+const SpanSchema = new mongoose.Schema({
+  name: String, // webhook / stt / extraction / faq / knowledge / llm / tool / tts
+  start: Number, // ms from the start of the turn
+  duration: Number, // ms
+  detail: String, // Model or tool name
+  cached: Boolean // TTS served from cache
+}, { _id: false });
 
 const ConversationTurnSchema = new mongoose.Schema({
   role: {
@@ -17,6 +27,17 @@ const ConversationTurnSchema = new mongoose.Schema({
   confidence: Number, // STT confidence
   duration: Number, // Duration of speech in ms
   tokens: Number, // Tokens used for this turn
+  promptTokens: Number,
+  completionTokens: Number,
+  model: String, // LLM model, 'faq' when answered from an FAQ
+  source: String, // gpt / faq
+  responseTime: Number, // ms until the reply was ready (trace total)
+  ttsCharacters: Number, // Characters synthesized (cache hits excluded)
+  trace: {
+    total: Number,
+    stages: { type: Map, of: Number }, // ms per stage
+    spans: [SpanSchema]
+  },
   intent: String, // Detected intent
   entities: mongoose.Schema.Types.Mixed // Extracted entities
 }, { _id: false });
@@ -33,12 +54,81 @@ const ErrorLogSchema = new mongoose.Schema({
   recovered: { type: Boolean, default: false }
 }, { _id: false });
 
+// LLM usage of a call by purpose (conversation, summary, whisper, missing-info) and model
+const LlmUsageSchema = new mongoose.Schema({
+  purpose: String,
+  model: String,
+  calls: { type: Number, default: 0 },
+  promptTokens: { type: Number, default: 0 },
+  completionTokens: { type: Number, default: 0 },
+  cost: Number // USD
+}, { _id: false });
+
 const CostBreakdownSchema = new mongoose.Schema({
   twilio: { type: Number, default: 0 },
   googleSTT: { type: Number, default: 0 },
   googleTTS: { type: Number, default: 0 },
-  openAI: { type: Number, default: 0 },
-  total: { type: Number, default: 0 }
+  openAI: { type: Number, default: 0 }, // All LLM providers
+  total: { type: Number, default: 0 }, // ILS
+  exchangeRate: Number // ILS per USD the total was converted at
+}, { _id: false });
+
+// Outcome of one post-call step (see postCall.service)
+const ProcessingStepSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['pending', 'done', 'skipped', 'failed'],
+    default: 'pending'
+  },
+  attempts: { type: Number, default: 0 },
+  error: String,
+  completedAt: Date
+}, { _id: false });
+
+const ProcessingSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['pending', 'queued', 'processing', 'retrying', 'completed', 'failed'],
+    default: 'pending'
+  },
+  steps: {
+    summary: { type: ProcessingStepSchema, default: () => ({}) },
+    sentiment: { type: ProcessingStepSchema, default: () => ({}) },
+    missingInfo: { type: ProcessingStepSchema, default: () => ({}) },
+    stats: { type: ProcessingStepSchema, default: () => ({}) },
+    notifications: { type: ProcessingStepSchema, default: () => ({}) }
+  },
+  queuedAt: Date,
+  completedAt: Date
+}, { _id: false });
+
+// What the call added to its business's rollups, so a change adds only the difference
+const RollupContributionSchema = new mongoose.Schema({
+  day: String, // YYYY-MM-DD
+  month: String, // YYYY-MM
+  counters: mongoose.Schema.Types.Mixed,
+  version: Number, // Incremented with each change, guards against applying one twice
+  countedAt: Date
+}, { _id: false });
+
+const TransferSchema = new mongoose.Schema({
+  reason: {
+    type: String,
+    enum: ['complaint', 'repeated-failures', 'caller-request']
+  },
+  status: {
+    type: String,
+    enum: ['initiated', 'answered', 'no-answer', 'busy', 'failed', 'canceled'],
+    default: 'initiated'
+  },
+  numbers: [String],
+  summary: String, // Whispered to the staff member before connecting
+  requestedAt: Date,
+  answeredAt: Date,
+  dialDuration: Number, // seconds
+  voicemailUrl: String,
+  voicemailSid: String,
+  voicemailDuration: Number
 }, { _id: false });
 
 const CallSchema = new mongoose.Schema({
@@ -115,6 +205,9 @@ const CallSchema = new mongoose.Schema({
   customerSatisfaction: Number, // 1-5 estimated
   resolved: { type: Boolean, default: false },
 
+  // Live transfer to staff (if requested during call)
+  transfer: TransferSchema,
+
   // Reservation (if created during call)
   reservation: {
     type: mongoose.Schema.Types.ObjectId,
@@ -133,7 +226,9 @@ const CallSchema = new mongoose.Schema({
     ttsCharacters: Number, // Total characters synthesized
     gptTokensInput: Number,
     gptTokensOutput: Number,
-    gptModel: String
+    gptModel: String, // Model with the most tokens
+    faqAnswers: Number, // Turns answered from an FAQ without a completion
+    llmUsage: [LlmUsageSchema]
   },
 
   // Costs
@@ -142,6 +237,15 @@ const CallSchema = new mongoose.Schema({
     default: () => ({})
   },
 
+  // Post-call pipeline
+  processing: {
+    type: ProcessingSchema,
+    default: () => ({})
+  },
+
+  // Counted in the business stats rollups
+  rollup: RollupContributionSchema,
+
   // Missing Information Detected
   missingInfoDetected: [{
     field: String,
@@ -172,6 +276,7 @@ CallSchema.index({ status: 1 });
 CallSchema.index({ startTime: -1 });
 CallSchema.index({ 'costs.total': 1 });
 CallSchema.index({ hadErrors: 1 });
+CallSchema.index({ 'processing.status': 1, endTime: -1 });
 
 // Virtual for formatted duration
 CallSchema.virtual('formattedDuration').get(function() {
@@ -180,114 +285,104 @@ CallSchema.virtual('formattedDuration').get(function() {
   return `${minutes}:${seconds.toString().padStart(2, '0')}`;
 });
 
-// Calculate costs before saving
-CallSchema.pre('save', function(next) {
+// Calculate costs before saving - prices as of the call's start (see pricing.service)
+CallSchema.pre('save', async function() {
   if (this.isModified('duration') || this.isModified('metrics')) {
-    const minutes = this.duration / 60;
-    
-    // Twilio cost
-    this.costs.twilio = minutes * parseFloat(process.env.COST_PER_MINUTE_TWILIO || 0.02);
-    
-    // Google STT cost (per minute)
-    this.costs.googleSTT = minutes * parseFloat(process.env.COST_PER_MINUTE_GOOGLE_STT || 0.016);
-    
-    // Google TTS cost (per character, estimated from minutes)
-    const avgCharsPerMinute = 800;
-    this.costs.googleTTS = (minutes * avgCharsPerMinute / 1000000) * 16; // $16 per million chars
-    
-    // OpenAI cost
-    if (this.metrics) {
-      const inputTokens = this.metrics.gptTokensInput || 0;
-      const outputTokens = this.metrics.gptTokensOutput || 0;
-      
-      if (this.metrics.gptModel === 'gpt-4-turbo-preview') {
-        this.costs.openAI = (inputTokens / 1000 * 0.01) + (outputTokens / 1000 * 0.03);
-      } else {
-        this.costs.openAI = ((inputTokens + outputTokens) / 1000) * 
-          parseFloat(process.env.COST_PER_1K_TOKENS_GPT35 || 0.002);
-      }
-    }
-    
-    // Total cost in ILS (assuming conversion rate)
-    const usdToIls = 3.7;
-    this.costs.total = (this.costs.twilio + this.costs.googleSTT + 
-                        this.costs.googleTTS + this.costs.openAI) * usdToIls;
+    // Required here - the pricing service loads the models
+    const pricingService = require('../services/pricing.service');
+    const { costs, usageCosts } = await pricingService.calculateCosts(this);
+
+    this.costs = costs;
+    usageCosts.forEach((cost, i) => {
+      this.metrics.llmUsage[i].cost = cost;
+    });
   }
   
   // Check for errors
   this.hadErrors = this.errors && this.errors.length > 0;
-  
-  next();
 });
 
-// Static method to get aggregated stats for a business
-CallSchema.statics.getBusinessStats = async function(businessId, startDate, endDate) {
-  const match = { business: businessId };
-  
-  if (startDate || endDate) {
-    match.startTime = {};
-    if (startDate) match.startTime.$gte = startDate;
-    if (endDate) match.startTime.$lte = endDate;
-  }
-  
-  const stats = await this.aggregate([
+// Static method to get LLM usage and its USD cost by model and purpose
+CallSchema.statics.getUsageByModel = async function(match) {
+  const usage = await this.aggregate([
     { $match: match },
+    { $unwind: '$metrics.llmUsage' },
     {
       $group: {
-        _id: null,
-        totalCalls: { $sum: 1 },
-        totalDuration: { $sum: '$duration' },
-        totalCost: { $sum: '$costs.total' },
-        avgDuration: { $avg: '$duration' },
-        completedCalls: {
-          $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] }
-        },
-        errorCalls: {
-          $sum: { $cond: ['$hadErrors', 1, 0] }
-        },
-        reservationCalls: {
-          $sum: { $cond: [{ $ne: ['$reservation', null] }, 1, 0] }
-        },
-        avgSentiment: { $avg: '$sentimentScore' }
+        _id: { model: '$metrics.llmUsage.model', purpose: '$metrics.llmUsage.purpose' },
+        calls: { $sum: '$metrics.llmUsage.calls' },
+        promptTokens: { $sum: '$metrics.llmUsage.promptTokens' },
+        completionTokens: { $sum: '$metrics.llmUsage.completionTokens' },
+        cost: { $sum: '$metrics.llmUsage.cost' }
       }
-    }
+    },
+    { $sort: { cost: -1 } }
   ]);
-  
-  return stats[0] || {
-    totalCalls: 0,
-    totalDuration: 0,
-    totalCost: 0,
-    avgDuration: 0,
-    completedCalls: 0,
-    errorCalls: 0,
-    reservationCalls: 0,
-    avgSentiment: 0
-  };
+
+  return usage.map(({ _id, ...totals }) => ({
+    model: _id.model,
+    purpose: _id.purpose,
+    ...totals
+  }));
 };
 
-// Static method to get daily stats
-CallSchema.statics.getDailyStats = async function(businessId, days = 30) {
-  const startDate = new Date();
-  startDate.setDate(startDate.getDate() - days);
-  
-  return this.aggregate([
-    {
-      $match: {
-        business: businessId,
-        startTime: { $gte: startDate }
-      }
-    },
+// Static method to get p50/p95 turn latency, overall and per stage
+CallSchema.statics.getLatencyStats = async function(match) {
+  const [result] = await this.aggregate([
+    { $match: match },
+    { $unwind: '$conversation' },
+    { $match: { 'conversation.trace.total': { $exists: true } } },
     {
-      $group: {
-        _id: { $dateToString: { format: '%Y-%m-%d', date: '$startTime' } },
-        calls: { $sum: 1 },
-        duration: { $sum: '$duration' },
-        cost: { $sum: '$costs.total' },
-        errors: { $sum: { $cond: ['$hadErrors', 1, 0] } }
+      $facet: {
+        stages: [
+          {
+            $project: {
+              stage: {
+                $concatArrays: [
+                  [{ k: 'total', v: '$conversation.trace.total' }],
+                  { $objectToArray: '$conversation.trace.stages' }
+                ]
+              }
+            }
+          },
+          { $unwind: '$stage' },
+          { $group: { _id: '$stage.k', durations: { $push: '$stage.v' } } }
+        ],
+        tts: [
+          { $unwind: '$conversation.trace.spans' },
+          { $match: { 'conversation.trace.spans.name': 'tts' } },
+          {
+            $group: {
+              _id: null,
+              spans: { $sum: 1 },
+              cached: { $sum: { $cond: ['$conversation.trace.spans.cached', 1, 0] } }
+            }
+          }
+        ]
       }
-    },
-    { $sort: { _id: 1 } }
+    }
   ]);
+
+  const byStage = new Map(result.stages.map(stage => [stage._id, stage.durations]));
+  const summarize = (durations = []) => {
+    const sorted = [...durations].sort((a, b) => a - b);
+    return {
+      count: sorted.length,
+      p50: percentile(sorted, 50),
+      p95: percentile(sorted, 95)
+    };
+  };
+
+  const tts = result.tts[0];
+
+  return {
+    turns: byStage.get('total')?.length || 0,
+    total: summarize(byStage.get('total')),
+    stages: STAGES
+      .filter(stage => byStage.has(stage))
+      .reduce((acc, stage) => ({ ...acc, [stage]: summarize(byStage.get(stage)) }), {}),
+    ttsCacheHitRate: tts ? Math.round(tts.cached / tts.spans * 100) : 0
+  };
 };
 
 module.exports = mongoose.model('Call', CallSchema);
@@ -0,0 +1,68 @@
+/**
+ * CallbackRequest Model - Messages left by callers
+ * Created when a business is closed (after-hours mode) so staff can call back
+ */
+
+const mongoose = require('mongoose');
+
+const CallbackRequestSchema = new mongoose.Schema({
+  // Reference to business
+  business: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business',
+    required: true,
+    index: true
+  },
+
+  // Reference to the call that left the message
+  call: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Call'
+  },
+  twilioCallSid: String,
+
+  // Caller Information
+  callerNumber: {
+    type: String,
+    required: [true, 'Caller number is required']
+  },
+  callbackNumber: String,
+
+  // Message
+  type: {
+    type: String,
+    enum: ['recording', 'transcription'],
+    required: true
+  },
+  reason: String, // Transcribed speech
+  recordingUrl: String,
+  recordingSid: String,
+  recordingDuration: Number, // seconds
+
+  // Handling
+  status: {
+    type: String,
+    enum: ['new', 'in-progress', 'done'],
+    default: 'new'
+  },
+  handledAt: Date,
+  handledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  notes: String,
+
+  // Notifications
+  notificationSent: { type: Boolean, default: false },
+  notificationSentAt: Date
+
+}, {
+  timestamps: true
+});
+
+// Indexes
+CallbackRequestSchema.index({ business: 1, createdAt: -1 });
+CallbackRequestSchema.index({ business: 1, status: 1 });
+CallbackRequestSchema.index({ twilioCallSid: 1 });
+
+module.exports = mongoose.model('CallbackRequest', CallbackRequestSchema);
@@ -0,0 +1,38 @@
+/**
+ * ExchangeRate Model - ILS per USD from a date on, used to total call costs
+ */
+
+const mongoose = require('mongoose');
+
+const ExchangeRateSchema = new mongoose.Schema({
+  currency: {
+    type: String,
+    default: 'ILS',
+    uppercase: true
+  },
+  // Units of currency per USD
+  rate: {
+    type: Number,
+    required: [true, 'Rate is required'],
+    min: 0
+  },
+  effectiveFrom: {
+    type: Date,
+    required: [true, 'Effective date is required']
+  },
+  // e.g. 'Bank of Israel representative rate'
+  source: String,
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+
+}, {
+  timestamps: true
+});
+
+// Indexes
+ExchangeRateSchema.index({ currency: 1, effectiveFrom: -1 });
+
+module.exports = mongoose.model('ExchangeRate', ExchangeRateSchema);
@@ -0,0 +1,37 @@
+/**
+ * KnowledgeChunk Model - A retrievable piece of a KnowledgeDocument with its embedding
+ */
+
+const mongoose = require('mongoose');
+
+const KnowledgeChunkSchema = new mongoose.Schema({
+  business: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business',
+    required: true
+  },
+  document: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'KnowledgeDocument',
+    required: true,
+    index: true
+  },
+
+  // Position in the document
+  index: { type: Number, required: true },
+  // Document title and section heading, kept with the text in the prompt
+  heading: String,
+  text: { type: String, required: true },
+  tokens: { type: Number, default: 0 },
+
+  embedding: { type: [Number], select: false },
+  embeddingModel: String
+
+}, {
+  timestamps: true
+});
+
+// Indexes
+KnowledgeChunkSchema.index({ business: 1, embeddingModel: 1 });
+
+module.exports = mongoose.model('KnowledgeChunk', KnowledgeChunkSchema);
@@ -0,0 +1,57 @@
+/**
+ * KnowledgeDocument Model - Content a business uploaded for the bot to answer from
+ * (menus, policies, price lists). Split into KnowledgeChunks for retrieval.
+ */
+
+const mongoose = require('mongoose');
+
+const KnowledgeDocumentSchema = new mongoose.Schema({
+  // Reference to business
+  business: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business',
+    required: true,
+    index: true
+  },
+
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true
+  },
+  // pdf = text extracted from a PDF; csv = a menu or price list with a header row
+  type: {
+    type: String,
+    enum: ['text', 'markdown', 'pdf', 'csv'],
+    default: 'text'
+  },
+  filename: String,
+  content: {
+    type: String,
+    required: [true, 'Content is required']
+  },
+
+  status: {
+    type: String,
+    enum: ['processing', 'ready', 'failed'],
+    default: 'processing'
+  },
+  error: String,
+  chunkCount: { type: Number, default: 0 },
+  tokenCount: { type: Number, default: 0 },
+  // Provider and model the chunks were embedded with
+  embeddingModel: String,
+
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+
+}, {
+  timestamps: true
+});
+
+// Indexes
+KnowledgeDocumentSchema.index({ business: 1, createdAt: -1 });
+
+module.exports = mongoose.model('KnowledgeDocument', KnowledgeDocumentSchema);
@@ -0,0 +1,70 @@
+/**
+ * PriceEntry Model - A provider's USD price for one SKU from a date on.
+ * A new price is a new entry; an entry is edited only to correct it,
+ * which reprices the calls it covered (see pricing.service).
+ */
+
+const mongoose = require('mongoose');
+
+const PriceRevisionSchema = new mongoose.Schema({
+  price: Number,
+  outputPrice: Number,
+  effectiveFrom: Date,
+  note: String,
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  changedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const PriceEntrySchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: [true, 'Provider is required'],
+    lowercase: true,
+    trim: true
+  },
+  // voice / stt / tts, or a model name - matched as a prefix of the reported model
+  sku: {
+    type: String,
+    required: [true, 'SKU is required'],
+    trim: true
+  },
+  unit: {
+    type: String,
+    enum: ['minute', 'million-characters', 'thousand-tokens'],
+    required: true
+  },
+
+  // USD per unit; for tokens, the prompt token price
+  price: {
+    type: Number,
+    required: [true, 'Price is required'],
+    min: 0
+  },
+  // USD per thousand completion tokens
+  outputPrice: { type: Number, min: 0 },
+
+  effectiveFrom: {
+    type: Date,
+    required: [true, 'Effective date is required']
+  },
+  note: String,
+
+  // Previous values, newest last
+  revisions: [PriceRevisionSchema],
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+
+}, {
+  timestamps: true
+});
+
+// Indexes
+PriceEntrySchema.index({ provider: 1, sku: 1, effectiveFrom: -1 });
+
+module.exports = mongoose.model('PriceEntry', PriceEntrySchema);
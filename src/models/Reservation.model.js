@@ -3,6 +3,274 @@
  */
 
 const mongoose = require('mongoose');
+const moment = require('moment-timezone');
+const { toMinutes, toTime, getDayIntervals, toIntervals } = require('../utils/hours');
+
+const ACTIVE_STATUSES = ['pending', 'confirmed'];
+
+// Days after the requested one searched for alternative slots
+const ALTERNATIVE_DAYS = 2;
+
+// Unavailability reasons worth offering other slots for
+const ALTERNATIVE_REASONS = ['full', 'no-table', 'booked', 'closed', 'blocked-date', 'in-past'];
+
+const normalizeTime = (time) => toTime(toMinutes(String(time)));
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Find the smallest free table for a party
+ * Overlapping reservations without a table are given one first (largest
+ * parties first) so they are not double-booked
+ */
+const findFreeTable = (tables, overlapping, partySize, seatingArea) => {
+  const fits = (table, size, area) =>
+    table.minSeats <= size && size <= table.maxSeats &&
+    (!area || area === 'any' || table.area === area);
+
+  const bySize = [...tables].sort((a, b) => a.maxSeats - b.maxSeats);
+  const taken = new Set(overlapping.filter(r => r.tableNumber).map(r => r.tableNumber));
+
+  const unassigned = overlapping
+    .filter(r => !r.tableNumber)
+    .sort((a, b) => b.partySize - a.partySize);
+
+  for (const reservation of unassigned) {
+    const table = bySize.find(t => !taken.has(t.number) && fits(t, reservation.partySize, reservation.seatingArea)) ||
+                  bySize.find(t => !taken.has(t.number) && t.maxSeats >= reservation.partySize);
+    if (table) taken.add(table.number);
+  }
+
+  const freeTables = bySize.filter(t => !taken.has(t.number));
+
+  return {
+    table: freeTables.find(t => fits(t, partySize, seatingArea)) || null,
+    freeSeats: freeTables.reduce((sum, t) => sum + t.maxSeats, 0)
+  };
+};
+
+/**
+ * Check one slot against business rules and existing reservations
+ */
+const evaluateSlot = (business, reservations, day, time, partySize, options = {}) => {
+  const settings = business.reservationSettings || {};
+  const timezone = business.getTimezone();
+  const start = moment.tz(`${day} ${time}`, 'YYYY-MM-DD HH:mm', timezone);
+  const duration = business.getSeatingDuration(partySize);
+  const end = start.clone().add(duration, 'minutes');
+  const now = moment(options.now);
+
+  const result = {
+    available: false,
+    reason: null,
+    date: day,
+    time,
+    seatingDuration: duration,
+    table: null,
+    currentBookings: 0,
+    currentGuests: 0,
+    remainingCapacity: 0
+  };
+
+  if (settings.enabled === false) {
+    result.reason = 'reservations-disabled';
+  } else if (settings.maxPartySize && partySize > settings.maxPartySize) {
+    result.reason = 'party-too-large';
+  } else if (settings.minPartySize && partySize < settings.minPartySize) {
+    result.reason = 'party-too-small';
+  } else if (start.isBefore(now)) {
+    result.reason = 'in-past';
+  } else if (settings.advanceBookingDays && start.diff(now, 'days', true) > settings.advanceBookingDays) {
+    result.reason = 'too-far-ahead';
+  } else if ((settings.blockedDates || []).some(d => moment(d).tz(timezone).format('YYYY-MM-DD') === day)) {
+    result.reason = 'blocked-date';
+  } else if (!business.isOpenAtTime(day, time)) {
+    const dayHours = business.getHoursForDate(day);
+    result.reason = 'closed';
+    if (dayHours.source === 'holiday') result.holiday = dayHours.name;
+  }
+
+  if (result.reason) return result;
+
+  const overlapping = reservations.filter(r => {
+    const otherStart = r.getStartTime(timezone).getTime();
+    const otherEnd = otherStart + business.getSeatingDuration(r.partySize) * 60 * 1000;
+    return otherStart < end.valueOf() && otherEnd > start.valueOf();
+  });
+
+  result.currentBookings = overlapping.length;
+  result.currentGuests = overlapping.reduce((sum, r) => sum + r.partySize, 0);
+
+  const tables = (settings.tables || []).filter(t => t.isActive);
+
+  if (tables.length > 0) {
+    const { table, freeSeats } = findFreeTable(tables, overlapping, partySize, options.seatingArea);
+    result.remainingCapacity = freeSeats;
+    if (table) {
+      result.available = true;
+      result.table = { number: table.number, area: table.area, maxSeats: table.maxSeats };
+    } else {
+      result.reason = 'no-table';
+    }
+    return result;
+  }
+
+  const maxCapacity = settings.maxCapacityPerSlot || 50;
+  result.remainingCapacity = Math.max(maxCapacity - result.currentGuests, 0);
+  result.available = result.currentGuests + partySize <= maxCapacity;
+  if (!result.available) result.reason = 'full';
+
+  return result;
+};
+
+/**
+ * Find the nearest available slots, same day first
+ */
+const findAlternatives = (business, reservations, day, time, partySize, options = {}) => {
+  const settings = business.reservationSettings || {};
+  const step = settings.timeSlotDuration || 30;
+  const max = settings.maxAlternatives || 3;
+  const requested = toMinutes(time);
+  const alternatives = [];
+
+  for (let offset = 0; offset <= ALTERNATIVE_DAYS && alternatives.length < max; offset++) {
+    const altDay = moment.tz(day, business.getTimezone()).add(offset, 'days').format('YYYY-MM-DD');
+
+    // Whole day - overnight hours of the day before count too
+    const candidates = [];
+    for (let minutes = 0; minutes < 24 * 60; minutes += step) {
+      if (offset === 0 && minutes === requested) continue;
+      if (!business.isOpenAtTime(altDay, toTime(minutes))) continue;
+      candidates.push(minutes);
+    }
+    candidates.sort((a, b) => Math.abs(a - requested) - Math.abs(b - requested));
+
+    for (const minutes of candidates) {
+      const slot = evaluateSlot(business, reservations, altDay, toTime(minutes), partySize, options);
+      if (!slot.available) continue;
+
+      alternatives.push({ date: slot.date, time: slot.time, table: slot.table });
+      if (alternatives.length >= max) break;
+    }
+  }
+
+  return alternatives;
+};
+
+/**
+ * Working intervals of a staff member on a day (their schedule, else the business's)
+ * Holidays and special days limit staff schedules too
+ * @returns {Array} [{ open, close }] in minutes, empty when not working
+ */
+const getWorkingHours = (business, staff, day) => {
+  const calendar = business.getHoursForDate(day);
+  const open = toIntervals(calendar.intervals);
+  if (!staff?.schedule?.length || open.length === 0) return open;
+
+  const shifts = toIntervals(getDayIntervals(staff.schedule.find(h => h.day === calendar.day)));
+
+  // Weekly business hours don't bound a staff member's own schedule
+  if (calendar.source === 'weekly') return shifts;
+
+  return shifts.flatMap(shift => open
+    .map(i => ({ open: Math.max(shift.open, i.open), close: Math.min(shift.close, i.close) }))
+    .filter(i => i.open < i.close));
+};
+
+/**
+ * Check one appointment slot, trying each candidate staff member in order
+ * A null candidate means the business has no staff list (one chair)
+ */
+const evaluateAppointmentSlot = (business, reservations, day, time, service, candidates, options = {}) => {
+  const settings = business.reservationSettings || {};
+  const timezone = business.getTimezone();
+  const start = moment.tz(`${day} ${time}`, 'YYYY-MM-DD HH:mm', timezone);
+  const startMinutes = toMinutes(time);
+  const end = start.clone().add(service.duration, 'minutes');
+  const now = moment(options.now);
+
+  const result = {
+    available: false,
+    reason: null,
+    date: day,
+    time,
+    duration: service.duration,
+    staff: null
+  };
+
+  if (settings.enabled === false) {
+    result.reason = 'reservations-disabled';
+  } else if (start.isBefore(now)) {
+    result.reason = 'in-past';
+  } else if (settings.advanceBookingDays && start.diff(now, 'days', true) > settings.advanceBookingDays) {
+    result.reason = 'too-far-ahead';
+  } else if ((settings.blockedDates || []).some(d => moment(d).tz(timezone).format('YYYY-MM-DD') === day)) {
+    result.reason = 'blocked-date';
+  }
+
+  if (result.reason) return result;
+
+  let working = false;
+
+  for (const staff of candidates) {
+    const hours = getWorkingHours(business, staff, day);
+    if (!hours.some(h => startMinutes >= h.open && startMinutes + service.duration <= h.close)) continue;
+    if ((staff?.daysOff || []).some(d => moment(d).tz(timezone).format('YYYY-MM-DD') === day)) continue;
+
+    working = true;
+
+    const busy = reservations.some(r => {
+      if (staff && String(r.staffMember) !== String(staff._id)) return false;
+      const otherStart = r.getStartTime(timezone).getTime();
+      const otherEnd = otherStart + (r.duration || business.getSeatingDuration(r.partySize)) * 60 * 1000;
+      return otherStart < end.valueOf() && otherEnd > start.valueOf();
+    });
+    if (busy) continue;
+
+    result.available = true;
+    result.staff = staff ? { id: staff._id, name: staff.name } : null;
+    return result;
+  }
+
+  result.reason = working ? 'booked' : 'closed';
+  if (!working) {
+    const dayHours = business.getHoursForDate(day);
+    if (dayHours.source === 'holiday') result.holiday = dayHours.name;
+  }
+  return result;
+};
+
+/**
+ * Find the nearest free appointment slots, same day first
+ */
+const findAppointmentAlternatives = (business, reservations, day, time, service, candidates, options = {}) => {
+  const settings = business.reservationSettings || {};
+  const step = settings.timeSlotDuration || 30;
+  const max = settings.maxAlternatives || 3;
+  const requested = toMinutes(time);
+  const alternatives = [];
+
+  for (let offset = 0; offset <= ALTERNATIVE_DAYS && alternatives.length < max; offset++) {
+    const altDay = moment.tz(day, business.getTimezone()).add(offset, 'days').format('YYYY-MM-DD');
+
+    const candidateTimes = [];
+    for (let minutes = 0; minutes < 24 * 60; minutes += step) {
+      if (offset === 0 && minutes === requested) continue;
+      candidateTimes.push(minutes);
+    }
+    candidateTimes.sort((a, b) => Math.abs(a - requested) - Math.abs(b - requested));
+
+    for (const minutes of candidateTimes) {
+      const slot = evaluateAppointmentSlot(business, reservations, altDay, toTime(minutes), service, candidates, options);
+      if (!slot.available) continue;
+
+      alternatives.push({ date: slot.date, time: slot.time, staff: slot.staff });
+      if (alternatives.length >= max) break;
+    }
+  }
+
+  return alternatives;
+};
 
 const ReservationSchema = new mongoose.Schema({
   // Reference to business
@@ -69,6 +337,14 @@ const ReservationSchema = new mongoose.Schema({
     default: 'none'
   },
   
+  // Appointment (salons, clinics) - service and staff member booked
+  service: mongoose.Schema.Types.ObjectId,
+  serviceName: String,
+  staffMember: mongoose.Schema.Types.ObjectId,
+  staffName: String,
+  duration: Number, // minutes
+  price: Number,
+
   // Table Assignment (for restaurant use)
   tableNumber: String,
   seatingArea: {
@@ -80,13 +356,34 @@ const ReservationSchema = new mongoose.Schema({
   // Notifications
   confirmationSent: { type: Boolean, default: false },
   confirmationSentAt: Date,
+  // SMS messages sent for this reservation, with Twilio delivery status
+  messages: [{
+    kind: {
+      type: String,
+      enum: ['confirmation', 'cancellation']
+    },
+    sid: String,
+    to: String,
+    status: {
+      type: String,
+      enum: ['queued', 'sending', 'sent', 'delivered', 'undelivered', 'failed', 'accepted', 'scheduled', 'read', 'canceled', 'receiving', 'received']
+    },
+    errorCode: String,
+    sentAt: Date,
+    statusUpdatedAt: Date
+  }],
   reminderSent: { type: Boolean, default: false },
   reminderSentAt: Date,
+  reminderStatus: {
+    type: String,
+    enum: ['scheduled', 'calling', 'confirmed', 'cancelled', 'changed', 'answered', 'voicemail', 'no-answer', 'failed', 'skipped']
+  },
+  reminderAttempts: { type: Number, default: 0 },
   
   // Source
   source: {
     type: String,
-    enum: ['ai-bot', 'manual', 'website', 'app', 'walk-in'],
+    enum: ['ai-bot', 'manual', 'website', 'app', 'walk-in', 'waitlist'],
     default: 'ai-bot'
   },
   
@@ -117,6 +414,7 @@ ReservationSchema.index({ business: 1, date: 1 });
 ReservationSchema.index({ customerPhone: 1 });
 ReservationSchema.index({ reservationNumber: 1 });
 ReservationSchema.index({ status: 1 });
+ReservationSchema.index({ 'messages.sid': 1 }, { sparse: true });
 
 // Generate reservation number before saving
 ReservationSchema.pre('save', async function(next) {
@@ -129,65 +427,168 @@ ReservationSchema.pre('save', async function(next) {
   next();
 });
 
-// Virtual for formatted date
-ReservationSchema.virtual('formattedDate').get(function() {
-  const options = { 
-    weekday: 'long', 
-    year: 'numeric', 
-    month: 'long', 
+// Formatted date in the business timezone (Hebrew by default)
+ReservationSchema.methods.formatDate = function(timezone, locale = 'he-IL') {
+  return this.date.toLocaleDateString(locale, {
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
     day: 'numeric',
-    timeZone: 'Asia/Jerusalem'
-  };
-  return this.date.toLocaleDateString('he-IL', options);
-});
+    timeZone: timezone
+  });
+};
 
-// Virtual for formatted date in English
-ReservationSchema.virtual('formattedDateEn').get(function() {
-  const options = { 
-    weekday: 'long', 
-    year: 'numeric', 
-    month: 'long', 
-    day: 'numeric',
-    timeZone: 'Asia/Jerusalem'
+// Get the reservation start as an exact point in time in the business timezone
+ReservationSchema.methods.getStartTime = function(timezone) {
+  const day = moment(this.date).tz(timezone).format('YYYY-MM-DD');
+  return moment.tz(`${day} ${this.time}`, 'YYYY-MM-DD HH:mm', timezone).toDate();
+};
+
+// Check availability for a party
+// Uses tables when configured, otherwise a guest limit per slot, and counts
+// every reservation whose seating time overlaps the requested one
+ReservationSchema.statics.checkAvailability = async function(businessId, date, time, partySize, options = {}) {
+  const Business = require('./Business.model');
+  const business = options.business || await Business.findById(businessId);
+
+  if (!business) {
+    throw new Error('Business not found');
+  }
+
+  const timezone = business.getTimezone();
+  const day = moment(date).tz(timezone).format('YYYY-MM-DD');
+  const searchDays = options.alternatives === false ? 0 : ALTERNATIVE_DAYS;
+
+  // Reservations from the previous day can run past midnight
+  const rangeStart = moment.tz(day, timezone).subtract(1, 'day').toDate();
+  const rangeEnd = moment.tz(day, timezone).add(searchDays + 1, 'days').endOf('day').toDate();
+
+  const query = {
+    business: business._id,
+    date: { $gte: rangeStart, $lte: rangeEnd },
+    status: { $in: ACTIVE_STATUSES }
   };
-  return this.date.toLocaleDateString('en-IL', options);
-});
+  if (options.excludeReservationId) {
+    query._id = { $ne: options.excludeReservationId };
+  }
+
+  const reservations = await this.find(query);
+
+  const result = evaluateSlot(business, reservations, day, normalizeTime(time), partySize, options);
+
+  result.alternatives = !result.available &&
+    options.alternatives !== false &&
+    ALTERNATIVE_REASONS.includes(result.reason)
+    ? findAlternatives(business, reservations, day, normalizeTime(time), partySize, options)
+    : [];
 
-// Check for conflicts
-ReservationSchema.statics.checkAvailability = async function(businessId, date, time, partySize) {
+  return result;
+};
+
+// Check availability for an appointment
+// Tries the preferred staff member, otherwise everyone who performs the
+// service, against their own schedule and appointments
+ReservationSchema.statics.checkAppointmentAvailability = async function(businessId, date, time, options = {}) {
   const Business = require('./Business.model');
-  const business = await Business.findById(businessId);
-  
+  const business = options.business || await Business.findById(businessId);
+
   if (!business) {
     throw new Error('Business not found');
   }
-  
-  // Get reservations for the same date and time slot
-  const startOfDay = new Date(date);
-  startOfDay.setHours(0, 0, 0, 0);
-  
-  const endOfDay = new Date(date);
-  endOfDay.setHours(23, 59, 59, 999);
-  
-  const existingReservations = await this.find({
-    business: businessId,
-    date: { $gte: startOfDay, $lte: endOfDay },
-    time: time,
-    status: { $in: ['pending', 'confirmed'] }
+
+  const timezone = business.getTimezone();
+  const day = moment(date).tz(timezone).format('YYYY-MM-DD');
+  const unavailable = (reason, extra = {}) => ({
+    available: false, reason, date: day, time: normalizeTime(time), alternatives: [], ...extra
   });
-  
-  // Simple availability check - can be made more sophisticated
-  const totalGuests = existingReservations.reduce((sum, res) => sum + res.partySize, 0);
-  
-  // Assume maximum capacity per time slot (this should be configurable per business)
-  const maxCapacityPerSlot = 50;
-  
-  return {
-    available: (totalGuests + partySize) <= maxCapacityPerSlot,
-    currentBookings: existingReservations.length,
-    currentGuests: totalGuests,
-    remainingCapacity: maxCapacityPerSlot - totalGuests
+
+  const service = business.findService(options.serviceId || options.service);
+  if (!service) return unavailable('unknown-service');
+
+  const serviceInfo = {
+    id: service._id,
+    name: service.nameHebrew,
+    duration: service.duration,
+    price: service.price
+  };
+
+  let candidates = business.getStaffForService(service._id);
+  const preference = options.staffId || options.staffName;
+
+  if (preference) {
+    const preferred = business.findStaffMember(preference);
+    if (!preferred) {
+      return unavailable('unknown-staff', { service: serviceInfo });
+    }
+    if (!candidates.some(s => s._id.equals(preferred._id))) {
+      return unavailable('staff-unavailable', {
+        service: serviceInfo,
+        staff: { id: preferred._id, name: preferred.name }
+      });
+    }
+    candidates = [preferred];
+  } else if (!business.staff?.length) {
+    candidates = [null];
+  }
+
+  if (candidates.length === 0) {
+    return unavailable('staff-unavailable', { service: serviceInfo });
+  }
+
+  const searchDays = options.alternatives === false ? 0 : ALTERNATIVE_DAYS;
+  const query = {
+    business: business._id,
+    date: {
+      $gte: moment.tz(day, timezone).subtract(1, 'day').toDate(),
+      $lte: moment.tz(day, timezone).add(searchDays + 1, 'days').endOf('day').toDate()
+    },
+    status: { $in: ACTIVE_STATUSES }
+  };
+  if (options.excludeReservationId) {
+    query._id = { $ne: options.excludeReservationId };
+  }
+
+  const reservations = await this.find(query);
+
+  const result = evaluateAppointmentSlot(business, reservations, day, normalizeTime(time), service, candidates, options);
+  result.service = serviceInfo;
+
+  result.alternatives = !result.available &&
+    options.alternatives !== false &&
+    ALTERNATIVE_REASONS.includes(result.reason)
+    ? findAppointmentAlternatives(business, reservations, day, normalizeTime(time), service, candidates, options)
+    : [];
+
+  return result;
+};
+
+// Find a caller's upcoming reservations by reservation number or phone
+// A spoken number may be just the 4-character code at its end; anything
+// else finds nothing, so a caller can't match other customers' bookings
+ReservationSchema.statics.findForCustomer = async function(business, { phone, reservationNumber } = {}) {
+  const query = {
+    business: business._id,
+    date: { $gte: moment().tz(business.getTimezone()).startOf('day').toDate() },
+    status: { $in: ['pending', 'confirmed'] }
   };
+
+  if (reservationNumber) {
+    const number = String(reservationNumber).toUpperCase();
+    if (/^RES-\d{8}-[A-Z0-9]{4}$/.test(number)) {
+      query.reservationNumber = number;
+    } else if (/^[A-Z0-9]{4}$/.test(number)) {
+      query.reservationNumber = new RegExp(`-${escapeRegExp(number)}$`);
+    } else {
+      return [];
+    }
+  } else {
+    // Stored numbers may be local or E.164 - compare the last 9 digits
+    const digits = String(phone || '').replace(/\D/g, '').slice(-9);
+    if (digits.length < 9) return [];
+    query.customerPhone = new RegExp(`${digits.split('').join('\\D*')}$`);
+  }
+
+  return this.find(query).sort({ date: 1, time: 1 }).limit(5);
 };
 
 // Get upcoming reservations for a business
@@ -0,0 +1,51 @@
+/**
+ * StatsRollup Model - A business's call and reservation counters for one day
+ * or month, in the business timezone. Kept up to date as calls finish and
+ * reservations are made, and rebuilt from history by backfill (see rollup.service).
+ */
+
+const mongoose = require('mongoose');
+
+const StatsRollupSchema = new mongoose.Schema({
+  business: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business',
+    required: true
+  },
+  period: {
+    type: String,
+    enum: ['day', 'month'],
+    required: true
+  },
+  // YYYY-MM-DD or YYYY-MM
+  key: {
+    type: String,
+    required: true
+  },
+
+  calls: { type: Number, default: 0 },
+  completedCalls: { type: Number, default: 0 },
+  errorCalls: { type: Number, default: 0 },
+  reservationCalls: { type: Number, default: 0 }, // Calls that led to a reservation
+  duration: { type: Number, default: 0 }, // Seconds
+  billableMinutes: { type: Number, default: 0 }, // Each call rounded up to a minute
+  cost: { type: Number, default: 0 }, // ILS
+  reservations: { type: Number, default: 0 }, // Made on the day, by any source
+  sentiment: {
+    positive: { type: Number, default: 0 },
+    neutral: { type: Number, default: 0 },
+    negative: { type: Number, default: 0 },
+    scoreSum: { type: Number, default: 0 },
+    scored: { type: Number, default: 0 } // Calls with a score
+  },
+  lastCallAt: Date
+
+}, {
+  timestamps: true
+});
+
+// Indexes
+StatsRollupSchema.index({ business: 1, period: 1, key: 1 }, { unique: true });
+StatsRollupSchema.index({ period: 1, key: 1 });
+
+module.exports = mongoose.model('StatsRollup', StatsRollupSchema);
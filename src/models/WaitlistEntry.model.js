@@ -0,0 +1,121 @@
+/**
+ * WaitlistEntry Model - Callers waiting for a full reservation slot
+ * When a cancellation frees capacity the next entry is offered the slot by SMS
+ */
+
+const mongoose = require('mongoose');
+
+const WaitlistEntrySchema = new mongoose.Schema({
+  // Reference to business
+  business: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business',
+    required: true,
+    index: true
+  },
+
+  // Reference to the call that added the entry
+  call: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Call'
+  },
+
+  // Customer Information
+  customerName: {
+    type: String,
+    required: [true, 'Customer name is required']
+  },
+  customerPhone: {
+    type: String,
+    required: [true, 'Customer phone is required']
+  },
+
+  // Requested slot
+  date: {
+    type: Date,
+    required: [true, 'Date is required']
+  },
+  time: {
+    type: String,
+    required: [true, 'Time is required'],
+    match: [/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Invalid time format (HH:MM)']
+  },
+  partySize: {
+    type: Number,
+    required: [true, 'Party size is required'],
+    min: [1, 'Party size must be at least 1']
+  },
+  seatingArea: {
+    type: String,
+    enum: ['indoor', 'outdoor', 'bar', 'private', 'any'],
+    default: 'any'
+  },
+
+  // Higher priority is offered first, then first come first served
+  priority: { type: Number, default: 0 },
+
+  status: {
+    type: String,
+    enum: ['waiting', 'notified', 'claimed', 'expired', 'cancelled'],
+    default: 'waiting'
+  },
+
+  // The entry is dropped once the slot has passed
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  // Offer sent when capacity was freed
+  notifiedAt: Date,
+  claimExpiresAt: Date,
+  notificationSid: String,
+  notificationCount: { type: Number, default: 0 },
+
+  // Reservation created when the customer claimed the slot
+  reservation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reservation'
+  },
+  claimedAt: Date,
+
+  source: {
+    type: String,
+    enum: ['ai-bot', 'manual'],
+    default: 'ai-bot'
+  },
+  notes: String
+
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+WaitlistEntrySchema.index({ business: 1, date: 1, status: 1 });
+WaitlistEntrySchema.index({ status: 1, expiresAt: 1 });
+WaitlistEntrySchema.index({ status: 1, claimExpiresAt: 1 });
+
+// Formatted date in the business timezone (Hebrew)
+WaitlistEntrySchema.methods.formatDate = function(timezone) {
+  return this.date.toLocaleDateString('he-IL', {
+    weekday: 'long',
+    month: 'long',
+    day: 'numeric',
+    timeZone: timezone
+  });
+};
+
+// Entries still waiting for a slot, in the order they are offered
+WaitlistEntrySchema.statics.getQueue = async function(businessId, from, to) {
+  return this.find({
+    business: businessId,
+    date: { $gte: from, $lte: to },
+    status: 'waiting',
+    expiresAt: { $gt: new Date() }
+  })
+  .sort({ priority: -1, createdAt: 1 });
+};
+
+module.exports = mongoose.model('WaitlistEntry', WaitlistEntrySchema);
@@ -0,0 +1,235 @@
+const moment = require('moment-timezone');
+const { Business } = require('..');
+
+const createBusiness = (overrides = {}) => new Business({
+  name: 'Cafe Yafo',
+  nameHebrew: 'קפה יפו',
+  ...overrides
+});
+
+// Lunch and dinner, dinner on Tuesday runs until 2 at night
+const WEEKLY_HOURS = [
+  { day: 'tuesday', isOpen: true, intervals: [{ openTime: '12:00', closeTime: '15:00' }, { openTime: '19:00', closeTime: '02:00' }] },
+  { day: 'wednesday', isOpen: true, intervals: [{ openTime: '12:00', closeTime: '15:00' }, { openTime: '19:00', closeTime: '23:00' }] },
+  { day: 'thursday', isOpen: true, openTime: '12:00', closeTime: '23:00' }
+];
+
+const at = (time, timezone = 'Asia/Jerusalem') => moment.tz(time, 'YYYY-MM-DD HH:mm', timezone).toDate();
+
+describe('Business.parseDay', () => {
+  it('reads a day as midnight in the business timezone', () => {
+    const business = createBusiness({ timezone: 'America/New_York' });
+
+    expect(business.parseDay('2026-10-20').toISOString()).toBe('2026-10-20T04:00:00.000Z');
+  });
+
+  it('uses Israel time by default', () => {
+    expect(createBusiness().parseDay('2026-10-20').toISOString()).toBe('2026-10-19T21:00:00.000Z');
+  });
+
+  it('keeps dates and timestamps as they are', () => {
+    const business = createBusiness({ timezone: 'America/New_York' });
+    const date = new Date('2026-10-20T18:00:00Z');
+
+    expect(business.parseDay(date)).toEqual(date);
+    expect(business.parseDay('2026-10-20T18:00:00Z')).toEqual(date);
+  });
+});
+
+describe('Business.getHoursForDate', () => {
+  let business;
+
+  beforeEach(() => {
+    business = createBusiness({ businessHours: WEEKLY_HOURS });
+  });
+
+  it('returns the weekly shifts', () => {
+    expect(business.getHoursForDate('2026-10-20')).toEqual({
+      date: '2026-10-20',
+      day: 'tuesday',
+      isOpen: true,
+      openTime: '12:00',
+      closeTime: '02:00',
+      intervals: [{ openTime: '12:00', closeTime: '15:00' }, { openTime: '19:00', closeTime: '02:00' }],
+      source: 'weekly',
+      name: null
+    });
+  });
+
+  it('is closed on a day without hours', () => {
+    expect(business.getHoursForDate('2026-10-23')).toMatchObject({ isOpen: false, intervals: [], source: 'weekly' });
+  });
+
+  it('is open all day without weekly hours', () => {
+    expect(createBusiness({ businessHours: [] }).getHoursForDate('2026-10-23').intervals).toEqual([{ openTime: '00:00', closeTime: '24:00' }]);
+  });
+
+  it('closes on yom tov', () => {
+    expect(business.getHoursForDate('2027-04-22')).toMatchObject({ isOpen: false, source: 'holiday', name: 'פסח' });
+  });
+
+  it('keeps yom tov hours when the business stays open', () => {
+    business.holidaySettings.closeOnYomTov = false;
+
+    expect(business.getHoursForDate('2027-04-22')).toMatchObject({ isOpen: true, closeTime: '23:00', source: 'weekly' });
+  });
+
+  describe('erev chag', () => {
+    it('cuts the shifts at the early close', () => {
+      expect(business.getHoursForDate('2027-04-21')).toMatchObject({
+        intervals: [{ openTime: '12:00', closeTime: '14:00' }],
+        source: 'holiday',
+        name: 'ערב פסח'
+      });
+    });
+
+    it('uses the configured close time', () => {
+      business.holidaySettings.erevChagCloseTime = '20:00';
+
+      expect(business.getHoursForDate('2027-04-21').intervals).toEqual([
+        { openTime: '12:00', closeTime: '15:00' },
+        { openTime: '19:00', closeTime: '20:00' }
+      ]);
+    });
+
+    it('cuts an overnight shift', () => {
+      business.holidaySettings.erevChagCloseTime = '23:00';
+
+      // Tuesday is erev Shvii shel Pesach
+      expect(business.getHoursForDate('2027-04-27').intervals).toEqual([
+        { openTime: '12:00', closeTime: '15:00' },
+        { openTime: '19:00', closeTime: '23:00' }
+      ]);
+      expect(business.isOpenAtTime('2027-04-28', '01:00')).toBe(false);
+    });
+
+    it('keeps the regular hours when they end before the cutoff', () => {
+      business.holidaySettings.erevChagCloseTime = '23:00';
+
+      expect(business.getHoursForDate('2027-04-21')).toMatchObject({ closeTime: '23:00', source: 'weekly' });
+    });
+
+    it('keeps the regular hours without a cutoff', () => {
+      business.holidaySettings.erevChagCloseTime = '';
+
+      expect(business.getHoursForDate('2027-04-21').source).toBe('weekly');
+    });
+  });
+
+  it('applies a rule for the holiday before one for its type', () => {
+    business.holidaySettings.rules = [
+      { holiday: 'erev-chag', isOpen: true, openTime: '10:00', closeTime: '13:00' },
+      { holiday: 'erev-pesach', isOpen: true, closeTime: '16:00' }
+    ];
+
+    expect(business.getHoursForDate('2027-04-21').intervals).toEqual([{ openTime: '12:00', closeTime: '16:00' }]);
+    expect(business.getHoursForDate('2026-09-20').intervals).toEqual([{ openTime: '10:00', closeTime: '13:00' }]);
+  });
+
+  it('keeps the regular shifts for an open rule without times', () => {
+    business.holidaySettings.rules = [{ holiday: 'memorial', isOpen: true }];
+
+    // Yom HaZikaron
+    expect(business.getHoursForDate('2027-05-11')).toMatchObject({
+      intervals: WEEKLY_HOURS[0].intervals,
+      source: 'holiday',
+      name: 'יום הזיכרון'
+    });
+  });
+
+  it('ignores holidays when the calendar is off', () => {
+    business.holidaySettings.enabled = false;
+
+    expect(business.getHoursForDate('2027-04-22').source).toBe('weekly');
+  });
+
+  it('lets a special day win over a holiday', () => {
+    business.specialDays = [{ date: business.parseDay('2027-04-22'), isOpen: true, openTime: '20:00', closeTime: '23:00', note: 'סדר שני' }];
+
+    expect(business.getHoursForDate('2027-04-22')).toMatchObject({
+      intervals: [{ openTime: '20:00', closeTime: '23:00' }],
+      source: 'special',
+      name: 'סדר שני'
+    });
+  });
+
+  it('matches special days in the business timezone', () => {
+    business = createBusiness({ timezone: 'America/New_York', businessHours: WEEKLY_HOURS });
+    business.specialDays = [{ date: business.parseDay('2026-10-20'), isOpen: false, note: 'Private event' }];
+
+    expect(business.getHoursForDate('2026-10-20')).toMatchObject({ isOpen: false, source: 'special' });
+    expect(business.getHoursForDate('2026-10-21').source).toBe('weekly');
+  });
+
+  it('includes the overnight tail of the day before', () => {
+    expect(business.isOpenAtTime('2026-10-21', '01:30')).toBe(true);
+    expect(business.isOpenAtTime('2026-10-21', '02:00')).toBe(false);
+    expect(business.isOpenAtTime('2026-10-20', '01:30')).toBe(false);
+  });
+});
+
+describe('Business.getNextOpening', () => {
+  let business;
+
+  beforeEach(() => {
+    business = createBusiness({ businessHours: WEEKLY_HOURS });
+  });
+
+  it('returns the current shift while open', () => {
+    expect(business.getNextOpening(at('2026-10-20 13:00'))).toEqual({
+      isOpen: true,
+      opensAt: null,
+      closesAt: at('2026-10-20 15:00'),
+      date: '2026-10-20',
+      day: 'tuesday',
+      openTime: '12:00',
+      closeTime: '15:00',
+      name: null
+    });
+  });
+
+  it('finds the next shift the same day', () => {
+    expect(business.getNextOpening(at('2026-10-20 16:00'))).toMatchObject({
+      isOpen: false,
+      opensAt: at('2026-10-20 19:00'),
+      closesAt: at('2026-10-21 02:00')
+    });
+  });
+
+  it('is still open after midnight in an overnight shift', () => {
+    expect(business.getNextOpening(at('2026-10-21 01:00'))).toMatchObject({
+      isOpen: true,
+      closesAt: at('2026-10-21 02:00'),
+      date: '2026-10-20',
+      closeTime: '02:00'
+    });
+  });
+
+  it('skips closed days and yom tov', () => {
+    // Erev Pesach closes at 14:00, Pesach and the weekend are closed
+    expect(business.getNextOpening(at('2027-04-21 16:00'))).toMatchObject({
+      isOpen: false,
+      opensAt: at('2027-04-27 12:00'),
+      date: '2027-04-27',
+      name: 'ערב שביעי של פסח'
+    });
+  });
+
+  it('works in the business timezone', () => {
+    business = createBusiness({ timezone: 'America/New_York', businessHours: WEEKLY_HOURS });
+
+    // Wednesday 00:30 in New York is still Tuesday's dinner shift
+    expect(business.getNextOpening(new Date('2026-10-21T04:30:00Z'))).toMatchObject({
+      isOpen: true,
+      closesAt: at('2026-10-21 02:00', 'America/New_York'),
+      date: '2026-10-20'
+    });
+    expect(business.getNextOpening(new Date('2026-10-21T07:00:00Z')).opensAt).toEqual(at('2026-10-21 12:00', 'America/New_York'));
+  });
+
+  it('is null when the business never opens', () => {
+    business.businessHours = [{ day: 'sunday', isOpen: false }];
+
+    expect(business.getNextOpening(at('2026-10-20 13:00'))).toBeNull();
+  });
+});
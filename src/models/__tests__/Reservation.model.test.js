@@ -0,0 +1,306 @@
+const mongoose = require('mongoose');
+const { Business, Reservation } = require('..');
+
+describe('Reservation.findForCustomer', () => {
+  let business;
+  let find;
+
+  const queried = () => find.mock.calls[0][0];
+
+  beforeEach(() => {
+    business = new Business({ name: 'Cafe Yafo', nameHebrew: 'קפה יפו' });
+    const chain = { sort: jest.fn().mockReturnThis(), limit: jest.fn().mockResolvedValue([]) };
+    find = jest.spyOn(Reservation, 'find').mockReturnValue(chain);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('matches a full reservation number exactly', async () => {
+    await Reservation.findForCustomer(business, { reservationNumber: 'res-20261102-k7q2' });
+
+    expect(queried()).toMatchObject({ business: business._id, reservationNumber: 'RES-20261102-K7Q2' });
+  });
+
+  it('matches a 4-character code at the end of the number', async () => {
+    await Reservation.findForCustomer(business, { reservationNumber: 'K7Q2' });
+
+    expect(queried().reservationNumber).toEqual(/-K7Q2$/);
+  });
+
+  it.each(['.*', '(unclosed', 'RES-.*', 'K7Q2|.*', '12345'])('finds nothing for "%s"', async (reservationNumber) => {
+    await expect(Reservation.findForCustomer(business, { reservationNumber })).resolves.toEqual([]);
+    expect(find).not.toHaveBeenCalled();
+  });
+
+  it('matches the caller by the last 9 digits of the phone', async () => {
+    await Reservation.findForCustomer(business, { phone: '+972501234567' });
+
+    expect(queried().customerPhone.test('050-123-4567')).toBe(true);
+    expect(queried().customerPhone.test('050-123-4568')).toBe(false);
+  });
+});
+
+describe('Reservation.checkAvailability', () => {
+  const NOW = new Date('2026-10-19T09:00:00Z');
+  let business;
+
+  const createBusiness = (overrides = {}) => new Business({
+    name: 'Cafe Yafo',
+    nameHebrew: 'קפה יפו',
+    // Tuesday evenings until 2 at night, closed the rest of the week
+    businessHours: [{ day: 'tuesday', isOpen: true, openTime: '18:00', closeTime: '02:00' }],
+    ...overrides
+  });
+
+  const booked = (day, time, partySize, tableNumber) => new Reservation({
+    business: business._id,
+    date: business.parseDay(day),
+    time,
+    partySize,
+    tableNumber,
+    status: 'confirmed'
+  });
+
+  const check = (day, time, partySize, options = {}) =>
+    Reservation.checkAvailability(business._id, business.parseDay(day), time, partySize, { business, now: NOW, ...options });
+
+  beforeEach(() => {
+    business = createBusiness({
+      reservationSettings: {
+        tables: [
+          { number: '1', maxSeats: 2 },
+          { number: '2', maxSeats: 4 },
+          { number: '3', maxSeats: 6, area: 'outdoor' }
+        ]
+      }
+    });
+    jest.spyOn(Reservation, 'find').mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('gives the party the smallest table that fits', async () => {
+    const result = await check('2026-10-20', '20:00', 3);
+
+    expect(result).toMatchObject({ available: true, date: '2026-10-20', time: '20:00', alternatives: [] });
+    expect(result.table).toEqual({ number: '2', area: 'indoor', maxSeats: 4 });
+  });
+
+  it('skips tables taken for an overlapping seating', async () => {
+    Reservation.find.mockResolvedValue([booked('2026-10-20', '20:00', 4, '2')]);
+
+    const result = await check('2026-10-20', '21:00', 3);
+
+    expect(result.table.number).toBe('3');
+    expect(result.currentBookings).toBe(1);
+  });
+
+  it('keeps a table for reservations without one', async () => {
+    business.reservationSettings.tables = [{ number: '1', maxSeats: 2 }, { number: '2', maxSeats: 4 }];
+    Reservation.find.mockResolvedValue([booked('2026-10-20', '20:00', 4)]);
+
+    const result = await check('2026-10-20', '20:00', 4);
+
+    expect(result).toMatchObject({ available: false, reason: 'no-table', remainingCapacity: 2 });
+    // The nearest slots whose seating doesn't overlap 20:00-21:30
+    expect(result.alternatives.map(a => a.time)).toEqual(['18:30', '21:30', '18:00']);
+    expect(result.alternatives[0].table.number).toBe('2');
+  });
+
+  it('honours the seating area', async () => {
+    const result = await check('2026-10-20', '20:00', 2, { seatingArea: 'outdoor' });
+
+    expect(result.table.number).toBe('3');
+  });
+
+  it('counts guests against the slot limit without tables', async () => {
+    business = createBusiness({ reservationSettings: { maxCapacityPerSlot: 10 } });
+    Reservation.find.mockResolvedValue([booked('2026-10-20', '19:30', 8)]);
+
+    const result = await check('2026-10-20', '20:00', 4, { alternatives: false });
+
+    expect(result).toMatchObject({ available: false, reason: 'full', currentGuests: 8, remainingCapacity: 2 });
+    expect(result.alternatives).toEqual([]);
+  });
+
+  describe('overnight shift', () => {
+    it('books after midnight on the shift of the day before', async () => {
+      const result = await check('2026-10-21', '00:30', 2);
+
+      expect(result).toMatchObject({ available: true, date: '2026-10-21', time: '00:30' });
+    });
+
+    it('counts the seating that started before midnight', async () => {
+      business = createBusiness({ reservationSettings: { maxCapacityPerSlot: 6 } });
+      Reservation.find.mockResolvedValue([booked('2026-10-20', '23:30', 4)]);
+
+      const result = await check('2026-10-21', '00:30', 4, { alternatives: false });
+
+      expect(result.reason).toBe('full');
+      expect(Reservation.find.mock.calls[0][0].date.$gte).toEqual(business.parseDay('2026-10-20'));
+    });
+
+    it('is closed once the shift is over', async () => {
+      const result = await check('2026-10-21', '02:00', 2, { alternatives: false });
+
+      expect(result).toMatchObject({ available: false, reason: 'closed' });
+    });
+  });
+
+  it('is closed on yom tov and names the holiday', async () => {
+    business = createBusiness({
+      businessHours: [{ day: 'thursday', isOpen: true, openTime: '12:00', closeTime: '23:00' }],
+      reservationSettings: { advanceBookingDays: 365 }
+    });
+
+    const result = await check('2027-04-22', '20:00', 2, { alternatives: false });
+
+    expect(result).toMatchObject({ available: false, reason: 'closed', holiday: 'פסח' });
+  });
+
+  it.each([
+    ['2026-10-13', 'in-past'],
+    ['2027-02-02', 'too-far-ahead']
+  ])('rejects %s as %s', async (day, reason) => {
+    const result = await check(day, '20:00', 2, { alternatives: false });
+
+    expect(result.reason).toBe(reason);
+  });
+
+  it('reads the day in the business timezone', async () => {
+    business = createBusiness({ timezone: 'America/New_York' });
+
+    const result = await check('2026-10-21', '01:00', 2);
+
+    expect(result).toMatchObject({ available: true, date: '2026-10-21', time: '01:00' });
+  });
+});
+
+describe('Reservation.checkAppointmentAvailability', () => {
+  const NOW = new Date('2026-10-19T09:00:00Z');
+  const HAIRCUT = new mongoose.Types.ObjectId();
+  const DANA = new mongoose.Types.ObjectId();
+  const YOSSI = new mongoose.Types.ObjectId();
+  let business;
+
+  const appointment = (day, time, staffMember, duration = 30) => new Reservation({
+    business: business._id,
+    date: business.parseDay(day),
+    time,
+    partySize: 1,
+    staffMember,
+    duration,
+    status: 'confirmed'
+  });
+
+  const check = (day, time, options = {}) =>
+    Reservation.checkAppointmentAvailability(business._id, business.parseDay(day), time, {
+      business, now: NOW, service: 'תספורת', ...options
+    });
+
+  beforeEach(() => {
+    business = new Business({
+      name: 'Salon Dana',
+      nameHebrew: 'סלון דנה',
+      businessHours: [
+        { day: 'tuesday', isOpen: true, openTime: '09:00', closeTime: '18:00' },
+        { day: 'wednesday', isOpen: true, openTime: '09:00', closeTime: '18:00' }
+      ],
+      services: [
+        { _id: HAIRCUT, name: 'Haircut', nameHebrew: 'תספורת', duration: 30, price: 80 },
+        { name: 'Color', nameHebrew: 'צבע', duration: 120, price: 300 }
+      ],
+      staff: [
+        // Dana only cuts, Tuesday mornings
+        { _id: DANA, name: 'דנה', services: [HAIRCUT], schedule: [{ day: 'tuesday', isOpen: true, openTime: '09:00', closeTime: '13:00' }] },
+        { _id: YOSSI, name: 'יוסי' }
+      ],
+      reservationSettings: { advanceBookingDays: 365 }
+    });
+    jest.spyOn(Reservation, 'find').mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('books the preferred staff member', async () => {
+    const result = await check('2026-10-20', '10:00', { staffName: 'דנה' });
+
+    expect(result).toMatchObject({ available: true, duration: 30, staff: { id: DANA, name: 'דנה' } });
+    expect(result.service).toMatchObject({ id: HAIRCUT, name: 'תספורת', price: 80 });
+  });
+
+  it('moves on to someone free when the first is booked', async () => {
+    Reservation.find.mockResolvedValue([appointment('2026-10-20', '09:45', DANA)]);
+
+    const result = await check('2026-10-20', '10:00');
+
+    expect(result.staff.name).toBe('יוסי');
+  });
+
+  it('is booked when everyone who works then is busy', async () => {
+    Reservation.find.mockResolvedValue([
+      appointment('2026-10-20', '10:00', DANA),
+      appointment('2026-10-20', '09:00', YOSSI, 120)
+    ]);
+
+    const result = await check('2026-10-20', '10:00');
+
+    expect(result).toMatchObject({ available: false, reason: 'booked' });
+    expect(result.alternatives.map(a => `${a.time} ${a.staff.name}`)).toEqual(['09:30 דנה', '10:30 דנה', '09:00 דנה']);
+  });
+
+  it('offers the staff member\'s own hours outside their schedule', async () => {
+    const result = await check('2026-10-20', '14:00', { staffName: 'דנה' });
+
+    expect(result).toMatchObject({ available: false, reason: 'closed' });
+    expect(result.alternatives.map(a => a.time)).toEqual(['12:30', '12:00', '11:30']);
+  });
+
+  it('skips a staff member on a day off', async () => {
+    business.staff[1].daysOff = [business.parseDay('2026-10-20')];
+
+    const result = await check('2026-10-20', '15:00', { alternatives: false });
+
+    expect(result.reason).toBe('closed');
+  });
+
+  it('needs the whole service to fit in the shift', async () => {
+    const result = await check('2026-10-20', '17:00', { service: 'צבע', alternatives: false });
+
+    expect(result.reason).toBe('closed');
+  });
+
+  it.each([
+    [{ service: 'מניקור' }, 'unknown-service'],
+    [{ staffName: 'משה' }, 'unknown-staff'],
+    [{ service: 'צבע', staffName: 'דנה' }, 'staff-unavailable']
+  ])('rejects %o as %s', async (options, reason) => {
+    const result = await check('2026-10-20', '10:00', options);
+
+    expect(result).toMatchObject({ available: false, reason, alternatives: [] });
+    expect(Reservation.find).not.toHaveBeenCalled();
+  });
+
+  it('closes early on erev chag', async () => {
+    const late = await check('2027-04-21', '15:00', { alternatives: false });
+    const early = await check('2027-04-21', '13:00', { alternatives: false });
+
+    expect(late).toMatchObject({ available: false, reason: 'closed', holiday: 'ערב פסח' });
+    expect(early).toMatchObject({ available: true, staff: { name: 'יוסי' } });
+  });
+
+  it('books any overlapping appointment as taken without a staff list', async () => {
+    business.staff = [];
+    Reservation.find.mockResolvedValue([appointment('2026-10-20', '10:15', null)]);
+
+    const result = await check('2026-10-20', '10:00', { alternatives: false });
+
+    expect(result).toMatchObject({ available: false, reason: 'booked' });
+  });
+});
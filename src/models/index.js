@@ -7,11 +7,25 @@ const Business = require('./Business.model');
 const Call = require('./Call.model');
 const Reservation = require('./Reservation.model');
 const Error = require('./Error.model');
+const CallbackRequest = require('./CallbackRequest.model');
+const WaitlistEntry = require('./WaitlistEntry.model');
+const KnowledgeDocument = require('./KnowledgeDocument.model');
+const KnowledgeChunk = require('./KnowledgeChunk.model');
+const PriceEntry = require('./PriceEntry.model');
+const ExchangeRate = require('./ExchangeRate.model');
+const StatsRollup = require('./StatsRollup.model');
 
 module.exports = {
   User,
   Business,
   Call,
   Reservation,
-  Error
+  Error,
+  CallbackRequest,
+  WaitlistEntry,
+  KnowledgeDocument,
+  KnowledgeChunk,
+  PriceEntry,
+  ExchangeRate,
+  StatsRollup
 };
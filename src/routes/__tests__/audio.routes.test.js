@@ -0,0 +1,151 @@
+jest.mock('../../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const logger = require('../../utils/logger');
+
+const KEY = `${'a1'.repeat(16)}.mp3`;
+const AUDIO = '0123456789';
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'audio-routes-'));
+process.env.AUDIO_STORAGE_DIR = directory;
+process.env.AUDIO_URL_SECRET = 'test-secret';
+
+const audioStorage = require('../../services/audioStorage.service');
+
+const signedPath = (key = KEY, ttlSeconds = 60) => {
+  const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+  return `/api/audio/${key}?expires=${expires}&signature=${audioStorage.sign(key, expires)}`;
+};
+
+// Audio bodies as text
+const asText = (res, callback) => {
+  let data = '';
+  res.on('data', chunk => { data += chunk; });
+  res.on('end', () => callback(null, data));
+};
+
+describe('audio routes', () => {
+  let app;
+
+  beforeAll(async () => {
+    app = express();
+    app.use('/api/audio', require('../audio.routes'));
+    await audioStorage.save(KEY, Buffer.from(AUDIO));
+  });
+
+  afterAll(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('serves stored audio', async () => {
+    const res = await request(app).get(signedPath()).buffer(true).parse(asText);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toBe(AUDIO);
+    expect(res.headers['content-type']).toBe('audio/mpeg');
+    expect(res.headers['accept-ranges']).toBe('bytes');
+    expect(res.headers['content-length']).toBe('10');
+  });
+
+  it('answers HEAD without a body', async () => {
+    const res = await request(app).head(signedPath());
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-length']).toBe('10');
+  });
+
+  describe('signatures', () => {
+    it.each([
+      ['no signature', `/api/audio/${KEY}`],
+      ['an expired URL', signedPath(KEY, -1)],
+      ['a wrong signature', `/api/audio/${KEY}?expires=${Math.floor(Date.now() / 1000) + 60}&signature=${'0'.repeat(64)}`],
+      ['another key\'s signature', signedPath(`${'b2'.repeat(16)}.mp3`).replace(`${'b2'.repeat(16)}.mp3`, KEY)]
+    ])('rejects %s', async (label, url) => {
+      const res = await request(app).get(url);
+
+      expect(res.status).toBe(403);
+      expect(res.body).toEqual({ success: false, error: 'Invalid or expired audio URL' });
+      expect(logger.warn).toHaveBeenCalledWith('Rejected audio request with invalid signature', { key: KEY });
+    });
+
+    it('is not found for a signed key that was never stored', async () => {
+      const res = await request(app).get(signedPath(`${'c3'.repeat(16)}.mp3`));
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('keys', () => {
+    it.each([
+      '..%2F..%2Fpackage.json',
+      '%2E%2E%2F%2E%2E%2Fpackage.json',
+      `..%2F${KEY}`,
+      `${'a1'.repeat(16)}.mp3%00.js`,
+      'package.json'
+    ])('refuses %s before touching storage', async (key) => {
+      jest.spyOn(audioStorage, 'stat');
+      jest.spyOn(audioStorage, 'verifySignature');
+
+      const res = await request(app).get(`/api/audio/${key}?expires=9999999999&signature=x`);
+
+      expect(res.status).toBe(404);
+      expect(res.body).toEqual({ success: false, error: 'Audio not found' });
+      expect(audioStorage.verifySignature).not.toHaveBeenCalled();
+      expect(audioStorage.stat).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('ranges', () => {
+    const getRange = (range) => request(app)
+      .get(signedPath())
+      .set('Range', range)
+      .buffer(true)
+      .parse(asText);
+
+    it.each([
+      ['bytes=2-4', '2-4', '234'],
+      ['bytes=5-', '5-9', '56789'],
+      ['bytes=8-20', '8-9', '89'],
+      ['bytes=-3', '7-9', '789'],
+      ['bytes=-20', '0-9', AUDIO],
+      ['bytes=9-9', '9-9', '9']
+    ])('serves %s', async (range, contentRange, body) => {
+      const res = await getRange(range);
+
+      expect(res.status).toBe(206);
+      expect(res.headers['content-range']).toBe(`bytes ${contentRange}/10`);
+      expect(res.headers['content-length']).toBe(String(body.length));
+      expect(res.body).toBe(body);
+    });
+
+    it.each([
+      'bytes=10-',
+      'bytes=20-30',
+      'bytes=4-2',
+      'bytes=-0',
+      'bytes=-',
+      'bytes=0-1,4-5',
+      'items=0-1',
+      'bytes=a-b'
+    ])('refuses %s with 416', async (range) => {
+      const res = await getRange(range);
+
+      expect(res.status).toBe(416);
+      expect(res.headers['content-range']).toBe('bytes */10');
+    });
+  });
+});
+
@@ -0,0 +1,61 @@
+jest.mock('../../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+jest.mock('../../middleware/twilioSignature', () => (req, res, next) => next());
+
+const express = require('express');
+const request = require('supertest');
+const logger = require('../../utils/logger');
+const { Business, Error: ErrorModel } = require('../../models');
+
+let callHandlerService;
+let app;
+
+describe('webhook routes when logging fails', () => {
+  beforeAll(() => {
+    // The call handler warns without Twilio credentials
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    callHandlerService = require('../../services/callHandler.service');
+
+    app = express();
+    app.use(express.urlencoded({ extended: false }));
+    app.use('/webhook', require('../webhook.routes'));
+  });
+
+  beforeEach(() => {
+    jest.spyOn(Business, 'findOne').mockResolvedValue(new Business({ name: 'Cafe Yafo', nameHebrew: 'קפה יפו' }));
+    jest.spyOn(ErrorModel, 'logError').mockRejectedValue(new Error('connection closed'));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  it.each([
+    ['/webhook/bot_cafe', 'handleIncomingCall'],
+    ['/webhook/bot_cafe/respond', 'handleSpeechResponse'],
+    ['/webhook/bot_cafe/after-hours/message', 'handleAfterHoursMessage'],
+    ['/webhook/bot_cafe/outbound/reminder?reservationId=r1', 'handleReminderCall'],
+    ['/webhook/bot_cafe/transfer-status', 'handleTransferStatus']
+  ])('%s still answers with TwiML', async (path, handler) => {
+    jest.spyOn(callHandlerService, handler).mockRejectedValue(new Error('handler failed'));
+
+    const response = await request(app).post(path).type('form').send({ CallSid: 'CA123' });
+
+    expect(response.status).toBe(200);
+    expect(response.type).toBe('text/xml');
+    expect(response.text).toContain('<Response>');
+    expect(logger.error).toHaveBeenCalledWith('Failed to log webhook error:', expect.any(Error));
+  });
+
+  it('/fallback still answers with TwiML', async () => {
+    const response = await request(app).post('/webhook/bot_cafe/fallback').type('form').send({ CallSid: 'CA123' });
+
+    expect(response.status).toBe(200);
+    expect(response.text).toContain('<Hangup/>');
+  });
+});
@@ -4,12 +4,16 @@
  */
 
 const express = require('express');
+const moment = require('moment-timezone');
 const router = express.Router();
 const auth = require('../middleware/auth');
 const adminOnly = require('../middleware/adminOnly');
 const { User, Business, Call, Reservation, Error: ErrorModel } = require('../models');
 const logger = require('../utils/logger');
 const callHandlerService = require('../services/callHandler.service');
+const pricingService = require('../services/pricing.service');
+const postCallService = require('../services/postCall.service');
+const rollupService = require('../services/rollup.service');
 
 // All admin routes require authentication and admin role
 router.use(auth);
@@ -43,18 +47,7 @@ router.get('/dashboard', async (req, res) => {
       Business.countDocuments({ isActive: true, isPaused: false }),
       Call.countDocuments(),
       Call.countDocuments({ startTime: { $gte: startOfDay } }),
-      Call.aggregate([
-        { $match: { startTime: { $gte: startOfMonth } } },
-        {
-          $group: {
-            _id: null,
-            totalCalls: { $sum: 1 },
-            totalMinutes: { $sum: { $divide: ['$duration', 60] } },
-            totalCost: { $sum: '$costs.total' },
-            avgDuration: { $avg: '$duration' }
-          }
-        }
-      ]),
+      rollupService.getMonthTotals(moment(startOfMonth).format('YYYY-MM')),
       ErrorModel.countDocuments({ 
         status: { $ne: 'resolved' },
         createdAt: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) }
@@ -62,13 +55,6 @@ router.get('/dashboard', async (req, res) => {
       callHandlerService.getActiveCallsCount()
     ]);
 
-    const monthStats = monthlyCallStats[0] || {
-      totalCalls: 0,
-      totalMinutes: 0,
-      totalCost: 0,
-      avgDuration: 0
-    };
-
     res.json({
       success: true,
       data: {
@@ -81,12 +67,12 @@ router.get('/dashboard', async (req, res) => {
           total: totalCalls,
           today: todayCalls,
           active: activeCalls,
-          thisMonth: monthStats.totalCalls,
-          avgDuration: Math.round(monthStats.avgDuration || 0)
+          thisMonth: monthlyCallStats.totalCalls,
+          avgDuration: Math.round(monthlyCallStats.avgDuration)
         },
         costs: {
-          thisMonth: Math.round(monthStats.totalCost * 100) / 100,
-          totalMinutes: Math.round(monthStats.totalMinutes)
+          thisMonth: monthlyCallStats.totalCost,
+          totalMinutes: Math.round(monthlyCallStats.totalDuration / 60)
         },
         errors: {
           unresolvedLast24h: recentErrors
@@ -185,8 +171,11 @@ router.get('/businesses/:id', async (req, res) => {
       });
     }
 
-    // Get recent call stats
-    const callStats = await Call.getBusinessStats(business._id);
+    // Get call stats and this month's usage
+    const [callStats, usage] = await Promise.all([
+      rollupService.getTotals(business._id),
+      rollupService.getUsage(business)
+    ]);
     
     // Get recent calls
     const recentCalls = await Call.find({ business: business._id })
@@ -202,6 +191,7 @@ router.get('/businesses/:id', async (req, res) => {
       data: {
         business,
         callStats,
+        usage,
         recentCalls,
         upcomingReservations
       }
@@ -489,7 +479,7 @@ router.get('/calls/:id', async (req, res) => {
  */
 router.get('/active-calls', async (req, res) => {
   try {
-    const activeCalls = callHandlerService.getActiveCalls();
+    const activeCalls = await callHandlerService.getActiveCalls();
     
     res.json({
       success: true,
@@ -598,6 +588,119 @@ router.put('/errors/:id', async (req, res) => {
   }
 });
 
+// ============================================
+// POST-CALL PROCESSING
+// ============================================
+
+/**
+ * Get queue counts and how the last day's calls were processed
+ * GET /api/admin/post-call
+ */
+router.get('/post-call', async (req, res) => {
+  try {
+    const [status, deadLetters] = await Promise.all([
+      postCallService.getStatus(),
+      postCallService.getDeadLetters()
+    ]);
+
+    res.json({
+      success: true,
+      data: { ...status, deadLetters }
+    });
+
+  } catch (error) {
+    logger.error('Get post-call status error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Get calls whose processing ran out of attempts
+ * GET /api/admin/post-call/dead-letter
+ */
+router.get('/post-call/dead-letter', async (req, res) => {
+  try {
+    const deadLetters = await postCallService.getDeadLetters(parseInt(req.query.limit) || 100);
+
+    res.json({
+      success: true,
+      data: deadLetters
+    });
+
+  } catch (error) {
+    logger.error('Get dead letters error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Queue a dead-lettered call again
+ * POST /api/admin/post-call/dead-letter/:jobId/retry
+ */
+router.post('/post-call/dead-letter/:jobId/retry', async (req, res) => {
+  try {
+    const retried = await postCallService.retryDeadLetter(req.params.jobId);
+
+    if (!retried) {
+      return res.status(404).json({
+        success: false,
+        error: 'Dead-letter job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Call queued for processing'
+    });
+
+  } catch (error) {
+    logger.error('Retry dead letter error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Run post-call steps of a call again
+ * POST /api/admin/calls/:id/reprocess
+ * Body: { steps } - e.g. ['summary', 'notifications']; by default the unfinished ones
+ */
+router.post('/calls/:id/reprocess', async (req, res) => {
+  try {
+    const result = await postCallService.reprocess(
+      req.params.id,
+      Array.isArray(req.body.steps) ? req.body.steps : null
+    );
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Call not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    logger.error('Reprocess call error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // ============================================
 // USERS MANAGEMENT
 // ============================================
@@ -718,6 +821,9 @@ router.get('/analytics/costs', async (req, res) => {
           twilioCost: { $sum: '$costs.twilio' },
           googleCost: { $sum: { $add: ['$costs.googleSTT', '$costs.googleTTS'] } },
           openAICost: { $sum: '$costs.openAI' },
+          ttsCharacters: { $sum: '$metrics.ttsCharacters' },
+          promptTokens: { $sum: '$metrics.gptTokensInput' },
+          completionTokens: { $sum: '$metrics.gptTokensOutput' },
           calls: { $sum: 1 },
           minutes: { $sum: { $divide: ['$duration', 60] } }
         }
@@ -725,6 +831,8 @@ router.get('/analytics/costs', async (req, res) => {
       { $sort: { _id: 1 } }
     ]);
 
+    const usageByModel = await Call.getUsageByModel(match);
+
     // Get cost by business
     const costByBusiness = await Call.aggregate([
       { $match: match },
@@ -760,7 +868,8 @@ router.get('/analytics/costs', async (req, res) => {
       success: true,
       data: {
         timeline: costs,
-        byBusiness: costByBusiness
+        byBusiness: costByBusiness,
+        usageByModel
       }
     });
 
@@ -773,4 +882,312 @@ router.get('/analytics/costs', async (req, res) => {
   }
 });
 
+// ============================================
+// PRICING
+// ============================================
+
+/**
+ * Get price entries, exchange rates and what applies now
+ * GET /api/admin/pricing
+ */
+router.get('/pricing', async (req, res) => {
+  try {
+    const priceList = await pricingService.getPriceList();
+
+    res.json({
+      success: true,
+      data: priceList
+    });
+
+  } catch (error) {
+    logger.error('Get pricing error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Add a price - a backdated price reprices the calls since
+ * POST /api/admin/pricing/prices
+ */
+router.post('/pricing/prices', async (req, res) => {
+  try {
+    const { provider, sku, unit, price } = req.body;
+
+    if (!provider || !sku || !unit || price === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'provider, sku, unit and price are required'
+      });
+    }
+
+    const result = await pricingService.addPrice(req.body, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    logger.error('Add price error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Correct a price entry and reprice the calls it covered
+ * PUT /api/admin/pricing/prices/:id
+ */
+router.put('/pricing/prices/:id', async (req, res) => {
+  try {
+    const { price, outputPrice, effectiveFrom, note } = req.body;
+
+    const result = await pricingService.correctPrice(
+      req.params.id,
+      { price, outputPrice, effectiveFrom, note },
+      req.user.id
+    );
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Price entry not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    logger.error('Correct price error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Delete a price entry - its calls fall back to the previous price
+ * DELETE /api/admin/pricing/prices/:id
+ */
+router.delete('/pricing/prices/:id', async (req, res) => {
+  try {
+    const result = await pricingService.deletePrice(req.params.id);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Price entry not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    logger.error('Delete price error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Add a USD to ILS rate
+ * POST /api/admin/pricing/rates
+ */
+router.post('/pricing/rates', async (req, res) => {
+  try {
+    if (!req.body.rate) {
+      return res.status(400).json({
+        success: false,
+        error: 'rate is required'
+      });
+    }
+
+    const result = await pricingService.addRate(req.body, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    logger.error('Add exchange rate error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Correct a rate and reprice the calls it covered
+ * PUT /api/admin/pricing/rates/:id
+ */
+router.put('/pricing/rates/:id', async (req, res) => {
+  try {
+    const { rate, effectiveFrom, source } = req.body;
+
+    const result = await pricingService.correctRate(req.params.id, { rate, effectiveFrom, source });
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Exchange rate not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    logger.error('Correct exchange rate error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Delete a rate
+ * DELETE /api/admin/pricing/rates/:id
+ */
+router.delete('/pricing/rates/:id', async (req, res) => {
+  try {
+    const result = await pricingService.deleteRate(req.params.id);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Exchange rate not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    logger.error('Delete exchange rate error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Reprice calls in a period with the current catalog
+ * POST /api/admin/pricing/recalculate
+ */
+router.post('/pricing/recalculate', async (req, res) => {
+  try {
+    const { startDate, endDate } = req.body;
+
+    if (!startDate) {
+      return res.status(400).json({
+        success: false,
+        error: 'startDate is required'
+      });
+    }
+
+    const result = await pricingService.recalculate(
+      new Date(startDate),
+      endDate ? new Date(endDate) : new Date()
+    );
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    logger.error('Recalculate costs error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ============================================
+// STATS ROLLUPS & BILLING
+// ============================================
+
+/**
+ * Billable minutes per business for a month against its plan
+ * GET /api/admin/billing?month=YYYY-MM
+ */
+router.get('/billing', async (req, res) => {
+  try {
+    const month = req.query.month || moment().format('YYYY-MM');
+
+    if (!/^\d{4}-\d{2}$/.test(month)) {
+      return res.status(400).json({
+        success: false,
+        error: 'month must be YYYY-MM'
+      });
+    }
+
+    const report = await rollupService.getBillingReport(month);
+
+    res.json({
+      success: true,
+      data: report
+    });
+
+  } catch (error) {
+    logger.error('Billing report error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Rebuild daily/monthly rollups from call and reservation history
+ * POST /api/admin/stats/backfill
+ * Body: { businessId, startDate, endDate } - all optional, default everything
+ */
+router.post('/stats/backfill', async (req, res) => {
+  try {
+    const { businessId, startDate, endDate } = req.body;
+
+    const result = await rollupService.backfill({
+      businessId,
+      from: startDate ? new Date(startDate) : undefined,
+      to: endDate ? new Date(endDate) : undefined
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    logger.error('Stats backfill error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 module.exports = router;
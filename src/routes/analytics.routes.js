@@ -245,6 +245,10 @@ router.get('/costs', async (req, res) => {
           googleSTTCost: { $sum: '$costs.googleSTT' },
           googleTTSCost: { $sum: '$costs.googleTTS' },
           openAICost: { $sum: '$costs.openAI' },
+          ttsCharacters: { $sum: '$metrics.ttsCharacters' },
+          promptTokens: { $sum: '$metrics.gptTokensInput' },
+          completionTokens: { $sum: '$metrics.gptTokensOutput' },
+          faqAnswers: { $sum: '$metrics.faqAnswers' },
           calls: { $sum: 1 },
           minutes: { $sum: { $divide: ['$duration', 60] } }
         }
@@ -252,6 +256,8 @@ router.get('/costs', async (req, res) => {
       { $sort: { _id: 1 } }
     ]);
 
+    const usageByModel = await Call.getUsageByModel(match);
+
     // Calculate totals
     const totals = costTimeline.reduce((acc, item) => ({
       totalCost: acc.totalCost + item.totalCost,
@@ -275,6 +281,7 @@ router.get('/costs', async (req, res) => {
       success: true,
       data: {
         timeline: costTimeline,
+        usageByModel,
         totals: {
           ...totals,
           totalCost: Math.round(totals.totalCost * 100) / 100,
@@ -315,7 +322,7 @@ router.get('/quality', async (req, res) => {
       if (endDate) match.startTime.$lte = new Date(endDate);
     }
 
-    const [qualityStats, sentimentDistribution] = await Promise.all([
+    const [qualityStats, sentimentDistribution, latency] = await Promise.all([
       Call.aggregate([
         { $match: match },
         {
@@ -344,7 +351,9 @@ router.get('/quality', async (req, res) => {
             count: { $sum: 1 }
           }
         }
-      ])
+      ]),
+
+      Call.getLatencyStats(match)
     ]);
 
     const stats = qualityStats[0] || {
@@ -373,7 +382,9 @@ router.get('/quality', async (req, res) => {
         sentimentDistribution: sentimentDistribution.reduce((acc, item) => {
           acc[item._id || 'unknown'] = item.count;
           return acc;
-        }, {})
+        }, {}),
+        // Per-turn ms, p50/p95 - overall and per stage
+        latency
       }
     });
 
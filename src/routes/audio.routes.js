@@ -0,0 +1,119 @@
+/**
+ * Audio Routes - Serves synthesized speech to Twilio <Play>
+ * Access is controlled by signed, expiring URLs (no JWT)
+ */
+
+const express = require('express');
+const router = express.Router();
+const audioStorage = require('../services/audioStorage.service');
+const logger = require('../utils/logger');
+
+/**
+ * Parse a single-range "bytes=start-end" header
+ * Returns null when the header is missing, or { invalid: true } if unsatisfiable
+ */
+const parseRange = (header, size) => {
+  if (!header) return null;
+
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+  if (!match || (match[1] === '' && match[2] === '')) {
+    return { invalid: true };
+  }
+
+  let start;
+  let end;
+
+  if (match[1] === '') {
+    // Suffix range: last N bytes
+    start = Math.max(size - parseInt(match[2]), 0);
+    end = size - 1;
+  } else {
+    start = parseInt(match[1]);
+    end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2]), size - 1);
+  }
+
+  if (start > end || start >= size) {
+    return { invalid: true };
+  }
+
+  return { start, end };
+};
+
+/**
+ * Stream stored audio
+ * GET /api/audio/:key?expires=...&signature=...
+ */
+router.get('/:key', async (req, res) => {
+  const { key } = req.params;
+  const { expires, signature } = req.query;
+
+  try {
+    if (!audioStorage.isValidKey(key)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Audio not found'
+      });
+    }
+
+    if (!audioStorage.verifySignature(key, expires, signature)) {
+      logger.warn('Rejected audio request with invalid signature', { key });
+      return res.status(403).json({
+        success: false,
+        error: 'Invalid or expired audio URL'
+      });
+    }
+
+    const stats = await audioStorage.stat(key);
+
+    if (!stats) {
+      return res.status(404).json({
+        success: false,
+        error: 'Audio not found'
+      });
+    }
+
+    res.set({
+      'Content-Type': stats.contentType,
+      'Accept-Ranges': 'bytes',
+      'Cache-Control': 'private, max-age=3600',
+      'Last-Modified': stats.updatedAt.toUTCString()
+    });
+
+    const range = parseRange(req.headers.range, stats.size);
+
+    if (range?.invalid) {
+      res.set('Content-Range', `bytes */${stats.size}`);
+      return res.status(416).end();
+    }
+
+    if (range) {
+      res.status(206);
+      res.set({
+        'Content-Range': `bytes ${range.start}-${range.end}/${stats.size}`,
+        'Content-Length': range.end - range.start + 1
+      });
+    } else {
+      res.set('Content-Length', stats.size);
+    }
+
+    if (req.method === 'HEAD') {
+      return res.end();
+    }
+
+    const stream = audioStorage.createReadStream(key, range || undefined);
+    stream.on('error', (error) => {
+      logger.error('Audio stream error:', error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+
+  } catch (error) {
+    logger.error('Serve audio error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
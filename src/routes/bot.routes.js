@@ -7,6 +7,7 @@ const router = express.Router();
 const auth = require('../middleware/auth');
 const { Business } = require('../models');
 const ttsService = require('../services/tts.service');
+const faqService = require('../services/faq.service');
 const logger = require('../utils/logger');
 
 router.use(auth);
@@ -179,7 +180,7 @@ router.put('/:botId/voice', async (req, res) => {
       });
     }
 
-    const { speakingRate, pitch, voiceName } = req.body;
+    const { speakingRate, pitch, voiceName, conversationMode } = req.body;
 
     if (speakingRate !== undefined) {
       business.voiceConfig.speakingRate = Math.max(0.5, Math.min(2.0, speakingRate));
@@ -190,6 +191,9 @@ router.put('/:botId/voice', async (req, res) => {
     if (voiceName) {
       business.voiceConfig.voiceName = voiceName;
     }
+    if (conversationMode) {
+      business.voiceConfig.conversationMode = conversationMode;
+    }
 
     await business.save();
 
@@ -286,6 +290,61 @@ router.post('/:botId/faqs', async (req, res) => {
   }
 });
 
+/**
+ * Score FAQs against a sample question, for tuning aiConfig.faqMatchThreshold
+ * POST /api/bots/:botId/faqs/match
+ */
+router.post('/:botId/faqs/match', async (req, res) => {
+  try {
+    const { message } = req.body;
+
+    if (!message) {
+      return res.status(400).json({
+        success: false,
+        error: 'message is required'
+      });
+    }
+
+    const business = await Business.findOne({ botId: req.params.botId })
+      .select('owner faqs aiConfig');
+
+    if (!business) {
+      return res.status(404).json({
+        success: false,
+        error: 'Bot not found'
+      });
+    }
+
+    // Check ownership
+    if (req.user.role !== 'admin' && 
+        business.owner.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied'
+      });
+    }
+
+    const threshold = business.aiConfig?.faqMatchThreshold;
+    const scores = await faqService.rank(message, business);
+
+    res.json({
+      success: true,
+      data: {
+        threshold,
+        matched: scores[0]?.score >= threshold ? scores[0].faqId : null,
+        scores
+      }
+    });
+
+  } catch (error) {
+    logger.error('Match FAQ error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * Update FAQ
  * PUT /api/bots/:botId/faqs/:faqId
@@ -3,15 +3,30 @@
  * Access limited to businesses owned by the client
  */
 
+const path = require('path');
 const express = require('express');
+const multer = require('multer');
+const moment = require('moment-timezone');
 const router = express.Router();
 const auth = require('../middleware/auth');
-const { Business, Call, Reservation, Error: ErrorModel } = require('../models');
+const waitlistService = require('../services/waitlist.service');
+const knowledgeService = require('../services/knowledge.service');
+const menuService = require('../services/menu.service');
+const rollupService = require('../services/rollup.service');
+const { Business, Call, Reservation, CallbackRequest, WaitlistEntry, KnowledgeDocument, Error: ErrorModel } = require('../models');
 const logger = require('../utils/logger');
 
 // All client routes require authentication
 router.use(auth);
 
+// Knowledge base and menu uploads are text files, kept in memory until processed
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 2 * 1024 * 1024 }
+});
+
+const KNOWLEDGE_TYPES = { '.txt': 'text', '.md': 'markdown', '.markdown': 'markdown', '.csv': 'csv' };
+
 // Middleware to verify business ownership
 const verifyOwnership = async (req, res, next) => {
   try {
@@ -88,22 +103,7 @@ router.get('/dashboard', async (req, res) => {
     const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
 
     const [callStats, reservationStats] = await Promise.all([
-      Call.aggregate([
-        { 
-          $match: { 
-            business: { $in: businessIds },
-            startTime: { $gte: startOfMonth }
-          }
-        },
-        {
-          $group: {
-            _id: null,
-            totalCalls: { $sum: 1 },
-            totalMinutes: { $sum: { $divide: ['$duration', 60] } },
-            totalCost: { $sum: '$costs.total' }
-          }
-        }
-      ]),
+      rollupService.getMonthTotals(moment(startOfMonth).format('YYYY-MM'), businessIds),
       Reservation.aggregate([
         {
           $match: {
@@ -123,7 +123,6 @@ router.get('/dashboard', async (req, res) => {
       ])
     ]);
 
-    const calls = callStats[0] || { totalCalls: 0, totalMinutes: 0, totalCost: 0 };
     const reservations = reservationStats[0] || { total: 0, confirmed: 0 };
 
     res.json({
@@ -138,9 +137,9 @@ router.get('/dashboard', async (req, res) => {
           stats: b.stats
         })),
         summary: {
-          totalCalls: calls.totalCalls,
-          totalMinutes: Math.round(calls.totalMinutes),
-          totalCost: Math.round(calls.totalCost * 100) / 100,
+          totalCalls: callStats.totalCalls,
+          totalMinutes: Math.round(callStats.totalDuration / 60),
+          totalCost: callStats.totalCost,
           totalReservations: reservations.total,
           confirmedReservations: reservations.confirmed
         }
@@ -169,8 +168,9 @@ router.get('/businesses/:businessId', verifyOwnership, async (req, res) => {
     const business = req.business;
 
     // Get recent stats
-    const [callStats, todayReservations, missingInfo] = await Promise.all([
-      Call.getBusinessStats(business._id),
+    const [callStats, usage, todayReservations, missingInfo] = await Promise.all([
+      rollupService.getTotals(business._id),
+      rollupService.getUsage(business),
       Reservation.getToday(business._id),
       business.missingInfo.filter(m => m.priority === 'high')
     ]);
@@ -195,7 +195,8 @@ router.get('/businesses/:businessId', verifyOwnership, async (req, res) => {
           billing: {
             plan: business.billing.plan,
             minutesIncluded: business.billing.minutesIncluded,
-            nextBillingDate: business.billing.nextBillingDate
+            nextBillingDate: business.billing.nextBillingDate,
+            usage
           }
         },
         callStats,
@@ -222,10 +223,11 @@ router.put('/businesses/:businessId', verifyOwnership, async (req, res) => {
     // Fields clients can update
     const allowedFields = [
       'nameHebrew', 'description', 'descriptionHebrew',
-      'phone', 'email', 'website', 'address',
-      'businessHours', 'menuItems', 'menuCategories',
-      'faqs', 'reservationSettings', 'botPersonality',
-      'voiceConfig'
+      'phone', 'email', 'website', 'address', 'timezone',
+      'businessHours', 'specialDays', 'holidaySettings', 'menuItems', 'menuCategories',
+      'faqs', 'reservationSettings', 'services', 'staff', 'botPersonality',
+      'voiceConfig', 'transferSettings', 'afterHoursSettings',
+      'reminderSettings', 'waitlistSettings'
     ];
 
     const updates = {};
@@ -260,6 +262,61 @@ router.put('/businesses/:businessId', verifyOwnership, async (req, res) => {
   }
 });
 
+/**
+ * Get the business calendar (hours per day incl. holidays and special days)
+ * GET /api/client/businesses/:businessId/calendar?days=30
+ */
+router.get('/businesses/:businessId/calendar', verifyOwnership, async (req, res) => {
+  try {
+    const days = Math.min(parseInt(req.query.days) || 30, 366);
+
+    const business = await Business.findById(req.params.businessId);
+    const start = moment(req.query.from || undefined).tz(business.getTimezone());
+    const calendar = [];
+    for (let i = 0; i < days; i++) {
+      calendar.push(business.getHoursForDate(start.clone().add(i, 'days').format('YYYY-MM-DD')));
+    }
+
+    res.json({
+      success: true,
+      data: calendar
+    });
+
+  } catch (error) {
+    logger.error('Get calendar error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Get whether the business is open now and when it next opens
+ * GET /api/client/businesses/:businessId/next-opening
+ */
+router.get('/businesses/:businessId/next-opening', verifyOwnership, async (req, res) => {
+  try {
+    const business = await Business.findById(req.params.businessId);
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+
+    res.json({
+      success: true,
+      data: {
+        timezone: business.getTimezone(),
+        ...(business.getNextOpening(from) || { isOpen: false, opensAt: null })
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get next opening error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // ============================================
 // RESERVATIONS
 // ============================================
@@ -283,8 +340,10 @@ router.get('/businesses/:businessId/reservations', verifyOwnership, async (req,
     if (status) query.status = status;
     if (startDate || endDate) {
       query.date = {};
-      if (startDate) query.date.$gte = new Date(startDate);
-      if (endDate) query.date.$lte = new Date(endDate);
+      if (startDate) query.date.$gte = req.business.parseDay(startDate);
+      if (endDate) {
+        query.date.$lte = moment(req.business.parseDay(endDate)).tz(req.business.getTimezone()).endOf('day').toDate();
+      }
     }
 
     const reservations = await Reservation.find(query)
@@ -377,6 +436,10 @@ router.put('/businesses/:businessId/reservations/:reservationId', verifyOwnershi
 
     await reservation.save();
 
+    if (status === 'cancelled') {
+      await waitlistService.handleFreedCapacity(req.business._id, reservation.date, req.business);
+    }
+
     res.json({
       success: true,
       data: reservation
@@ -405,16 +468,25 @@ router.post('/businesses/:businessId/reservations', verifyOwnership, async (req,
       time,
       partySize,
       specialRequests,
-      seatingArea
+      seatingArea,
+      serviceId,
+      staffId
     } = req.body;
 
-    // Check availability
-    const availability = await Reservation.checkAvailability(
-      req.business._id,
-      new Date(date),
-      time,
-      partySize
-    );
+    // Check availability (appointments when a service is given)
+    const availability = serviceId
+      ? await Reservation.checkAppointmentAvailability(req.business._id, req.business.parseDay(date), time, {
+        business: req.business,
+        serviceId,
+        staffId
+      })
+      : await Reservation.checkAvailability(
+        req.business._id,
+        req.business.parseDay(date),
+        time,
+        partySize,
+        { business: req.business, seatingArea }
+      );
 
     if (!availability.available) {
       return res.status(400).json({
@@ -429,15 +501,24 @@ router.post('/businesses/:businessId/reservations', verifyOwnership, async (req,
       customerName,
       customerPhone,
       customerEmail,
-      date: new Date(date),
+      date: req.business.parseDay(date),
       time,
-      partySize,
+      partySize: partySize || 1,
       specialRequests,
       seatingArea,
+      tableNumber: availability.table?.number,
+      service: availability.service?.id,
+      serviceName: availability.service?.name,
+      duration: availability.service?.duration,
+      price: availability.service?.price,
+      staffMember: availability.staff?.id,
+      staffName: availability.staff?.name,
       source: 'manual',
       status: 'confirmed'
     });
 
+    await rollupService.recordReservation(reservation, req.business);
+
     res.status(201).json({
       success: true,
       data: reservation
@@ -452,6 +533,137 @@ router.post('/businesses/:businessId/reservations', verifyOwnership, async (req,
   }
 });
 
+// ============================================
+// WAITLIST
+// ============================================
+
+/**
+ * Get waitlist entries
+ * GET /api/client/businesses/:businessId/waitlist
+ */
+router.get('/businesses/:businessId/waitlist', verifyOwnership, async (req, res) => {
+  try {
+    const { status = 'waiting,notified', date } = req.query;
+
+    const query = {
+      business: req.business._id,
+      status: { $in: status.split(',') }
+    };
+
+    if (date) {
+      const start = moment(req.business.parseDay(date)).tz(req.business.getTimezone());
+      query.date = { $gte: start.toDate(), $lt: start.clone().add(1, 'day').toDate() };
+    }
+
+    const entries = await WaitlistEntry.find(query)
+      .sort({ date: 1, time: 1, priority: -1, createdAt: 1 })
+      .limit(200);
+
+    res.json({
+      success: true,
+      data: entries
+    });
+
+  } catch (error) {
+    logger.error('Get waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Add a waitlist entry manually
+ * POST /api/client/businesses/:businessId/waitlist
+ */
+router.post('/businesses/:businessId/waitlist', verifyOwnership, async (req, res) => {
+  try {
+    const { customerName, customerPhone, date, time, partySize, seatingArea, priority, notes } = req.body;
+
+    const entry = await waitlistService.addEntry(req.business, {
+      customerName,
+      customerPhone,
+      date,
+      time,
+      partySize,
+      seatingArea,
+      priority,
+      notes,
+      source: 'manual'
+    });
+
+    if (!entry) {
+      return res.status(400).json({
+        success: false,
+        error: 'Waitlist for this slot is full'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: entry
+    });
+
+  } catch (error) {
+    logger.error('Add waitlist entry error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Update a waitlist entry (priority, notes, cancel)
+ * PUT /api/client/businesses/:businessId/waitlist/:entryId
+ */
+router.put('/businesses/:businessId/waitlist/:entryId', verifyOwnership, async (req, res) => {
+  try {
+    const { priority, notes, status } = req.body;
+
+    const entry = await WaitlistEntry.findOne({
+      _id: req.params.entryId,
+      business: req.business._id
+    });
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'Waitlist entry not found'
+      });
+    }
+
+    if (priority !== undefined) entry.priority = priority;
+    if (notes !== undefined) entry.notes = notes;
+
+    if (status === 'cancelled') {
+      const hadOffer = entry.status === 'notified';
+      entry.status = 'cancelled';
+      await entry.save();
+
+      // A withdrawn offer goes to the next in line
+      if (hadOffer) {
+        await waitlistService.handleFreedCapacity(req.business._id, entry.date, req.business);
+      }
+    } else {
+      await entry.save();
+    }
+
+    res.json({
+      success: true,
+      data: entry
+    });
+
+  } catch (error) {
+    logger.error('Update waitlist entry error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // ============================================
 // CALLS
 // ============================================
@@ -629,6 +841,370 @@ router.delete('/businesses/:businessId/missing-info/:infoId', verifyOwnership, a
   }
 });
 
+// ============================================
+// CALLBACK REQUESTS
+// ============================================
+
+/**
+ * Get after-hours messages
+ * GET /api/client/businesses/:businessId/callbacks
+ */
+router.get('/businesses/:businessId/callbacks', verifyOwnership, async (req, res) => {
+  try {
+    const { page = 1, limit = 50, status } = req.query;
+
+    const query = { business: req.business._id };
+    if (status) query.status = status;
+
+    const callbacks = await CallbackRequest.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit));
+
+    const total = await CallbackRequest.countDocuments(query);
+    const pending = await CallbackRequest.countDocuments({
+      business: req.business._id,
+      status: { $ne: 'done' }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        callbacks,
+        pending,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get callbacks error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Update callback request status
+ * PUT /api/client/businesses/:businessId/callbacks/:callbackId
+ */
+router.put('/businesses/:businessId/callbacks/:callbackId', verifyOwnership, async (req, res) => {
+  try {
+    const { status, notes } = req.body;
+
+    const callback = await CallbackRequest.findOne({
+      _id: req.params.callbackId,
+      business: req.business._id
+    });
+
+    if (!callback) {
+      return res.status(404).json({
+        success: false,
+        error: 'Callback request not found'
+      });
+    }
+
+    if (status) callback.status = status;
+    if (notes !== undefined) callback.notes = notes;
+
+    if (status === 'done') {
+      callback.handledAt = new Date();
+      callback.handledBy = req.user.id;
+    }
+
+    await callback.save();
+
+    res.json({
+      success: true,
+      data: callback
+    });
+
+  } catch (error) {
+    logger.error('Update callback error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ============================================
+// MENU
+// ============================================
+
+/**
+ * Export the menu
+ * GET /api/client/businesses/:businessId/menu/export?format=csv|json
+ */
+router.get('/businesses/:businessId/menu/export', verifyOwnership, async (req, res) => {
+  try {
+    const format = req.query.format === 'csv' ? 'csv' : 'json';
+
+    res.set('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="menu-${req.business._id}.${format}"`);
+    res.send(menuService.export(req.business, format));
+
+  } catch (error) {
+    logger.error('Export menu error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Import menu items - a CSV/JSON file upload ("file"), JSON { format, content }
+ * or JSON { items: [...] }. Rows update matching items (by id or nameHebrew)
+ * and add new ones; ?removeMissing=true also deletes items the upload leaves out.
+ * ?dryRun=true returns the diff without saving.
+ * POST /api/client/businesses/:businessId/menu/import
+ */
+router.post('/businesses/:businessId/menu/import', verifyOwnership, upload.single('file'), async (req, res) => {
+  try {
+    let format = req.query.format || req.body.format;
+    let content = req.body.content ?? req.body.items;
+
+    if (req.file) {
+      content = req.file.buffer.toString('utf8');
+      format = format || (path.extname(req.file.originalname).toLowerCase() === '.csv' ? 'csv' : 'json');
+    }
+
+    if (content === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'Upload a file, or send content or items'
+      });
+    }
+
+    format = format === 'csv' ? 'csv' : 'json';
+
+    let records;
+    try {
+      records = menuService.parse(format, content);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    const dryRun = String(req.query.dryRun ?? req.body.dryRun) === 'true';
+    const diff = await menuService.import(req.business, records, {
+      format,
+      dryRun,
+      removeMissing: String(req.query.removeMissing ?? req.body.removeMissing) === 'true'
+    });
+
+    // A dry run reports invalid rows along with the rest of the preview
+    if (diff.errors.length > 0 && !dryRun) {
+      return res.status(422).json({
+        success: false,
+        error: 'Menu has invalid rows - nothing was saved',
+        data: diff
+      });
+    }
+
+    res.json({
+      success: true,
+      data: diff
+    });
+
+  } catch (error) {
+    logger.error('Import menu error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ============================================
+// KNOWLEDGE BASE
+// ============================================
+
+/**
+ * Get knowledge base documents (without their content)
+ * GET /api/client/businesses/:businessId/knowledge
+ */
+router.get('/businesses/:businessId/knowledge', verifyOwnership, async (req, res) => {
+  try {
+    const documents = await KnowledgeDocument.find({ business: req.business._id })
+      .select('-content')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: documents
+    });
+
+  } catch (error) {
+    logger.error('Get knowledge error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Add a document - a text/markdown/CSV file upload ("file") or JSON { title, type, content }
+ * PDFs are sent as their extracted text with type "pdf"
+ * POST /api/client/businesses/:businessId/knowledge
+ */
+router.post('/businesses/:businessId/knowledge', verifyOwnership, upload.single('file'), async (req, res) => {
+  try {
+    let { title, type, content } = req.body;
+    let filename;
+
+    if (req.file) {
+      filename = req.file.originalname;
+      const extension = path.extname(filename).toLowerCase();
+
+      if (!KNOWLEDGE_TYPES[extension]) {
+        return res.status(400).json({
+          success: false,
+          error: extension === '.pdf'
+            ? 'Upload the text extracted from the PDF (type "pdf")'
+            : 'Supported files: .txt, .md, .csv'
+        });
+      }
+
+      type = type || KNOWLEDGE_TYPES[extension];
+      content = req.file.buffer.toString('utf8');
+      title = title || path.basename(filename, extension);
+    }
+
+    if (!title || !content?.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'title and content (or a file) are required'
+      });
+    }
+
+    const document = await knowledgeService.ingest(req.business, {
+      title,
+      type,
+      content,
+      filename,
+      uploadedBy: req.user.id
+    });
+
+    const data = document.toObject();
+    delete data.content;
+
+    if (document.status === 'failed') {
+      return res.status(422).json({
+        success: false,
+        error: document.error,
+        data
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data
+    });
+
+  } catch (error) {
+    logger.error('Add knowledge error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Try retrieval - the chunks a question would add to the prompt
+ * POST /api/client/businesses/:businessId/knowledge/search
+ */
+router.post('/businesses/:businessId/knowledge/search', verifyOwnership, async (req, res) => {
+  try {
+    const { query, tokenBudget } = req.body;
+
+    if (!query) {
+      return res.status(400).json({
+        success: false,
+        error: 'query is required'
+      });
+    }
+
+    const chunks = await knowledgeService.retrieve(req.business, query, {
+      ...(tokenBudget !== undefined && { tokenBudget: parseInt(tokenBudget) })
+    });
+
+    res.json({
+      success: true,
+      data: chunks
+    });
+
+  } catch (error) {
+    logger.error('Search knowledge error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Re-embed all documents (after changing LLM provider or embedding model)
+ * POST /api/client/businesses/:businessId/knowledge/reindex
+ */
+router.post('/businesses/:businessId/knowledge/reindex', verifyOwnership, async (req, res) => {
+  try {
+    const result = await knowledgeService.reindex(req.business);
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    logger.error('Reindex knowledge error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Delete a document
+ * DELETE /api/client/businesses/:businessId/knowledge/:documentId
+ */
+router.delete('/businesses/:businessId/knowledge/:documentId', verifyOwnership, async (req, res) => {
+  try {
+    const document = await knowledgeService.deleteDocument(req.business, req.params.documentId);
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        error: 'Document not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Document deleted'
+    });
+
+  } catch (error) {
+    logger.error('Delete knowledge error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // ============================================
 // ANALYTICS
 // ============================================
@@ -641,9 +1217,9 @@ router.get('/businesses/:businessId/analytics', verifyOwnership, async (req, res
   try {
     const { days = 30 } = req.query;
     
-    const dailyStats = await Call.getDailyStats(req.business._id, parseInt(days));
+    const dailyStats = await rollupService.getDaily(req.business, parseInt(days));
     const reservationStats = await Reservation.getStats(req.business._id);
-    const callStats = await Call.getBusinessStats(req.business._id);
+    const callStats = await rollupService.getTotals(req.business._id);
 
     // Get intent distribution
     const intentDistribution = await Call.aggregate([
@@ -0,0 +1,235 @@
+/**
+ * Public Routes - Customer-facing links sent by SMS
+ * Access is controlled by signed tokens (no JWT)
+ */
+
+const express = require('express');
+const router = express.Router();
+const validator = require('validator');
+const smsService = require('../services/sms.service');
+const callHandlerService = require('../services/callHandler.service');
+const waitlistService = require('../services/waitlist.service');
+const { Business, Reservation, WaitlistEntry } = require('../models');
+const logger = require('../utils/logger');
+
+/**
+ * Render a minimal Hebrew page
+ */
+const renderPage = (title, body) => `<!DOCTYPE html>
+<html lang="he" dir="rtl">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${title}</title>
+  <style>
+    body { font-family: Arial, sans-serif; max-width: 480px; margin: 40px auto; padding: 0 16px; text-align: center; }
+    button { background: #dc2626; color: #fff; border: 0; border-radius: 8px; padding: 12px 24px; font-size: 16px; }
+    button.confirm { background: #16a34a; }
+  </style>
+</head>
+<body>
+  <h2>${title}</h2>
+  ${body}
+</body>
+</html>`;
+
+/**
+ * Load the reservation for a signed cancel link
+ */
+const loadReservation = async (req, res) => {
+  const { reservationId } = req.params;
+
+  if (!validator.isMongoId(reservationId) ||
+      !smsService.verifyReservationToken(reservationId, req.query.token)) {
+    res.status(403).send(renderPage('הקישור אינו תקף', ''));
+    return null;
+  }
+
+  const reservation = await Reservation.findById(reservationId);
+  if (!reservation) {
+    res.status(404).send(renderPage('ההזמנה לא נמצאה', ''));
+    return null;
+  }
+
+  return reservation;
+};
+
+/**
+ * Cancel confirmation page
+ * GET /api/public/reservations/:reservationId/cancel?token=...
+ * Link previews must not cancel, so this only shows a form
+ */
+router.get('/reservations/:reservationId/cancel', async (req, res) => {
+  try {
+    const reservation = await loadReservation(req, res);
+    if (!reservation) return;
+
+    if (!['pending', 'confirmed'].includes(reservation.status)) {
+      return res.send(renderPage('ההזמנה כבר אינה פעילה', ''));
+    }
+
+    const business = await Business.findById(reservation.business);
+    const date = reservation.date.toLocaleDateString('he-IL', { timeZone: business.getTimezone() });
+
+    res.send(renderPage('ביטול הזמנה', `
+  <p>הזמנה ${validator.escape(reservation.reservationNumber)}</p>
+  <p>${date} בשעה ${validator.escape(reservation.time)} | ${reservation.partySize} אנשים</p>
+  <form method="POST">
+    <button type="submit">לבטל את ההזמנה</button>
+  </form>`));
+
+  } catch (error) {
+    logger.error('Cancel page error:', error);
+    res.status(500).send(renderPage('אירעה שגיאה', ''));
+  }
+});
+
+/**
+ * Cancel a reservation from the SMS link
+ * POST /api/public/reservations/:reservationId/cancel?token=...
+ */
+router.post('/reservations/:reservationId/cancel', async (req, res) => {
+  try {
+    const reservation = await loadReservation(req, res);
+    if (!reservation) return;
+
+    if (!['pending', 'confirmed'].includes(reservation.status)) {
+      return res.send(renderPage('ההזמנה כבר אינה פעילה', ''));
+    }
+
+    reservation.status = 'cancelled';
+    reservation.cancelledAt = new Date();
+    reservation.cancelledBy = 'customer';
+    reservation.cancellationReason = 'Cancelled from SMS link';
+    await reservation.save();
+
+    const business = await Business.findById(reservation.business);
+    if (business) {
+      await smsService.sendReservationSms(reservation, business, 'cancellation');
+    }
+
+    await waitlistService.handleFreedCapacity(reservation.business, reservation.date, business);
+
+    callHandlerService.setSocketIO(req.app.get('io'));
+    callHandlerService.emitCallEvent('reservation:cancelled', {
+      reservationId: reservation._id,
+      businessId: reservation.business,
+      cancelledBy: 'customer'
+    });
+
+    logger.info('Reservation cancelled from SMS link', { reservationId: reservation._id });
+
+    res.send(renderPage('ההזמנה בוטלה', '<p>תודה שעדכנת אותנו.</p>'));
+
+  } catch (error) {
+    logger.error('Cancel reservation error:', error);
+    res.status(500).send(renderPage('אירעה שגיאה', ''));
+  }
+});
+
+/**
+ * Load the waitlist entry for a signed claim link
+ */
+const loadWaitlistEntry = async (req, res) => {
+  const { entryId } = req.params;
+
+  if (!validator.isMongoId(entryId) ||
+      !smsService.verifyToken('claim', entryId, req.query.token)) {
+    res.status(403).send(renderPage('הקישור אינו תקף', ''));
+    return null;
+  }
+
+  const entry = await WaitlistEntry.findById(entryId);
+  if (!entry) {
+    res.status(404).send(renderPage('הרישום לא נמצא', ''));
+    return null;
+  }
+
+  return entry;
+};
+
+/**
+ * Claim page for a freed waitlist slot
+ * GET /api/public/waitlist/:entryId/claim?token=...
+ */
+router.get('/waitlist/:entryId/claim', async (req, res) => {
+  try {
+    const entry = await loadWaitlistEntry(req, res);
+    if (!entry) return;
+
+    if (entry.status === 'claimed') {
+      return res.send(renderPage('המקום כבר שוריין עבורך', ''));
+    }
+
+    if (entry.status !== 'notified' || entry.claimExpiresAt <= new Date()) {
+      return res.send(renderPage('ההצעה כבר אינה בתוקף', ''));
+    }
+
+    const business = await Business.findById(entry.business);
+    const timezone = business.getTimezone();
+    const date = entry.date.toLocaleDateString('he-IL', { timeZone: timezone });
+    const deadline = entry.claimExpiresAt.toLocaleTimeString('he-IL', {
+      timeZone: timezone,
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+
+    res.send(renderPage('התפנה מקום!', `
+  <p>${date} בשעה ${validator.escape(entry.time)} | ${entry.partySize} אנשים</p>
+  <p>אפשר לשריין עד ${deadline}</p>
+  <form method="POST">
+    <button type="submit" class="confirm">לשריין את המקום</button>
+  </form>`));
+
+  } catch (error) {
+    logger.error('Waitlist claim page error:', error);
+    res.status(500).send(renderPage('אירעה שגיאה', ''));
+  }
+});
+
+/**
+ * Claim a freed waitlist slot
+ * POST /api/public/waitlist/:entryId/claim?token=...
+ */
+router.post('/waitlist/:entryId/claim', async (req, res) => {
+  try {
+    const entry = await loadWaitlistEntry(req, res);
+    if (!entry) return;
+
+    const result = await waitlistService.claim(entry._id);
+
+    if (!result.claimed) {
+      const title = result.reason === 'taken'
+        ? 'המקום נתפס בינתיים'
+        : 'ההצעה כבר אינה בתוקף';
+      const body = result.reason === 'taken'
+        ? '<p>נשארת ברשימת ההמתנה ונעדכן אם יתפנה מקום נוסף.</p>'
+        : '';
+      return res.send(renderPage(title, body));
+    }
+
+    if (result.reservation) {
+      callHandlerService.setSocketIO(req.app.get('io'));
+      callHandlerService.emitCallEvent('reservation:created', {
+        reservationId: result.reservation._id,
+        businessId: result.reservation.business,
+        source: 'waitlist'
+      });
+      callHandlerService.emitCallEvent('waitlist:claimed', {
+        entryId: result.entry._id,
+        businessId: result.entry.business,
+        reservationId: result.reservation._id
+      });
+    }
+
+    res.send(renderPage('המקום שוריין!', `
+  <p>${result.reservation ? `מספר הזמנה: ${validator.escape(result.reservation.reservationNumber)}` : ''}</p>
+  <p>נתראה!</p>`));
+
+  } catch (error) {
+    logger.error('Waitlist claim error:', error);
+    res.status(500).send(renderPage('אירעה שגיאה', ''));
+  }
+});
+
+module.exports = router;
@@ -1,34 +1,539 @@
+/**
+ * Webhook Routes - Twilio Integration
+ * Handles all incoming Twilio webhooks
+ */
+
 const express = require('express');
 const router = express.Router();
 const twilio = require('twilio');
 const logger = require('../utils/logger');
+const validateTwilioRequest = require('../middleware/twilioSignature');
+const callHandlerService = require('../services/callHandler.service');
+const outboundCallService = require('../services/outboundCall.service');
+const smsService = require('../services/sms.service');
+const { Business, Call, Error: ErrorModel } = require('../models');
+const { Trace } = require('../utils/tracing');
+
+/**
+ * Resolve the business a webhook belongs to
+ * Looks up by botId first, then by the dialed Twilio number
+ */
+const findBusiness = async (botId, calledNumber, filter = {}) => {
+  if (botId) {
+    const business = await Business.findOne({ botId, ...filter });
+    if (business) return business;
+  }
+
+  if (calledNumber) {
+    return Business.findOne({ twilioPhoneNumber: calledNumber, ...filter });
+  }
+
+  return null;
+};
 
-// Simple incoming call handler - no botId required
-router.post('/', async (req, res) => {
+/**
+ * Log a webhook error - never throws, the caller still gets TwiML
+ */
+const logWebhookError = async (errorData) => {
   try {
-    logger.info('📞 Incoming call received!');
-    
-    const twiml = new twilio.twiml.VoiceResponse();
-    
+    await ErrorModel.logError(errorData);
+  } catch (error) {
+    logger.error('Failed to log webhook error:', error);
+  }
+};
+
+/**
+ * Build a TwiML response that says a message and hangs up
+ */
+const sayAndHangup = (message) => {
+  const twiml = new twilio.twiml.VoiceResponse();
+  if (message) {
     twiml.say({
-      voice: 'Polly.Mia',
       language: 'he-IL'
-    }, 'שלום! ברוכים הבאים לבוט הטלפוני. המערכת עובדת בהצלחה!');
-    
-    twiml.hangup();
-    
+    }, message);
+  }
+  twiml.hangup();
+  return twiml.toString();
+};
+
+// Turn traces start at receipt, before the signature check
+router.use((req, res, next) => {
+  req.receivedAt = Date.now();
+  next();
+});
+
+// All webhooks must be signed by Twilio
+router.use(validateTwilioRequest);
+
+// Set Socket.IO instance
+router.use((req, res, next) => {
+  const io = req.app.get('io');
+  callHandlerService.setSocketIO(io);
+  next();
+});
+
+/**
+ * Shared incoming call handler
+ * Used by the per-bot URL and by the number-based URLs
+ */
+const handleIncoming = async (req, res) => {
+  const { botId } = req.params;
+  const { To } = req.body;
+
+  try {
+    const business = await findBusiness(botId, To, {
+      isActive: true,
+      isPaused: false
+    });
+
+    if (!business) {
+      logger.warn('Business not found or inactive', { botId, to: To });
+
+      res.type('text/xml');
+      return res.send(sayAndHangup('מצטערים, השירות אינו זמין כרגע.'));
+    }
+
+    // Handle incoming call
+    const twimlResponse = await callHandlerService.handleIncomingCall(req.body, business);
+
     res.type('text/xml');
-    res.send(twiml.toString());
-    
-    logger.info('✅ Call handled successfully');
+    res.send(twimlResponse);
+
+  } catch (error) {
+    logger.error('Webhook error:', error);
+
+    await logWebhookError({
+      category: 'twilio',
+      severity: 'critical',
+      message: error.message,
+      stack: error.stack,
+      botId,
+      twilioCallSid: req.body.CallSid,
+      details: { botId, body: req.body }
+    });
+
+    res.type('text/xml');
+    res.send(sayAndHangup('מצטערים, יש תקלה. נסו שוב.'));
+  }
+};
+
+/**
+ * Handle incoming call by dialed number (no botId in the URL)
+ * POST /webhook
+ * POST /webhook/voice/incoming
+ */
+router.post(['/', '/voice/incoming'], handleIncoming);
+
+/**
+ * Handle incoming call
+ * POST /webhook/:botId
+ */
+router.post('/:botId', handleIncoming);
+
+/**
+ * Handle speech response
+ * POST /webhook/:botId/respond
+ */
+router.post('/:botId/respond', async (req, res) => {
+  const { botId } = req.params;
+  const trace = new Trace(req.receivedAt);
+
+  try {
+    // Paused businesses still finish calls already in progress
+    const business = await findBusiness(botId, req.body.To, { isActive: true });
+    // Signature check and business lookup
+    trace.record('webhook', req.receivedAt);
+
+    if (!business) {
+      res.type('text/xml');
+      return res.send(sayAndHangup());
+    }
+
+    const twimlResponse = await callHandlerService.handleSpeechResponse(req.body, business, trace);
+
+    res.type('text/xml');
+    res.send(twimlResponse);
+
   } catch (error) {
-    logger.error('❌ Call error:', error);
+    logger.error('Respond webhook error:', error);
+
+    await logWebhookError({
+      category: 'twilio',
+      severity: 'high',
+      message: error.message,
+      botId,
+      twilioCallSid: req.body.CallSid,
+      details: { botId, body: req.body }
+    });
+
     const twiml = new twilio.twiml.VoiceResponse();
-    twiml.say('Error occurred');
-    twiml.hangup();
+    twiml.say({
+      language: 'he-IL',
+      voice: 'Google.he-IL-Wavenet-A'
+    }, 'סליחה, לא הבנתי. אפשר לחזור?');
+
+    twiml.gather({
+      input: 'speech',
+      language: 'he-IL',
+      action: `${process.env.API_URL}/webhook/${botId}/respond`,
+      method: 'POST'
+    });
+
     res.type('text/xml');
     res.send(twiml.toString());
   }
 });
 
+/**
+ * Handle timeout
+ * POST /webhook/:botId/timeout
+ */
+router.post('/:botId/timeout', async (req, res) => {
+  const { botId } = req.params;
+
+  try {
+    const business = await findBusiness(botId, req.body.To, { isActive: true });
+
+    if (!business) {
+      res.type('text/xml');
+      return res.send(sayAndHangup());
+    }
+
+    const twimlResponse = await callHandlerService.handleTimeout(req.body, business);
+
+    res.type('text/xml');
+    res.send(twimlResponse);
+
+  } catch (error) {
+    logger.error('Timeout webhook error:', error);
+
+    res.type('text/xml');
+    res.send(sayAndHangup());
+  }
+});
+
+/**
+ * Handle call end
+ * POST /webhook/:botId/end
+ */
+router.post('/:botId/end', async (req, res) => {
+  const { botId } = req.params;
+  const { CallSid } = req.body;
+
+  try {
+    const business = await findBusiness(botId, req.body.To);
+    const callState = await callHandlerService.getCallState(CallSid);
+
+    const twimlResponse = await callHandlerService.handleCallEnd(
+      CallSid,
+      'timeout',
+      callState,
+      business
+    );
+
+    res.type('text/xml');
+    res.send(twimlResponse);
+
+  } catch (error) {
+    logger.error('End webhook error:', error);
+
+    res.type('text/xml');
+    res.send(sayAndHangup());
+  }
+});
+
+/**
+ * Save an after-hours message
+ * POST /webhook/:botId/after-hours/message
+ */
+router.post('/:botId/after-hours/message', async (req, res) => {
+  const { botId } = req.params;
+
+  try {
+    const business = await findBusiness(botId, req.body.To, { isActive: true });
+
+    if (!business) {
+      res.type('text/xml');
+      return res.send(sayAndHangup());
+    }
+
+    const twimlResponse = await callHandlerService.handleAfterHoursMessage(req.body, business);
+
+    res.type('text/xml');
+    res.send(twimlResponse);
+
+  } catch (error) {
+    logger.error('After-hours message webhook error:', error);
+
+    await logWebhookError({
+      category: 'twilio',
+      severity: 'high',
+      message: error.message,
+      botId,
+      twilioCallSid: req.body.CallSid,
+      details: { botId, body: req.body }
+    });
+
+    res.type('text/xml');
+    res.send(sayAndHangup('מצטערים, יש תקלה. אנא התקשרו שוב.'));
+  }
+});
+
+/**
+ * Confirm the callback number for an after-hours message
+ * POST /webhook/:botId/after-hours/callback
+ */
+router.post('/:botId/after-hours/callback', async (req, res) => {
+  const { botId } = req.params;
+
+  try {
+    const business = await findBusiness(botId, req.body.To, { isActive: true });
+
+    if (!business) {
+      res.type('text/xml');
+      return res.send(sayAndHangup());
+    }
+
+    const twimlResponse = await callHandlerService.handleAfterHoursCallback(req.body, business);
+
+    res.type('text/xml');
+    res.send(twimlResponse);
+
+  } catch (error) {
+    logger.error('After-hours callback webhook error:', error);
+
+    res.type('text/xml');
+    res.send(sayAndHangup());
+  }
+});
+
+/**
+ * Outbound reminder call answered
+ * POST /webhook/:botId/outbound/reminder?reservationId=...
+ */
+router.post('/:botId/outbound/reminder', async (req, res) => {
+  const { botId } = req.params;
+
+  try {
+    const business = await findBusiness(botId, null, { isActive: true });
+
+    if (!business) {
+      res.type('text/xml');
+      return res.send(sayAndHangup());
+    }
+
+    const twimlResponse = await callHandlerService.handleReminderCall(
+      req.body,
+      business,
+      req.query.reservationId
+    );
+
+    res.type('text/xml');
+    res.send(twimlResponse);
+
+  } catch (error) {
+    logger.error('Reminder call webhook error:', error);
+
+    await logWebhookError({
+      category: 'twilio',
+      severity: 'high',
+      message: error.message,
+      botId,
+      twilioCallSid: req.body.CallSid,
+      details: { botId, reservationId: req.query.reservationId, body: req.body }
+    });
+
+    res.type('text/xml');
+    res.send(sayAndHangup());
+  }
+});
+
+/**
+ * Outbound reminder call status
+ * POST /webhook/:botId/outbound/status?reservationId=...
+ */
+router.post('/:botId/outbound/status', async (req, res) => {
+  try {
+    await callHandlerService.handleStatusCallback(req.body);
+    await outboundCallService.handleReminderStatus(req.body, req.query.reservationId);
+    res.sendStatus(200);
+  } catch (error) {
+    logger.error('Reminder status callback error:', error);
+    res.sendStatus(200); // Always return 200 to Twilio
+  }
+});
+
+/**
+ * SMS delivery status
+ * POST /webhook/:botId/sms/status?reservationId=...
+ */
+router.post('/:botId/sms/status', async (req, res) => {
+  try {
+    await smsService.handleStatusCallback(req.body);
+    res.sendStatus(200);
+  } catch (error) {
+    logger.error('SMS status callback error:', error);
+    res.sendStatus(200); // Always return 200 to Twilio
+  }
+});
+
+/**
+ * Whisper call summary to the staff member answering a transfer
+ * POST /webhook/:botId/whisper?parentCallSid=...
+ */
+router.post('/:botId/whisper', async (req, res) => {
+  const { botId } = req.params;
+
+  try {
+    const business = await findBusiness(botId);
+
+    if (!business) {
+      res.type('text/xml');
+      return res.send(new twilio.twiml.VoiceResponse().toString());
+    }
+
+    const twimlResponse = await callHandlerService.handleWhisper(
+      req.query.parentCallSid,
+      business
+    );
+
+    res.type('text/xml');
+    res.send(twimlResponse);
+
+  } catch (error) {
+    logger.error('Whisper webhook error:', error);
+
+    // An empty response connects the call without a whisper
+    res.type('text/xml');
+    res.send(new twilio.twiml.VoiceResponse().toString());
+  }
+});
+
+/**
+ * Handle transfer <Dial> result
+ * POST /webhook/:botId/transfer-status
+ */
+router.post('/:botId/transfer-status', async (req, res) => {
+  const { botId } = req.params;
+
+  try {
+    const business = await findBusiness(botId, req.body.To);
+
+    if (!business) {
+      res.type('text/xml');
+      return res.send(sayAndHangup());
+    }
+
+    const twimlResponse = await callHandlerService.handleTransferStatus(req.body, business);
+
+    res.type('text/xml');
+    res.send(twimlResponse);
+
+  } catch (error) {
+    logger.error('Transfer status webhook error:', error);
+
+    await logWebhookError({
+      category: 'twilio',
+      severity: 'high',
+      message: error.message,
+      botId,
+      twilioCallSid: req.body.CallSid,
+      details: { botId, body: req.body }
+    });
+
+    res.type('text/xml');
+    res.send(sayAndHangup());
+  }
+});
+
+/**
+ * Handle voicemail left after an unanswered transfer
+ * POST /webhook/:botId/voicemail
+ */
+router.post('/:botId/voicemail', async (req, res) => {
+  const { botId } = req.params;
+
+  try {
+    const business = await findBusiness(botId, req.body.To);
+
+    if (!business) {
+      res.type('text/xml');
+      return res.send(sayAndHangup());
+    }
+
+    const twimlResponse = await callHandlerService.handleVoicemail(req.body, business);
+
+    res.type('text/xml');
+    res.send(twimlResponse);
+
+  } catch (error) {
+    logger.error('Voicemail webhook error:', error);
+
+    res.type('text/xml');
+    res.send(sayAndHangup());
+  }
+});
+
+/**
+ * Handle status callback
+ * POST /webhook/:botId/status
+ */
+router.post('/:botId/status', async (req, res) => {
+  try {
+    await callHandlerService.handleStatusCallback(req.body);
+    res.sendStatus(200);
+  } catch (error) {
+    logger.error('Status callback error:', error);
+    res.sendStatus(200); // Always return 200 to Twilio
+  }
+});
+
+/**
+ * Handle recording callback (if enabled)
+ * POST /webhook/:botId/recording
+ */
+router.post('/:botId/recording', async (req, res) => {
+  const { RecordingSid, RecordingUrl, CallSid } = req.body;
+
+  try {
+    await Call.findOneAndUpdate(
+      { twilioCallSid: CallSid },
+      {
+        recordingSid: RecordingSid,
+        recordingUrl: RecordingUrl
+      }
+    );
+
+    logger.info('Recording saved', { CallSid, RecordingSid });
+    res.sendStatus(200);
+
+  } catch (error) {
+    logger.error('Recording callback error:', error);
+    res.sendStatus(200);
+  }
+});
+
+/**
+ * Fallback webhook
+ * POST /webhook/:botId/fallback
+ */
+router.post('/:botId/fallback', async (req, res) => {
+  const { botId } = req.params;
+
+  logger.warn('Fallback webhook triggered', { botId, body: req.body });
+
+  await logWebhookError({
+    category: 'twilio',
+    severity: 'critical',
+    code: req.body.ErrorCode,
+    message: `Twilio fallback triggered: ${req.body.ErrorUrl || 'unknown url'}`,
+    botId,
+    twilioCallSid: req.body.CallSid,
+    details: { botId, body: req.body }
+  });
+
+  res.type('text/xml');
+  res.send(sayAndHangup('מצטערים, יש תקלה. אנא התקשרו שוב.'));
+});
+
 module.exports = router;
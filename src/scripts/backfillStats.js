@@ -0,0 +1,33 @@
+/**
+ * Backfill Script - Rebuild the daily/monthly stats rollups from call history
+ * Usage: npm run backfill:stats -- [businessId] [startDate] [endDate]
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const rollupService = require('../services/rollup.service');
+
+const backfill = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/ai-phone-bot-saas');
+    console.log('Connected to MongoDB');
+
+    const [businessId, startDate, endDate] = process.argv.slice(2);
+
+    const result = await rollupService.backfill({
+      businessId: businessId || undefined,
+      from: startDate ? new Date(startDate) : undefined,
+      to: endDate ? new Date(endDate) : undefined
+    });
+
+    console.log(`\n✅ Backfilled ${result.businesses} businesses: ${result.calls} calls, ${result.reservations} reservations over ${result.days} days`);
+
+    process.exit(0);
+
+  } catch (error) {
+    console.error('Backfill error:', error);
+    process.exit(1);
+  }
+};
+
+backfill();
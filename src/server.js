@@ -16,6 +16,11 @@ const connectDB = require('./config/database');
 const logger = require('./utils/logger');
 const errorHandler = require('./middleware/errorHandler');
 const { apiLimiter } = require('./middleware/rateLimiter');
+const audioStorage = require('./services/audioStorage.service');
+const mediaStreamService = require('./services/mediaStream.service');
+const outboundCallService = require('./services/outboundCall.service');
+const postCallService = require('./services/postCall.service');
+const waitlistService = require('./services/waitlist.service');
 
 // Import Routes
 const authRoutes = require('./routes/auth.routes');
@@ -24,6 +29,8 @@ const clientRoutes = require('./routes/client.routes');
 const webhookRoutes = require('./routes/webhook.routes');
 const botRoutes = require('./routes/bot.routes');
 const analyticsRoutes = require('./routes/analytics.routes');
+const audioRoutes = require('./routes/audio.routes');
+const publicRoutes = require('./routes/public.routes');
 
 const app = express();
 const server = http.createServer(app);
@@ -88,20 +95,12 @@ app.use('/api/admin', adminRoutes);
 app.use('/api/client', clientRoutes);
 app.use('/api/bots', botRoutes);
 app.use('/api/analytics', analyticsRoutes);
+app.use('/api/audio', audioRoutes);
+app.use('/api/public', publicRoutes);
 
 // Twilio Webhook Routes (no rate limiting)
-
-// DIRECT TEST ROUTE - MUST BE BEFORE app.use('/webhook')
-app.post('/webhook/voice/incoming', (req, res) => {
-  console.log('🎯 DIRECT ROUTE HIT!');
-  const twilio = require('twilio');
-  const twiml = new twilio.twiml.VoiceResponse();
-  twiml.say({ voice: 'Polly.Mia', language: 'he-IL' }, 'שלום זה בוט טסט');
-  res.type('text/xml');
-  res.send(twiml.toString());
-});
-
 app.use('/webhook', webhookRoutes);
+
 // Health check and root route
 app.get('/', (req, res) => {
   res.json({ 
@@ -153,6 +152,9 @@ io.on('connection', (socket) => {
   });
 });
 
+// Twilio Media Streams (streaming conversation mode)
+mediaStreamService.attach(server);
+
 // ===========================================
 // Server Startup
 // ===========================================
@@ -165,6 +167,20 @@ async function startServer() {
     await connectDB();
     logger.info('✅ MongoDB connected successfully');
 
+    // Remove stale synthesized audio
+    audioStorage.startCleanup();
+
+    // Expire passed waitlist entries and lapsed offers
+    waitlistService.startExpiryCheck();
+
+    // Reminder calls and post-call processing need Redis for the job queues
+    if (process.env.REDIS_URL) {
+      await outboundCallService.start();
+      await postCallService.start();
+    } else {
+      logger.warn('REDIS_URL not set - reminder calls are disabled, finished calls are processed in-process');
+    }
+
     // Start server
     server.listen(PORT, '0.0.0.0', () => {
       logger.info(`🚀 Server running on port ${PORT}`);
@@ -0,0 +1,236 @@
+jest.mock('../../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const KEY = `${'a1'.repeat(16)}.mp3`;
+
+const ENV = { ...process.env };
+
+// The backend reads its settings when first used - env is restored after each test
+const loadService = (env = {}) => {
+  Object.assign(process.env, { AUDIO_URL_SECRET: 'test-secret', API_URL: 'https://api.example.com', ...env });
+
+  let service;
+  jest.isolateModules(() => {
+    service = require('../audioStorage.service');
+  });
+  return service;
+};
+
+const readStream = (stream) => new Promise((resolve, reject) => {
+  const chunks = [];
+  stream.on('data', chunk => chunks.push(chunk));
+  stream.on('end', () => resolve(Buffer.concat(chunks).toString()));
+  stream.on('error', reject);
+});
+
+describe('AudioStorageService', () => {
+  afterEach(() => {
+    process.env = { ...ENV };
+    jest.restoreAllMocks();
+  });
+
+  describe('signed URLs', () => {
+    let audioStorage;
+
+    beforeEach(() => {
+      audioStorage = loadService();
+    });
+
+    const parse = (url) => Object.fromEntries(new URL(url).searchParams);
+
+    it('signs a URL that verifies', () => {
+      const url = audioStorage.getSignedUrl(KEY, 60);
+      const { expires, signature } = parse(url);
+
+      expect(url.startsWith(`https://api.example.com/api/audio/${KEY}?`)).toBe(true);
+      expect(audioStorage.verifySignature(KEY, expires, signature)).toBe(true);
+    });
+
+    it('rejects an expired URL', () => {
+      const { expires, signature } = parse(audioStorage.getSignedUrl(KEY, -1));
+
+      expect(audioStorage.verifySignature(KEY, expires, signature)).toBe(false);
+    });
+
+    it('rejects a moved expiry', () => {
+      const { expires, signature } = parse(audioStorage.getSignedUrl(KEY, 60));
+
+      expect(audioStorage.verifySignature(KEY, String(parseInt(expires) + 3600), signature)).toBe(false);
+    });
+
+    it('rejects the signature of another key', () => {
+      const { expires, signature } = parse(audioStorage.getSignedUrl(`${'b2'.repeat(16)}.mp3`, 60));
+
+      expect(audioStorage.verifySignature(KEY, expires, signature)).toBe(false);
+    });
+
+    it.each([
+      ['no', undefined],
+      ['an empty', ''],
+      ['a short', 'abc'],
+      ['a non-hex', 'z'.repeat(64)]
+    ])('rejects %s signature', (label, signature) => {
+      const { expires } = parse(audioStorage.getSignedUrl(KEY, 60));
+
+      expect(audioStorage.verifySignature(KEY, expires, signature)).toBe(false);
+    });
+
+    it('rejects a URL signed with another secret', () => {
+      const other = loadService({ AUDIO_URL_SECRET: 'other-secret' });
+      const { expires, signature } = parse(other.getSignedUrl(KEY, 60));
+
+      expect(audioStorage.verifySignature(KEY, expires, signature)).toBe(false);
+    });
+  });
+
+  describe('isValidKey', () => {
+    it.each([
+      [KEY, true],
+      [`${'a1'.repeat(16)}.ulaw`, true],
+      [`../${KEY}`, false],
+      ['..%2F..%2Fetc%2Fpasswd', false],
+      [`${'A1'.repeat(16)}.mp3`, false],
+      [`${'a1'.repeat(16)}.mp3/..`, false],
+      [`${'a1'.repeat(16)}.exe`, false],
+      ['', false]
+    ])('%s is %s', (key, valid) => {
+      expect(loadService().isValidKey(key)).toBe(valid);
+    });
+  });
+
+  describe('local backend', () => {
+    let directory;
+    let audioStorage;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'audio-'));
+      audioStorage = loadService({ AUDIO_STORAGE_DIR: directory, AUDIO_RETENTION_HOURS: '24' });
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('stores and reads audio, whole or a range', async () => {
+      await audioStorage.save(KEY, Buffer.from('0123456789'));
+
+      expect(await audioStorage.stat(KEY)).toMatchObject({ size: 10, contentType: 'audio/mpeg' });
+      expect(await readStream(audioStorage.createReadStream(KEY))).toBe('0123456789');
+      expect(await readStream(audioStorage.createReadStream(KEY, { start: 2, end: 4 }))).toBe('234');
+    });
+
+    it('is null for missing audio', async () => {
+      expect(await audioStorage.stat(KEY)).toBeNull();
+    });
+
+    it('keeps a fresh copy and rewrites an old one', async () => {
+      await audioStorage.save(KEY, Buffer.from('first'));
+      await audioStorage.save(KEY, Buffer.from('second'));
+      expect(fs.readFileSync(path.join(directory, KEY), 'utf8')).toBe('first');
+
+      const old = new Date(Date.now() - 13 * 60 * 60 * 1000);
+      fs.utimesSync(path.join(directory, KEY), old, old);
+      await audioStorage.save(KEY, Buffer.from('second'));
+      expect(fs.readFileSync(path.join(directory, KEY), 'utf8')).toBe('second');
+    });
+
+    it('removes audio past the retention period', async () => {
+      const stale = `${'b2'.repeat(16)}.mp3`;
+      await audioStorage.save(KEY, Buffer.from('fresh'));
+      await audioStorage.save(stale, Buffer.from('stale'));
+      const old = new Date(Date.now() - 25 * 60 * 60 * 1000);
+      fs.utimesSync(path.join(directory, stale), old, old);
+
+      expect(await audioStorage.cleanup()).toBe(1);
+      expect(fs.readdirSync(directory)).toEqual([KEY]);
+    });
+  });
+
+  describe('gcs backend', () => {
+    let bucket;
+    let files;
+
+    const createFile = () => ({
+      save: jest.fn().mockResolvedValue(),
+      getMetadata: jest.fn().mockResolvedValue([{ size: '10', updated: '2026-10-19T09:00:00Z' }]),
+      createReadStream: jest.fn(),
+      delete: jest.fn().mockResolvedValue(),
+      metadata: { updated: '2026-10-19T09:00:00Z' }
+    });
+
+    beforeEach(() => {
+      files = {};
+      bucket = {
+        file: jest.fn(name => (files[name] = files[name] || createFile())),
+        getFiles: jest.fn()
+      };
+      jest.doMock('@google-cloud/storage', () => ({
+        Storage: jest.fn(() => ({ bucket: jest.fn(() => bucket) }))
+      }), { virtual: true });
+    });
+
+    afterEach(() => {
+      jest.dontMock('@google-cloud/storage');
+    });
+
+    const loadGcs = () => loadService({ AUDIO_STORAGE_DRIVER: 'gcs', AUDIO_STORAGE_BUCKET: 'audio-bucket' });
+
+    it('stores audio under the prefix with its content type', async () => {
+      const audioStorage = loadGcs();
+      files[`audio/${KEY}`] = Object.assign(createFile(), {
+        getMetadata: jest.fn().mockRejectedValue(Object.assign(new Error('Not Found'), { code: 404 }))
+      });
+
+      await audioStorage.save(KEY, Buffer.from('audio'));
+
+      expect(files[`audio/${KEY}`].save).toHaveBeenCalledWith(Buffer.from('audio'), { contentType: 'audio/mpeg', resumable: false });
+    });
+
+    it('reads size and update time from the metadata', async () => {
+      expect(await loadGcs().stat(KEY)).toEqual({
+        size: 10,
+        updatedAt: new Date('2026-10-19T09:00:00Z'),
+        contentType: 'audio/mpeg'
+      });
+    });
+
+    it('passes the range to the stream', () => {
+      loadGcs().createReadStream(KEY, { start: 2, end: 4 });
+
+      expect(files[`audio/${KEY}`].createReadStream).toHaveBeenCalledWith({ start: 2, end: 4 });
+    });
+
+    it('rethrows errors other than not found', async () => {
+      files[`audio/${KEY}`] = Object.assign(createFile(), {
+        getMetadata: jest.fn().mockRejectedValue(Object.assign(new Error('Forbidden'), { code: 403 }))
+      });
+
+      await expect(loadGcs().stat(KEY)).rejects.toThrow('Forbidden');
+    });
+
+    it('removes audio past the retention period', async () => {
+      const stale = { ...createFile(), metadata: { updated: new Date(Date.now() - 25 * 60 * 60 * 1000).toISOString() } };
+      const fresh = { ...createFile(), metadata: { updated: new Date().toISOString() } };
+      bucket.getFiles.mockResolvedValue([[stale, fresh]]);
+
+      expect(await loadGcs().cleanup()).toBe(1);
+      expect(bucket.getFiles).toHaveBeenCalledWith({ prefix: 'audio/' });
+      expect(stale.delete).toHaveBeenCalledWith({ ignoreNotFound: true });
+      expect(fresh.delete).not.toHaveBeenCalled();
+    });
+
+    it('needs a bucket', () => {
+      const audioStorage = loadService({ AUDIO_STORAGE_DRIVER: 'gcs' });
+
+      expect(() => audioStorage.getBackend()).toThrow('AUDIO_STORAGE_BUCKET is required');
+    });
+  });
+});
@@ -0,0 +1,182 @@
+jest.mock('../../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const { Business, Reservation, Error: ErrorModel } = require('../../models');
+const smsService = require('../sms.service');
+const waitlistService = require('../waitlist.service');
+
+let callHandlerService;
+
+const CALL_SID = 'CA123';
+
+describe('CallHandlerService booking decisions', () => {
+  let business;
+  let reservation;
+
+  const createCallState = (state = {}) => callHandlerService.callStates.set(CALL_SID, {
+    conversation: [{ role: 'assistant', content: '...' }],
+    turnCount: 2,
+    reservationData: {},
+    ...state
+  });
+
+  beforeAll(() => {
+    // Warns without Twilio credentials
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    callHandlerService = require('../callHandler.service');
+  });
+
+  beforeEach(() => {
+    business = new Business({ name: 'Cafe Yafo', nameHebrew: 'קפה יפו' });
+    reservation = new Reservation({
+      business: business._id,
+      customerName: 'דנה',
+      customerPhone: '0501234567',
+      date: new Date('2026-11-02T18:00:00Z'),
+      time: '20:00',
+      partySize: 4,
+      status: 'pending'
+    });
+
+    jest.spyOn(Reservation, 'findById').mockResolvedValue(reservation);
+    jest.spyOn(reservation, 'save').mockResolvedValue(reservation);
+    jest.spyOn(smsService, 'sendReservationSms').mockResolvedValue(null);
+    jest.spyOn(waitlistService, 'handleFreedCapacity').mockResolvedValue();
+    jest.spyOn(callHandlerService, 'emitCallEvent').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    await callHandlerService.callStates.delete(CALL_SID);
+    jest.restoreAllMocks();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  describe('reminder call', () => {
+    const answer = async (message) => {
+      const callState = await createCallState({ reminder: { reservationId: reservation._id } });
+      return callHandlerService.handleReminderTurn(CALL_SID, message, callState, business);
+    };
+
+    it('confirms on a clear yes', async () => {
+      const outcome = await answer('כן, נגיע');
+
+      expect(outcome.action).toBe('end');
+      expect(reservation.status).toBe('confirmed');
+      expect(reservation.reminderStatus).toBe('confirmed');
+    });
+
+    it('cancels on a clear request to cancel', async () => {
+      await answer('תבטל בבקשה');
+
+      expect(reservation.status).toBe('cancelled');
+      expect(smsService.sendReservationSms).toHaveBeenCalledWith(reservation, business, 'cancellation');
+    });
+
+    it.each(['אני לא רוצה לבטל', 'לא טוב לי', 'לא, זה לא בסדר', 'כן, אבל לא בשמונה'])(
+      'keeps talking after "%s"', async (message) => {
+        const outcome = await answer(message);
+
+        expect(outcome).toBeNull();
+        expect(reservation.status).toBe('pending');
+        expect(reservation.save).not.toHaveBeenCalled();
+      }
+    );
+  });
+
+  describe('cancelling by phone', () => {
+    const answer = async (message) => {
+      const callState = await createCallState({
+        turnCount: 3,
+        manage: { reservations: [], selectedId: reservation._id, action: 'cancel', actionTurn: 2 }
+      });
+      return callHandlerService.handleManageTurn(CALL_SID, message, callState, business);
+    };
+
+    it('cancels after a clear yes', async () => {
+      const outcome = await answer('כן');
+
+      expect(outcome.text).toContain('בוטלה');
+      expect(reservation.status).toBe('cancelled');
+    });
+
+    it('keeps the reservation when the caller refuses', async () => {
+      const outcome = await answer('לא, זה לא בסדר');
+
+      expect(outcome).toBeNull();
+      expect(reservation.status).toBe('pending');
+      expect((await callHandlerService.callStates.get(CALL_SID)).manage.action).toBeNull();
+    });
+
+    it('asks again when the answer is unclear', async () => {
+      const outcome = await answer('רגע, מה השעה שלה?');
+
+      expect(outcome).toBeNull();
+      expect(reservation.status).toBe('pending');
+      expect((await callHandlerService.callStates.get(CALL_SID)).manage.action).toBe('cancel');
+    });
+  });
+
+  describe('waitlist offer', () => {
+    it.each([
+      ['כן', true],
+      ['כן, תרשום אותי', true],
+      ['אני רוצה להירשם לרשימת המתנה', true],
+      ['לא טוב לי', false],
+      ['לא רוצה רשימת המתנה', false],
+      ['אולי', false]
+    ])('reads "%s" as %s', (message, wants) => {
+      expect(callHandlerService.wantsWaitlist(message, { reservationData: {} })).toBe(wants);
+    });
+  });
+});
+
+describe('CallHandlerService.lookupReservationTool', () => {
+  let business;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    callHandlerService = require('../callHandler.service');
+  });
+
+  beforeEach(async () => {
+    business = new Business({ name: 'Cafe Yafo', nameHebrew: 'קפה יפו' });
+    await callHandlerService.callStates.set(CALL_SID, { conversation: [], callerNumber: '+972501234567' });
+    jest.spyOn(Reservation, 'findForCustomer').mockResolvedValue([]);
+  });
+
+  afterEach(async () => {
+    await callHandlerService.callStates.delete(CALL_SID);
+    jest.restoreAllMocks();
+  });
+
+  it('looks up a spoken code', async () => {
+    await callHandlerService.lookupReservationTool(CALL_SID, { reservationNumber: 'k 7 q 2' }, business);
+
+    expect(Reservation.findForCustomer).toHaveBeenCalledWith(business, { reservationNumber: 'K7Q2' });
+  });
+
+  it.each(['.*', '(unclosed', 'anything'])('finds nothing for "%s"', async (reservationNumber) => {
+    const { result } = await callHandlerService.lookupReservationTool(CALL_SID, { reservationNumber }, business);
+
+    expect(result).toEqual({ found: 0, reservations: [] });
+    expect(Reservation.findForCustomer).not.toHaveBeenCalled();
+  });
+});
+
+describe('CallHandlerService.logTurnError', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('never throws, even when the error log is down', async () => {
+    const business = new Business({ name: 'Cafe Yafo', nameHebrew: 'קפה יפו' });
+    jest.spyOn(ErrorModel, 'logError').mockRejectedValue(new Error('connection closed'));
+
+    await expect(callHandlerService.logTurnError(new Error('turn failed'), CALL_SID, 'שלום', business))
+      .resolves.toBeUndefined();
+  });
+});
@@ -0,0 +1,157 @@
+const { createCallStateStore, MemoryCallStateStore } = require('../callState.service');
+
+describe('MemoryCallStateStore', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new MemoryCallStateStore({ ttl: 1000 });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('gets what was set, as a copy', async () => {
+    const state = { turnCount: 1, conversation: [] };
+    await store.set('CA1', state);
+
+    const stored = await store.get('CA1');
+    expect(stored).toEqual(state);
+    expect(stored).not.toBe(state);
+  });
+
+  it('returns null for an unknown call', async () => {
+    expect(await store.get('CA404')).toBeNull();
+    expect(await store.update('CA404', () => ({}))).toBeNull();
+  });
+
+  it('updates with the updater result, or the mutated state', async () => {
+    await store.set('CA1', { turnCount: 1 });
+
+    expect(await store.update('CA1', state => ({ ...state, intent: 'menu' })))
+      .toEqual({ turnCount: 1, intent: 'menu' });
+
+    expect(await store.update('CA1', (state) => { state.turnCount++; }))
+      .toEqual({ turnCount: 2, intent: 'menu' });
+    expect(await store.get('CA1')).toEqual({ turnCount: 2, intent: 'menu' });
+  });
+
+  it('deletes a call', async () => {
+    await store.set('CA1', { turnCount: 1 });
+    await store.delete('CA1');
+
+    expect(await store.get('CA1')).toBeNull();
+    expect(await store.count()).toBe(0);
+  });
+
+  it('lists and counts active calls', async () => {
+    await store.set('CA1', { turnCount: 1 });
+    await store.set('CA2', { turnCount: 2 });
+
+    expect(await store.list()).toEqual([
+      { callSid: 'CA1', state: { turnCount: 1 } },
+      { callSid: 'CA2', state: { turnCount: 2 } }
+    ]);
+    expect(await store.count()).toBe(2);
+  });
+
+  describe('TTL', () => {
+    beforeEach(() => {
+      jest.useFakeTimers({ now: new Date('2026-10-19T10:00:00Z') });
+    });
+
+    it('expires a state after the TTL', async () => {
+      await store.set('CA1', { turnCount: 1 });
+
+      jest.setSystemTime(Date.now() + 999);
+      expect(await store.get('CA1')).toEqual({ turnCount: 1 });
+
+      jest.setSystemTime(Date.now() + 1);
+      expect(await store.get('CA1')).toBeNull();
+      expect(await store.count()).toBe(0);
+    });
+
+    it('keeps the original expiry on update', async () => {
+      await store.set('CA1', { turnCount: 1 });
+
+      jest.setSystemTime(Date.now() + 600);
+      await store.update('CA1', (state) => { state.turnCount++; });
+
+      jest.setSystemTime(Date.now() + 400);
+      expect(await store.get('CA1')).toBeNull();
+    });
+
+    it('renews the expiry on set', async () => {
+      await store.set('CA1', { turnCount: 1 });
+
+      jest.setSystemTime(Date.now() + 600);
+      await store.set('CA1', { turnCount: 2 });
+
+      jest.setSystemTime(Date.now() + 600);
+      expect(await store.get('CA1')).toEqual({ turnCount: 2 });
+    });
+  });
+
+  describe('concurrent updates', () => {
+    it('applies every update', async () => {
+      await store.set('CA1', { turnCount: 0 });
+
+      await Promise.all(Array.from({ length: 20 }, () => store.update('CA1', async (state) => {
+        await new Promise(resolve => setImmediate(resolve));
+        state.turnCount++;
+      })));
+
+      expect(await store.get('CA1')).toEqual({ turnCount: 20 });
+    });
+
+    it('runs updates in call order', async () => {
+      await store.set('CA1', { steps: [] });
+
+      await Promise.all(['a', 'b', 'c'].map((step, i) => store.update('CA1', async (state) => {
+        await new Promise(resolve => setTimeout(resolve, 10 - i * 5));
+        state.steps.push(step);
+      })));
+
+      expect((await store.get('CA1')).steps).toEqual(['a', 'b', 'c']);
+    });
+
+    it('keeps going after an updater throws', async () => {
+      await store.set('CA1', { turnCount: 0 });
+
+      const failing = store.update('CA1', () => { throw new Error('boom'); });
+      const next = store.update('CA1', (state) => { state.turnCount++; });
+
+      await expect(failing).rejects.toThrow('boom');
+      expect(await next).toEqual({ turnCount: 1 });
+    });
+
+    it('returns null when the call ends during an update', async () => {
+      await store.set('CA1', { turnCount: 0 });
+
+      const update = store.update('CA1', async (state) => {
+        await store.delete('CA1');
+        state.turnCount++;
+      });
+
+      expect(await update).toBeNull();
+      expect(await store.get('CA1')).toBeNull();
+    });
+
+    it('does not hold on to finished updates', async () => {
+      await store.set('CA1', { turnCount: 0 });
+      await store.update('CA1', (state) => { state.turnCount++; });
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(store.locks.size).toBe(0);
+    });
+  });
+});
+
+describe('createCallStateStore', () => {
+  it('uses memory without Redis', () => {
+    const store = createCallStateStore({ driver: 'memory', maxCallDuration: 1000 });
+
+    expect(store).toBeInstanceOf(MemoryCallStateStore);
+    expect(store.ttl).toBe(61000);
+  });
+});
@@ -0,0 +1,247 @@
+process.env.LLM_PROVIDER = 'scripted';
+
+jest.mock('../../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const { Business, Error: ErrorModel } = require('../../models');
+const llmService = require('../llm.service');
+const faqService = require('../faq.service');
+const knowledgeService = require('../knowledge.service');
+const gptService = require('../gpt.service');
+
+const USAGE = { promptTokens: 10, completionTokens: 5, totalTokens: 15 };
+
+const toolCall = (name, args = {}) => ({
+  role: 'assistant',
+  content: null,
+  tool_calls: [{ id: `call_${name}`, type: 'function', function: { name, arguments: JSON.stringify(args) } }]
+});
+
+const reply = (content) => ({ role: 'assistant', content });
+
+describe('GPTService.generateResponse', () => {
+  let provider;
+  let business;
+
+  const respond = (...messages) => {
+    for (const message of messages) {
+      provider.complete.mockResolvedValueOnce({ message, usage: USAGE, model: 'test-model' });
+    }
+  };
+
+  const generate = (toolHandler) => gptService.generateResponse({
+    userMessage: 'אני רוצה להזמין שולחן לארבעה מחר בשמונה',
+    business,
+    toolHandler
+  });
+
+  beforeEach(() => {
+    provider = {
+      name: 'test',
+      supportsTools: true,
+      getModel: () => 'test-model',
+      complete: jest.fn()
+    };
+    llmService.setProvider('openai', provider);
+
+    business = new Business({
+      name: 'Cafe Yafo',
+      nameHebrew: 'קפה יפו',
+      aiConfig: { provider: 'openai' }
+    });
+
+    jest.spyOn(faqService, 'findMatch').mockResolvedValue(null);
+    jest.spyOn(knowledgeService, 'retrieve').mockResolvedValue([]);
+    jest.spyOn(ErrorModel, 'logError').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('answers after a tool call', async () => {
+    respond(toolCall('check_availability'), reply('20:00 פנוי. לשריין?'));
+    const toolHandler = jest.fn().mockResolvedValue({ result: { available: true } });
+
+    const response = await generate(toolHandler);
+
+    expect(response.text).toBe('20:00 פנוי. לשריין?');
+    expect(response.tokensUsed).toBe(30);
+    expect(provider.complete).toHaveBeenCalledTimes(2);
+  });
+
+  it('asks once more without tools when the model keeps calling them', async () => {
+    respond(
+      toolCall('check_availability'),
+      toolCall('check_availability'),
+      toolCall('check_availability'),
+      // Ignores toolChoice 'none' on the last round
+      toolCall('check_availability'),
+      reply('לכמה אנשים?')
+    );
+    const toolHandler = jest.fn().mockResolvedValue({ result: { missing: ['partySize'] } });
+
+    const response = await generate(toolHandler);
+
+    expect(response.text).toBe('לכמה אנשים?');
+    expect(response.tokensUsed).toBe(75);
+    expect(provider.complete).toHaveBeenCalledTimes(5);
+    expect(provider.complete.mock.calls[3][0].toolChoice).toBe('none');
+
+    const retry = provider.complete.mock.calls[4][0];
+    expect(retry.tools).toBeUndefined();
+    expect(retry.toolChoice).toBeUndefined();
+  });
+
+  it('falls back to a fixed reply when the retry says nothing', async () => {
+    respond(
+      toolCall('check_availability'),
+      toolCall('check_availability'),
+      toolCall('check_availability'),
+      toolCall('check_availability'),
+      toolCall('check_availability')
+    );
+    const toolHandler = jest.fn().mockResolvedValue({ result: {} });
+
+    const response = await generate(toolHandler);
+
+    expect(response.text).toBe('סליחה, לא הצלחתי להבין. אפשר לחזור על זה?');
+    expect(response.error).toBeUndefined();
+  });
+
+  it('uses the text of a final tool call without asking again', async () => {
+    respond(toolCall('create_reservation'));
+    const toolHandler = jest.fn().mockResolvedValue({
+      final: true,
+      text: 'ההזמנה נקבעה.',
+      action: { reservationId: 'r1' },
+      result: { created: true }
+    });
+
+    const response = await generate(toolHandler);
+
+    expect(response.text).toBe('ההזמנה נקבעה.');
+    expect(response.action).toEqual({ name: 'create_reservation', args: {}, reservationId: 'r1' });
+    expect(provider.complete).toHaveBeenCalledTimes(1);
+  });
+
+  it('lets the model word a final tool call that has no text', async () => {
+    respond(toolCall('create_reservation'), reply('מעולה, נתראה מחר!'));
+    const toolHandler = jest.fn().mockResolvedValue({ final: true, result: { created: true } });
+
+    const response = await generate(toolHandler);
+
+    expect(response.text).toBe('מעולה, נתראה מחר!');
+    expect(response.action.name).toBe('create_reservation');
+    expect(provider.complete.mock.calls[1][0].tools).toBeUndefined();
+  });
+
+  it('never returns an empty reply after a final tool call', async () => {
+    respond(toolCall('create_reservation'), reply(null));
+    const toolHandler = jest.fn().mockResolvedValue({ final: true, result: { created: true } });
+
+    const response = await generate(toolHandler);
+
+    expect(response.text).toBe('אפשר לעזור במשהו נוסף?');
+  });
+});
+
+describe('GPTService message embedding', () => {
+  let provider;
+  let business;
+
+  beforeEach(() => {
+    provider = {
+      name: 'test',
+      supportsTools: true,
+      getModel: (tier) => (tier === 'embedding' ? 'test-embedding' : 'test-model'),
+      embed: jest.fn(async (texts, model, usage) => {
+        usage?.push({ purpose: 'embedding', model, promptTokens: texts.length * 5, completionTokens: 0 });
+        return texts.map(text => (text.includes('חניה') ? [1, 0] : [0, 1]));
+      }),
+      complete: jest.fn().mockResolvedValue({ message: reply('יש חניה בחינם ליד המסעדה.'), usage: USAGE })
+    };
+    llmService.setProvider('openai', provider);
+    faqService.vectors.flushAll();
+
+    business = new Business({
+      name: 'Cafe Yafo',
+      nameHebrew: 'קפה יפו',
+      aiConfig: { provider: 'openai', faqMatchThreshold: 0.9 },
+      faqs: [{ question: 'מה שעות הפתיחה?', answer: 'כל יום 8:00-23:00' }]
+    });
+
+    jest.spyOn(knowledgeService, 'getChunks').mockResolvedValue([
+      { document: 'd1', heading: 'חניה', text: 'חניה בחינם ברחוב הסמוך', tokens: 10, embedding: [1, 0] }
+    ]);
+    jest.spyOn(ErrorModel, 'logError').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('embeds the caller\'s message once for FAQ matching and knowledge retrieval', async () => {
+    const response = await gptService.generateResponse({
+      userMessage: 'איפה אפשר למצוא חניה?',
+      business
+    });
+
+    expect(response.source).toBe('gpt');
+    expect(provider.embed.mock.calls.flatMap(([texts]) => texts)
+      .filter(text => text === 'איפה אפשר למצוא חניה?')).toHaveLength(1);
+    expect(provider.complete.mock.calls[0][0].messages[0].content).toContain('חניה בחינם ברחוב הסמוך');
+  });
+
+  it('reports the embedding calls for the call\'s usage', async () => {
+    const response = await gptService.generateResponse({ userMessage: 'איפה אפשר למצוא חניה?', business });
+
+    expect(response.embeddingUsage).toHaveLength(2);
+    expect(response.embeddingUsage).toEqual(expect.arrayContaining([
+      { purpose: 'embedding', model: 'test-embedding', promptTokens: 5, completionTokens: 0 }
+    ]));
+    expect(response.usage).toEqual({ promptTokens: 10, completionTokens: 5 });
+  });
+
+  it('reports embedding calls for FAQ answers too', async () => {
+    business.faqs = [{ question: 'יש חניה?', answer: 'כן, ברחוב הסמוך' }];
+    jest.spyOn(faqService, 'recordUsage').mockResolvedValue();
+
+    const response = await gptService.generateResponse({ userMessage: 'איפה אפשר למצוא חניה?', business });
+
+    expect(response.source).toBe('faq');
+    expect(response.embeddingUsage.reduce((sum, entry) => sum + entry.promptTokens, 0)).toBe(10);
+  });
+
+  it('does not embed when neither FAQs nor knowledge need it', async () => {
+    business.faqs = [];
+    knowledgeService.getChunks.mockResolvedValue([]);
+
+    await gptService.generateResponse({ userMessage: 'איפה אפשר למצוא חניה?', business });
+
+    expect(provider.embed).not.toHaveBeenCalled();
+  });
+});
+
+describe('GPTService.detectDecision', () => {
+  it.each([
+    ['כן', 'yes'],
+    ['כן, בסדר גמור', 'yes'],
+    ['נכון, אנחנו מגיעים', 'yes'],
+    ['תבטל בבקשה', 'cancel'],
+    ['כן, לבטל את ההזמנה', 'cancel'],
+    ['אני לא רוצה לבטל', 'no'],
+    ['לא טוב לי', 'no'],
+    ['לא, זה לא בסדר', 'no'],
+    ['לא', 'no'],
+    ['כן, אבל לא בשמונה', null],
+    ['אפשר להזיז לתשע?', null],
+    ['', null]
+  ])('reads "%s" as %s', (message, decision) => {
+    expect(gptService.detectDecision(message)).toBe(decision);
+  });
+});
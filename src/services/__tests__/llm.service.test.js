@@ -0,0 +1,182 @@
+jest.mock('../../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const logger = require('../../utils/logger');
+
+const PROVIDER_ENV = ['NODE_ENV', 'LLM_PROVIDER', 'OPENAI_API_KEY'];
+
+/**
+ * Load a fresh LLM service with the given environment
+ */
+const loadService = (env = {}) => {
+  for (const key of PROVIDER_ENV) delete process.env[key];
+  Object.assign(process.env, env);
+
+  let service;
+  jest.isolateModules(() => {
+    service = require('../llm.service');
+  });
+  return service;
+};
+
+describe('LLMService', () => {
+  const saved = { ...process.env };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    process.env = { ...saved };
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  describe('default provider', () => {
+    it('uses OpenAI when a key is set', () => {
+      const service = loadService({ NODE_ENV: 'production', OPENAI_API_KEY: 'sk-test' });
+
+      expect(service.defaultProvider).toBe('openai');
+      expect(console.warn).not.toHaveBeenCalled();
+    });
+
+    it('falls back to scripted outside production, with a warning', () => {
+      const service = loadService({ NODE_ENV: 'development' });
+
+      expect(service.defaultProvider).toBe('scripted');
+      expect(service.getProvider().name).toBe('scripted');
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('scripted provider'));
+    });
+
+    it('refuses to start in production without a provider', () => {
+      expect(() => loadService({ NODE_ENV: 'production' }))
+        .toThrow('LLM_PROVIDER or OPENAI_API_KEY must be set in production');
+    });
+
+    it('allows scripted in production when chosen explicitly', () => {
+      const service = loadService({ NODE_ENV: 'production', LLM_PROVIDER: 'scripted' });
+
+      expect(service.defaultProvider).toBe('scripted');
+    });
+
+    it('rejects an unknown provider', () => {
+      expect(() => loadService({ LLM_PROVIDER: 'gemini' })).toThrow('Unknown LLM_PROVIDER: gemini');
+    });
+  });
+
+  describe('scripted provider', () => {
+    let service;
+
+    const TOOLS = [{ type: 'function', function: { name: 'check_availability' } }];
+
+    const ask = (provider, content, request = {}) => provider.complete({
+      messages: [{ role: 'user', content }],
+      ...request
+    });
+
+    beforeEach(() => {
+      service = loadService({ LLM_PROVIDER: 'scripted' });
+    });
+
+    it('replies from the first matching rule, case-insensitively', async () => {
+      const provider = service.getProvider({
+        provider: 'scripted',
+        script: [
+          { match: 'HOURS|שעות', reply: 'אנחנו פתוחים עד 22:00' },
+          { match: 'hours', reply: 'never used' }
+        ]
+      });
+
+      const { message } = await ask(provider, 'what are your hours?');
+
+      expect(message).toEqual({ role: 'assistant', content: 'אנחנו פתוחים עד 22:00' });
+    });
+
+    it('calls an offered tool', async () => {
+      const provider = service.getProvider({
+        provider: 'scripted',
+        script: [{ match: 'שולחן', tool: 'check_availability', arguments: { partySize: 4 } }]
+      });
+
+      const { message } = await ask(provider, 'אפשר שולחן?', { tools: TOOLS });
+
+      expect(message.tool_calls).toEqual([{
+        id: 'call_scripted_1',
+        type: 'function',
+        function: { name: 'check_availability', arguments: '{"partySize":4}' }
+      }]);
+    });
+
+    it('replies instead of calling a tool when tools are off', async () => {
+      const provider = service.getProvider({
+        provider: 'scripted',
+        script: [{ match: 'שולחן', tool: 'check_availability', reply: 'לכמה אנשים?' }]
+      });
+
+      const { message } = await ask(provider, 'אפשר שולחן?', { tools: TOOLS, toolChoice: 'none' });
+
+      expect(message.content).toBe('לכמה אנשים?');
+    });
+
+    it('skips rules with an invalid match instead of throwing', async () => {
+      const provider = service.getProvider({
+        provider: 'scripted',
+        script: [
+          { match: '(unclosed', reply: 'broken' },
+          { match: 'תפריט', reply: 'התפריט באתר' }
+        ]
+      });
+
+      await expect(ask(provider, 'יש תפריט?')).resolves.toMatchObject({
+        message: { content: 'התפריט באתר' }
+      });
+      await expect(ask(provider, '(unclosed')).resolves.toMatchObject({
+        message: { content: 'אשמח לעזור. אפשר לפרט במה?' }
+      });
+      expect(logger.warn).toHaveBeenCalledWith(
+        'Skipping scripted rule with an invalid match',
+        expect.objectContaining({ match: '(unclosed' })
+      );
+    });
+
+    it('compiles each rule once', async () => {
+      const provider = service.getProvider({
+        provider: 'scripted',
+        script: [{ match: 'שלום', reply: 'שלום!' }]
+      });
+      const compile = jest.spyOn(global, 'RegExp');
+
+      await ask(provider, 'שלום');
+      await ask(provider, 'שלום שוב');
+
+      expect(compile).not.toHaveBeenCalled();
+    });
+  });
+});
+
+describe('Business aiConfig.script validation', () => {
+  const { Business } = require('../../models');
+
+  const validate = (script) => new Business({
+    name: 'Cafe Yafo',
+    nameHebrew: 'קפה יפו',
+    aiConfig: { provider: 'scripted', script }
+  }).validateSync();
+
+  it('rejects an invalid match', () => {
+    const error = validate([{ match: 'ok' }, { match: '[a-' }]);
+
+    expect(error.errors['aiConfig.script.1.match'].message).toBe('Invalid regular expression');
+    expect(error.errors['aiConfig.script.0.match']).toBeUndefined();
+  });
+
+  it('accepts valid matches', () => {
+    const error = validate([{ match: 'שולחן|הזמנה', reply: 'לכמה אנשים?' }]);
+
+    expect(error?.errors['aiConfig.script.0.match']).toBeUndefined();
+  });
+});
@@ -0,0 +1,86 @@
+jest.mock('../../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const { Business, Call, Reservation, Error: ErrorModel } = require('../../models');
+const outboundCallService = require('../outboundCall.service');
+
+describe('OutboundCallService.processReminderJob', () => {
+  let business;
+  let reservation;
+  const job = { data: { reservationId: 'r1', attempt: 1 } };
+
+  beforeEach(() => {
+    business = new Business({
+      name: 'Cafe Yafo',
+      nameHebrew: 'קפה יפו',
+      botId: 'bot_cafe',
+      twilioPhoneNumber: '+97235550000',
+      reminderSettings: { enabled: true }
+    });
+    reservation = new Reservation({
+      business: business._id,
+      customerName: 'דנה',
+      customerPhone: '0501234567',
+      date: new Date(Date.now() + 24 * 60 * 60 * 1000),
+      time: '20:00',
+      partySize: 4,
+      status: 'confirmed'
+    });
+
+    outboundCallService.twilioClient = {
+      calls: { create: jest.fn().mockResolvedValue({ sid: 'CA123' }) }
+    };
+
+    jest.spyOn(Reservation, 'findById').mockResolvedValue(reservation);
+    jest.spyOn(Business, 'findById').mockResolvedValue(business);
+    jest.spyOn(business, 'isCallingAllowed').mockReturnValue(true);
+    jest.spyOn(reservation, 'save').mockResolvedValue(reservation);
+    jest.spyOn(Call, 'create').mockResolvedValue({});
+    jest.spyOn(ErrorModel, 'logError').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    outboundCallService.twilioClient = null;
+    jest.restoreAllMocks();
+  });
+
+  it('places the call and records it', async () => {
+    const result = await outboundCallService.processReminderJob(job);
+
+    expect(result).toEqual({ callSid: 'CA123' });
+    expect(reservation.reminderStatus).toBe('calling');
+    expect(reservation.reminderAttempts).toBe(1);
+    expect(Call.create).toHaveBeenCalledWith(expect.objectContaining({ twilioCallSid: 'CA123' }));
+  });
+
+  it('rethrows Twilio errors, so the job is retried', async () => {
+    const error = Object.assign(new Error('Too many requests'), { code: 20429 });
+    outboundCallService.twilioClient.calls.create.mockRejectedValue(error);
+
+    await expect(outboundCallService.processReminderJob(job)).rejects.toThrow('Too many requests');
+
+    expect(ErrorModel.logError).toHaveBeenCalledWith(expect.objectContaining({ category: 'twilio', code: 20429 }));
+  });
+
+  it('does not retry once the customer was dialed', async () => {
+    Call.create.mockRejectedValue(new Error('connection closed'));
+
+    const result = await outboundCallService.processReminderJob(job);
+
+    expect(result).toEqual({ callSid: 'CA123', error: 'connection closed' });
+    expect(reservation.reminderStatus).toBe('calling');
+    expect(ErrorModel.logError).toHaveBeenCalledWith(expect.objectContaining({ category: 'database' }));
+  });
+
+  it('still resolves when the error log is down too', async () => {
+    reservation.save.mockRejectedValue(new Error('connection closed'));
+    ErrorModel.logError.mockRejectedValue(new Error('connection closed'));
+
+    await expect(outboundCallService.processReminderJob(job)).resolves.toMatchObject({ callSid: 'CA123' });
+    expect(outboundCallService.twilioClient.calls.create).toHaveBeenCalledTimes(1);
+  });
+});
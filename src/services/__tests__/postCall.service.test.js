@@ -0,0 +1,108 @@
+jest.mock('../../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const logger = require('../../utils/logger');
+const { Business, Call } = require('../../models');
+const gptService = require('../gpt.service');
+const rollupService = require('../rollup.service');
+const postCallService = require('../postCall.service');
+
+const SUMMARY_USAGE = { purpose: 'summary', model: 'gpt-4o-mini', promptTokens: 400, completionTokens: 60 };
+
+describe('PostCallService.process', () => {
+  let business;
+  let call;
+
+  const steps = () => Object.fromEntries(
+    Object.entries(call.processing.steps.toObject()).map(([name, step]) => [name, step.status])
+  );
+
+  beforeEach(() => {
+    business = new Business({ name: 'Cafe Yafo', nameHebrew: 'קפה יפו' });
+    call = new Call({
+      business: business._id,
+      twilioCallSid: 'CA123',
+      callerNumber: '+972501234567',
+      conversation: [
+        { role: 'user', content: 'אני רוצה להזמין שולחן' },
+        { role: 'assistant', content: 'לכמה אנשים?' }
+      ]
+    });
+
+    jest.spyOn(Call, 'findById').mockResolvedValue(call);
+    jest.spyOn(Business, 'findById').mockResolvedValue(business);
+    jest.spyOn(call, 'save').mockResolvedValue(call);
+    jest.spyOn(rollupService, 'recordCall').mockResolvedValue(true);
+    jest.spyOn(gptService, 'analyzeSentiment').mockResolvedValue(0.6);
+    // The notifications step loads the call handler, which warns without Twilio credentials
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('counts the call when an LLM step fails', async () => {
+    jest.spyOn(gptService, 'generateCallSummary').mockRejectedValue(new Error('LLM timeout'));
+
+    await expect(postCallService.process(call._id)).rejects.toThrow('Post-call steps failed: summary');
+
+    expect(steps()).toMatchObject({ summary: 'failed', sentiment: 'done', stats: 'done', notifications: 'pending' });
+    expect(rollupService.recordCall).toHaveBeenCalledTimes(1);
+    expect(call.processing.status).toBe('retrying');
+  });
+
+  it('counts the call again once a retried step succeeds', async () => {
+    jest.spyOn(gptService, 'generateCallSummary').mockRejectedValueOnce(new Error('LLM timeout'));
+    await expect(postCallService.process(call._id)).rejects.toThrow();
+
+    gptService.generateCallSummary.mockImplementation(async (conversation, business, usage) => {
+      usage.push(SUMMARY_USAGE);
+      return 'הלקוח ביקש להזמין שולחן';
+    });
+    await postCallService.process(call._id);
+
+    expect(rollupService.recordCall).toHaveBeenCalledTimes(2);
+    expect(call.processing.steps.stats.attempts).toBe(2);
+    expect(call.metrics.llmUsage.find(entry => entry.purpose === 'summary').promptTokens).toBe(400);
+    expect(call.processing.status).toBe('completed');
+  });
+
+  it('does not count a completed call again', async () => {
+    jest.spyOn(gptService, 'generateCallSummary').mockResolvedValue('סיכום');
+    await postCallService.process(call._id);
+
+    await postCallService.process(call._id);
+
+    expect(rollupService.recordCall).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('PostCallService.enqueue without Redis', () => {
+  const saved = process.env.REDIS_URL;
+
+  beforeEach(() => {
+    delete process.env.REDIS_URL;
+  });
+
+  afterEach(() => {
+    if (saved !== undefined) process.env.REDIS_URL = saved;
+    jest.restoreAllMocks();
+  });
+
+  it('survives a failed status update after a failed run', async () => {
+    jest.spyOn(Call, 'updateOne')
+      .mockResolvedValueOnce({})
+      .mockRejectedValueOnce(new Error('connection closed'));
+    jest.spyOn(postCallService, 'process').mockRejectedValue(new Error('LLM timeout'));
+
+    await postCallService.enqueue('c1');
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(logger.error).toHaveBeenCalledWith('Post-call status update error:', expect.any(Error));
+  });
+});
@@ -0,0 +1,179 @@
+jest.mock('../../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const { Business, Call, StatsRollup } = require('../../models');
+const rollupService = require('../rollup.service');
+
+describe('RollupService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getKeys', () => {
+    it('reads the day and month in the business timezone', () => {
+      const startTime = new Date('2026-10-01T02:00:00Z');
+
+      expect(rollupService.getKeys(startTime, 'Asia/Jerusalem')).toEqual({ day: '2026-10-01', month: '2026-10' });
+      expect(rollupService.getKeys(startTime, 'America/New_York')).toEqual({ day: '2026-09-30', month: '2026-09' });
+    });
+  });
+
+  describe('recordCall', () => {
+    let business;
+    let call;
+
+    const incremented = () => rollupService.increment.mock.calls[0];
+
+    beforeEach(() => {
+      business = new Business({ name: 'Cafe Yafo', nameHebrew: 'קפה יפו' });
+      call = new Call({
+        business: business._id,
+        twilioCallSid: 'CA123',
+        callerNumber: '+972501234567',
+        startTime: new Date('2026-10-01T02:00:00Z'),
+        endTime: new Date('2026-10-01T02:02:05Z'),
+        duration: 125,
+        status: 'completed',
+        sentiment: 'neutral',
+        sentimentScore: 0.1
+      });
+      call.costs.total = 0.5;
+
+      jest.spyOn(Call, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(rollupService, 'increment').mockResolvedValue();
+    });
+
+    it('counts a new call on its day in the business timezone', async () => {
+      await expect(rollupService.recordCall(call, 'America/New_York')).resolves.toBe(true);
+
+      const [businessId, keys, delta, lastCallAt] = incremented();
+      expect(businessId).toEqual(business._id);
+      expect(keys).toEqual({ day: '2026-09-30', month: '2026-09' });
+      expect(delta).toEqual({
+        calls: 1,
+        completedCalls: 1,
+        duration: 125,
+        billableMinutes: 3,
+        cost: 0.5,
+        'sentiment.neutral': 1,
+        'sentiment.scoreSum': 0.1,
+        'sentiment.scored': 1
+      });
+      expect(lastCallAt).toEqual(call.endTime);
+
+      expect(Call.updateOne).toHaveBeenCalledWith(
+        { _id: call._id, 'rollup.version': null },
+        { $set: { rollup: expect.objectContaining({ day: '2026-09-30', version: 1 }) } }
+      );
+      expect(call.rollup.version).toBe(1);
+    });
+
+    describe('on reprocess', () => {
+      beforeEach(async () => {
+        await rollupService.recordCall(call, 'America/New_York');
+        rollupService.increment.mockClear();
+        Call.updateOne.mockClear();
+      });
+
+      it('adds only what changed', async () => {
+        call.costs.total = 0.8;
+        call.sentiment = 'positive';
+        call.sentimentScore = 0.7;
+
+        await expect(rollupService.recordCall(call, 'America/New_York')).resolves.toBe(true);
+
+        const [, keys, delta] = incremented();
+        expect(keys).toEqual({ day: '2026-09-30', month: '2026-09' });
+        expect(Object.keys(delta).sort()).toEqual(['cost', 'sentiment.neutral', 'sentiment.positive', 'sentiment.scoreSum']);
+        expect(delta.cost).toBeCloseTo(0.3);
+        expect(delta['sentiment.neutral']).toBe(-1);
+        expect(delta['sentiment.positive']).toBe(1);
+        expect(delta['sentiment.scoreSum']).toBeCloseTo(0.6);
+
+        expect(Call.updateOne).toHaveBeenCalledWith(
+          { _id: call._id, 'rollup.version': 1 },
+          { $set: { rollup: expect.objectContaining({ version: 2 }) } }
+        );
+        expect(call.rollup.version).toBe(2);
+      });
+
+      it('keeps the day it was first counted on', async () => {
+        call.duration = 200;
+
+        await rollupService.recordCall(call, 'Asia/Jerusalem');
+
+        const [, keys, delta] = incremented();
+        expect(keys).toEqual({ day: '2026-09-30', month: '2026-09' });
+        expect(delta).toEqual({ duration: 75, billableMinutes: 1 });
+      });
+
+      it('adds nothing when nothing changed', async () => {
+        await expect(rollupService.recordCall(call, 'America/New_York')).resolves.toBe(false);
+
+        expect(Call.updateOne).not.toHaveBeenCalled();
+        expect(rollupService.increment).not.toHaveBeenCalled();
+      });
+
+      it('adds nothing when another worker claimed the change', async () => {
+        call.costs.total = 0.8;
+        Call.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+        await expect(rollupService.recordCall(call, 'America/New_York')).resolves.toBe(false);
+
+        expect(rollupService.increment).not.toHaveBeenCalled();
+        expect(call.rollup.version).toBe(1);
+      });
+
+      it('restores the previous counts when adding fails', async () => {
+        call.costs.total = 0.8;
+        rollupService.increment.mockRejectedValue(new Error('connection closed'));
+
+        await expect(rollupService.recordCall(call, 'America/New_York')).rejects.toThrow('connection closed');
+
+        expect(Call.updateOne).toHaveBeenLastCalledWith(
+          { _id: call._id, 'rollup.version': 2 },
+          { $set: { rollup: expect.objectContaining({ version: 1, counters: expect.objectContaining({ cost: 0.5 }) }) } }
+        );
+      });
+    });
+
+    it('gives a new call\'s claim back when adding fails', async () => {
+      rollupService.increment.mockRejectedValue(new Error('connection closed'));
+
+      await expect(rollupService.recordCall(call, 'Asia/Jerusalem')).rejects.toThrow('connection closed');
+
+      expect(Call.updateOne).toHaveBeenLastCalledWith(
+        { _id: call._id, 'rollup.version': 1 },
+        { $unset: { rollup: 1 } }
+      );
+    });
+  });
+
+  describe('increment', () => {
+    beforeEach(() => {
+      jest.spyOn(StatsRollup, 'updateOne').mockResolvedValue({});
+      jest.spyOn(rollupService, 'refreshBusinessStats').mockResolvedValue();
+    });
+
+    it('adds to the day and the month', async () => {
+      const lastCallAt = new Date('2026-10-01T02:02:05Z');
+
+      await rollupService.increment('b1', { day: '2026-09-30', month: '2026-09' }, { calls: 1, cost: 0.5 }, lastCallAt);
+
+      const update = { $inc: { calls: 1, cost: 0.5 }, $max: { lastCallAt } };
+      expect(StatsRollup.updateOne).toHaveBeenCalledWith({ business: 'b1', period: 'day', key: '2026-09-30' }, update, { upsert: true });
+      expect(StatsRollup.updateOne).toHaveBeenCalledWith({ business: 'b1', period: 'month', key: '2026-09' }, update, { upsert: true });
+      expect(rollupService.refreshBusinessStats).toHaveBeenCalledWith('b1');
+    });
+
+    it('leaves the last call time alone for a recount', async () => {
+      await rollupService.increment('b1', { day: '2026-09-30', month: '2026-09' }, { cost: 0.3 }, new Date());
+
+      expect(StatsRollup.updateOne.mock.calls[0][1]).toEqual({ $inc: { cost: 0.3 } });
+    });
+  });
+});
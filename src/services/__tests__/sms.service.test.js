@@ -0,0 +1,301 @@
+process.env.SMS_TRANSPORT = 'fake';
+process.env.API_URL = 'https://bot.example.com';
+process.env.RESERVATION_LINK_SECRET = 'test-link-secret';
+
+jest.mock('../../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const logger = require('../../utils/logger');
+const { Business, Call, Reservation, Error: ErrorModel } = require('../../models');
+const smsService = require('../sms.service');
+const { FakeSmsTransport } = require('../sms.service');
+const rollupService = require('../rollup.service');
+const callHandlerService = require('../callHandler.service');
+
+const RESERVATION_NUMBER = 'RES-20261019-K7Q2';
+
+/**
+ * Reservations kept in memory, with just enough of the update operators
+ * the SMS service uses
+ */
+const mockReservationStore = () => {
+  const reservations = new Map();
+
+  jest.spyOn(Reservation, 'create').mockImplementation(async (data) => {
+    const reservation = new Reservation({ ...data, reservationNumber: RESERVATION_NUMBER });
+    reservations.set(String(reservation._id), reservation);
+    return reservation;
+  });
+
+  jest.spyOn(Reservation, 'findByIdAndUpdate').mockImplementation(async (id, update) => {
+    const reservation = reservations.get(String(id));
+    const { $push, ...fields } = update;
+    reservation.set(fields);
+    if ($push?.messages) reservation.messages.push($push.messages);
+    return reservation;
+  });
+
+  jest.spyOn(Reservation, 'findOneAndUpdate').mockImplementation(async (query, { $set }) => {
+    const sid = query['messages.sid'];
+    const reservation = [...reservations.values()].find(r => r.messages.some(m => m.sid === sid));
+    if (!reservation) return null;
+
+    const message = reservation.messages.find(m => m.sid === sid);
+    for (const [path, value] of Object.entries($set)) {
+      message.set(path.replace('messages.$.', ''), value);
+    }
+    return reservation;
+  });
+
+  return reservations;
+};
+
+const createBusiness = (overrides = {}) => new Business({
+  name: 'Cafe Yafo',
+  nameHebrew: 'קפה יפו',
+  botId: 'bot_cafe',
+  twilioPhoneNumber: '+97235550000',
+  ...overrides
+});
+
+const createCallState = (data = {}) => ({
+  callId: '6530f0c2a1b2c3d4e5f60718',
+  callerNumber: '+972501234567',
+  reservationData: {
+    customerName: 'דנה',
+    customerPhone: '050-1234567',
+    date: '2026-11-02T10:00:00.000Z',
+    time: '20:00',
+    partySize: 4,
+    ...data
+  }
+});
+
+const AVAILABLE = { available: true, time: '20:00', table: null };
+
+describe('reservation SMS', () => {
+  let transport;
+  let business;
+
+  beforeEach(() => {
+    transport = new FakeSmsTransport();
+    smsService.setTransport(transport);
+    business = createBusiness();
+
+    mockReservationStore();
+    jest.spyOn(Call, 'findByIdAndUpdate').mockResolvedValue(null);
+    jest.spyOn(rollupService, 'recordReservation').mockResolvedValue();
+    jest.spyOn(ErrorModel, 'logError').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  describe('confirmation on createReservation', () => {
+    it('sends the Hebrew confirmation to the caller', async () => {
+      const reservation = await callHandlerService.createReservation(createCallState(), business, AVAILABLE);
+
+      expect(reservation).toBeTruthy();
+      expect(transport.sent).toHaveLength(1);
+
+      const [message] = transport.sent;
+      expect(message.to).toBe('+972501234567');
+      expect(message.from).toBe('+97235550000');
+      expect(message.body).toContain('שלום דנה');
+      expect(message.body).toContain('קפה יפו | 2.11.2026 בשעה 20:00 | 4 אנשים');
+      expect(message.body).toContain(`מספר הזמנה: ${RESERVATION_NUMBER}`);
+    });
+
+    it('includes a signed cancel link', async () => {
+      const reservation = await callHandlerService.createReservation(createCallState(), business, AVAILABLE);
+
+      const link = transport.sent[0].body.match(/לביטול: (\S+)/)[1];
+      const url = new URL(link);
+
+      expect(url.origin).toBe('https://bot.example.com');
+      expect(url.pathname).toBe(`/api/public/reservations/${reservation._id}/cancel`);
+      expect(smsService.verifyReservationToken(reservation._id, url.searchParams.get('token'))).toBe(true);
+      expect(smsService.verifyReservationToken(reservation._id, 'forged')).toBe(false);
+    });
+
+    it('dates the message in the business timezone', async () => {
+      business = createBusiness({ timezone: 'America/New_York' });
+      const callState = createCallState({ date: '2026-11-02T03:00:00.000Z' });
+
+      await callHandlerService.createReservation(callState, business, AVAILABLE);
+
+      expect(transport.sent[0].body).toContain('1.11.2026 בשעה 20:00');
+    });
+
+    it('uses the appointment template for services', async () => {
+      const availability = {
+        ...AVAILABLE,
+        service: { id: '6530f0c2a1b2c3d4e5f60799', name: 'תספורת', duration: 30, price: 80 },
+        staff: null
+      };
+
+      await callHandlerService.createReservation(createCallState(), business, availability);
+
+      expect(transport.sent[0].body).toContain('התור לתספורת בקפה יפו נקבע ל2.11.2026 בשעה 20:00');
+      expect(transport.sent[0].body).toContain(`מספר תור: ${RESERVATION_NUMBER}`);
+    });
+
+    it('records the message on the reservation', async () => {
+      const reservation = await callHandlerService.createReservation(createCallState(), business, AVAILABLE);
+
+      expect(reservation.confirmationSent).toBe(true);
+      expect(reservation.messages).toHaveLength(1);
+      expect(reservation.messages[0]).toMatchObject({
+        kind: 'confirmation',
+        sid: transport.sent[0].sid,
+        to: '+972501234567',
+        status: 'sent'
+      });
+      expect(transport.sent[0].statusCallback).toBe(
+        `https://bot.example.com/webhook/bot_cafe/sms/status?reservationId=${reservation._id}`
+      );
+    });
+
+    it('sends nothing when SMS is disabled', async () => {
+      business.reservationSettings.smsEnabled = false;
+
+      const reservation = await callHandlerService.createReservation(createCallState(), business, AVAILABLE);
+
+      expect(reservation).toBeTruthy();
+      expect(transport.sent).toHaveLength(0);
+      expect(reservation.confirmationSent).toBe(false);
+    });
+  });
+
+  describe('delivery status', () => {
+    it('tracks Twilio status callbacks', async () => {
+      const reservation = await callHandlerService.createReservation(createCallState(), business, AVAILABLE);
+      const { sid } = transport.sent[0];
+
+      await smsService.handleStatusCallback({ MessageSid: sid, MessageStatus: 'delivered' });
+
+      expect(reservation.messages[0].status).toBe('delivered');
+      expect(reservation.messages[0].errorCode).toBeUndefined();
+      expect(logger.warn).not.toHaveBeenCalled();
+    });
+
+    it('records undelivered messages with the error code', async () => {
+      const reservation = await callHandlerService.createReservation(createCallState(), business, AVAILABLE);
+      const { sid } = transport.sent[0];
+
+      await smsService.handleStatusCallback({ MessageSid: sid, MessageStatus: 'undelivered', ErrorCode: '30006' });
+
+      expect(reservation.messages[0]).toMatchObject({ status: 'undelivered', errorCode: '30006' });
+      expect(logger.warn).toHaveBeenCalledWith('Reservation SMS not delivered', expect.objectContaining({
+        sid,
+        errorCode: '30006',
+        reservationId: reservation._id
+      }));
+    });
+
+    it('ignores callbacks for unknown or incomplete messages', async () => {
+      expect(await smsService.handleStatusCallback({ MessageSid: 'SM404', MessageStatus: 'delivered' })).toBeNull();
+      expect(await smsService.handleStatusCallback({ MessageSid: 'SM404' })).toBeNull();
+    });
+  });
+
+  describe('when sending fails', () => {
+    beforeEach(() => {
+      const error = new Error('The \'To\' number is not a valid phone number.');
+      error.code = 21211;
+      jest.spyOn(transport, 'send').mockRejectedValue(error);
+    });
+
+    it('still creates the reservation', async () => {
+      const reservation = await callHandlerService.createReservation(createCallState(), business, AVAILABLE);
+
+      expect(reservation).toBeTruthy();
+      expect(Reservation.create).toHaveBeenCalled();
+      expect(rollupService.recordReservation).toHaveBeenCalledWith(reservation, business);
+    });
+
+    it('does not mark the confirmation as sent', async () => {
+      const reservation = await callHandlerService.createReservation(createCallState(), business, AVAILABLE);
+
+      expect(reservation.confirmationSent).toBe(false);
+      expect(reservation.messages).toHaveLength(0);
+    });
+
+    it('logs a twilio error for the business', async () => {
+      const reservation = await callHandlerService.createReservation(createCallState(), business, AVAILABLE);
+
+      expect(ErrorModel.logError).toHaveBeenCalledWith(expect.objectContaining({
+        category: 'twilio',
+        code: 21211,
+        message: 'Reservation SMS failed: The \'To\' number is not a valid phone number.',
+        details: { reservationId: reservation._id, kind: 'confirmation', to: '+972501234567' },
+        business: business._id
+      }));
+    });
+  });
+});
+
+describe('SmsService configuration', () => {
+  const CONFIG_ENV = ['NODE_ENV', 'SMS_TRANSPORT', 'TWILIO_ACCOUNT_SID', 'TWILIO_AUTH_TOKEN', 'RESERVATION_LINK_SECRET', 'JWT_SECRET'];
+  const saved = { ...process.env };
+
+  /**
+   * Load a fresh SMS service with the given environment
+   */
+  const loadService = (env = {}) => {
+    for (const key of CONFIG_ENV) delete process.env[key];
+    Object.assign(process.env, env);
+
+    let service;
+    jest.isolateModules(() => {
+      service = require('../sms.service');
+    });
+    return service;
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    process.env = { ...saved };
+    jest.restoreAllMocks();
+  });
+
+  it('refuses the fake transport in production unless chosen', () => {
+    expect(() => loadService({ NODE_ENV: 'production', RESERVATION_LINK_SECRET: 'secret' }))
+      .toThrow('TWILIO_ACCOUNT_SID and TWILIO_AUTH_TOKEN must be set for SMS in production');
+    expect(() => loadService({ NODE_ENV: 'production', SMS_TRANSPORT: 'twilio', RESERVATION_LINK_SECRET: 'secret' }))
+      .toThrow('TWILIO_ACCOUNT_SID and TWILIO_AUTH_TOKEN must be set for SMS in production');
+
+    const service = loadService({ NODE_ENV: 'production', SMS_TRANSPORT: 'fake', RESERVATION_LINK_SECRET: 'secret' });
+    expect(service.transport).toBeInstanceOf(service.FakeSmsTransport);
+  });
+
+  it('refuses to start in production without a link secret', () => {
+    expect(() => loadService({
+      NODE_ENV: 'production',
+      TWILIO_ACCOUNT_SID: 'ACtest',
+      TWILIO_AUTH_TOKEN: 'token',
+      JWT_SECRET: 'jwt-secret'
+    })).toThrow('RESERVATION_LINK_SECRET must be set in production');
+  });
+
+  it('signs links with RESERVATION_LINK_SECRET, never the JWT secret', () => {
+    const withJwt = loadService({ JWT_SECRET: 'jwt-secret' });
+    const other = loadService({ JWT_SECRET: 'jwt-secret' });
+
+    expect(withJwt.sign('cancel', 'r1')).not.toBe(other.sign('cancel', 'r1'));
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('RESERVATION_LINK_SECRET not set'));
+
+    const a = loadService({ RESERVATION_LINK_SECRET: 'link-secret' });
+    const b = loadService({ RESERVATION_LINK_SECRET: 'link-secret' });
+    expect(a.sign('cancel', 'r1')).toBe(b.sign('cancel', 'r1'));
+  });
+});
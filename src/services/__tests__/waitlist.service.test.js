@@ -0,0 +1,127 @@
+jest.mock('../../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const moment = require('moment-timezone');
+const { Business, Reservation, WaitlistEntry } = require('../../models');
+const smsService = require('../sms.service');
+const rollupService = require('../rollup.service');
+const waitlistService = require('../waitlist.service');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('WaitlistService', () => {
+  let business;
+  let entry;
+
+  beforeEach(() => {
+    business = new Business({
+      name: 'Cafe Yafo',
+      nameHebrew: 'קפה יפו',
+      waitlistSettings: { enabled: true, claimMinutes: 30 }
+    });
+    entry = new WaitlistEntry({
+      business: business._id,
+      customerName: 'דנה',
+      customerPhone: '0501234567',
+      date: new Date(Date.now() + 24 * HOUR),
+      time: '20:00',
+      partySize: 4,
+      expiresAt: new Date(Date.now() + 24 * HOUR)
+    });
+
+    jest.spyOn(entry, 'save').mockResolvedValue(entry);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('notify', () => {
+    it('holds the slot once the offer is sent', async () => {
+      jest.spyOn(smsService, 'sendWaitlistOffer').mockResolvedValue('SM123');
+
+      const notified = await waitlistService.notify(entry, business);
+
+      expect(notified).toBe(entry);
+      expect(entry.status).toBe('notified');
+      expect(entry.notificationSid).toBe('SM123');
+      expect(entry.claimExpiresAt.getTime()).toBeLessThanOrEqual(Date.now() + 30 * 60 * 1000);
+    });
+
+    it('leaves the entry waiting when the SMS fails', async () => {
+      jest.spyOn(smsService, 'sendWaitlistOffer').mockResolvedValue(null);
+
+      const notified = await waitlistService.notify(entry, business);
+
+      expect(notified).toBeNull();
+      expect(entry.status).toBe('waiting');
+      expect(entry.claimExpiresAt).toBeUndefined();
+      expect(entry.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('claim', () => {
+    beforeEach(() => {
+      entry.status = 'claimed';
+      entry.claimedAt = new Date();
+      jest.spyOn(WaitlistEntry, 'findOneAndUpdate').mockResolvedValue(entry);
+      jest.spyOn(WaitlistEntry, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(Business, 'findById').mockResolvedValue(business);
+      jest.spyOn(Reservation, 'checkAvailability').mockResolvedValue({ available: true, time: '20:00', table: null });
+      jest.spyOn(rollupService, 'recordReservation').mockResolvedValue();
+      jest.spyOn(smsService, 'sendReservationSms').mockResolvedValue(null);
+    });
+
+    it('books the slot', async () => {
+      const reservation = new Reservation({ business: business._id });
+      jest.spyOn(Reservation, 'create').mockResolvedValue(reservation);
+
+      const result = await waitlistService.claim(entry._id);
+
+      expect(result.claimed).toBe(true);
+      expect(entry.reservation).toEqual(reservation._id);
+      expect(WaitlistEntry.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('gives the offer back when the reservation cannot be created', async () => {
+      jest.spyOn(Reservation, 'create').mockRejectedValue(new Error('write conflict'));
+
+      await expect(waitlistService.claim(entry._id)).rejects.toThrow('write conflict');
+
+      expect(WaitlistEntry.updateOne).toHaveBeenCalledWith(
+        { _id: entry._id, status: 'claimed' },
+        { $set: { status: 'notified' }, $unset: { claimedAt: 1 } }
+      );
+    });
+  });
+});
+
+describe('WaitlistService.addEntry', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('keeps the day in a timezone west of UTC', async () => {
+    const business = new Business({ name: 'Cafe Yafo', nameHebrew: 'קפה יפו', timezone: 'America/New_York' });
+    const day = new Date(Date.now() + 7 * 24 * HOUR).toISOString().slice(0, 10);
+
+    jest.spyOn(WaitlistEntry, 'findOne').mockResolvedValue(null);
+    jest.spyOn(WaitlistEntry, 'countDocuments').mockResolvedValue(0);
+    jest.spyOn(WaitlistEntry, 'create').mockImplementation(async (data) => new WaitlistEntry(data));
+
+    const entry = await waitlistService.addEntry(business, {
+      customerName: 'Dana',
+      customerPhone: '+12125550100',
+      date: day,
+      time: '19:00',
+      partySize: 2
+    });
+
+    expect(moment(entry.date).tz('America/New_York').format('YYYY-MM-DD')).toBe(day);
+    expect(moment(entry.expiresAt).tz('America/New_York').format('YYYY-MM-DD HH:mm')).toBe(`${day} 19:00`);
+  });
+});
@@ -0,0 +1,281 @@
+/**
+ * Audio Storage Service
+ * Durable storage for synthesized audio served to Twilio <Play>
+ * Local filesystem by default, Google Cloud Storage optional
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+const CONTENT_TYPES = {
+  mp3: 'audio/mpeg',
+  ulaw: 'audio/basic',
+  wav: 'audio/wav'
+};
+
+/**
+ * Local filesystem backend
+ */
+class LocalAudioBackend {
+  constructor(directory) {
+    this.directory = path.resolve(directory);
+    fs.mkdirSync(this.directory, { recursive: true });
+  }
+
+  filePath(key) {
+    return path.join(this.directory, key);
+  }
+
+  async put(key, buffer) {
+    await fs.promises.writeFile(this.filePath(key), buffer);
+  }
+
+  async stat(key) {
+    try {
+      const stats = await fs.promises.stat(this.filePath(key));
+      return { size: stats.size, updatedAt: stats.mtime };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  createReadStream(key, range = {}) {
+    return fs.createReadStream(this.filePath(key), range);
+  }
+
+  async remove(key) {
+    await fs.promises.rm(this.filePath(key), { force: true });
+  }
+
+  async removeOlderThan(cutoff) {
+    const files = await fs.promises.readdir(this.directory);
+    let removed = 0;
+
+    for (const file of files) {
+      const stats = await fs.promises.stat(path.join(this.directory, file));
+      if (stats.mtime < cutoff) {
+        await this.remove(file);
+        removed++;
+      }
+    }
+
+    return removed;
+  }
+}
+
+/**
+ * Google Cloud Storage backend
+ * Requires the @google-cloud/storage package to be installed
+ */
+class GCSAudioBackend {
+  constructor(bucketName, prefix = 'audio/') {
+    let Storage;
+    try {
+      ({ Storage } = require('@google-cloud/storage'));
+    } catch (error) {
+      throw new Error('AUDIO_STORAGE_DRIVER=gcs requires the @google-cloud/storage package');
+    }
+
+    if (!bucketName) {
+      throw new Error('AUDIO_STORAGE_BUCKET is required for the gcs audio storage driver');
+    }
+
+    this.bucket = new Storage().bucket(bucketName);
+    this.prefix = prefix;
+  }
+
+  file(key) {
+    return this.bucket.file(`${this.prefix}${key}`);
+  }
+
+  async put(key, buffer, contentType) {
+    await this.file(key).save(buffer, { contentType, resumable: false });
+  }
+
+  async stat(key) {
+    try {
+      const [metadata] = await this.file(key).getMetadata();
+      return { size: parseInt(metadata.size), updatedAt: new Date(metadata.updated) };
+    } catch (error) {
+      if (error.code === 404) return null;
+      throw error;
+    }
+  }
+
+  createReadStream(key, range = {}) {
+    return this.file(key).createReadStream(range);
+  }
+
+  async remove(key) {
+    await this.file(key).delete({ ignoreNotFound: true });
+  }
+
+  async removeOlderThan(cutoff) {
+    const [files] = await this.bucket.getFiles({ prefix: this.prefix });
+    let removed = 0;
+
+    for (const file of files) {
+      if (new Date(file.metadata.updated) < cutoff) {
+        await file.delete({ ignoreNotFound: true });
+        removed++;
+      }
+    }
+
+    return removed;
+  }
+}
+
+class AudioStorageService {
+  constructor() {
+    this.driver = process.env.AUDIO_STORAGE_DRIVER || 'local';
+    this.backend = null;
+
+    // Signed URLs stop tenants from enumerating each other's audio
+    this.secret = process.env.AUDIO_URL_SECRET || process.env.JWT_SECRET;
+    if (!this.secret) {
+      this.secret = crypto.randomBytes(32).toString('hex');
+      console.warn('⚠️ AUDIO_URL_SECRET not set - audio URLs will not survive a restart');
+    }
+    this.urlTTL = parseInt(process.env.AUDIO_URL_TTL_SECONDS || 3600);
+
+    // Stored files older than this are removed by the cleanup job
+    this.retentionHours = parseInt(process.env.AUDIO_RETENTION_HOURS || 24);
+    this.cleanupTimer = null;
+  }
+
+  /**
+   * Lazily create the configured backend
+   */
+  getBackend() {
+    if (!this.backend) {
+      this.backend = this.driver === 'gcs'
+        ? new GCSAudioBackend(process.env.AUDIO_STORAGE_BUCKET)
+        : new LocalAudioBackend(process.env.AUDIO_STORAGE_DIR || 'storage/audio');
+    }
+    return this.backend;
+  }
+
+  /**
+   * Build a storage key from a content hash and encoding
+   */
+  buildKey(hash, encoding = 'MP3') {
+    const extension = encoding === 'MULAW' ? 'ulaw' : encoding === 'LINEAR16' ? 'wav' : 'mp3';
+    return `${hash}.${extension}`;
+  }
+
+  /**
+   * Validate a key so it can't escape the storage directory
+   */
+  isValidKey(key) {
+    return /^[a-f0-9]{32}\.(mp3|ulaw|wav)$/.test(key);
+  }
+
+  /**
+   * Get content type for a key
+   */
+  getContentType(key) {
+    return CONTENT_TYPES[path.extname(key).slice(1)] || 'application/octet-stream';
+  }
+
+  /**
+   * Store audio
+   * Skips the write if a fresh copy is already stored, and rewrites
+   * older copies so cleanup doesn't remove audio that is still in use
+   */
+  async save(key, buffer) {
+    const backend = this.getBackend();
+    const existing = await backend.stat(key);
+    const refreshAfter = this.retentionHours * 60 * 60 * 1000 / 2;
+    if (existing && Date.now() - existing.updatedAt.getTime() < refreshAfter) return;
+
+    await backend.put(key, buffer, this.getContentType(key));
+  }
+
+  /**
+   * Get stored audio size and metadata, or null if missing
+   */
+  async stat(key) {
+    const stats = await this.getBackend().stat(key);
+    if (!stats) return null;
+
+    return { ...stats, contentType: this.getContentType(key) };
+  }
+
+  /**
+   * Open a read stream, optionally for a byte range
+   */
+  createReadStream(key, range) {
+    return this.getBackend().createReadStream(key, range);
+  }
+
+  /**
+   * Sign a key with an expiry timestamp
+   */
+  sign(key, expires) {
+    return crypto
+      .createHmac('sha256', this.secret)
+      .update(`${key}:${expires}`)
+      .digest('hex');
+  }
+
+  /**
+   * Get a signed, expiring URL for a stored key
+   */
+  getSignedUrl(key, ttlSeconds = this.urlTTL) {
+    const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+    const signature = this.sign(key, expires);
+    return `${process.env.API_URL}/api/audio/${key}?expires=${expires}&signature=${signature}`;
+  }
+
+  /**
+   * Verify a signed URL's expiry and signature
+   */
+  verifySignature(key, expires, signature) {
+    if (!expires || !signature) return false;
+    if (parseInt(expires) < Math.floor(Date.now() / 1000)) return false;
+
+    const expected = Buffer.from(this.sign(key, expires));
+    const received = Buffer.from(String(signature));
+
+    return expected.length === received.length &&
+           crypto.timingSafeEqual(expected, received);
+  }
+
+  /**
+   * Remove audio older than the retention period
+   */
+  async cleanup() {
+    const cutoff = new Date(Date.now() - this.retentionHours * 60 * 60 * 1000);
+
+    try {
+      const removed = await this.getBackend().removeOlderThan(cutoff);
+      if (removed > 0) {
+        logger.info('Audio storage cleanup completed', { removed });
+      }
+      return removed;
+    } catch (error) {
+      logger.error('Audio storage cleanup error:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Run cleanup periodically
+   */
+  startCleanup(intervalMs = 60 * 60 * 1000) {
+    if (this.cleanupTimer) return;
+
+    this.cleanupTimer = setInterval(() => this.cleanup(), intervalMs);
+    this.cleanupTimer.unref();
+  }
+
+  stopCleanup() {
+    clearInterval(this.cleanupTimer);
+    this.cleanupTimer = null;
+  }
+}
+
+module.exports = new AudioStorageService();
@@ -5,11 +5,19 @@
  */
 
 const twilio = require('twilio');
+const moment = require('moment-timezone');
 const logger = require('../utils/logger');
+const { Trace } = require('../utils/tracing');
 const sttService = require('./stt.service');
 const ttsService = require('./tts.service');
 const gptService = require('./gpt.service');
-const { Business, Call, Reservation, Error: ErrorModel } = require('../models');
+const { createCallStateStore } = require('./callState.service');
+const emailService = require('./email.service');
+const smsService = require('./sms.service');
+const waitlistService = require('./waitlist.service');
+const postCallService = require('./postCall.service');
+const rollupService = require('./rollup.service');
+const { Call, Reservation, CallbackRequest, Error: ErrorModel } = require('../models');
 
 class CallHandlerService {
   constructor() {
@@ -24,12 +32,14 @@ class CallHandlerService {
       console.warn('⚠️ Twilio credentials not set - Call handler will not work');
     }
 
-    // Active calls storage (in production, use Redis)
-    this.activeCalls = new Map();
-
     // Conversation timeout (silence detection)
     this.conversationTimeout = 10000; // 10 seconds
     this.maxCallDuration = 600000; // 10 minutes
+
+    // Active call state, shared across instances (expires after maxCallDuration)
+    this.callStates = createCallStateStore({
+      maxCallDuration: this.maxCallDuration
+    });
   }
 
   /**
@@ -55,9 +65,10 @@ class CallHandlerService {
       });
 
       // Initialize call state
-      this.activeCalls.set(CallSid, {
+      await this.callStates.set(CallSid, {
         callId: call._id,
         businessId: business._id,
+        callerNumber: From,
         conversation: [],
         currentIntent: null,
         reservationData: {},
@@ -65,14 +76,27 @@ class CallHandlerService {
         startTime
       });
 
+      // Closed businesses take a message instead of running the conversation
+      if (this.isAfterHours(business)) {
+        return this.handleAfterHoursCall(CallSid, business);
+      }
+
+      // Media Streams mode - the stream session greets the caller
+      if (business.voiceConfig?.conversationMode === 'stream') {
+        return this.handleStreamCall(CallSid, business, From);
+      }
+
       // Generate greeting
       const greeting = this.generateGreeting(business);
 
       // Pre-synthesize greeting for faster response
+      const usage = {};
       const audioUrl = await ttsService.generateAudioUrl(greeting, {
         businessId: business._id,
-        gender: business.botPersonality?.gender || 'female'
+        gender: business.botPersonality?.gender || 'female',
+        usage
       });
+      await this.recordTtsUsage(CallSid, usage.ttsCharacters);
 
       // Build TwiML response
       const twiml = new twilio.twiml.VoiceResponse();
@@ -136,74 +160,213 @@ class CallHandlerService {
   }
 
   /**
-   * Handle speech response from caller
+   * Connect the call to a bidirectional media stream
    */
-  async handleSpeechResponse(params, business) {
-    const { CallSid, SpeechResult, Confidence } = params;
-    const callState = this.activeCalls.get(CallSid);
+  handleStreamCall(callSid, business, caller) {
+    const streamUrl = `${process.env.API_URL.replace(/^http/, 'ws')}/media-stream`;
 
-    if (!callState) {
-      logger.warn('No active call state found', { CallSid });
-      return this.handleCallEnd(CallSid, 'no-state');
-    }
+    const twiml = new twilio.twiml.VoiceResponse();
+    const connect = twiml.connect();
+    const stream = connect.stream({ url: streamUrl });
+    stream.parameter({ name: 'botId', value: business.botId });
+
+    logger.info('Incoming call connected to media stream', {
+      callSid,
+      businessId: business._id,
+      caller
+    });
+
+    this.emitCallEvent('call:started', {
+      callSid,
+      businessId: business._id,
+      caller,
+      timestamp: new Date()
+    });
 
+    return twiml.toString();
+  }
+
+  /**
+   * Run one conversation turn
+   * Shared by the Gather webhook flow and the media stream flow
+   * @param {Trace} trace - Gets the turn's spans; the caller adds TTS and stores it (recordTurnTrace)
+   * @returns {Object} { action: 'respond'|'transfer'|'end', text, reason, callState, goodbyeMessage }
+   */
+  async processTurn(callSid, speechResult, confidence, business, trace = new Trace()) {
     const startTime = Date.now();
 
-    try {
-      // Log user input
-      callState.conversation.push({
+    // Log user input
+    let callState = await this.callStates.update(callSid, (state) => {
+      state.conversation.push({
         role: 'user',
-        content: SpeechResult,
+        content: speechResult,
         timestamp: new Date(),
-        confidence: parseFloat(Confidence)
+        confidence
       });
-      callState.turnCount++;
+      state.turnCount++;
+    });
 
-      // Generate AI response
-      const gptResponse = await gptService.generateResponse({
-        userMessage: SpeechResult,
-        conversationHistory: callState.conversation,
-        business,
-        callContext: {
-          turnCount: callState.turnCount,
-          currentIntent: callState.currentIntent,
-          reservationData: callState.reservationData
-        }
-      });
+    if (!callState) {
+      logger.warn('No active call state found', { callSid });
+      return { action: 'end', reason: 'no-state', callState: null };
+    }
 
-      // Update call state
-      callState.currentIntent = gptResponse.intent;
-      if (gptResponse.extractedData) {
-        callState.reservationData = {
-          ...callState.reservationData,
-          ...gptResponse.extractedData
-        };
+    // Callers who want to cancel or change a booking get it looked up first
+    if (!callState.reminder) {
+      callState = await trace.span('extraction', () =>
+        this.loadCallerReservations(callSid, speechResult, callState, business));
+    }
+
+    // Generate AI response - the model checks and books slots through tool calls
+    const gptResponse = await gptService.generateResponse({
+      userMessage: speechResult,
+      conversationHistory: callState.conversation,
+      business,
+      toolHandler: (name, args) => this.executeTool(callSid, name, args, business),
+      trace,
+      callContext: {
+        turnCount: callState.turnCount,
+        currentIntent: callState.currentIntent,
+        reservationData: callState.reservationData,
+        reminder: callState.reminder,
+        manage: callState.manage,
+        alternatives: callState.availabilityAlternatives,
+        waitlistOffer: callState.waitlistOffer
       }
+    });
+
+    // Update call state and log assistant response
+    callState = await this.callStates.update(callSid, (state) => {
+      state.currentIntent = gptResponse.intent;
 
-      // Log assistant response
-      callState.conversation.push({
+      // Consecutive turns the bot could not handle
+      const failed = gptResponse.error || confidence < 0.3;
+      state.failedTurns = failed ? (state.failedTurns || 0) + 1 : 0;
+
+      state.conversation.push({
         role: 'assistant',
         content: gptResponse.text,
         timestamp: new Date(),
         intent: gptResponse.intent,
-        tokens: gptResponse.tokensUsed
+        tokens: gptResponse.tokensUsed,
+        promptTokens: gptResponse.usage?.promptTokens || 0,
+        completionTokens: gptResponse.usage?.completionTokens || 0,
+        model: gptResponse.model,
+        source: gptResponse.source,
+        responseTime: gptResponse.responseTime
       });
 
-      // Check if we should create a reservation
-      if (this.shouldCreateReservation(callState)) {
-        await this.createReservation(callState, business);
+      // FAQ and knowledge embeddings are priced with the call's side usage
+      if (gptResponse.embeddingUsage?.length) {
+        state.llmUsage = [...(state.llmUsage || []), ...gptResponse.embeddingUsage];
       }
+    });
+
+    if (!callState) {
+      logger.warn('Call state expired during turn', { callSid });
+      return { action: 'end', reason: 'timeout', callState: null };
+    }
+
+    // Hand off to a human if the caller asked for one or the bot keeps failing
+    const transferReason = this.getTransferReason(gptResponse, callState, business);
+    if (transferReason) {
+      return { action: 'transfer', reason: transferReason, callState };
+    }
+
+    // Reminder calls confirm, cancel or change an existing reservation
+    if (callState.reminder) {
+      const outcome = await this.handleReminderTurn(callSid, speechResult, callState, business);
+      if (outcome) return outcome;
+    } else if (callState.manage) {
+      const outcome = await this.handleManageTurn(callSid, speechResult, callState, business);
+      if (outcome) return outcome;
+    } else if (callState.waitlistOffer && !gptResponse.toolCalls?.length &&
+      this.wantsWaitlist(speechResult, callState)) {
+      return this.joinWaitlist(callSid, callState, business);
+    }
+
+    // Check if conversation should end
+    if (this.shouldEndCall(gptResponse, callState)) {
+      return { action: 'end', reason: 'completed', callState };
+    }
+
+    logger.info('Speech response handled', {
+      callSid,
+      responseTime: Date.now() - startTime,
+      intent: gptResponse.intent,
+      model: gptResponse.model
+    });
+
+    // Emit real-time event
+    this.emitCallEvent('call:turn', {
+      callSid,
+      businessId: business._id,
+      userMessage: speechResult,
+      botResponse: gptResponse.text,
+      intent: gptResponse.intent,
+      turnCount: callState.turnCount
+    });
+
+    return { action: 'respond', text: gptResponse.text, callState };
+  }
+
+  /**
+   * Log a failed conversation turn
+   * Never throws - the caller still has to hear an apology
+   */
+  async logTurnError(error, callSid, speechResult, business) {
+    logger.error('Error handling speech response:', error);
+
+    try {
+      const callState = await this.callStates.get(callSid).catch(() => null);
+
+      await ErrorModel.logError({
+        category: 'system',
+        severity: 'high',
+        message: error.message,
+        stack: error.stack,
+        details: { CallSid: callSid, SpeechResult: speechResult },
+        business: business._id,
+        call: callState?.callId
+      });
+    } catch (logError) {
+      logger.error('Error logging failed turn:', logError);
+    }
+  }
+
+  /**
+   * Handle speech response from caller
+   */
+  async handleSpeechResponse(params, business, trace = new Trace()) {
+    const { CallSid, SpeechResult, Confidence } = params;
+
+    try {
+      const turn = await this.processTurn(CallSid, SpeechResult, parseFloat(Confidence), business, trace);
 
-      // Check if conversation should end
-      if (this.shouldEndCall(gptResponse, callState)) {
-        return this.handleCallEnd(CallSid, 'completed', callState, business);
+      if (turn.action !== 'respond') {
+        const callState = await this.recordTurnTrace(CallSid, trace) || turn.callState;
+
+        if (turn.action === 'transfer') {
+          return this.handleTransfer(CallSid, callState, business, turn.reason);
+        }
+
+        // Without a state there is nothing left to say goodbye for
+        return this.handleCallEnd(CallSid, turn.reason, callState, callState ? business : undefined, {
+          goodbyeMessage: turn.goodbyeMessage
+        });
       }
 
       // Synthesize response
-      const audioUrl = await ttsService.generateAudioUrl(gptResponse.text, {
+      const usage = {};
+      const ttsStart = Date.now();
+      const audioUrl = await ttsService.generateAudioUrl(turn.text, {
         businessId: business._id,
-        gender: business.botPersonality?.gender || 'female'
+        gender: business.botPersonality?.gender || 'female',
+        usage
       });
+      // Only synthesized characters are counted, so none means a cache hit
+      trace.record('tts', ttsStart, { cached: !usage.ttsCharacters });
+      await this.recordTurnTrace(CallSid, trace, usage.ttsCharacters);
 
       // Build TwiML response
       const twiml = new twilio.twiml.VoiceResponse();
@@ -223,37 +386,10 @@ class CallHandlerService {
       // Timeout handler
       twiml.redirect(`${process.env.API_URL}/webhook/${business.botId}/timeout`);
 
-      logger.info('Speech response handled', {
-        callSid: CallSid,
-        responseTime: Date.now() - startTime,
-        intent: gptResponse.intent,
-        model: gptResponse.model
-      });
-
-      // Emit real-time event
-      this.emitCallEvent('call:turn', {
-        callSid: CallSid,
-        businessId: business._id,
-        userMessage: SpeechResult,
-        botResponse: gptResponse.text,
-        intent: gptResponse.intent,
-        turnCount: callState.turnCount
-      });
-
       return twiml.toString();
 
     } catch (error) {
-      logger.error('Error handling speech response:', error);
-
-      await ErrorModel.logError({
-        category: 'system',
-        severity: 'high',
-        message: error.message,
-        stack: error.stack,
-        details: { CallSid, SpeechResult },
-        business: business._id,
-        call: callState?.callId
-      });
+      await this.logTurnError(error, CallSid, SpeechResult, business);
 
       // Try to recover with a generic response
       const twiml = new twilio.twiml.VoiceResponse();
@@ -274,20 +410,115 @@ class CallHandlerService {
     }
   }
 
+  /**
+   * Add synthesized characters to the call's last bot turn
+   * Calls without a live state (answering-machine reminders) count them on the call record
+   */
+  async recordTtsUsage(callSid, characters) {
+    if (!characters) return;
+
+    const state = await this.callStates.update(callSid, (state) => {
+      const turn = [...state.conversation].reverse().find(t => t.role === 'assistant');
+      if (turn) {
+        turn.ttsCharacters = (turn.ttsCharacters || 0) + characters;
+      } else {
+        state.ttsCharacters = (state.ttsCharacters || 0) + characters;
+      }
+    });
+
+    if (!state) {
+      await Call.updateOne({ twilioCallSid: callSid }, { $inc: { 'metrics.ttsCharacters': characters } });
+    }
+  }
+
+  /**
+   * Store a turn's trace, and the characters synthesized for it, on the last bot turn
+   * @returns {Object|null} The updated call state
+   */
+  async recordTurnTrace(callSid, trace, ttsCharacters = 0) {
+    return this.callStates.update(callSid, (state) => {
+      const turn = [...state.conversation].reverse().find(t => t.role === 'assistant');
+      if (!turn) return;
+
+      turn.trace = trace.finish();
+      turn.responseTime = turn.trace.total;
+      if (ttsCharacters) {
+        turn.ttsCharacters = (turn.ttsCharacters || 0) + ttsCharacters;
+      }
+    });
+  }
+
+  /**
+   * Call totals for Call.metrics from the turns and side calls
+   * @param {Array} sideUsage - Completions outside the turns ({ purpose, model, promptTokens, completionTokens })
+   * @returns {Object} { ttsCharacters, gptTokensInput, gptTokensOutput, gptModel, faqAnswers, llmUsage }
+   */
+  buildUsageMetrics(callState, sideUsage = [], extraTtsCharacters = 0) {
+    const turns = callState.conversation.filter(t => t.role === 'assistant');
+
+    const entries = [
+      ...turns
+        .filter(t => t.source === 'gpt')
+        .map(t => ({
+          purpose: 'conversation',
+          model: t.model,
+          promptTokens: t.promptTokens || 0,
+          completionTokens: t.completionTokens || 0
+        })),
+      ...(callState.llmUsage || []),
+      ...sideUsage
+    ];
+
+    const byKey = new Map();
+    for (const entry of entries) {
+      const key = `${entry.purpose}:${entry.model}`;
+      const total = byKey.get(key) || {
+        purpose: entry.purpose,
+        model: entry.model,
+        calls: 0,
+        promptTokens: 0,
+        completionTokens: 0
+      };
+      total.calls++;
+      total.promptTokens += entry.promptTokens || 0;
+      total.completionTokens += entry.completionTokens || 0;
+      byKey.set(key, total);
+    }
+    const llmUsage = [...byKey.values()];
+
+    // Most tokens, summed over purposes
+    const tokensByModel = {};
+    for (const entry of llmUsage) {
+      tokensByModel[entry.model] = (tokensByModel[entry.model] || 0) +
+        entry.promptTokens + entry.completionTokens;
+    }
+    const gptModel = Object.keys(tokensByModel)
+      .sort((a, b) => tokensByModel[b] - tokensByModel[a])[0];
+
+    return {
+      ttsCharacters: turns.reduce((sum, t) => sum + (t.ttsCharacters || 0), 0) +
+        (callState.ttsCharacters || 0) + extraTtsCharacters,
+      gptTokensInput: llmUsage.reduce((sum, entry) => sum + entry.promptTokens, 0),
+      gptTokensOutput: llmUsage.reduce((sum, entry) => sum + entry.completionTokens, 0),
+      gptModel,
+      faqAnswers: turns.filter(t => t.source === 'faq').length,
+      llmUsage
+    };
+  }
+
   /**
    * Handle call timeout (silence)
    */
   async handleTimeout(params, business) {
     const { CallSid } = params;
-    const callState = this.activeCalls.get(CallSid);
+
+    // Check if we've had multiple timeouts
+    const callState = await this.recordTimeout(CallSid);
 
     if (!callState) {
       return this.handleCallEnd(CallSid, 'timeout');
     }
 
-    // Check if we've had multiple timeouts
-    callState.timeoutCount = (callState.timeoutCount || 0) + 1;
-
     if (callState.timeoutCount >= 2) {
       return this.handleCallEnd(CallSid, 'timeout', callState, business);
     }
@@ -295,9 +526,12 @@ class CallHandlerService {
     const twiml = new twilio.twiml.VoiceResponse();
     
     const promptMessage = 'האם אתה עדיין שם?';
+    const usage = {};
     const audioUrl = await ttsService.generateAudioUrl(promptMessage, {
-      businessId: business._id
+      businessId: business._id,
+      usage
     });
+    await this.recordTtsUsage(CallSid, usage.ttsCharacters);
 
     twiml.play(audioUrl);
 
@@ -314,19 +548,34 @@ class CallHandlerService {
     return twiml.toString();
   }
 
+  /**
+   * Count a silence timeout on the call
+   * @returns {Object|null} Updated call state
+   */
+  async recordTimeout(callSid) {
+    return this.callStates.update(callSid, (state) => {
+      state.timeoutCount = (state.timeoutCount || 0) + 1;
+    });
+  }
+
   /**
    * Handle call end
+   * @param {Object} options - { goodbyeMessage } to override the business goodbye,
+   *                           { silent } when the caller already hung up
    */
-  async handleCallEnd(callSid, reason, callState, business) {
+  async handleCallEnd(callSid, reason, callState, business, options = {}) {
     try {
       const twiml = new twilio.twiml.VoiceResponse();
+      const ttsUsage = {};
 
       // Generate goodbye if we have business context
-      if (business) {
-        const goodbye = business.botPersonality?.goodbyeMessage || 
+      if (business && !options.silent) {
+        const goodbye = options.goodbyeMessage ||
+                       business.botPersonality?.goodbyeMessage || 
                        'תודה שהתקשרת. יום נעים!';
         const audioUrl = await ttsService.generateAudioUrl(goodbye, {
-          businessId: business._id
+          businessId: business._id,
+          usage: ttsUsage
         });
         twiml.play(audioUrl);
       }
@@ -340,24 +589,6 @@ class CallHandlerService {
           const endTime = Date.now();
           const duration = Math.round((endTime - callState.startTime) / 1000);
 
-          // Generate summary
-          let summary = '';
-          if (callState.conversation.length > 0) {
-            summary = await gptService.generateCallSummary(
-              callState.conversation,
-              business
-            );
-          }
-
-          // Detect missing info
-          let missingInfo = [];
-          if (business.aiConfig?.enableAutoFAQ) {
-            missingInfo = await gptService.detectMissingInfo(
-              callState.conversation,
-              business
-            );
-          }
-
           // Update call
           call.status = 'completed';
           call.endReason = reason;
@@ -366,18 +597,15 @@ class CallHandlerService {
           call.talkTime = duration;
           call.conversation = callState.conversation;
           call.turnCount = callState.turnCount;
-          call.summary = summary;
-          call.summaryHebrew = summary;
-          call.primaryIntent = callState.currentIntent || 'general';
-          call.missingInfoDetected = missingInfo.map(info => ({
-            ...info,
-            timestamp: new Date()
-          }));
-
-          // Calculate metrics
+          call.primaryIntent = this.getPrimaryIntent(callState.currentIntent);
+          if (callState.transfer) {
+            call.transfer = callState.transfer;
+          }
+
+          // Calculate metrics - response times are the traced turn totals
           const responseTimes = callState.conversation
-            .filter(t => t.role === 'assistant')
-            .map(t => t.responseTime || 0);
+            .filter(t => t.role === 'assistant' && t.responseTime)
+            .map(t => t.responseTime);
 
           call.metrics = {
             avgResponseTime: responseTimes.length > 0 
@@ -387,32 +615,21 @@ class CallHandlerService {
             sttAccuracy: callState.conversation
               .filter(t => t.role === 'user' && t.confidence)
               .reduce((acc, t) => acc + t.confidence, 0) / 
-              callState.conversation.filter(t => t.role === 'user').length || 0
+              callState.conversation.filter(t => t.role === 'user').length || 0,
+            ...this.buildUsageMetrics(callState, [], ttsUsage.ttsCharacters)
           };
 
           await call.save();
 
-          // Update business stats
-          await this.updateBusinessStats(business._id, call);
-
-          // Add missing info to business
-          if (missingInfo.length > 0) {
-            await Business.findByIdAndUpdate(business._id, {
-              $push: {
-                missingInfo: {
-                  $each: missingInfo.map(info => ({
-                    ...info,
-                    detectedAt: new Date()
-                  }))
-                }
-              }
-            });
-          }
+          // Summary, sentiment, missing info, stats and alerts - the state is cleaned up either way
+          postCallService.enqueue(call._id).catch(error => {
+            logger.error('Post-call enqueue error:', error);
+          });
         }
       }
 
       // Cleanup
-      this.activeCalls.delete(callSid);
+      await this.callStates.delete(callSid);
 
       // Emit event
       this.emitCallEvent('call:ended', {
@@ -451,7 +668,7 @@ class CallHandlerService {
 
       // Cleanup if call ended
       if (['completed', 'failed', 'busy', 'no-answer', 'canceled'].includes(CallStatus)) {
-        this.activeCalls.delete(CallSid);
+        await this.callStates.delete(CallSid);
       }
 
     } catch (error) {
@@ -460,179 +677,1395 @@ class CallHandlerService {
   }
 
   /**
-   * Generate greeting based on business and time
+   * Decide whether to transfer the caller to staff
+   * @returns {string|null} Transfer reason, or null to keep the bot talking
    */
-  generateGreeting(business) {
-    const timeGreeting = business.getTimeBasedGreeting();
-    const template = business.botPersonality?.greetingMessage || 
-                    'שלום! הגעת ל{businessName}. איך אוכל לעזור לך היום?';
-    
-    return `${timeGreeting}! ${template.replace('{businessName}', business.nameHebrew)}`;
-  }
+  getTransferReason(gptResponse, callState, business) {
+    if (callState.transfer || !business.canTransferNow()) return null;
 
-  /**
-   * Check if we should create a reservation
-   */
-  shouldCreateReservation(callState) {
-    const data = callState.reservationData;
-    return data.date && data.time && data.partySize && 
-           (data.customerName || data.customerPhone);
+    const settings = business.transferSettings;
+
+    if (settings.transferOnComplaint && gptResponse.intent === 'complaint') {
+      return 'complaint';
+    }
+
+    if ((callState.failedTurns || 0) >= settings.maxFailedTurns) {
+      return 'repeated-failures';
+    }
+
+    if (gptResponse.action?.name === 'transfer_to_human') {
+      return 'caller-request';
+    }
+
+    return null;
   }
 
   /**
-   * Create reservation from call data
+   * Transfer the caller to staff with a whispered summary
    */
-  async createReservation(callState, business) {
-    try {
-      const data = callState.reservationData;
-
-      // Check availability
-      const availability = await Reservation.checkAvailability(
-        business._id,
-        new Date(data.date),
-        data.time,
-        data.partySize
-      );
+  async handleTransfer(callSid, callState, business, reason) {
+    const settings = business.transferSettings;
+    const baseUrl = `${process.env.API_URL}/webhook/${business.botId}`;
+
+    const usage = [];
+    const summary = settings.whisperSummary
+      ? await gptService.generateWhisperSummary(callState.conversation, business, usage)
+      : '';
+
+    const transfer = {
+      reason,
+      status: 'initiated',
+      numbers: settings.numbers.map(n => n.phone),
+      summary,
+      requestedAt: new Date()
+    };
+
+    await this.callStates.update(callSid, (state) => {
+      state.transfer = transfer;
+      state.llmUsage = [...(state.llmUsage || []), ...usage];
+    });
 
-      if (!availability.available) {
-        logger.info('Reservation slot not available', { data });
-        return null;
-      }
+    await Call.findByIdAndUpdate(callState.callId, {
+      transfer,
+      status: 'in-progress',
+      conversation: callState.conversation,
+      turnCount: callState.turnCount
+    });
 
-      // Create reservation
-      const reservation = await Reservation.create({
-        business: business._id,
-        call: callState.callId,
-        customerName: data.customerName || 'לקוח',
-        customerPhone: data.customerPhone || callState.callerNumber,
-        date: new Date(data.date),
-        time: data.time,
-        partySize: data.partySize,
-        specialRequests: data.specialRequests,
-        status: 'confirmed',
-        source: 'ai-bot'
-      });
+    const twiml = new twilio.twiml.VoiceResponse();
 
-      // Update call with reservation reference
-      await Call.findByIdAndUpdate(callState.callId, {
-        reservation: reservation._id
-      });
+    const ttsUsage = {};
+    const audioUrl = await ttsService.generateAudioUrl(settings.transferMessage, {
+      businessId: business._id,
+      gender: business.botPersonality?.gender || 'female',
+      usage: ttsUsage
+    });
+    await this.recordTtsUsage(callSid, ttsUsage.ttsCharacters);
+    twiml.play(audioUrl);
 
-      // Update business stats
-      await Business.findByIdAndUpdate(business._id, {
-        $inc: { 'stats.totalReservations': 1 }
-      });
+    // All numbers ring at once; the whisper plays to whoever answers
+    const dial = twiml.dial({
+      timeout: settings.ringTimeout,
+      action: `${baseUrl}/transfer-status`,
+      method: 'POST'
+    });
 
-      logger.info('Reservation created', {
-        reservationId: reservation._id,
-        businessId: business._id
-      });
+    for (const phone of transfer.numbers) {
+      if (summary) {
+        dial.number({
+          url: `${baseUrl}/whisper?parentCallSid=${encodeURIComponent(callSid)}`,
+          method: 'POST'
+        }, phone);
+      } else {
+        dial.number(phone);
+      }
+    }
 
-      // Emit event
-      this.emitCallEvent('reservation:created', {
-        reservationId: reservation._id,
-        businessId: business._id,
-        data
-      });
+    logger.info('Transferring call to staff', {
+      callSid,
+      businessId: business._id,
+      reason
+    });
 
-      return reservation;
+    this.emitCallEvent('call:transfer', {
+      callSid,
+      businessId: business._id,
+      reason,
+      summary
+    });
 
-    } catch (error) {
-      logger.error('Error creating reservation:', error);
-      return null;
-    }
+    return twiml.toString();
   }
 
   /**
-   * Check if call should end
+   * Whisper the call summary to the staff member who answered
    */
-  shouldEndCall(gptResponse, callState) {
-    // End if user says goodbye
-    if (gptResponse.intent === 'deny' && 
-        callState.conversation.some(t => 
-          t.role === 'user' && 
-          /להתראות|ביי|תודה זהו|סיימתי/.test(t.content)
-        )) {
-      return true;
-    }
-
-    // End if conversation is too long
-    if (callState.turnCount > 20) {
-      return true;
-    }
+  async handleWhisper(parentCallSid, business) {
+    const twiml = new twilio.twiml.VoiceResponse();
 
-    // End if reservation is complete
-    if (callState.currentIntent === 'reservation' && 
-        this.shouldCreateReservation(callState)) {
-      return true;
+    let summary = (await this.callStates.get(parentCallSid))?.transfer?.summary;
+    if (!summary) {
+      const call = await Call.findOne({ twilioCallSid: parentCallSid }).select('transfer');
+      summary = call?.transfer?.summary;
     }
 
-    return false;
-  }
+    const message = `שיחה מועברת מהבוט של ${business.nameHebrew}. ${summary || ''}`;
 
-  /**
-   * Update business statistics
-   */
-  async updateBusinessStats(businessId, call) {
+    const usage = {};
     try {
-      const stats = await Call.getBusinessStats(businessId);
-      
-      await Business.findByIdAndUpdate(businessId, {
-        'stats.totalCalls': stats.totalCalls,
-        'stats.totalMinutes': Math.round(stats.totalDuration / 60),
-        'stats.totalCost': stats.totalCost,
-        'stats.avgCallDuration': stats.avgDuration,
-        'stats.successRate': stats.completedCalls / stats.totalCalls * 100,
-        'stats.lastCallAt': new Date()
+      const audioUrl = await ttsService.generateAudioUrl(message, {
+        businessId: business._id,
+        usage
       });
-
+      twiml.play(audioUrl);
     } catch (error) {
-      logger.error('Error updating business stats:', error);
+      twiml.say({ language: 'he-IL' }, message);
     }
+
+    // Billed to the caller's call, not the staff leg
+    await this.recordTtsUsage(parentCallSid, usage.ttsCharacters);
+
+    return twiml.toString();
   }
 
   /**
-   * Emit real-time event via Socket.IO
+   * Handle the <Dial> result of a transfer
+   * Ends the call if staff answered, otherwise offers voicemail
    */
-  emitCallEvent(event, data) {
-    // This will be called from routes with access to io
-    if (this.io) {
-      this.io.to('admin-room').emit(event, data);
-      if (data.businessId) {
-        this.io.to(`business-${data.businessId}`).emit(event, data);
-      }
+  async handleTransferStatus(params, business) {
+    const { CallSid, DialCallStatus, DialCallDuration } = params;
+    const answered = ['completed', 'answered'].includes(DialCallStatus);
+    const status = answered ? 'answered' : (DialCallStatus || 'failed');
+
+    const callState = await this.callStates.update(CallSid, (state) => {
+      if (!state.transfer) return;
+      state.transfer.status = status;
+      state.transfer.dialDuration = parseInt(DialCallDuration) || 0;
+      if (answered) state.transfer.answeredAt = new Date();
+    });
+
+    await Call.findOneAndUpdate({ twilioCallSid: CallSid }, {
+      'transfer.status': status,
+      'transfer.dialDuration': parseInt(DialCallDuration) || 0,
+      ...(answered && { 'transfer.answeredAt': new Date() })
+    });
+
+    logger.info('Transfer finished', { callSid: CallSid, status });
+
+    if (answered || !business.transferSettings?.voicemailEnabled) {
+      return this.handleCallEnd(CallSid, 'transfer', callState, business);
     }
+
+    const twiml = new twilio.twiml.VoiceResponse();
+
+    const usage = {};
+    const audioUrl = await ttsService.generateAudioUrl(
+      business.transferSettings.voicemailMessage,
+      { businessId: business._id, usage }
+    );
+    await this.recordTtsUsage(CallSid, usage.ttsCharacters);
+    twiml.play(audioUrl);
+
+    twiml.record({
+      maxLength: 120,
+      playBeep: true,
+      finishOnKey: '#',
+      action: `${process.env.API_URL}/webhook/${business.botId}/voicemail`,
+      method: 'POST'
+    });
+
+    return twiml.toString();
   }
 
   /**
-   * Set Socket.IO instance
+   * Save a voicemail left after an unanswered transfer and end the call
    */
-  setSocketIO(io) {
-    this.io = io;
+  async handleVoicemail(params, business) {
+    const { CallSid, RecordingUrl, RecordingSid, RecordingDuration } = params;
+
+    const callState = await this.callStates.update(CallSid, (state) => {
+      if (!state.transfer) return;
+      state.transfer.voicemailUrl = RecordingUrl;
+      state.transfer.voicemailSid = RecordingSid;
+      state.transfer.voicemailDuration = parseInt(RecordingDuration) || 0;
+    });
+
+    logger.info('Voicemail saved', { callSid: CallSid, recordingSid: RecordingSid });
+
+    this.emitCallEvent('call:voicemail', {
+      callSid: CallSid,
+      businessId: business._id,
+      recordingUrl: RecordingUrl
+    });
+
+    return this.handleCallEnd(CallSid, 'transfer', callState, business);
+  }
+
+  /**
+   * Check if the call should go to after-hours message taking
+   */
+  isAfterHours(business) {
+    return Boolean(business.afterHoursSettings?.enabled) && !business.isCurrentlyOpen();
+  }
+
+  /**
+   * Greet an after-hours caller and take their message
+   */
+  async handleAfterHoursCall(callSid, business) {
+    const settings = business.afterHoursSettings;
+    const baseUrl = `${process.env.API_URL}/webhook/${business.botId}`;
+
+    const greeting = settings.greetingMessage.replace('{businessName}', business.nameHebrew);
+    const usage = {};
+    const audioUrl = await ttsService.generateAudioUrl(greeting, {
+      businessId: business._id,
+      gender: business.botPersonality?.gender || 'female',
+      usage
+    });
+    await this.recordTtsUsage(callSid, usage.ttsCharacters);
+
+    const twiml = new twilio.twiml.VoiceResponse();
+    twiml.play(audioUrl);
+
+    if (settings.messageMode === 'record') {
+      twiml.record({
+        maxLength: settings.maxMessageLength,
+        playBeep: true,
+        finishOnKey: '#',
+        action: `${baseUrl}/after-hours/message`,
+        method: 'POST'
+      });
+    } else {
+      twiml.gather({
+        input: 'speech',
+        language: 'he-IL',
+        speechTimeout: 'auto',
+        speechModel: 'phone_call',
+        enhanced: true,
+        action: `${baseUrl}/after-hours/message`,
+        method: 'POST'
+      });
+
+      // No speech - still offer a callback
+      twiml.redirect(`${baseUrl}/after-hours/message`);
+    }
+
+    logger.info('After-hours call', { callSid, businessId: business._id });
+
+    this.emitCallEvent('call:started', {
+      callSid,
+      businessId: business._id,
+      afterHours: true,
+      timestamp: new Date()
+    });
+
+    return twiml.toString();
+  }
+
+  /**
+   * Save the after-hours message and ask for a callback number
+   */
+  async handleAfterHoursMessage(params, business) {
+    const { CallSid, From, SpeechResult, RecordingUrl, RecordingSid, RecordingDuration } = params;
+    const baseUrl = `${process.env.API_URL}/webhook/${business.botId}`;
+
+    const callState = await this.callStates.update(CallSid, (state) => {
+      if (SpeechResult) {
+        state.conversation.push({
+          role: 'user',
+          content: SpeechResult,
+          timestamp: new Date()
+        });
+        state.turnCount++;
+      }
+    });
+
+    await CallbackRequest.create({
+      business: business._id,
+      call: callState?.callId,
+      twilioCallSid: CallSid,
+      callerNumber: From || callState?.callerNumber,
+      callbackNumber: From || callState?.callerNumber,
+      type: RecordingUrl ? 'recording' : 'transcription',
+      reason: SpeechResult,
+      recordingUrl: RecordingUrl,
+      recordingSid: RecordingSid,
+      recordingDuration: parseInt(RecordingDuration) || undefined
+    });
+
+    const usage = {};
+    const audioUrl = await ttsService.generateAudioUrl(business.afterHoursSettings.callbackPrompt, {
+      businessId: business._id,
+      gender: business.botPersonality?.gender || 'female',
+      usage
+    });
+    await this.recordTtsUsage(CallSid, usage.ttsCharacters);
+
+    const twiml = new twilio.twiml.VoiceResponse();
+    const gather = twiml.gather({
+      input: 'dtmf',
+      finishOnKey: '#',
+      timeout: 5,
+      action: `${baseUrl}/after-hours/callback`,
+      method: 'POST'
+    });
+    gather.play(audioUrl);
+
+    // No keys pressed - keep the caller's number
+    twiml.redirect(`${baseUrl}/after-hours/callback`);
+
+    return twiml.toString();
+  }
+
+  /**
+   * Confirm the callback number, notify the owner and end the call
+   */
+  async handleAfterHoursCallback(params, business) {
+    const { CallSid, Digits } = params;
+
+    const callbackRequest = await CallbackRequest.findOne({ twilioCallSid: CallSid });
+
+    if (callbackRequest) {
+      // Anything other than "1" that looks like an Israeli number replaces the caller ID
+      if (Digits && Digits !== '1' && /^0\d{8,9}$/.test(Digits)) {
+        callbackRequest.callbackNumber = Digits;
+      }
+
+      const sent = await emailService.sendCallbackNotification(business, callbackRequest);
+      if (sent) {
+        callbackRequest.notificationSent = true;
+        callbackRequest.notificationSentAt = new Date();
+      }
+      await callbackRequest.save();
+
+      this.emitCallEvent('callback:created', {
+        callbackRequestId: callbackRequest._id,
+        businessId: business._id,
+        callerNumber: callbackRequest.callerNumber,
+        callbackNumber: callbackRequest.callbackNumber
+      });
+    }
+
+    const callState = await this.callStates.get(CallSid);
+
+    return this.handleCallEnd(CallSid, 'completed', callState, business, {
+      goodbyeMessage: business.afterHoursSettings.confirmationMessage
+    });
+  }
+
+  /**
+   * Fill reminder message placeholders from a reservation
+   */
+  formatReminderMessage(template, reservation, business) {
+    return template
+      .replace('{customerName}', reservation.customerName)
+      .replace('{businessName}', business.nameHebrew)
+      .replace('{date}', reservation.formatDate(business.getTimezone()))
+      .replace('{time}', reservation.time)
+      .replace('{partySize}', reservation.partySize);
+  }
+
+  /**
+   * Handle an answered outbound reminder call
+   * Reminder calls always use the Gather flow
+   */
+  async handleReminderCall(params, business, reservationId) {
+    const { CallSid, AnsweredBy } = params;
+    const settings = business.reminderSettings;
+    const baseUrl = `${process.env.API_URL}/webhook/${business.botId}`;
+
+    const reservation = await Reservation.findOne({ _id: reservationId, business: business._id });
+    const twiml = new twilio.twiml.VoiceResponse();
+
+    if (!reservation) {
+      twiml.hangup();
+      return twiml.toString();
+    }
+
+    const gender = business.botPersonality?.gender || 'female';
+
+    // Answering machine - leave the reminder and hang up
+    if (AnsweredBy && /^(machine|fax)/.test(AnsweredBy)) {
+      const message = this.formatReminderMessage(settings.voicemailMessage, reservation, business);
+      const usage = {};
+      const audioUrl = await ttsService.generateAudioUrl(message, { businessId: business._id, gender, usage });
+      await this.recordTtsUsage(CallSid, usage.ttsCharacters);
+      twiml.play(audioUrl);
+      twiml.hangup();
+
+      reservation.reminderStatus = 'voicemail';
+      reservation.reminderSent = true;
+      reservation.reminderSentAt = new Date();
+      await reservation.save();
+
+      return twiml.toString();
+    }
+
+    let call = await Call.findOne({ twilioCallSid: CallSid });
+    if (!call) {
+      call = await Call.create({
+        business: business._id,
+        botId: business.botId,
+        twilioCallSid: CallSid,
+        callerNumber: business.twilioPhoneNumber,
+        calledNumber: reservation.customerPhone,
+        direction: 'outbound',
+        status: 'in-progress',
+        startTime: new Date(),
+        reservation: reservation._id
+      });
+    }
+
+    const message = this.formatReminderMessage(settings.reminderMessage, reservation, business);
+
+    await this.callStates.set(CallSid, {
+      callId: call._id,
+      businessId: business._id,
+      callerNumber: reservation.customerPhone,
+      conversation: [{
+        role: 'assistant',
+        content: message,
+        timestamp: new Date()
+      }],
+      currentIntent: null,
+      reservationData: {},
+      turnCount: 0,
+      startTime: Date.now(),
+      reminder: {
+        reservationId: reservation._id,
+        reservationNumber: reservation.reservationNumber,
+        customerName: reservation.customerName,
+        date: reservation.formatDate(business.getTimezone()),
+        time: reservation.time,
+        partySize: reservation.partySize
+      }
+    });
+
+    const usage = {};
+    const audioUrl = await ttsService.generateAudioUrl(message, { businessId: business._id, gender, usage });
+    await this.recordTtsUsage(CallSid, usage.ttsCharacters);
+    twiml.play(audioUrl);
+
+    twiml.gather({
+      input: 'speech',
+      language: 'he-IL',
+      speechTimeout: 'auto',
+      speechModel: 'phone_call',
+      enhanced: true,
+      action: `${baseUrl}/respond`,
+      method: 'POST'
+    });
+
+    twiml.redirect(`${baseUrl}/timeout`);
+
+    logger.info('Reminder call answered', { callSid: CallSid, reservationId });
+
+    this.emitCallEvent('call:started', {
+      callSid: CallSid,
+      businessId: business._id,
+      caller: reservation.customerPhone,
+      direction: 'outbound',
+      timestamp: new Date()
+    });
+
+    return twiml.toString();
+  }
+
+  /**
+   * Apply the customer's answer on a reminder call
+   * @returns {Object|null} Turn result, or null to keep talking
+   */
+  async handleReminderTurn(callSid, userMessage, callState, business) {
+    const settings = business.reminderSettings;
+    const reservation = await Reservation.findById(callState.reminder.reservationId);
+    if (!reservation) return null;
+
+    const previousDate = reservation.date;
+    let outcome = null;
+
+    // Only a clear answer changes the booking - otherwise the model asks again
+    const decision = gptService.detectDecision(userMessage);
+
+    if (decision === 'cancel') {
+      reservation.status = 'cancelled';
+      reservation.cancelledAt = new Date();
+      reservation.cancelledBy = 'customer';
+      reservation.cancellationReason = 'Cancelled on reminder call';
+      outcome = 'cancelled';
+
+    } else if (decision === 'yes') {
+      reservation.status = 'confirmed';
+      outcome = 'confirmed';
+
+    } else {
+      const change = callState.reservationData || {};
+      if (!change.date && !change.time && !change.partySize) return null;
+
+      const availability = await this.rescheduleReservation(reservation, change, business);
+      if (!availability.available) {
+        return this.offerAlternatives(callSid, availability, business);
+      }
+      outcome = 'changed';
+    }
+
+    reservation.reminderStatus = outcome;
+    reservation.reminderSent = true;
+    reservation.reminderSentAt = new Date();
+    await reservation.save();
+
+    if (outcome === 'cancelled') {
+      await smsService.sendReservationSms(reservation, business, 'cancellation');
+    }
+
+    // The old slot has room again (not awaited - the caller shouldn't wait)
+    if (outcome !== 'confirmed') {
+      waitlistService.handleFreedCapacity(business._id, previousDate, business);
+    }
+
+    logger.info('Reminder call outcome', {
+      reservationId: reservation._id,
+      outcome
+    });
+
+    this.emitCallEvent('reservation:reminder', {
+      reservationId: reservation._id,
+      businessId: business._id,
+      outcome
+    });
+
+    const template = {
+      confirmed: settings.confirmedMessage,
+      cancelled: settings.cancelledMessage,
+      changed: settings.changedMessage
+    }[outcome];
+
+    return {
+      action: 'end',
+      reason: 'completed',
+      callState,
+      goodbyeMessage: this.formatReminderMessage(template, reservation, business)
+    };
   }
 
   /**
-   * Get active calls count
+   * Check whether a reservation can move to a new date, time or party size
+   * @returns {Object} Availability for the new slot
    */
-  getActiveCallsCount() {
-    return this.activeCalls.size;
+  async checkReschedule(reservation, change, business) {
+    const date = change.date ? business.parseDay(change.date) : reservation.date;
+    const time = change.time || reservation.time;
+    const partySize = change.partySize || reservation.partySize;
+
+    // Appointments keep their service and staff member
+    return reservation.service
+      ? Reservation.checkAppointmentAvailability(business._id, date, time, {
+        business,
+        serviceId: reservation.service,
+        staffId: reservation.staffMember,
+        excludeReservationId: reservation._id
+      })
+      : Reservation.checkAvailability(business._id, date, time, partySize, {
+        business,
+        seatingArea: reservation.seatingArea,
+        excludeReservationId: reservation._id
+      });
   }
 
   /**
-   * Get active call details
+   * Move a reservation to a new date, time or party size if there is room
+   * Updates the document when available, the caller saves it
+   * @returns {Object} Availability for the new slot
    */
-  getActiveCalls() {
-    const calls = [];
-    for (const [callSid, state] of this.activeCalls) {
-      calls.push({
+  async rescheduleReservation(reservation, change, business) {
+    const date = change.date ? business.parseDay(change.date) : reservation.date;
+    const partySize = change.partySize || reservation.partySize;
+    const availability = await this.checkReschedule(reservation, change, business);
+
+    if (availability.available) {
+      reservation.date = date;
+      reservation.time = availability.time;
+      reservation.tableNumber = availability.table?.number || reservation.tableNumber;
+      reservation.partySize = partySize;
+      reservation.status = 'confirmed';
+    }
+
+    return availability;
+  }
+
+  /**
+   * Find a spoken reservation number, or just its 4-character code
+   */
+  extractReservationNumber(text) {
+    const compact = String(text || '').toUpperCase().replace(/[\s-]/g, '');
+
+    const full = compact.match(/RES(\d{8})([A-Z0-9]{4})/);
+    if (full) return `RES-${full[1]}-${full[2]}`;
+
+    // Codes are random base36, require a letter so years and times don't match
+    const code = compact.match(/(?:^|[^A-Z0-9])((?=\d*[A-Z])[A-Z0-9]{4})(?![A-Z0-9])/);
+    return code ? code[1] : null;
+  }
+
+  /**
+   * Look up the caller's reservations when they ask to cancel or change one
+   * Uses a spoken reservation number, otherwise the caller ID
+   */
+  async loadCallerReservations(callSid, speechResult, callState, business) {
+    const reservationNumber = this.extractReservationNumber(speechResult);
+    const wantsToManage = gptService.detectIntent(speechResult) === 'cancel';
+
+    let reservations = null;
+
+    if (reservationNumber) {
+      reservations = await Reservation.findForCustomer(business, { reservationNumber });
+      // A misheard number shouldn't replace what the caller ID found
+      if (reservations.length === 0 && callState.manage?.reservations.length) {
+        reservations = null;
+      }
+    } else if (wantsToManage && !callState.manage) {
+      reservations = await Reservation.findForCustomer(business, { phone: callState.callerNumber });
+    }
+
+    if (!reservations && !callState.manage) return callState;
+
+    const action = gptService.detectDecision(speechResult) === 'cancel' ? 'cancel'
+      : /לשנות|לדחות|להזיז|להקדים|לעדכן/.test(speechResult) ? 'change'
+        : null;
+
+    const updated = await this.callStates.update(callSid, (state) => {
+      if (reservations) this.setManagedReservations(state, reservations, business);
+
+      // Cancelling needs a "yes" on a later turn, after the booking was read back
+      if (action && action !== state.manage.action) {
+        state.manage.action = action;
+        state.manage.actionTurn = state.turnCount;
+        if (action === 'cancel') state.manage.reason = speechResult;
+      }
+    });
+
+    if (reservations) {
+      logger.info('Caller reservations looked up', {
         callSid,
-        businessId: state.businessId,
-        turnCount: state.turnCount,
-        duration: Math.round((Date.now() - state.startTime) / 1000),
-        currentIntent: state.currentIntent
+        by: reservationNumber ? 'reservation-number' : 'caller-id',
+        found: reservations.length
+      });
+    }
+
+    return updated || callState;
+  }
+
+  /**
+   * Put looked-up reservations on the call state for managing
+   */
+  setManagedReservations(state, reservations, business) {
+    const timezone = business.getTimezone();
+
+    state.manage = {
+      ...state.manage,
+      reservations: reservations.map(r => ({
+        reservationId: r._id,
+        reservationNumber: r.reservationNumber,
+        customerName: r.customerName,
+        day: moment(r.date).tz(timezone).format('YYYY-MM-DD'),
+        date: r.formatDate(timezone),
+        time: r.time,
+        partySize: r.partySize,
+        serviceName: r.serviceName,
+        staffName: r.staffName
+      })),
+      selectedId: reservations.length === 1 ? reservations[0]._id : null
+    };
+    state.reservationData = {};
+  }
+
+  /**
+   * Cancel or reschedule the caller's existing reservation
+   * @returns {Object|null} Turn result, or null to keep talking
+   */
+  async handleManageTurn(callSid, userMessage, callState, business) {
+    const manage = callState.manage;
+
+    // Several bookings - wait until the caller says which one (by date/time)
+    if (!manage.selectedId) {
+      const { date, time } = callState.reservationData || {};
+      const matches = manage.reservations.filter(r =>
+        (!date || r.day === date) && (!time || r.time === time)
+      );
+      if ((!date && !time) || matches.length !== 1) return null;
+
+      await this.callStates.update(callSid, (state) => {
+        state.manage.selectedId = matches[0].reservationId;
+        state.reservationData = {};
       });
+      return null;
+    }
+
+    const reservation = await Reservation.findById(manage.selectedId);
+    if (!reservation || !['pending', 'confirmed'].includes(reservation.status)) {
+      await this.callStates.update(callSid, (state) => { state.manage = null; });
+      return null;
+    }
+
+    const before = {
+      date: reservation.date,
+      time: reservation.time,
+      partySize: reservation.partySize
+    };
+    let outcome = null;
+
+    if (manage.action === 'cancel' && manage.actionTurn < callState.turnCount) {
+      // A clear yes only - "לא, זה לא בסדר" must never cancel
+      const decision = gptService.detectDecision(userMessage);
+
+      if (!['yes', 'cancel'].includes(decision)) {
+        if (decision === 'no') {
+          await this.callStates.update(callSid, (state) => { state.manage.action = null; });
+        }
+        return null;
+      }
+
+      reservation.status = 'cancelled';
+      reservation.cancelledAt = new Date();
+      reservation.cancelledBy = 'customer';
+      reservation.cancellationReason = manage.reason || 'Cancelled by phone';
+      outcome = 'cancelled';
+
+    } else {
+      // Only fields that differ from the booking count as a change
+      const data = callState.reservationData || {};
+      const change = {};
+      const day = moment(reservation.date).tz(business.getTimezone()).format('YYYY-MM-DD');
+      if (data.date && data.date !== day) change.date = data.date;
+      if (data.time && data.time !== reservation.time) change.time = data.time;
+      if (data.partySize && data.partySize !== reservation.partySize) change.partySize = data.partySize;
+      if (Object.keys(change).length === 0) return null;
+
+      const availability = await this.rescheduleReservation(reservation, change, business);
+      if (!availability.available) {
+        return this.offerAlternatives(callSid, availability, business);
+      }
+      outcome = 'changed';
+    }
+
+    await reservation.save();
+
+    await smsService.sendReservationSms(
+      reservation,
+      business,
+      outcome === 'cancelled' ? 'cancellation' : 'confirmation'
+    );
+
+    // The old slot has room again (not awaited)
+    waitlistService.handleFreedCapacity(business._id, before.date, business);
+
+    logger.info('Reservation updated by phone', {
+      callSid,
+      reservationId: reservation._id,
+      outcome
+    });
+
+    this.emitCallEvent('reservation:updated', {
+      reservationId: reservation._id,
+      businessId: business._id,
+      status: reservation.status,
+      outcome,
+      updatedBy: 'customer',
+      previous: before,
+      current: {
+        date: reservation.date,
+        time: reservation.time,
+        partySize: reservation.partySize
+      }
+    });
+
+    const text = outcome === 'cancelled'
+      ? `ההזמנה ל${reservation.formatDate(business.getTimezone())} בשעה ${reservation.time} בוטלה. אפשר לעזור במשהו נוסף?`
+      : `ההזמנה עודכנה ל${reservation.formatDate(business.getTimezone())} בשעה ${reservation.time}, ${reservation.serviceName || `${reservation.partySize} אנשים`}. אפשר לעזור במשהו נוסף?`;
+
+    const updated = await this.callStates.update(callSid, (state) => {
+      state.manage = null;
+      state.reservationData = {};
+      state.availabilityAlternatives = null;
+
+      // The caller hears the outcome instead of the model's reply
+      const last = state.conversation[state.conversation.length - 1];
+      if (last?.role === 'assistant') last.content = text;
+    });
+
+    return { action: 'respond', text, callState: updated || callState };
+  }
+
+  /**
+   * Map a conversation intent to the Call.primaryIntent enum
+   */
+  getPrimaryIntent(intent) {
+    const intentMap = {
+      reservation: 'reservation',
+      cancel: 'reservation',
+      menu: 'menu',
+      hours: 'hours',
+      location: 'location',
+      complaint: 'complaint',
+      faq: 'inquiry'
+    };
+    return intentMap[intent] || 'general';
+  }
+
+  /**
+   * Generate greeting based on business and time
+   */
+  generateGreeting(business) {
+    const timeGreeting = business.getTimeBasedGreeting();
+    const template = business.botPersonality?.greetingMessage || 
+                    'שלום! הגעת ל{businessName}. איך אוכל לעזור לך היום?';
+    
+    return `${timeGreeting}! ${template.replace('{businessName}', business.nameHebrew)}`;
+  }
+
+  /**
+   * Fields still missing before a reservation can be made
+   * Appointments need a service instead of a party size
+   */
+  getMissingDetails(data, business, { forBooking = true } = {}) {
+    const required = ['date', 'time', business.usesAppointments() ? 'service' : 'partySize'];
+    if (forBooking) required.push('customerName');
+
+    return required.filter(field => !data[field]);
+  }
+
+  /**
+   * Run a tool the model called during a turn
+   * @returns {Object} { result } for the model, plus { final, text, action } to end the turn
+   */
+  async executeTool(callSid, name, args, business) {
+    const tools = {
+      check_availability: () => this.checkAvailabilityTool(callSid, args, business),
+      create_reservation: () => this.createReservationTool(callSid, args, business),
+      lookup_reservation: () => this.lookupReservationTool(callSid, args, business),
+      transfer_to_human: () => this.transferTool(args, business)
+    };
+
+    if (!tools[name]) {
+      return { result: { error: `Unknown tool: ${name}` } };
     }
-    return calls;
+
+    try {
+      const outcome = await tools[name]();
+      logger.info('Tool call handled', { callSid, tool: name, final: Boolean(outcome.final) });
+      return outcome;
+
+    } catch (error) {
+      logger.error('Tool call error:', error);
+      return { result: { error: 'internal-error' } };
+    }
+  }
+
+  /**
+   * Keep the slot fields of a tool call on the call state
+   */
+  async mergeReservationData(callSid, args) {
+    const fields = ['date', 'time', 'partySize', 'seatingArea', 'service', 'staffName',
+      'customerName', 'customerPhone', 'specialRequests'];
+
+    return this.callStates.update(callSid, (state) => {
+      for (const field of fields) {
+        if (args[field] !== undefined) state.reservationData[field] = args[field];
+      }
+    });
+  }
+
+  /**
+   * The existing reservation a reminder or manage call is about
+   */
+  async getManagedReservation(callState) {
+    const reservationId = callState.reminder?.reservationId || callState.manage?.selectedId;
+    return reservationId ? Reservation.findById(reservationId) : null;
+  }
+
+  /**
+   * Availability as returned to the model
+   */
+  formatAvailability(availability, business, offerWaitlist = false) {
+    return {
+      available: availability.available,
+      date: availability.date,
+      time: availability.time,
+      ...(availability.service && { service: availability.service.name }),
+      ...(availability.staff && { staff: availability.staff.name }),
+      ...(!availability.available && {
+        reason: availability.reason,
+        message: this.describeUnavailable(availability, business),
+        alternatives: (availability.alternatives || []).map(alt => ({
+          date: alt.date,
+          time: alt.time,
+          ...(alt.staff && { staff: alt.staff.name })
+        })),
+        waitlist: offerWaitlist
+      })
+    };
+  }
+
+  /**
+   * check_availability - new bookings, or the new slot of a booking being changed
+   * (the reminder/manage turn then applies the change)
+   */
+  async checkAvailabilityTool(callSid, args, business) {
+    const callState = await this.mergeReservationData(callSid, args);
+    if (!callState) return { result: { error: 'call-ended' } };
+
+    const managed = await this.getManagedReservation(callState);
+    if (managed) {
+      const availability = await this.checkReschedule(managed, args, business);
+      return { result: this.formatAvailability(availability, business) };
+    }
+
+    const data = callState.reservationData;
+    const missing = this.getMissingDetails(data, business, { forBooking: false });
+    if (missing.length > 0) {
+      return { result: { available: false, missing } };
+    }
+
+    const availability = await this.checkRequestedSlot(data, business);
+    const offerWaitlist = !availability.available && this.canOfferWaitlist(availability, business);
+
+    await this.callStates.update(callSid, (state) => {
+      if (availability.available) {
+        state.reservationData.time = availability.time;
+        state.availabilityAlternatives = null;
+      } else {
+        this.recordUnavailable(state, availability, offerWaitlist);
+      }
+    });
+
+    return { result: this.formatAvailability(availability, business, offerWaitlist) };
+  }
+
+  /**
+   * create_reservation - checks the slot again and books it
+   */
+  async createReservationTool(callSid, args, business) {
+    let callState = await this.mergeReservationData(callSid, args);
+    if (!callState) return { result: { error: 'call-ended' } };
+
+    if (callState.reminder || callState.manage?.selectedId) {
+      return { result: { created: false, error: 'Change the existing reservation with check_availability' } };
+    }
+
+    const missing = this.getMissingDetails(callState.reservationData, business);
+    if (missing.length > 0) {
+      return { result: { created: false, missing } };
+    }
+
+    const availability = await this.checkRequestedSlot(callState.reservationData, business);
+    if (!availability.available) {
+      const offerWaitlist = this.canOfferWaitlist(availability, business);
+      await this.callStates.update(callSid, (state) => {
+        this.recordUnavailable(state, availability, offerWaitlist);
+      });
+      return { result: { created: false, ...this.formatAvailability(availability, business, offerWaitlist) } };
+    }
+
+    const reservation = await this.createReservation(callState, business, availability);
+    if (!reservation) {
+      return { result: { created: false, error: 'save-failed' } };
+    }
+
+    callState = await this.callStates.update(callSid, (state) => {
+      state.reservationData = {};
+      state.availabilityAlternatives = null;
+      state.waitlistOffer = null;
+    });
+
+    const details = reservation.serviceName
+      ? `${reservation.serviceName}${reservation.staffName ? ` אצל ${reservation.staffName}` : ''}`
+      : `${reservation.partySize} אנשים`;
+    const sms = business.reservationSettings?.smsEnabled ? ' שלחנו לך אישור ב-SMS.' : '';
+
+    return {
+      final: true,
+      text: `ההזמנה נקבעה ל${reservation.formatDate(business.getTimezone())} בשעה ${reservation.time}, ${details}.${sms} אפשר לעזור במשהו נוסף?`,
+      action: { reservationId: reservation._id },
+      result: { created: true, reservationNumber: reservation.reservationNumber }
+    };
+  }
+
+  /**
+   * lookup_reservation - the caller's upcoming reservations, for cancelling or changing
+   */
+  async lookupReservationTool(callSid, args, business) {
+    const callState = await this.callStates.get(callSid);
+    if (!callState) return { result: { error: 'call-ended' } };
+
+    // Only a reservation number or its code - never the raw argument
+    const reservationNumber = args.reservationNumber && this.extractReservationNumber(args.reservationNumber);
+    if (args.reservationNumber && !reservationNumber) {
+      return { result: { found: 0, reservations: [] } };
+    }
+
+    const reservations = await Reservation.findForCustomer(business, reservationNumber
+      ? { reservationNumber }
+      : { phone: callState.callerNumber });
+
+    // A misheard number shouldn't replace what was already found
+    if (reservations.length > 0 || !callState.manage?.reservations.length) {
+      await this.callStates.update(callSid, (state) => {
+        this.setManagedReservations(state, reservations, business);
+      });
+    }
+
+    return {
+      result: {
+        found: reservations.length,
+        reservations: reservations.map(r => ({
+          reservationNumber: r.reservationNumber,
+          date: r.formatDate(business.getTimezone()),
+          time: r.time,
+          customerName: r.customerName,
+          ...(r.serviceName ? { service: r.serviceName, staff: r.staffName } : { partySize: r.partySize })
+        }))
+      }
+    };
+  }
+
+  /**
+   * transfer_to_human - ends the turn when staff can take the call
+   */
+  async transferTool(args, business) {
+    if (!business.canTransferNow()) {
+      return { result: { transferred: false, reason: 'No staff available right now - offer to take a message' } };
+    }
+
+    return {
+      final: true,
+      text: '',
+      action: { reason: args.reason },
+      result: { transferred: true }
+    };
+  }
+
+  /**
+   * Check the slot the caller asked for (table or appointment)
+   */
+  async checkRequestedSlot(data, business) {
+    if (business.usesAppointments()) {
+      return Reservation.checkAppointmentAvailability(business._id, business.parseDay(data.date), data.time, {
+        business,
+        service: data.service,
+        staffName: data.staffName
+      });
+    }
+
+    return Reservation.checkAvailability(
+      business._id,
+      business.parseDay(data.date),
+      data.time,
+      data.partySize,
+      { business, seatingArea: data.seatingArea }
+    );
+  }
+
+  /**
+   * Create reservation from call data
+   */
+  async createReservation(callState, business, availability = null) {
+    try {
+      const data = callState.reservationData;
+
+      // Check availability
+      if (!availability) {
+        availability = await this.checkRequestedSlot(data, business);
+      }
+
+      if (!availability.available) {
+        logger.info('Reservation slot not available', { data });
+        return null;
+      }
+
+      // Create reservation
+      const reservation = await Reservation.create({
+        business: business._id,
+        call: callState.callId,
+        customerName: data.customerName || 'לקוח',
+        customerPhone: data.customerPhone || callState.callerNumber,
+        date: business.parseDay(data.date),
+        time: availability.time,
+        partySize: data.partySize || 1,
+        tableNumber: availability.table?.number,
+        seatingArea: availability.table?.area || data.seatingArea,
+        service: availability.service?.id,
+        serviceName: availability.service?.name,
+        duration: availability.service?.duration,
+        price: availability.service?.price,
+        staffMember: availability.staff?.id,
+        staffName: availability.staff?.name,
+        specialRequests: data.specialRequests,
+        status: 'confirmed',
+        source: 'ai-bot'
+      });
+
+      // Update call with reservation reference
+      await Call.findByIdAndUpdate(callState.callId, {
+        reservation: reservation._id
+      });
+
+      // Update business stats
+      await rollupService.recordReservation(reservation, business);
+
+      logger.info('Reservation created', {
+        reservationId: reservation._id,
+        businessId: business._id
+      });
+
+      // Emit event
+      this.emitCallEvent('reservation:created', {
+        reservationId: reservation._id,
+        businessId: business._id,
+        data
+      });
+
+      // Confirmation SMS (failures are logged, not fatal)
+      await smsService.sendReservationSms(reservation, business, 'confirmation');
+
+      return reservation;
+
+    } catch (error) {
+      logger.error('Error creating reservation:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Tell the caller the slot isn't available and offer alternatives
+   * Clears the rejected fields so the call continues instead of ending
+   */
+  async offerAlternatives(callSid, availability, business, options = {}) {
+    let text = this.describeUnavailable(availability, business);
+
+    const offerWaitlist = options.waitlist && this.canOfferWaitlist(availability, business);
+    if (offerWaitlist) {
+      text += ` אפשר גם להירשם לרשימת המתנה ל-${availability.time}, ונשלח הודעה אם יתפנה מקום.`;
+    }
+
+    const callState = await this.callStates.update(callSid, (state) => {
+      this.recordUnavailable(state, availability, offerWaitlist);
+
+      // The caller hears the alternatives instead of the model's reply
+      const last = state.conversation[state.conversation.length - 1];
+      if (last?.role === 'assistant') last.content = text;
+    });
+
+    logger.info('Reservation slot not available', {
+      callSid,
+      reason: availability.reason,
+      alternatives: availability.alternatives.length
+    });
+
+    return { action: 'respond', text, callState };
+  }
+
+  /**
+   * A full slot can be waited for when the business keeps a waitlist
+   */
+  canOfferWaitlist(availability, business) {
+    return Boolean(business.waitlistSettings?.enabled) &&
+      ['full', 'no-table'].includes(availability.reason);
+  }
+
+  /**
+   * Keep the alternatives (and waitlist offer) of an unavailable slot on the call state
+   * and clear the rejected fields
+   */
+  recordUnavailable(state, availability, offerWaitlist = false) {
+    const dateReasons = ['closed', 'blocked-date', 'in-past', 'too-far-ahead'];
+    const partyReasons = ['party-too-large', 'party-too-small'];
+
+    if (offerWaitlist) {
+      state.waitlistOffer = {
+        date: availability.date,
+        time: availability.time,
+        partySize: state.reservationData.partySize,
+        seatingArea: state.reservationData.seatingArea
+      };
+    }
+
+    state.reservationData.time = null;
+    if (dateReasons.includes(availability.reason)) state.reservationData.date = null;
+    if (partyReasons.includes(availability.reason)) state.reservationData.partySize = null;
+    if (availability.reason === 'unknown-service') state.reservationData.service = null;
+    if (['unknown-staff', 'staff-unavailable'].includes(availability.reason)) state.reservationData.staffName = null;
+
+    state.availabilityAlternatives = availability.alternatives;
+  }
+
+  /**
+   * Whether the caller accepted the waitlist offer instead of an alternative
+   */
+  wantsWaitlist(userMessage, callState) {
+    // Picking another time means they booked that instead
+    if (callState.reservationData?.time) return false;
+
+    const decision = gptService.detectDecision(userMessage);
+    if (decision === 'no') return false;
+
+    return decision === 'yes' || /רשימת המתנה|להמתין|תרשמ|תרשום/.test(userMessage);
+  }
+
+  /**
+   * Put the caller on the waitlist for the slot they couldn't get
+   */
+  async joinWaitlist(callSid, callState, business) {
+    const offer = callState.waitlistOffer;
+    const data = callState.reservationData || {};
+
+    const entry = await waitlistService.addEntry(business, {
+      ...offer,
+      call: callState.callId,
+      customerName: data.customerName || 'לקוח',
+      customerPhone: data.customerPhone || callState.callerNumber
+    });
+
+    const text = entry
+      ? `רשמתי אותך לרשימת ההמתנה ל${entry.formatDate(business.getTimezone())} בשעה ${entry.time}. אם יתפנה מקום נשלח לך הודעה עם קישור לשריון. אפשר לעזור במשהו נוסף?`
+      : 'רשימת ההמתנה למועד הזה כבר מלאה. אפשר לבחור מועד אחר?';
+
+    const updated = await this.callStates.update(callSid, (state) => {
+      state.waitlistOffer = null;
+      if (entry) {
+        state.reservationData = {};
+        state.availabilityAlternatives = null;
+      }
+
+      // The caller hears the outcome instead of the model's reply
+      const last = state.conversation[state.conversation.length - 1];
+      if (last?.role === 'assistant') last.content = text;
+    });
+
+    if (entry) {
+      this.emitCallEvent('waitlist:added', {
+        entryId: entry._id,
+        businessId: business._id,
+        date: entry.date,
+        time: entry.time,
+        partySize: entry.partySize
+      });
+    }
+
+    return { action: 'respond', text, callState: updated || callState };
+  }
+
+  /**
+   * Hebrew explanation of why a slot is unavailable, with alternatives
+   */
+  describeUnavailable(availability, business) {
+    const settings = business.reservationSettings || {};
+
+    const reasons = {
+      'full': 'השעה הזו מלאה.',
+      'no-table': 'אין שולחן פנוי בשעה הזו.',
+      'closed': availability.holiday
+        ? `אנחנו סגורים ב${availability.holiday}.`
+        : 'אנחנו סגורים במועד הזה.',
+      'blocked-date': 'אנחנו לא מקבלים הזמנות בתאריך הזה.',
+      'in-past': 'המועד הזה כבר עבר.',
+      'too-far-ahead': `אפשר להזמין עד ${settings.advanceBookingDays} ימים מראש.`,
+      'party-too-large': `בטלפון אפשר להזמין עד ${settings.maxPartySize} אנשים.`,
+      'party-too-small': `אפשר להזמין החל מ-${settings.minPartySize} אנשים.`,
+      'reservations-disabled': 'כרגע אין אפשרות להזמין מקום בטלפון.',
+      'booked': availability.staff
+        ? `אין תור פנוי אצל ${availability.staff.name} בשעה הזו.`
+        : 'אין תור פנוי בשעה הזו.',
+      'unknown-service': `לא מצאתי את הטיפול הזה. אפשר לבחור: ${(business.services || [])
+        .filter(s => s.isActive).map(s => s.nameHebrew).join(', ')}.`,
+      'unknown-staff': `לא מצאתי איש צוות בשם הזה. בצוות שלנו: ${(business.staff || [])
+        .filter(s => s.isActive).map(s => s.name).join(', ')}.`,
+      'staff-unavailable': availability.staff
+        ? `הטיפול הזה לא נעשה אצל ${availability.staff.name}. אפשר לקבוע אצל מישהו אחר מהצוות?`
+        : 'אין כרגע איש צוות שמבצע את הטיפול הזה.'
+    };
+
+    const text = reasons[availability.reason] || 'המועד הזה לא פנוי.';
+    const alternatives = availability.alternatives || [];
+
+    if (alternatives.length === 0) {
+      const canPickAnotherTime = ![
+        'party-too-large', 'party-too-small', 'reservations-disabled',
+        'unknown-service', 'unknown-staff', 'staff-unavailable'
+      ].includes(availability.reason);
+      return canPickAnotherTime ? `${text} אפשר לבחור מועד אחר?` : text;
+    }
+
+    const joinOr = (items) => items.length > 1
+      ? `${items.slice(0, -1).join(', ')} או ${items[items.length - 1]}`
+      : items[0];
+
+    // Group times by day: "21:00 או 21:30, או ביום ראשון ב-20:00"
+    const days = [];
+    for (const alt of alternatives) {
+      let day = days.find(d => d.date === alt.date);
+      if (!day) {
+        day = { date: alt.date, times: [] };
+        days.push(day);
+      }
+      day.times.push(alt.time);
+    }
+
+    const options = days.map(day => {
+      if (day.date === availability.date) return joinOr(day.times);
+      const weekday = new Date(`${day.date}T12:00:00Z`).toLocaleDateString('he-IL', { weekday: 'long' });
+      return `ב${weekday} ב-${joinOr(day.times)}`;
+    });
+
+    return `${text} אפשר להציע ${options.join(', או ')}. מה מתאים לך?`;
+  }
+
+  /**
+   * Check if call should end
+   */
+  shouldEndCall(gptResponse, callState) {
+    // End if user says goodbye
+    if (gptResponse.intent === 'deny' && 
+        callState.conversation.some(t => 
+          t.role === 'user' && 
+          /להתראות|ביי|תודה זהו|סיימתי/.test(t.content)
+        )) {
+      return true;
+    }
+
+    // End if conversation is too long
+    if (callState.turnCount > 20) {
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Emit real-time event via Socket.IO
+   */
+  emitCallEvent(event, data) {
+    // This will be called from routes with access to io
+    if (this.io) {
+      this.io.to('admin-room').emit(event, data);
+      if (data.businessId) {
+        this.io.to(`business-${data.businessId}`).emit(event, data);
+      }
+    }
+  }
+
+  /**
+   * Set Socket.IO instance
+   */
+  setSocketIO(io) {
+    this.io = io;
+  }
+
+  /**
+   * Get call state for an active call
+   */
+  async getCallState(callSid) {
+    return this.callStates.get(callSid);
+  }
+
+  /**
+   * Get active calls count (across all instances)
+   */
+  async getActiveCallsCount() {
+    return this.callStates.count();
+  }
+
+  /**
+   * Get active call details (across all instances)
+   */
+  async getActiveCalls() {
+    const entries = await this.callStates.list();
+
+    return entries.map(({ callSid, state }) => ({
+      callSid,
+      businessId: state.businessId,
+      turnCount: state.turnCount,
+      duration: Math.round((Date.now() - state.startTime) / 1000),
+      currentIntent: state.currentIntent
+    }));
   }
 }
 
@@ -0,0 +1,222 @@
+/**
+ * Call State Store
+ * Holds in-flight conversation state shared across server instances
+ * Redis in production, in-memory for tests and single-instance development
+ */
+
+const { WatchError } = require('redis');
+const logger = require('../utils/logger');
+
+// Extra time a state is kept after the maximum call duration
+const TTL_GRACE_MS = 60 * 1000;
+
+/**
+ * In-memory store
+ * States are JSON round-tripped so behavior matches the Redis store
+ */
+class MemoryCallStateStore {
+  constructor(options = {}) {
+    this.ttl = options.ttl;
+    this.states = new Map();
+    // Pending update per call - updates to one call run one after another
+    this.locks = new Map();
+  }
+
+  isExpired(entry) {
+    return entry.expiresAt <= Date.now();
+  }
+
+  async get(callSid) {
+    const entry = this.states.get(callSid);
+    if (!entry) return null;
+
+    if (this.isExpired(entry)) {
+      this.states.delete(callSid);
+      return null;
+    }
+
+    return JSON.parse(entry.data);
+  }
+
+  async set(callSid, state) {
+    this.states.set(callSid, {
+      data: JSON.stringify(state),
+      expiresAt: Date.now() + this.ttl
+    });
+    return state;
+  }
+
+  /**
+   * Read-modify-write a call state
+   * Serialized per call, like the Redis store's WATCH/MULTI
+   */
+  async update(callSid, updater) {
+    const pending = this.locks.get(callSid) || Promise.resolve();
+    const result = pending.then(() => this.applyUpdate(callSid, updater));
+
+    const done = result.catch(() => {});
+    this.locks.set(callSid, done);
+    done.then(() => {
+      if (this.locks.get(callSid) === done) this.locks.delete(callSid);
+    });
+
+    return result;
+  }
+
+  async applyUpdate(callSid, updater) {
+    const state = await this.get(callSid);
+    if (!state) return null;
+
+    const updated = (await updater(state)) || state;
+
+    // The call may have ended while the updater ran
+    const entry = this.states.get(callSid);
+    if (!entry || this.isExpired(entry)) return null;
+
+    // Keep the original expiry
+    entry.data = JSON.stringify(updated);
+    return updated;
+  }
+
+  async delete(callSid) {
+    this.states.delete(callSid);
+  }
+
+  async list() {
+    const result = [];
+    for (const callSid of this.states.keys()) {
+      const state = await this.get(callSid);
+      if (state) result.push({ callSid, state });
+    }
+    return result;
+  }
+
+  async count() {
+    return (await this.list()).length;
+  }
+}
+
+/**
+ * Redis store
+ * Each call is a JSON string key with a TTL, indexed by a sorted set
+ * scored by expiry so active calls can be listed across instances
+ */
+class RedisCallStateStore {
+  constructor(client, options = {}) {
+    this.client = client;
+    this.ttl = options.ttl;
+    this.prefix = options.prefix || 'callstate:';
+    this.indexKey = `${this.prefix}active`;
+    this.maxRetries = options.maxRetries || 5;
+  }
+
+  key(callSid) {
+    return `${this.prefix}${callSid}`;
+  }
+
+  async get(callSid) {
+    const raw = await this.client.get(this.key(callSid));
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async set(callSid, state) {
+    const expiresAt = Date.now() + this.ttl;
+
+    await this.client
+      .multi()
+      .set(this.key(callSid), JSON.stringify(state), { PX: this.ttl })
+      .zAdd(this.indexKey, { score: expiresAt, value: callSid })
+      .exec();
+
+    return state;
+  }
+
+  /**
+   * Atomically read-modify-write a call state
+   * Uses WATCH/MULTI and retries if another instance wrote in between
+   */
+  async update(callSid, updater) {
+    const key = this.key(callSid);
+
+    for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
+      try {
+        return await this.client.executeIsolated(async (isolatedClient) => {
+          await isolatedClient.watch(key);
+
+          const raw = await isolatedClient.get(key);
+          if (!raw) {
+            await isolatedClient.unwatch();
+            return null;
+          }
+
+          const state = JSON.parse(raw);
+          const updated = (await updater(state)) || state;
+
+          await isolatedClient
+            .multi()
+            .set(key, JSON.stringify(updated), { KEEPTTL: true })
+            .exec();
+
+          return updated;
+        });
+      } catch (error) {
+        if (!(error instanceof WatchError)) throw error;
+        logger.debug('Call state update conflict, retrying', { callSid, attempt });
+      }
+    }
+
+    throw new Error(`Call state update failed after ${this.maxRetries} attempts: ${callSid}`);
+  }
+
+  async delete(callSid) {
+    await this.client
+      .multi()
+      .del(this.key(callSid))
+      .zRem(this.indexKey, callSid)
+      .exec();
+  }
+
+  async list() {
+    // Drop index entries whose state has expired
+    await this.client.zRemRangeByScore(this.indexKey, 0, Date.now());
+
+    const callSids = await this.client.zRange(this.indexKey, 0, -1);
+    if (callSids.length === 0) return [];
+
+    const values = await this.client.mGet(callSids.map(sid => this.key(sid)));
+
+    return callSids
+      .map((callSid, i) => (values[i] ? { callSid, state: JSON.parse(values[i]) } : null))
+      .filter(Boolean);
+  }
+
+  async count() {
+    await this.client.zRemRangeByScore(this.indexKey, 0, Date.now());
+    return this.client.zCard(this.indexKey);
+  }
+}
+
+/**
+ * Create the configured store
+ * CALL_STATE_STORE=redis|memory, defaults to redis when REDIS_URL is set
+ */
+const createCallStateStore = (options = {}) => {
+  const maxCallDuration = options.maxCallDuration || 600000;
+  const ttl = maxCallDuration + TTL_GRACE_MS;
+  const driver = options.driver ||
+    process.env.CALL_STATE_STORE ||
+    (process.env.REDIS_URL ? 'redis' : 'memory');
+
+  if (driver === 'redis') {
+    const getRedisClient = require('../config/redis');
+    return new RedisCallStateStore(options.client || getRedisClient(), { ttl });
+  }
+
+  return new MemoryCallStateStore({ ttl });
+};
+
+module.exports = {
+  createCallStateStore,
+  MemoryCallStateStore,
+  RedisCallStateStore
+};
@@ -0,0 +1,136 @@
+/**
+ * Email Service
+ * Sends owner notifications over SMTP (nodemailer)
+ */
+
+const nodemailer = require('nodemailer');
+const validator = require('validator');
+const logger = require('../utils/logger');
+const { User } = require('../models');
+
+class EmailService {
+  constructor() {
+    // Initialize SMTP only if configured
+    if (process.env.SMTP_HOST) {
+      this.transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT || 587),
+        secure: parseInt(process.env.SMTP_PORT) === 465,
+        auth: process.env.SMTP_USER ? {
+          user: process.env.SMTP_USER,
+          pass: process.env.SMTP_PASS
+        } : undefined
+      });
+    } else {
+      this.transporter = null;
+      console.warn('⚠️ SMTP_HOST not set - Email notifications will not be sent');
+    }
+
+    this.from = process.env.EMAIL_FROM || 'AI Phone Bot <noreply@localhost>';
+  }
+
+  /**
+   * Send an email
+   * @returns {boolean} Whether the email was sent
+   */
+  async send({ to, subject, html, text }) {
+    if (!this.transporter || !to) {
+      logger.warn('Email not sent', { to, subject, reason: !to ? 'no recipient' : 'smtp not configured' });
+      return false;
+    }
+
+    try {
+      await this.transporter.sendMail({ from: this.from, to, subject, html, text });
+      logger.info('Email sent', { to, subject });
+      return true;
+    } catch (error) {
+      logger.error('Email send error:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the address that receives notifications for a business
+   */
+  async getBusinessRecipient(business, override) {
+    if (override) return override;
+    if (business.email) return business.email;
+
+    const owner = await User.findById(business.owner).select('email');
+    return owner?.email;
+  }
+
+  /**
+   * Notify the owner about a new after-hours message
+   */
+  async sendCallbackNotification(business, callbackRequest) {
+    const to = await this.getBusinessRecipient(
+      business,
+      business.afterHoursSettings?.notifyEmail
+    );
+
+    const time = callbackRequest.createdAt.toLocaleString('he-IL', { timeZone: business.getTimezone() });
+    const lines = [
+      ['זמן', time],
+      ['מספר המתקשר', callbackRequest.callerNumber],
+      ['לחזור למספר', callbackRequest.callbackNumber || callbackRequest.callerNumber],
+      ['סיבת הפנייה', callbackRequest.reason || '-']
+    ];
+    if (callbackRequest.recordingUrl) {
+      lines.push(['הקלטה', callbackRequest.recordingUrl]);
+    }
+
+    const html = `<div dir="rtl" style="font-family: Arial, sans-serif">
+  <h2>הודעה חדשה מחוץ לשעות הפעילות - ${validator.escape(business.nameHebrew)}</h2>
+  <table>
+    ${lines.map(([label, value]) => `<tr><td><b>${label}:</b></td><td>${validator.escape(String(value))}</td></tr>`).join('\n    ')}
+  </table>
+</div>`;
+
+    const text = lines.map(([label, value]) => `${label}: ${value}`).join('\n');
+
+    return this.send({
+      to,
+      subject: `הודעה חדשה מ-${callbackRequest.callerNumber} (${business.nameHebrew})`,
+      html,
+      text
+    });
+  }
+
+  /**
+   * Tell the owner about a call that needs attention
+   * @param {Array} reasons - Hebrew reasons, e.g. ['שיחה שלילית']
+   */
+  async sendCallAlert(business, call, reasons) {
+    const to = await this.getBusinessRecipient(
+      business,
+      business.callAlertSettings?.notifyEmail
+    );
+
+    const time = (call.startTime || call.createdAt).toLocaleString('he-IL', { timeZone: business.getTimezone() });
+    const lines = [
+      ['זמן', time],
+      ['מספר המתקשר', call.callerNumber],
+      ['סיבה', reasons.join(', ')],
+      ['סיכום', call.summary || '-']
+    ];
+
+    const html = `<div dir="rtl" style="font-family: Arial, sans-serif">
+  <h2>שיחה שדורשת תשומת לב - ${validator.escape(business.nameHebrew)}</h2>
+  <table>
+    ${lines.map(([label, value]) => `<tr><td><b>${label}:</b></td><td>${validator.escape(String(value))}</td></tr>`).join('\n    ')}
+  </table>
+</div>`;
+
+    const text = lines.map(([label, value]) => `${label}: ${value}`).join('\n');
+
+    return this.send({
+      to,
+      subject: `${reasons[0]}: שיחה מ-${call.callerNumber} (${business.nameHebrew})`,
+      html,
+      text
+    });
+  }
+}
+
+module.exports = new EmailService();
@@ -0,0 +1,134 @@
+/**
+ * FAQ Service
+ * Matches caller questions to a business's FAQs by embedding similarity,
+ * so a reworded question still gets the stored answer without a completion
+ */
+
+const NodeCache = require('node-cache');
+const logger = require('../utils/logger');
+const { cosineSimilarity } = require('../utils/similarity');
+const llmService = require('./llm.service');
+const { Business } = require('../models');
+
+const DEFAULT_THRESHOLD = 0.75;
+
+// Shorter utterances ("כן", "תודה") are never FAQ questions
+const MIN_MESSAGE_LENGTH = 6;
+
+class FAQService {
+  constructor() {
+    // Vectors by provider, model and text - an edited question simply misses
+    this.vectors = new NodeCache({ stdTTL: 24 * 3600, useClones: false });
+  }
+
+  /**
+   * Text embedded for an FAQ - the question plus its keywords
+   */
+  getFaqText(faq) {
+    return [faq.question, ...(faq.keywords || [])].join(' ').trim();
+  }
+
+  /**
+   * Embed texts, reusing cached vectors
+   * @param {Array} usage - Optional; gets the embedding call's tokens appended
+   */
+  async embed(texts, business, usage = null) {
+    const provider = llmService.getProvider(business.aiConfig);
+    const model = provider.getModel('embedding', business.aiConfig?.models);
+    const keyOf = (text) => `${provider.name}:${model}:${text}`;
+
+    const missing = [...new Set(texts.filter(text => !this.vectors.has(keyOf(text))))];
+    if (missing.length > 0) {
+      const vectors = await provider.embed(missing, model, usage);
+      missing.forEach((text, i) => this.vectors.set(keyOf(text), vectors[i]));
+    }
+
+    return texts.map(text => this.vectors.get(keyOf(text)));
+  }
+
+  /**
+   * Best FAQ for a caller message
+   * @param {Object} options - { embedding, usage } - embedding resolves to the message vector,
+   *   if already embedded; usage gets embedding calls appended
+   * @returns {Object|null} { faq, score } above the business threshold
+   */
+  async findMatch(message, business, options = {}) {
+    const faqs = business.faqs || [];
+    if (faqs.length === 0 || business.aiConfig?.enableFAQMatching === false) return null;
+
+    const text = String(message || '').trim();
+    if (text.length < MIN_MESSAGE_LENGTH) return null;
+
+    try {
+      const [messageVector, faqVectors] = await Promise.all([
+        options.embedding ? options.embedding() : this.embed([text], business, options.usage).then(([v]) => v),
+        this.embed(faqs.map(faq => this.getFaqText(faq)), business, options.usage)
+      ]);
+
+      let best = null;
+      faqs.forEach((faq, i) => {
+        const score = cosineSimilarity(messageVector, faqVectors[i]);
+        if (!best || score > best.score) best = { faq, score };
+      });
+
+      const threshold = business.aiConfig?.faqMatchThreshold ?? DEFAULT_THRESHOLD;
+
+      logger.debug('FAQ match', {
+        businessId: business._id,
+        score: best.score.toFixed(3),
+        threshold,
+        question: best.faq.question
+      });
+
+      return best.score >= threshold ? best : null;
+
+    } catch (error) {
+      // Without embeddings the completion answers from the prompt's FAQ list
+      logger.error('FAQ match error:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Count an answered FAQ
+   */
+  async recordUsage(business, faq) {
+    const now = new Date();
+
+    faq.usageCount = (faq.usageCount || 0) + 1;
+    faq.lastUsed = now;
+
+    try {
+      await Business.updateOne(
+        { _id: business._id, 'faqs._id': faq._id },
+        { $inc: { 'faqs.$.usageCount': 1 }, $set: { 'faqs.$.lastUsed': now } }
+      );
+    } catch (error) {
+      logger.error('FAQ usage update error:', error);
+    }
+  }
+
+  /**
+   * Score every FAQ against a message, for tuning the threshold
+   * @returns {Array} [{ faqId, question, score }] best first
+   */
+  async rank(message, business) {
+    const faqs = business.faqs || [];
+    if (faqs.length === 0) return [];
+
+    const [messageVector, ...faqVectors] = await this.embed(
+      [String(message).trim(), ...faqs.map(faq => this.getFaqText(faq))],
+      business
+    );
+
+    return faqs
+      .map((faq, i) => ({
+        faqId: faq._id,
+        question: faq.question,
+        score: Math.round(cosineSimilarity(messageVector, faqVectors[i]) * 1000) / 1000
+      }))
+      .sort((a, b) => b.score - a.score);
+  }
+}
+
+module.exports = new FAQService();
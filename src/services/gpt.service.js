@@ -4,111 +4,213 @@
  * Smart model selection for cost optimization
  */
 
-const OpenAI = require('openai');
-const NodeCache = require('node-cache');
+const moment = require('moment-timezone');
 const logger = require('../utils/logger');
+const llmService = require('./llm.service');
+const faqService = require('./faq.service');
+const knowledgeService = require('./knowledge.service');
+const { getDayIntervals, formatIntervals } = require('../utils/hours');
+const { Trace } = require('../utils/tracing');
 const { Error: ErrorModel } = require('../models');
 
-class GPTService {
-  constructor() {
-    // Initialize OpenAI only if API key is available
-    if (process.env.OPENAI_API_KEY) {
-      this.openai = new OpenAI({
-        apiKey: process.env.OPENAI_API_KEY
-      });
-    } else {
-      this.openai = null;
-      console.warn('⚠️ OPENAI_API_KEY not set - GPT service will not work');
-    }
+// Completions per turn that may call tools before the model has to answer
+const MAX_TOOL_ROUNDS = 3;
 
-    // FAQ cache for instant responses
-    this.faqCache = new NodeCache({ stdTTL: 3600 }); // 1 hour
+// Turns that act on a booking go to the model even if they resemble an FAQ
+const ACTION_INTENTS = ['reservation', 'cancel', 'confirm', 'deny', 'complaint'];
 
-    // Models configuration
-    this.models = {
-      fast: process.env.OPENAI_MODEL_FAST || 'gpt-3.5-turbo',
-      smart: process.env.OPENAI_MODEL_SMART || 'gpt-4-turbo-preview'
-    };
+// Words of a spoken yes/no answer, see detectDecision
+const YES_WORDS = ['כן', 'נכון', 'בטח', 'בהחלט', 'מאשר', 'מאשרת', 'בדיוק', 'בסדר', 'סבבה', 'אוקיי', 'טוב', 'מעולה'];
+const NEGATION_WORDS = ['לא', 'ולא', 'שלא', 'אל', 'אין', 'בלי'];
+const CANCEL_WORD = /בטל|ביטול/;
 
+// Said when the model gives no usable reply
+const FALLBACK_REPLY = 'סליחה, לא הצלחתי להבין. אפשר לחזור על זה?';
+const FALLBACK_AFTER_ACTION_REPLY = 'אפשר לעזור במשהו נוסף?';
+
+class GPTService {
+  constructor() {
     // Intent patterns for routing
     this.intentPatterns = this.initializeIntentPatterns();
   }
 
   /**
    * Generate a response for the conversation
+   * With a toolHandler the model can call the reservation tools (see getTools);
+   * the handler runs each call and returns { result, final, text }. A final call
+   * ends the turn with the handler's text instead of the model's.
+   * params.trace (utils/tracing) gets the FAQ, knowledge, LLM and tool spans.
    * @param {Object} params - Conversation parameters
-   * @returns {Object} Response with text and metadata
+   * @returns {Object} Response with text, toolCalls, action and metadata; embeddingUsage
+   *   lists the turn's embedding calls for llmUsage
    */
   async generateResponse(params) {
     const {
       userMessage,
       conversationHistory = [],
       business,
-      callContext = {}
+      callContext = {},
+      toolHandler = null,
+      trace = new Trace()
     } = params;
 
     const startTime = Date.now();
+    const embeddingUsage = [];
 
     try {
-      // 1. Check FAQ cache first
-      const faqResponse = await this.checkFAQCache(userMessage, business);
-      if (faqResponse) {
-        logger.debug('FAQ cache hit');
+      // 1. Detect intent to decide model and context
+      const intent = this.detectIntent(userMessage);
+
+      // FAQ matching and knowledge retrieval share one embedding of the message
+      const embedding = this.createMessageEmbedding(userMessage, business, embeddingUsage);
+
+      // 2. Answer straight from a matching FAQ
+      const faqMatch = ACTION_INTENTS.includes(intent)
+        ? null
+        : await trace.span('faq', () => faqService.findMatch(userMessage, business, {
+          embedding,
+          usage: embeddingUsage
+        }));
+
+      if (faqMatch) {
+        await faqService.recordUsage(business, faqMatch.faq);
+
+        logger.info('FAQ answered', {
+          businessId: business._id,
+          faqId: faqMatch.faq._id,
+          score: faqMatch.score.toFixed(3)
+        });
+
         return {
-          text: faqResponse.answer,
-          intent: faqResponse.intent,
-          source: 'faq_cache',
+          text: faqMatch.faq.answer,
+          intent: 'faq',
+          faqId: faqMatch.faq._id,
+          toolCalls: [],
+          source: 'faq',
           tokensUsed: 0,
-          model: 'cache',
+          embeddingUsage,
+          model: 'faq',
           responseTime: Date.now() - startTime
         };
       }
 
-      // 2. Detect intent to decide model and context
-      const intent = this.detectIntent(userMessage);
-
       // 3. Select model based on complexity
-      const model = this.selectModel(intent, userMessage, conversationHistory);
-
-      // 4. Build system prompt
-      const systemPrompt = this.buildSystemPrompt(business, callContext);
+      const provider = llmService.getProvider(business.aiConfig);
+      const model = provider.getModel(
+        this.selectModel(intent, userMessage, conversationHistory),
+        business.aiConfig?.models
+      );
+
+      // 4. Build system prompt with the knowledge base chunks relevant to the question
+      const knowledge = await trace.span('knowledge', () => knowledgeService.retrieve(business, userMessage, {
+        embedding,
+        usage: embeddingUsage
+      }));
+      const systemPrompt = this.buildSystemPrompt(business, {
+        ...callContext,
+        knowledge,
+        tools: Boolean(toolHandler)
+      });
 
       // 5. Build messages array
       const messages = this.buildMessages(systemPrompt, conversationHistory, userMessage);
+      const tools = toolHandler && provider.supportsTools ? this.getTools(business, callContext) : null;
+
+      // 6. Generate response, running tool calls until the model answers
+      let response = null;
+      let tokensUsed = 0;
+      const usage = { promptTokens: 0, completionTokens: 0 };
+      let action = null;
+      const toolCalls = [];
+
+      for (let round = 0; round <= MAX_TOOL_ROUNDS && response === null && !action; round++) {
+        const completion = await trace.span('llm', () => provider.complete({
+          model,
+          messages,
+          maxTokens: business.aiConfig?.maxResponseTokens || 150,
+          temperature: business.aiConfig?.temperature || 0.7,
+          presencePenalty: 0.1,
+          frequencyPenalty: 0.1,
+          // The last round has to answer in words
+          ...(tools && { tools, toolChoice: round < MAX_TOOL_ROUNDS ? 'auto' : 'none' })
+        }), { detail: model });
+
+        tokensUsed += completion.usage.totalTokens;
+        usage.promptTokens += completion.usage.promptTokens;
+        usage.completionTokens += completion.usage.completionTokens;
+        const message = completion.message;
+
+        if (!message.tool_calls?.length) {
+          response = message.content || '';
+          break;
+        }
 
-      // 6. Generate response
-      const completion = await this.openai.chat.completions.create({
-        model,
-        messages,
-        max_tokens: business.aiConfig?.maxResponseTokens || 150,
-        temperature: business.aiConfig?.temperature || 0.7,
-        presence_penalty: 0.1,
-        frequency_penalty: 0.1
-      });
-
-      const response = completion.choices[0].message.content;
-      const tokensUsed = completion.usage.total_tokens;
-
-      // 7. Extract any structured data (reservations, etc.)
-      const extractedData = await this.extractStructuredData(response, intent, userMessage);
+        messages.push(message);
+
+        // Every call needs a result message - calls after a final one are skipped
+        for (const call of message.tool_calls) {
+          const args = this.parseToolArguments(call.function.arguments);
+          const outcome = action
+            ? { result: { skipped: true } }
+            : await trace.span('tool', () => toolHandler(call.function.name, args), {
+              detail: call.function.name
+            }) || {};
+
+          toolCalls.push({ name: call.function.name, args, result: outcome.result });
+          messages.push({
+            role: 'tool',
+            tool_call_id: call.id,
+            content: JSON.stringify(outcome.result ?? {})
+          });
+
+          if (outcome.final && !action) {
+            action = { name: call.function.name, args, ...outcome.action };
+            response = outcome.text || null;
+          }
+        }
+      }
 
-      // 8. Cache FAQ if applicable
-      if (intent === 'faq' || intent === 'hours' || intent === 'location') {
-        this.cacheResponse(userMessage, response, intent, business._id);
+      // Still calling tools on the last round, or a final tool without text -
+      // one more completion without tools, then a fixed reply
+      if (!response) {
+        logger.warn('No reply after tool rounds, retrying without tools', {
+          businessId: business._id,
+          toolCalls: toolCalls.map(call => call.name)
+        });
+
+        const completion = await trace.span('llm', () => provider.complete({
+          model,
+          messages,
+          maxTokens: business.aiConfig?.maxResponseTokens || 150,
+          temperature: business.aiConfig?.temperature || 0.7
+        }), { detail: model });
+
+        tokensUsed += completion.usage.totalTokens;
+        usage.promptTokens += completion.usage.promptTokens;
+        usage.completionTokens += completion.usage.completionTokens;
+
+        response = (!completion.message.tool_calls?.length && completion.message.content) ||
+          (action ? FALLBACK_AFTER_ACTION_REPLY : FALLBACK_REPLY);
       }
 
       logger.info('GPT response generated', {
+        provider: provider.name,
         model,
         intent,
         tokensUsed,
+        toolCalls: toolCalls.map(call => call.name),
+        knowledgeChunks: knowledge.length,
         responseTime: Date.now() - startTime
       });
 
       return {
         text: response,
         intent,
-        extractedData,
+        toolCalls,
+        action,
         tokensUsed,
+        usage,
+        embeddingUsage,
         model,
         responseTime: Date.now() - startTime,
         source: 'gpt'
@@ -131,21 +233,34 @@ class GPTService {
 
       // Return fallback response
       return {
-        text: 'סליחה, לא הצלחתי להבין. אפשר לחזור על זה?',
+        text: FALLBACK_REPLY,
         intent: 'error',
         error: true,
         errorMessage: error.message,
+        embeddingUsage,
         responseTime: Date.now() - startTime
       };
     }
   }
 
+  /**
+   * Embed the caller's message at most once per turn, on first use
+   * @param {Array} usage - Gets the embedding call's tokens appended
+   * @returns {Function} Resolves to the message vector
+   */
+  createMessageEmbedding(message, business, usage = null) {
+    let vector = null;
+    return () => {
+      vector = vector || faqService.embed([String(message || '').trim()], business, usage).then(([v]) => v);
+      return vector;
+    };
+  }
+
   /**
    * Build system prompt based on business context
    */
   buildSystemPrompt(business, callContext = {}) {
     const timeGreeting = business.getTimeBasedGreeting();
-    const isOpen = business.isCurrentlyOpen();
 
     let prompt = `אתה ${business.botPersonality?.name || 'עוזר'} - עוזר טלפוני ישראלי מקצועי של ${business.nameHebrew}.
 
@@ -165,15 +280,16 @@ ${business.website ? `- אתר: ${business.website}` : ''}
 
 ## שעות פעילות:
 ${business.businessHours.map(h => 
-  `- יום ${this.getDayName(h.day)}: ${h.isOpen ? `${h.openTime}-${h.closeTime}` : 'סגור'}`
+  `- יום ${this.getDayName(h.day)}: ${h.isOpen ? formatIntervals(getDayIntervals(h)) : 'סגור'}`
 ).join('\n')}
 
-סטטוס נוכחי: ${isOpen ? 'פתוח' : 'סגור'}
+${this.buildSpecialHoursPrompt(business)}
+סטטוס נוכחי: ${this.describeOpenStatus(business)}
 
-## הזמנות:
+${business.usesAppointments() ? this.buildAppointmentsPrompt(business) : `## הזמנות:
 ${business.reservationSettings?.enabled ? `- הזמנות פעילות
 - גודל שולחן מקסימלי: ${business.reservationSettings.maxPartySize} אנשים
-- הזמנה עד ${business.reservationSettings.advanceBookingDays} ימים מראש` : '- הזמנות לא פעילות'}
+- הזמנה עד ${business.reservationSettings.advanceBookingDays} ימים מראש` : '- הזמנות לא פעילות'}`}
 
 ## תפריט/שירותים עיקריים:
 ${business.menuItems?.slice(0, 10).map(item => 
@@ -184,16 +300,41 @@ ${business.menuItems?.slice(0, 10).map(item =>
 ${business.faqs?.slice(0, 5).map(faq => 
   `ש: ${faq.question}\nת: ${faq.answer}`
 ).join('\n\n') || ''}
-
+${callContext.knowledge?.length ? `
+## מידע מהמאגר של העסק (רלוונטי לשאלה):
+${callContext.knowledge.map(chunk => `### ${chunk.heading}\n${chunk.text}`).join('\n\n')}
+ענה לפי המידע הזה. אם התשובה לא מופיעה בו או למעלה - אמור שאין לך את המידע, אל תמציא.
+` : ''}
 ## הנחיות התנהגות:
 1. תמיד ברך בהתאם לשעה (${timeGreeting})
-2. אם מבקשים הזמנה - בקש: תאריך, שעה, מספר אנשים, שם, טלפון
+2. ${business.usesAppointments()
+    ? 'אם מבקשים תור - בקש: סוג טיפול, איש צוות מועדף (לא חובה), תאריך, שעה, שם'
+    : 'אם מבקשים הזמנה - בקש: תאריך, שעה, מספר אנשים, שם, טלפון'}
 3. אם לא מבין - בקש הבהרה בנימוס
 4. אם השאלה מחוץ לתחום - הפנה לטלפון העסק
 5. סיים תמיד בצורה חיובית
 
 ${business.botPersonality?.customInstructions || ''}
 
+${callContext.reminder ? `## שיחת תזכורת יוצאת:
+אתה מתקשר ללקוח כדי להזכיר הזמנה קיימת:
+- שם: ${callContext.reminder.customerName}
+- תאריך: ${callContext.reminder.date}
+- שעה: ${callContext.reminder.time}
+- מספר אנשים: ${callContext.reminder.partySize}
+שאל אם ההזמנה בתוקף. הלקוח יכול לאשר, לבטל או לשנות תאריך, שעה או מספר אנשים.
+אם הלקוח עונה "לא" - שאל אם לבטל את ההזמנה או לשנות אותה.
+` : ''}
+${callContext.manage ? this.buildManagePrompt(callContext.manage) : ''}
+${callContext.alternatives?.length ? `## מועדים פנויים שהוצעו ללקוח:
+${callContext.alternatives.map(alt => `- ${alt.date} בשעה ${alt.time}`).join('\n')}
+אם הלקוח בוחר אחד מהם - בדוק אותו שוב עם check_availability.
+` : ''}
+${callContext.waitlistOffer ? `## רשימת המתנה:
+הוצע ללקוח להירשם לרשימת המתנה ל-${callContext.waitlistOffer.date} בשעה ${callContext.waitlistOffer.time}.
+אל תאשר רישום בעצמך - המערכת תודיע ללקוח כשהוא נרשם.
+` : ''}
+${callContext.tools ? this.buildToolsPrompt(business, callContext) : ''}
 ## הקשר השיחה הנוכחית:
 ${callContext.isReturningCaller ? '- לקוח חוזר' : '- לקוח חדש'}
 ${callContext.previousIntent ? `- כוונה קודמת: ${callContext.previousIntent}` : ''}`;
@@ -201,6 +342,205 @@ ${callContext.previousIntent ? `- כוונה קודמת: ${callContext.previousI
     return prompt;
   }
 
+  /**
+   * Prompt section on when to call the reservation tools
+   */
+  buildToolsPrompt(business, callContext = {}) {
+    const today = moment().tz(business.getTimezone());
+    const managing = callContext.reminder || callContext.manage?.selectedId;
+
+    return `## כלים:
+היום ${today.format('YYYY-MM-DD')}, יום ${this.getDayName(today.format('dddd').toLowerCase())}. תאריכים בכלים בפורמט YYYY-MM-DD ושעות בפורמט HH:MM.
+- check_availability: לפני שאתה מאשר מועד ללקוח - תמיד בדוק אותו. אם אינו פנוי, הצע את המועדים החלופיים שהתקבלו.
+${managing
+    ? '- כשהלקוח רוצה לשנות את ההזמנה הקיימת - בדוק את המועד החדש עם check_availability. המערכת תעדכן את ההזמנה.'
+    : '- create_reservation: רק אחרי שכל הפרטים נאספו והלקוח אישר אותם. אל תאמר שההזמנה נקבעה - המערכת תודיע.'}
+- lookup_reservation: כשהלקוח שואל על הזמנה קיימת, רוצה לבטל או לשנות אותה.
+- transfer_to_human: כשהלקוח מבקש לדבר עם נציג או מנהל.
+`;
+  }
+
+  /**
+   * Tool (function) definitions for the reservation flow
+   */
+  getTools(business, callContext = {}) {
+    const appointments = business.usesAppointments();
+
+    const slot = {
+      date: { type: 'string', description: 'Date, YYYY-MM-DD' },
+      time: { type: 'string', description: 'Time, HH:MM (24h)' },
+      ...(appointments ? {
+        service: { type: 'string', description: 'Requested treatment/service name' },
+        staffName: { type: 'string', description: 'Preferred staff member, if the caller asked for one' }
+      } : {
+        partySize: { type: 'integer', description: 'Number of guests' },
+        seatingArea: { type: 'string', enum: ['indoor', 'outdoor', 'bar', 'private', 'any'] }
+      })
+    };
+    const slotRequired = appointments ? ['date', 'time', 'service'] : ['date', 'time', 'partySize'];
+
+    const tools = [
+      {
+        name: 'check_availability',
+        description: 'Check whether a slot is free. Returns alternatives when it is not.',
+        parameters: {
+          type: 'object',
+          properties: slot,
+          // Changing an existing booking may only name the fields that change
+          required: callContext.reminder || callContext.manage ? [] : slotRequired
+        }
+      },
+      {
+        name: 'create_reservation',
+        description: appointments
+          ? 'Book the appointment after the caller confirmed all details.'
+          : 'Book the table after the caller confirmed all details.',
+        parameters: {
+          type: 'object',
+          properties: {
+            ...slot,
+            customerName: { type: 'string' },
+            customerPhone: { type: 'string', description: 'Only if different from the number calling' },
+            specialRequests: { type: 'string' }
+          },
+          required: [...slotRequired, 'customerName']
+        }
+      },
+      {
+        name: 'lookup_reservation',
+        description: 'Find the caller\'s upcoming reservations, by reservation number or else by the number calling.',
+        parameters: {
+          type: 'object',
+          properties: {
+            reservationNumber: { type: 'string', description: 'Full number or its last 4 characters' }
+          }
+        }
+      },
+      {
+        name: 'transfer_to_human',
+        description: 'Transfer the call to a staff member.',
+        parameters: {
+          type: 'object',
+          properties: {
+            reason: { type: 'string' }
+          }
+        }
+      }
+    ];
+
+    return tools.map(fn => ({ type: 'function', function: fn }));
+  }
+
+  /**
+   * Parse a tool call's JSON arguments, dropping empty values
+   */
+  parseToolArguments(json) {
+    try {
+      const args = JSON.parse(json || '{}');
+      return Object.fromEntries(
+        Object.entries(args).filter(([, value]) => value !== null && value !== '')
+      );
+    } catch (error) {
+      logger.debug('Invalid tool arguments:', error.message);
+      return {};
+    }
+  }
+
+  /**
+   * Prompt section with holidays and special days in the next two weeks
+   */
+  buildSpecialHoursPrompt(business) {
+    const days = business.getSpecialHours(14);
+    if (days.length === 0) return '';
+
+    return `## שעות מיוחדות (גוברות על השעות הרגילות):
+${days.map(d => {
+    const date = moment.utc(d.date).format('DD/MM');
+    const hours = d.isOpen ? formatIntervals(d.intervals) : 'סגור';
+    return `- ${date} (יום ${this.getDayName(d.day)})${d.name ? ` ${d.name}` : ''}: ${hours}`;
+  }).join('\n')}
+`;
+  }
+
+  /**
+   * Open/closed status with the next opening, so the bot can answer "מתי אתם פותחים?"
+   */
+  describeOpenStatus(business) {
+    const next = business.getNextOpening();
+    if (!next) return business.isCurrentlyOpen() ? 'פתוח' : 'סגור';
+    if (next.isOpen) return `פתוח עד ${next.closeTime}`;
+
+    const timezone = business.getTimezone();
+    const today = moment().tz(timezone);
+    const opensOn = moment(next.opensAt).tz(timezone);
+
+    let when = `ביום ${this.getDayName(next.day)} (${opensOn.format('DD/MM')})`;
+    if (opensOn.isSame(today, 'day')) when = 'היום';
+    else if (opensOn.isSame(today.clone().add(1, 'day'), 'day')) when = 'מחר';
+
+    return `סגור, נפתח ${when} ב-${next.openTime}`;
+  }
+
+  /**
+   * Prompt section with the services and staff of an appointment business
+   */
+  buildAppointmentsPrompt(business) {
+    const settings = business.reservationSettings || {};
+    if (settings.enabled === false) {
+      return '## תורים:\n- קביעת תורים בטלפון לא פעילה';
+    }
+
+    const services = business.services.filter(s => s.isActive);
+    const staff = (business.staff || []).filter(s => s.isActive);
+
+    const staffFor = (service) => business.getStaffForService(service._id).map(s => s.name);
+
+    return `## תורים:
+- קביעת תורים פעילה, עד ${settings.advanceBookingDays} ימים מראש
+## טיפולים:
+${services.map(service => {
+    const names = staff.length ? staffFor(service) : [];
+    return `- ${service.nameHebrew}: ${service.duration} דקות${service.price ? `, ${service.price}₪` : ''}${names.length ? ` (${names.join(', ')})` : ''}`;
+  }).join('\n')}
+${staff.length ? `## צוות:
+${staff.map(s => `- ${s.name}${s.role ? ` - ${s.role}` : ''}`).join('\n')}` : ''}`;
+  }
+
+  /**
+   * Prompt section for a caller managing an existing reservation
+   */
+  buildManagePrompt(manage) {
+    const { reservations = [], selectedId } = manage;
+    const details = (r) => r.serviceName
+      ? `${r.serviceName}${r.staffName ? ` אצל ${r.staffName}` : ''}`
+      : `${r.partySize} אנשים`;
+    const describe = (r) => `- ${r.date} בשעה ${r.time}, ${details(r)}, על שם ${r.customerName} (מספר הזמנה ${r.reservationNumber})`;
+
+    if (reservations.length === 0) {
+      return `## ניהול הזמנה קיימת:
+לא נמצאה הזמנה עתידית על המספר שממנו הלקוח מתקשר.
+בקש מהלקוח את מספר ההזמנה (4 התווים האחרונים מספיקים).
+`;
+    }
+
+    const selected = reservations.find(r => String(r.reservationId) === String(selectedId));
+    if (!selected) {
+      return `## ניהול הזמנה קיימת:
+ללקוח יש כמה הזמנות:
+${reservations.map(describe).join('\n')}
+הקרא אותן בקצרה ושאל לאיזו מהן הוא מתכוון (לפי תאריך ושעה).
+כשהלקוח בוחר - קרא ל-lookup_reservation עם מספר ההזמנה שבחר.
+`;
+    }
+
+    return `## ניהול הזמנה קיימת:
+${describe(selected)}
+הקרא ללקוח את פרטי ההזמנה ושאל אם לבטל אותה או לשנות תאריך, שעה או מספר אנשים.
+לפני ביטול - בקש מהלקוח לאשר במפורש ("כן").
+אל תאמר שההזמנה בוטלה או עודכנה - המערכת תודיע על כך.
+`;
+  }
+
   /**
    * Build messages array for the API
    */
@@ -246,11 +586,34 @@ ${callContext.previousIntent ? `- כוונה קודמת: ${callContext.previousI
     return 'general';
   }
 
+  /**
+   * Read a yes/no answer before acting on a booking - unlike detectIntent,
+   * negation counts: "לא טוב לי" is a no and "אני לא רוצה לבטל" is not a cancel.
+   * Anything mixed or unclear is null, so the bot asks again.
+   * @returns {string|null} 'yes', 'no', 'cancel' (an unnegated request to cancel) or null
+   */
+  detectDecision(message) {
+    const words = String(message || '').toLowerCase().split(/[\s,.!?;:"()\-]+/).filter(Boolean);
+    const isNegation = (word) => NEGATION_WORDS.includes(word);
+
+    const negated = words.some(isNegation);
+    const yes = words.some((word, i) => YES_WORDS.includes(word) && !isNegation(words[i - 1]));
+    const cancel = words.some(word => CANCEL_WORD.test(word));
+
+    if (negated) return yes ? null : 'no';
+    if (cancel) return 'cancel';
+    return yes ? 'yes' : null;
+  }
+
   /**
    * Initialize intent patterns
    */
   initializeIntentPatterns() {
+    // Checked in order - cancel first so "לבטל את ההזמנה" isn't a new reservation
     return {
+      cancel: [
+        'לבטל', 'ביטול', 'לשנות הזמנה', 'לשנות את ההזמנה', 'לדחות'
+      ],
       reservation: [
         'הזמנה', 'להזמין', 'שולחן', 'מקום', 'תור',
         /רוצ[הי] להזמין/, /אפשר (להזמין|לקבוע)/,
@@ -268,9 +631,6 @@ ${callContext.previousIntent ? `- כוונה קודמת: ${callContext.previousI
         'איפה', 'כתובת', 'מיקום', 'איך מגיעים', 'חניה',
         'נווט', 'וויז', 'גוגל מפות'
       ],
-      cancel: [
-        'לבטל', 'ביטול', 'לשנות הזמנה', 'לדחות'
-      ],
       confirm: [
         'כן', 'נכון', 'בסדר', 'מאשר', 'אישור',
         'בדיוק', 'זהו', 'טוב'
@@ -290,19 +650,20 @@ ${callContext.previousIntent ? `- כוונה קודמת: ${callContext.previousI
   }
 
   /**
-   * Select model based on task complexity
+   * Select model tier based on task complexity
+   * @returns {string} 'fast' or 'smart' - the provider maps it to a model
    */
   selectModel(intent, message, history) {
     // Use fast model for simple tasks
     const simpleIntents = ['hours', 'location', 'confirm', 'deny', 'faq'];
     
     if (simpleIntents.includes(intent)) {
-      return this.models.fast;
+      return 'fast';
     }
 
     // Use fast model for short conversations
     if (history.length < 4 && message.length < 50) {
-      return this.models.fast;
+      return 'fast';
     }
 
     // Use smart model for complex tasks
@@ -311,143 +672,117 @@ ${callContext.previousIntent ? `- כוונה קודמת: ${callContext.previousI
     if (complexIntents.includes(intent)) {
       // But only if complexity warrants it
       if (history.length > 6 || message.length > 100) {
-        return this.models.smart;
+        return 'smart';
       }
     }
 
     // Default to fast model
-    return this.models.fast;
+    return 'fast';
   }
 
   /**
-   * Check FAQ cache for instant response
+   * One-off completion with the business's provider and fast model
+   * @param {Array} usage - Optional; gets { purpose, model, promptTokens, completionTokens } appended
+   * @returns {string} The reply text
    */
-  async checkFAQCache(message, business) {
-    const cacheKey = `faq:${business._id}:${this.normalizeForCache(message)}`;
-    return this.faqCache.get(cacheKey);
-  }
+  async complete(business, request, usage = null) {
+    const provider = llmService.getProvider(business?.aiConfig);
+    const completion = await provider.complete({
+      ...request,
+      model: provider.getModel('fast', business?.aiConfig?.models)
+    });
 
-  /**
-   * Cache a response for future FAQ matching
-   */
-  cacheResponse(message, response, intent, businessId) {
-    const cacheKey = `faq:${businessId}:${this.normalizeForCache(message)}`;
-    this.faqCache.set(cacheKey, {
-      answer: response,
-      intent,
-      cachedAt: new Date()
+    usage?.push({
+      purpose: request.purpose,
+      model: completion.model,
+      promptTokens: completion.usage.promptTokens,
+      completionTokens: completion.usage.completionTokens
     });
-  }
 
-  /**
-   * Normalize message for cache key
-   */
-  normalizeForCache(message) {
-    return message
-      .toLowerCase()
-      .trim()
-      .replace(/[?!.,]/g, '')
-      .replace(/\s+/g, ' ')
-      .substring(0, 100);
+    return completion.message.content;
   }
 
   /**
-   * Extract structured data from conversation
+   * Generate call summary
+   * Throws on provider errors - the post-call job retries
    */
-  async extractStructuredData(response, intent, userMessage) {
-    if (intent !== 'reservation') return null;
-
-    // Try to extract reservation details
-    const extractionPrompt = `Extract reservation details from this Hebrew conversation.
-User said: "${userMessage}"
-Bot responded: "${response}"
-
-Return a JSON object with any found details:
-{
-  "date": "YYYY-MM-DD or null",
-  "time": "HH:MM or null", 
-  "partySize": number or null,
-  "customerName": "string or null",
-  "customerPhone": "string or null",
-  "specialRequests": "string or null"
-}
+  async generateCallSummary(conversation, business, usage = null) {
+    const conversationText = conversation
+      .map(turn => `${turn.role === 'user' ? 'לקוח' : 'בוט'}: ${turn.content}`)
+      .join('\n');
 
-Only include fields that were clearly mentioned. Return valid JSON only.`;
+    const prompt = `סכם את שיחת הטלפון הבאה בעברית ב-2-3 משפטים:
 
-    try {
-      const extraction = await this.openai.chat.completions.create({
-        model: this.models.fast,
-        messages: [{ role: 'user', content: extractionPrompt }],
-        max_tokens: 200,
-        temperature: 0
-      });
+${conversationText}
 
-      const jsonStr = extraction.choices[0].message.content;
-      return JSON.parse(jsonStr);
-    } catch (error) {
-      logger.debug('Could not extract structured data:', error.message);
-      return null;
-    }
+סיכום:`;
+
+    const summary = await this.complete(business, {
+      messages: [{ role: 'user', content: prompt }],
+      maxTokens: 150,
+      temperature: 0.3,
+      purpose: 'summary'
+    }, usage);
+
+    return summary.trim();
   }
 
   /**
-   * Generate call summary
+   * Generate a short summary whispered to staff before a live transfer
    */
-  async generateCallSummary(conversation, business) {
+  async generateWhisperSummary(conversation, business, usage = null) {
     const conversationText = conversation
       .map(turn => `${turn.role === 'user' ? 'לקוח' : 'בוט'}: ${turn.content}`)
       .join('\n');
 
-    const prompt = `סכם את שיחת הטלפון הבאה בעברית ב-2-3 משפטים:
+    const prompt = `שיחה מ${business.nameHebrew} מועברת לנציג אנושי.
+כתוב לנציג משפט אחד או שניים בעברית: מה הלקוח רוצה ומה כבר נאמר. בלי פתיח.
 
 ${conversationText}
 
-סיכום:`;
+סיכום לנציג:`;
 
     try {
-      const completion = await this.openai.chat.completions.create({
-        model: this.models.fast,
+      return await this.complete(business, {
         messages: [{ role: 'user', content: prompt }],
-        max_tokens: 150,
-        temperature: 0.3
-      });
-
-      return completion.choices[0].message.content;
+        maxTokens: 80,
+        temperature: 0.3,
+        purpose: 'whisper'
+      }, usage);
     } catch (error) {
-      logger.error('Error generating summary:', error);
-      return 'לא ניתן ליצור סיכום';
+      logger.error('Error generating whisper summary:', error);
+      return '';
     }
   }
 
   /**
    * Analyze sentiment of conversation
+   * Throws on provider errors - the post-call job retries
+   * @returns {number} -1 to 1
    */
-  async analyzeSentiment(text) {
+  async analyzeSentiment(text, business = null, usage = null) {
     const prompt = `Analyze the sentiment of this Hebrew text.
 Text: "${text}"
 
 Rate from -1 (very negative) to 1 (very positive).
 Return only a number.`;
 
-    try {
-      const completion = await this.openai.chat.completions.create({
-        model: this.models.fast,
-        messages: [{ role: 'user', content: prompt }],
-        max_tokens: 10,
-        temperature: 0
-      });
+    const reply = await this.complete(business, {
+      messages: [{ role: 'user', content: prompt }],
+      maxTokens: 10,
+      temperature: 0,
+      purpose: 'sentiment'
+    }, usage);
 
-      const score = parseFloat(completion.choices[0].message.content);
-      return isNaN(score) ? 0 : Math.max(-1, Math.min(1, score));
-    } catch (error) {
-      return 0;
-    }
+    const score = parseFloat(reply);
+    return isNaN(score) ? 0 : Math.max(-1, Math.min(1, score));
   }
 
   /**
    * Detect missing business information from conversations
+   * Throws on provider errors - the post-call job retries; an unreadable reply is []
    */
-  async detectMissingInfo(conversation, business) {
+  async detectMissingInfo(conversation, business, usage = null) {
     const conversationText = conversation
       .map(turn => `${turn.role}: ${turn.content}`)
       .join('\n');
@@ -468,16 +803,18 @@ Return a JSON array of missing information:
 
 Return empty array [] if nothing is missing.`;
 
-    try {
-      const completion = await this.openai.chat.completions.create({
-        model: this.models.fast,
-        messages: [{ role: 'user', content: prompt }],
-        max_tokens: 200,
-        temperature: 0
-      });
+    const reply = await this.complete(business, {
+      messages: [{ role: 'user', content: prompt }],
+      maxTokens: 200,
+      temperature: 0,
+      purpose: 'missing-info'
+    }, usage);
 
-      return JSON.parse(completion.choices[0].message.content);
+    try {
+      const missing = JSON.parse(reply);
+      return Array.isArray(missing) ? missing : [];
     } catch (error) {
+      logger.warn('Unreadable missing info reply', { reply: String(reply).substring(0, 100) });
       return [];
     }
   }
@@ -497,20 +834,6 @@ Return empty array [] if nothing is missing.`;
     };
     return days[day] || day;
   }
-
-  /**
-   * Get cost estimate for tokens
-   */
-  estimateCost(tokensUsed, model) {
-    const costs = {
-      'gpt-3.5-turbo': 0.002 / 1000,
-      'gpt-4-turbo-preview': 0.03 / 1000,
-      'gpt-4': 0.06 / 1000
-    };
-    
-    const usdCost = tokensUsed * (costs[model] || costs['gpt-3.5-turbo']);
-    return usdCost * 3.7; // Convert to ILS
-  }
 }
 
 module.exports = new GPTService();
@@ -5,11 +5,35 @@
 const sttService = require('./stt.service');
 const ttsService = require('./tts.service');
 const gptService = require('./gpt.service');
+const faqService = require('./faq.service');
+const knowledgeService = require('./knowledge.service');
+const menuService = require('./menu.service');
+const pricingService = require('./pricing.service');
+const rollupService = require('./rollup.service');
+const llmService = require('./llm.service');
 const callHandlerService = require('./callHandler.service');
+const emailService = require('./email.service');
+const mediaStreamService = require('./mediaStream.service');
+const outboundCallService = require('./outboundCall.service');
+const postCallService = require('./postCall.service');
+const smsService = require('./sms.service');
+const waitlistService = require('./waitlist.service');
 
 module.exports = {
   sttService,
   ttsService,
   gptService,
-  callHandlerService
+  faqService,
+  knowledgeService,
+  menuService,
+  pricingService,
+  rollupService,
+  llmService,
+  callHandlerService,
+  emailService,
+  mediaStreamService,
+  outboundCallService,
+  postCallService,
+  smsService,
+  waitlistService
 };
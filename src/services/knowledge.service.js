@@ -0,0 +1,331 @@
+/**
+ * Knowledge Base Service
+ * Splits documents a business uploads (policies, menus, price lists) into
+ * chunks, embeds them, and retrieves the chunks relevant to a caller's
+ * question into the prompt within a token budget
+ */
+
+const NodeCache = require('node-cache');
+const logger = require('../utils/logger');
+const { parseCsvRecords } = require('../utils/csv');
+const { cosineSimilarity } = require('../utils/similarity');
+const llmService = require('./llm.service');
+const { KnowledgeDocument, KnowledgeChunk } = require('../models');
+
+// Target chunk size - big enough to keep a policy paragraph together
+const CHUNK_TOKENS = 250;
+const EMBED_BATCH_SIZE = 64;
+
+const DEFAULT_TOKEN_BUDGET = 800;
+const DEFAULT_MIN_SCORE = 0.3;
+
+class KnowledgeService {
+  constructor() {
+    // Embedded chunks by business and embedding model, dropped when documents change
+    this.chunkCache = new NodeCache({ stdTTL: 600, useClones: false });
+  }
+
+  /**
+   * Provider and "provider:model" key of the business's embeddings
+   */
+  getEmbedder(business) {
+    const provider = llmService.getProvider(business.aiConfig);
+    const model = provider.getModel('embedding', business.aiConfig?.models);
+    return { provider, model, key: `${provider.name}:${model}` };
+  }
+
+  /**
+   * Store and index a document
+   * @param {Object} data - { title, type, content, filename, uploadedBy }
+   * @returns {Object} The document - status 'failed' with an error if indexing failed
+   */
+  async ingest(business, data) {
+    const document = await KnowledgeDocument.create({
+      business: business._id,
+      title: data.title,
+      type: data.type || 'text',
+      filename: data.filename,
+      content: data.content,
+      uploadedBy: data.uploadedBy
+    });
+
+    return this.index(business, document);
+  }
+
+  /**
+   * Chunk and embed a document, replacing its previous chunks
+   */
+  async index(business, document) {
+    try {
+      const chunks = this.chunk(document);
+      if (chunks.length === 0) {
+        throw new Error('Document has no text');
+      }
+
+      const { provider, model, key } = this.getEmbedder(business);
+
+      const embeddings = [];
+      for (let i = 0; i < chunks.length; i += EMBED_BATCH_SIZE) {
+        const batch = chunks.slice(i, i + EMBED_BATCH_SIZE);
+        embeddings.push(...await provider.embed(
+          batch.map(chunk => `${chunk.heading}\n${chunk.text}`),
+          model
+        ));
+      }
+
+      await KnowledgeChunk.deleteMany({ document: document._id });
+      await KnowledgeChunk.insertMany(chunks.map((chunk, i) => ({
+        business: business._id,
+        document: document._id,
+        index: i,
+        heading: chunk.heading,
+        text: chunk.text,
+        tokens: chunk.tokens,
+        embedding: embeddings[i],
+        embeddingModel: key
+      })));
+
+      document.status = 'ready';
+      document.error = undefined;
+      document.chunkCount = chunks.length;
+      document.tokenCount = chunks.reduce((sum, chunk) => sum + chunk.tokens, 0);
+      document.embeddingModel = key;
+      await document.save();
+
+      logger.info('Knowledge document indexed', {
+        businessId: business._id,
+        documentId: document._id,
+        chunks: chunks.length
+      });
+
+    } catch (error) {
+      logger.error('Knowledge indexing error:', error);
+
+      document.status = 'failed';
+      document.error = error.message;
+      await document.save();
+    }
+
+    this.invalidate(business._id);
+    return document;
+  }
+
+  /**
+   * Re-embed every document, e.g. after switching provider or embedding model
+   * @returns {Object} { indexed, failed }
+   */
+  async reindex(business) {
+    const documents = await KnowledgeDocument.find({ business: business._id });
+    let failed = 0;
+
+    for (const document of documents) {
+      await this.index(business, document);
+      if (document.status === 'failed') failed++;
+    }
+
+    return { indexed: documents.length - failed, failed };
+  }
+
+  async deleteDocument(business, documentId) {
+    const document = await KnowledgeDocument.findOneAndDelete({
+      _id: documentId,
+      business: business._id
+    });
+    if (!document) return null;
+
+    await KnowledgeChunk.deleteMany({ document: document._id });
+    this.invalidate(business._id);
+    return document;
+  }
+
+  invalidate(businessId) {
+    const prefix = `${businessId}:`;
+    this.chunkCache.del(this.chunkCache.keys().filter(key => key.startsWith(prefix)));
+  }
+
+  /**
+   * Split a document into chunks of about CHUNK_TOKENS
+   * @returns {Array} [{ heading, text, tokens }]
+   */
+  chunk(document) {
+    const sections = document.type === 'csv'
+      ? this.splitCsv(document)
+      : this.splitText(document);
+
+    const chunks = [];
+
+    for (const section of sections) {
+      let parts = [];
+      let tokens = 0;
+
+      const flush = () => {
+        if (parts.length === 0) return;
+        const text = parts.join(section.separator);
+        chunks.push({ heading: section.heading, text, tokens: llmService.estimateTokens(text) });
+        parts = [];
+        tokens = 0;
+      };
+
+      for (const part of section.parts.flatMap(p => this.splitLong(p))) {
+        const partTokens = llmService.estimateTokens(part);
+        if (tokens + partTokens > CHUNK_TOKENS) flush();
+        parts.push(part);
+        tokens += partTokens;
+      }
+      flush();
+    }
+
+    return chunks;
+  }
+
+  /**
+   * Paragraphs grouped under their markdown headings
+   */
+  splitText(document) {
+    const sections = [];
+    let current = { heading: document.title, parts: [], separator: '\n\n' };
+
+    for (const block of document.content.replace(/\r\n/g, '\n').split(/\n\s*\n/)) {
+      const lines = block.trim().split('\n');
+      const heading = lines[0].match(/^#{1,6}\s+(.+)/);
+
+      if (heading) {
+        if (current.parts.length > 0) sections.push(current);
+        current = { heading: `${document.title} - ${heading[1].trim()}`, parts: [], separator: '\n\n' };
+        lines.shift();
+      }
+
+      const text = lines.join('\n').trim();
+      if (text) current.parts.push(text);
+    }
+
+    if (current.parts.length > 0) sections.push(current);
+    return sections;
+  }
+
+  /**
+   * One line per row ("name: Falafel | price: 28"), grouped by category if there is one
+   */
+  splitCsv(document) {
+    const records = parseCsvRecords(document.content);
+    const sections = new Map();
+
+    for (const record of records) {
+      const line = Object.entries(record)
+        .filter(([, value]) => value !== '')
+        .map(([key, value]) => `${key}: ${value}`)
+        .join(' | ');
+      if (!line) continue;
+
+      const category = record.category || record['קטגוריה'] || '';
+      if (!sections.has(category)) {
+        sections.set(category, {
+          heading: category ? `${document.title} - ${category}` : document.title,
+          parts: [],
+          separator: '\n'
+        });
+      }
+      sections.get(category).parts.push(line);
+    }
+
+    return [...sections.values()];
+  }
+
+  /**
+   * Split an over-long paragraph at sentence ends, then hard at the size limit
+   */
+  splitLong(text) {
+    if (llmService.estimateTokens(text) <= CHUNK_TOKENS) return [text];
+
+    const maxChars = CHUNK_TOKENS * 3;
+    const pieces = [];
+    let current = '';
+
+    for (const sentence of text.split(/(?<=[.!?])\s+/)) {
+      if (current && current.length + sentence.length + 1 > maxChars) {
+        pieces.push(current);
+        current = '';
+      }
+      current = current ? `${current} ${sentence}` : sentence;
+
+      while (current.length > maxChars) {
+        pieces.push(current.slice(0, maxChars));
+        current = current.slice(maxChars);
+      }
+    }
+    if (current) pieces.push(current);
+
+    return pieces;
+  }
+
+  /**
+   * Embedded chunks of a business for its current embedding model
+   */
+  async getChunks(business, key) {
+    const cacheKey = `${business._id}:${key}`;
+    let chunks = this.chunkCache.get(cacheKey);
+
+    if (!chunks) {
+      chunks = await KnowledgeChunk.find({ business: business._id, embeddingModel: key })
+        .select('document heading text tokens embedding')
+        .lean();
+      this.chunkCache.set(cacheKey, chunks);
+    }
+
+    return chunks;
+  }
+
+  /**
+   * Chunks relevant to a question, best first, within the token budget
+   * Never throws - a turn without knowledge still gets answered
+   * @param {Object} options - { tokenBudget, minScore, embedding, usage } - embedding resolves
+   *   to the query vector, if already embedded; usage gets embedding calls appended
+   * @returns {Array} [{ document, heading, text, tokens, score }]
+   */
+  async retrieve(business, query, options = {}) {
+    const aiConfig = business.aiConfig || {};
+    if (aiConfig.enableKnowledgeBase === false || !String(query || '').trim()) return [];
+
+    const tokenBudget = options.tokenBudget ?? aiConfig.knowledgeTokenBudget ?? DEFAULT_TOKEN_BUDGET;
+    const minScore = options.minScore ?? aiConfig.knowledgeMinScore ?? DEFAULT_MIN_SCORE;
+
+    try {
+      const { provider, model, key } = this.getEmbedder(business);
+
+      const chunks = await this.getChunks(business, key);
+      if (chunks.length === 0) return [];
+
+      const queryVector = options.embedding
+        ? await options.embedding()
+        : (await provider.embed([query], model, options.usage))[0];
+
+      const ranked = chunks
+        .map(chunk => ({ chunk, score: cosineSimilarity(queryVector, chunk.embedding) }))
+        .filter(({ score }) => score >= minScore)
+        .sort((a, b) => b.score - a.score);
+
+      // Best first; a chunk that doesn't fit may still leave room for a smaller one
+      const selected = [];
+      let used = 0;
+      for (const { chunk, score } of ranked) {
+        if (used + chunk.tokens > tokenBudget) continue;
+        selected.push({
+          document: chunk.document,
+          heading: chunk.heading,
+          text: chunk.text,
+          tokens: chunk.tokens,
+          score: Math.round(score * 1000) / 1000
+        });
+        used += chunk.tokens;
+      }
+
+      return selected;
+
+    } catch (error) {
+      logger.error('Knowledge retrieval error:', error);
+      return [];
+    }
+  }
+}
+
+module.exports = new KnowledgeService();
@@ -0,0 +1,363 @@
+/**
+ * LLM Service
+ * Chat completion providers behind one interface, selectable per business
+ * in aiConfig.provider: OpenAI, Azure OpenAI, an OpenAI-compatible local
+ * endpoint (Ollama, vLLM, LM Studio) and a scripted provider that answers
+ * deterministically without network access, for tests and offline demos
+ */
+
+const OpenAI = require('openai');
+const { AzureOpenAI } = require('openai');
+const logger = require('../utils/logger');
+
+const PROVIDERS = ['openai', 'azure', 'local', 'scripted'];
+
+const SCRIPTED_EMBEDDING_SIZE = 256;
+
+/**
+ * Rough token count without a tokenizer - Hebrew runs about 3 characters a token
+ */
+const estimateTokens = (text) => Math.ceil(String(text || '').length / 3);
+
+/**
+ * Compile a script rule's match, or null if it isn't a valid regex
+ */
+const compileMatch = (match) => {
+  try {
+    return new RegExp(match, 'i');
+  } catch (error) {
+    logger.warn('Skipping scripted rule with an invalid match', { match, error: error.message });
+    return null;
+  }
+};
+
+/**
+ * Map an OpenAI SDK completion to the provider result
+ */
+const toResult = (completion, model) => ({
+  message: completion.choices[0].message,
+  usage: {
+    promptTokens: completion.usage?.prompt_tokens || 0,
+    completionTokens: completion.usage?.completion_tokens || 0,
+    totalTokens: completion.usage?.total_tokens || 0
+  },
+  model: completion.model || model
+});
+
+/**
+ * OpenAI chat completions
+ * Also the base for the Azure and local providers, which speak the same API
+ */
+class OpenAIProvider {
+  constructor({ client, models, name = 'openai', supportsTools = true, missingConfig = null }) {
+    this.name = name;
+    this.client = client;
+    this.models = models;
+    this.supportsTools = supportsTools;
+    this.missingConfig = missingConfig;
+  }
+
+  /**
+   * Model (or deployment) name for a tier ('fast', 'smart', 'embedding'), business overrides first
+   */
+  getModel(tier = 'fast', overrides = {}) {
+    return overrides?.[tier] || this.models[tier] || this.models.fast;
+  }
+
+  /**
+   * Run a chat completion
+   * @param {Object} request - { model, messages, maxTokens, temperature, tools, toolChoice, ... }
+   * @returns {Object} { message, usage: { promptTokens, completionTokens, totalTokens }, model }
+   */
+  async complete(request) {
+    if (!this.client) {
+      throw new Error(`${this.missingConfig} not set - ${this.name} provider unavailable`);
+    }
+
+    const completion = await this.client.chat.completions.create({
+      model: request.model,
+      messages: request.messages,
+      max_tokens: request.maxTokens,
+      temperature: request.temperature,
+      ...(request.presencePenalty !== undefined && { presence_penalty: request.presencePenalty }),
+      ...(request.frequencyPenalty !== undefined && { frequency_penalty: request.frequencyPenalty }),
+      ...(request.tools && this.supportsTools && {
+        tools: request.tools,
+        tool_choice: request.toolChoice || 'auto'
+      })
+    });
+
+    return toResult(completion, request.model);
+  }
+
+  /**
+   * Embed texts
+   * @param {Array} usage - Optional; gets { purpose: 'embedding', model, promptTokens, completionTokens } appended
+   * @returns {Array} One vector per text, in order
+   */
+  async embed(texts, model = this.models.embedding, usage = null) {
+    if (!this.client) {
+      throw new Error(`${this.missingConfig} not set - ${this.name} provider unavailable`);
+    }
+
+    const response = await this.client.embeddings.create({ model, input: texts });
+
+    usage?.push({
+      purpose: 'embedding',
+      model: response.model || model,
+      promptTokens: response.usage?.prompt_tokens || 0,
+      completionTokens: 0
+    });
+
+    return response.data
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
+  }
+}
+
+/**
+ * Answers from rules matched against the caller's last message
+ * Rules: [{ match, reply, tool, arguments }] - match is a case-insensitive regex,
+ * a tool rule calls that tool (when offered) instead of replying
+ */
+class ScriptedProvider {
+  constructor(script = []) {
+    this.name = 'scripted';
+    this.supportsTools = true;
+    // Compiled once - rules come from business config
+    this.script = script
+      .map(rule => ({ rule, pattern: compileMatch(rule.match) }))
+      .filter(entry => entry.pattern);
+    this.defaultReply = 'אשמח לעזור. אפשר לפרט במה?';
+    this.callCount = 0;
+  }
+
+  getModel() {
+    return 'scripted';
+  }
+
+  /**
+   * Hashed character trigrams - no meaning, but stable and close for similar wording
+   */
+  async embed(texts, model, usage = null) {
+    usage?.push({
+      purpose: 'embedding',
+      model: 'scripted',
+      promptTokens: texts.reduce((sum, text) => sum + estimateTokens(text), 0),
+      completionTokens: 0
+    });
+
+    return texts.map(text => {
+      const vector = new Array(SCRIPTED_EMBEDDING_SIZE).fill(0);
+      const normalized = ` ${String(text).toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim()} `;
+
+      for (let i = 0; i < normalized.length - 2; i++) {
+        let hash = 0;
+        for (const char of normalized.slice(i, i + 3)) {
+          hash = (hash * 31 + char.codePointAt(0)) >>> 0;
+        }
+        vector[hash % SCRIPTED_EMBEDDING_SIZE] += 1;
+      }
+
+      return vector;
+    });
+  }
+
+  async complete(request) {
+    const reply = this.reply(request);
+    const message = typeof reply === 'string' ? { role: 'assistant', content: reply } : reply;
+
+    // Estimated so usage tracking still moves
+    const promptTokens = request.messages.reduce((sum, m) => sum + estimateTokens(m.content), 0);
+    const completionTokens = estimateTokens(message.content || JSON.stringify(message.tool_calls || ''));
+
+    return {
+      message,
+      usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens },
+      model: 'scripted'
+    };
+  }
+
+  /**
+   * Deterministic reply for a request
+   * @returns {string|Object} Text, or an assistant message with tool calls
+   */
+  reply(request) {
+    const { messages, purpose = 'conversation' } = request;
+
+    // One-off analysis prompts get neutral answers
+    if (purpose === 'sentiment') return '0';
+    if (purpose === 'missing-info') return '[]';
+    if (purpose === 'summary' || purpose === 'whisper') {
+      const firstUser = messages.find(m => m.role === 'user')?.content || '';
+      const said = firstUser.split('\n').find(line => line.startsWith('לקוח:'));
+      return said ? `הלקוח פנה: ${said.replace('לקוח:', '').trim()}` : 'שיחה קצרה ללא פנייה מיוחדת';
+    }
+
+    const last = messages[messages.length - 1];
+
+    // After a tool ran, say what it returned
+    if (last?.role === 'tool') {
+      const result = this.parseJson(last.content);
+      if (result.message) return result.message;
+      if (result.available) return `${result.time} פנוי. לשריין?`;
+      if (result.missing?.length) return `חסרים לי עוד פרטים: ${result.missing.join(', ')}`;
+      if (result.found !== undefined) {
+        return result.found
+          ? `מצאתי ${result.found === 1 ? 'הזמנה' : `${result.found} הזמנות`}. מה תרצה לעשות?`
+          : 'לא מצאתי הזמנה. מה מספר ההזמנה?';
+      }
+      return 'בסדר.';
+    }
+
+    const userMessage = [...messages].reverse().find(m => m.role === 'user')?.content || '';
+    const offered = (request.tools || []).map(t => t.function.name);
+
+    for (const { rule, pattern } of this.script) {
+      if (!pattern.test(userMessage)) continue;
+
+      if (rule.tool && offered.includes(rule.tool) && request.toolChoice !== 'none') {
+        this.callCount++;
+        return {
+          role: 'assistant',
+          content: null,
+          tool_calls: [{
+            id: `call_scripted_${this.callCount}`,
+            type: 'function',
+            function: { name: rule.tool, arguments: JSON.stringify(rule.arguments || {}) }
+          }]
+        };
+      }
+
+      if (rule.reply) return rule.reply;
+    }
+
+    return this.defaultReply;
+  }
+
+  parseJson(text) {
+    try {
+      return JSON.parse(text) || {};
+    } catch (error) {
+      return {};
+    }
+  }
+}
+
+class LLMService {
+  constructor() {
+    // LLM_PROVIDER=openai|azure|local|scripted, defaults to openai when a key is set
+    const configured = process.env.LLM_PROVIDER ||
+      (process.env.OPENAI_API_KEY ? 'openai' : null);
+
+    // Scripted replies must be chosen explicitly in production
+    if (!configured && process.env.NODE_ENV === 'production') {
+      throw new Error('LLM_PROVIDER or OPENAI_API_KEY must be set in production');
+    }
+
+    this.defaultProvider = configured || 'scripted';
+
+    if (!PROVIDERS.includes(this.defaultProvider)) {
+      throw new Error(`Unknown LLM_PROVIDER: ${this.defaultProvider}`);
+    }
+
+    if (!configured) {
+      console.warn('⚠️ OPENAI_API_KEY not set - AI replies will come from the scripted provider');
+    }
+
+    this.providers = {};
+  }
+
+  /**
+   * Provider for a business's aiConfig (or the default without one)
+   */
+  getProvider(aiConfig = {}) {
+    const name = aiConfig?.provider || this.defaultProvider;
+
+    // Scripts are per business and the provider is cheap - build it each time
+    if (name === 'scripted' && aiConfig?.script?.length) {
+      return new ScriptedProvider(aiConfig.script);
+    }
+
+    if (!this.providers[name]) {
+      this.providers[name] = this.createProvider(name);
+      logger.info('LLM provider initialized', { provider: name });
+    }
+    return this.providers[name];
+  }
+
+  estimateTokens(text) {
+    return estimateTokens(text);
+  }
+
+  /**
+   * Replace a provider, e.g. a scripted one in tests
+   */
+  setProvider(name, provider) {
+    this.providers[name] = provider;
+  }
+
+  createProvider(name) {
+    if (name === 'azure') {
+      const configured = process.env.AZURE_OPENAI_ENDPOINT && process.env.AZURE_OPENAI_API_KEY;
+      const deployment = process.env.AZURE_OPENAI_DEPLOYMENT;
+
+      return new OpenAIProvider({
+        name,
+        client: configured ? new AzureOpenAI({
+          endpoint: process.env.AZURE_OPENAI_ENDPOINT,
+          apiKey: process.env.AZURE_OPENAI_API_KEY,
+          apiVersion: process.env.AZURE_OPENAI_API_VERSION || '2024-06-01'
+        }) : null,
+        // Azure takes deployment names where OpenAI takes model names
+        models: {
+          fast: process.env.AZURE_OPENAI_DEPLOYMENT_FAST || deployment,
+          smart: process.env.AZURE_OPENAI_DEPLOYMENT_SMART || deployment,
+          embedding: process.env.AZURE_OPENAI_DEPLOYMENT_EMBEDDING
+        },
+        missingConfig: 'AZURE_OPENAI_ENDPOINT/AZURE_OPENAI_API_KEY'
+      });
+    }
+
+    if (name === 'local') {
+      const model = process.env.LOCAL_LLM_MODEL || 'llama3.1';
+
+      return new OpenAIProvider({
+        name,
+        client: process.env.LOCAL_LLM_URL ? new OpenAI({
+          baseURL: process.env.LOCAL_LLM_URL,
+          // Most local servers ignore the key, the SDK requires one
+          apiKey: process.env.LOCAL_LLM_API_KEY || 'local'
+        }) : null,
+        models: {
+          fast: process.env.LOCAL_LLM_MODEL_FAST || model,
+          smart: process.env.LOCAL_LLM_MODEL_SMART || model,
+          embedding: process.env.LOCAL_LLM_EMBEDDING_MODEL || 'nomic-embed-text'
+        },
+        supportsTools: process.env.LOCAL_LLM_TOOLS !== 'false',
+        missingConfig: 'LOCAL_LLM_URL'
+      });
+    }
+
+    if (name === 'scripted') {
+      return new ScriptedProvider();
+    }
+
+    return new OpenAIProvider({
+      name,
+      client: process.env.OPENAI_API_KEY ? new OpenAI({ apiKey: process.env.OPENAI_API_KEY }) : null,
+      models: {
+        fast: process.env.OPENAI_MODEL_FAST || 'gpt-3.5-turbo',
+        smart: process.env.OPENAI_MODEL_SMART || 'gpt-4-turbo-preview',
+        embedding: process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small'
+      },
+      missingConfig: 'OPENAI_API_KEY'
+    });
+  }
+}
+
+const llmService = new LLMService();
+llmService.OpenAIProvider = OpenAIProvider;
+llmService.ScriptedProvider = ScriptedProvider;
+
+module.exports = llmService;
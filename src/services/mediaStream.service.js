@@ -0,0 +1,487 @@
+/**
+ * Media Stream Service
+ * Streaming conversations over Twilio Media Streams with barge-in
+ * Caller audio goes to streaming STT, replies are streamed back as μ-law
+ * and playback is cleared as soon as the caller starts talking
+ */
+
+const { WebSocketServer } = require('ws');
+const logger = require('../utils/logger');
+const sttService = require('./stt.service');
+const ttsService = require('./tts.service');
+const callHandlerService = require('./callHandler.service');
+const { Trace } = require('../utils/tracing');
+const { validateTwilioUpgrade } = require('../middleware/twilioSignature');
+const { Business } = require('../models');
+
+// 20ms of 8kHz μ-law audio
+const FRAME_BYTES = 160;
+
+// Silence after the last interim transcript that ends an utterance
+const UTTERANCE_END_MS = 900;
+
+// Google closes streaming recognition after ~5 minutes
+const RECOGNITION_RESTART_MS = 4 * 60 * 1000;
+
+// Consecutive recognition errors before giving up on the stream
+const MAX_RECOGNITION_ERRORS = 3;
+
+/**
+ * Strip the WAV header Google TTS puts in front of MULAW audio
+ */
+const stripWavHeader = (buffer) => {
+  if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'RIFF') {
+    return buffer;
+  }
+
+  const dataIndex = buffer.indexOf('data', 12, 'ascii');
+  return dataIndex === -1 ? buffer : buffer.subarray(dataIndex + 8);
+};
+
+/**
+ * One Twilio media stream (one call)
+ */
+class MediaStreamSession {
+  constructor(ws) {
+    this.ws = ws;
+    this.streamSid = null;
+    this.callSid = null;
+    this.business = null;
+
+    this.recognizer = null;
+    this.restartTimer = null;
+    this.recognitionErrors = 0;
+
+    // Current utterance
+    this.finalText = '';
+    this.interimText = '';
+    this.confidence = 0;
+    this.utteranceTimer = null;
+    this.interimResultText = '';
+
+    // Interim text already handled after a pause, until its result is final
+    this.consumedText = '';
+
+    // When the last transcript arrived - turn traces start there
+    this.lastTranscriptAt = null;
+
+    // Playback
+    this.responseId = 0;
+    this.playing = false;
+    this.silenceTimer = null;
+
+    // Turn processing
+    this.processing = false;
+    this.queuedUtterances = [];
+
+    // Set once Twilio was given new TwiML (transfer/hangup)
+    this.redirected = false;
+    this.closed = false;
+
+    ws.on('message', (message) => this.handleMessage(message));
+    ws.on('close', () => this.stop());
+    ws.on('error', (error) => logger.error('Media stream socket error:', error));
+  }
+
+  /**
+   * Dispatch a Twilio media stream message
+   */
+  async handleMessage(message) {
+    let msg;
+    try {
+      msg = JSON.parse(message);
+    } catch (error) {
+      logger.warn('Invalid media stream message');
+      return;
+    }
+
+    try {
+      switch (msg.event) {
+        case 'start':
+          await this.start(msg.start);
+          break;
+        case 'media':
+          if (this.recognizer && msg.media.track !== 'outbound') {
+            this.recognizer.write(Buffer.from(msg.media.payload, 'base64'));
+          }
+          break;
+        case 'mark':
+          this.handleMark(msg.mark.name);
+          break;
+        case 'stop':
+          await this.stop();
+          break;
+        default:
+          break;
+      }
+    } catch (error) {
+      logger.error('Media stream message error:', error);
+    }
+  }
+
+  /**
+   * Stream started - load the business, start recognition and greet
+   */
+  async start({ streamSid, callSid, customParameters = {} }) {
+    this.streamSid = streamSid;
+    this.callSid = callSid;
+
+    this.business = await Business.findOne({
+      botId: customParameters.botId,
+      isActive: true
+    });
+
+    if (!this.business) {
+      logger.warn('Media stream for unknown business', { callSid, botId: customParameters.botId });
+      this.ws.close();
+      return;
+    }
+
+    logger.info('Media stream started', { callSid, streamSid, businessId: this.business._id });
+
+    this.startRecognition();
+    await this.speak(callHandlerService.generateGreeting(this.business));
+  }
+
+  /**
+   * Open a streaming recognition session
+   * Restarted periodically to stay under Google's stream length limit
+   */
+  startRecognition() {
+    if (this.recognizer) {
+      this.recognizer.removeAllListeners('data');
+      this.recognizer.end();
+    }
+
+    this.recognizer = sttService.createStreamingRecognition({
+      onData: (result) => this.handleTranscript(result),
+      onError: () => this.handleRecognitionError()
+    });
+
+    clearTimeout(this.restartTimer);
+    this.restartTimer = setTimeout(() => this.startRecognition(), RECOGNITION_RESTART_MS);
+  }
+
+  /**
+   * Reopen recognition after an error, hang up if it keeps failing
+   */
+  async handleRecognitionError() {
+    if (this.closed || this.redirected) return;
+
+    this.recognitionErrors++;
+
+    if (this.recognitionErrors < MAX_RECOGNITION_ERRORS) {
+      this.startRecognition();
+      return;
+    }
+
+    logger.error('Streaming recognition keeps failing, ending call', { callSid: this.callSid });
+
+    try {
+      const callState = await callHandlerService.getCallState(this.callSid);
+      await this.redirect(await callHandlerService.handleCallEnd(
+        this.callSid, 'error', callState, this.business
+      ));
+    } catch (error) {
+      logger.error('Media stream call end error:', error);
+    }
+  }
+
+  /**
+   * Handle a streaming transcript
+   * Any speech during playback is a barge-in; a final result or a pause
+   * after interim results ends the utterance
+   */
+  handleTranscript({ text, confidence, isFinal }) {
+    const resultText = text;
+
+    if (this.consumedText) {
+      // Google keeps refining the same result - only new words count
+      text = text.startsWith(this.consumedText)
+        ? text.slice(this.consumedText.length)
+        : '';
+      if (isFinal) this.consumedText = '';
+    }
+
+    if (!text || !text.trim()) return;
+
+    this.recognitionErrors = 0;
+    this.lastTranscriptAt = Date.now();
+    clearTimeout(this.silenceTimer);
+
+    if (this.playing) {
+      this.bargeIn();
+    }
+
+    clearTimeout(this.utteranceTimer);
+
+    if (isFinal) {
+      this.finalText = `${this.finalText} ${text}`.trim();
+      this.interimText = '';
+      this.confidence = confidence;
+      this.endUtterance();
+      return;
+    }
+
+    this.interimText = text;
+    this.interimResultText = resultText;
+    this.utteranceTimer = setTimeout(() => this.endUtterance(), UTTERANCE_END_MS);
+  }
+
+  /**
+   * Stop the bot's playback because the caller started talking
+   */
+  bargeIn() {
+    // Invalidates the pending mark and any reply still being synthesized
+    this.responseId++;
+    this.playing = false;
+
+    this.send({ event: 'clear', streamSid: this.streamSid });
+
+    logger.debug('Caller barged in', { callSid: this.callSid });
+  }
+
+  /**
+   * Hand the finished utterance to the conversation
+   */
+  endUtterance() {
+    clearTimeout(this.utteranceTimer);
+
+    const text = `${this.finalText} ${this.interimText}`.trim();
+    // Interim-only utterances have no confidence, treat them as understood
+    const confidence = this.finalText ? this.confidence : 1;
+
+    if (this.interimText) {
+      this.consumedText = this.interimResultText;
+    }
+
+    this.finalText = '';
+    this.interimText = '';
+    this.confidence = 0;
+
+    if (!text || this.redirected) return;
+
+    if (this.processing) {
+      this.queuedUtterances.push(text);
+      return;
+    }
+
+    // Endpointing - from the last transcript to deciding the caller finished
+    const trace = new Trace(this.lastTranscriptAt);
+    trace.record('stt', this.lastTranscriptAt);
+
+    this.runTurn(text, confidence, trace).catch(error => logger.error('Media stream turn error:', error));
+  }
+
+  /**
+   * Run a conversation turn and speak or act on the result
+   */
+  async runTurn(text, confidence, trace = new Trace()) {
+    this.processing = true;
+
+    try {
+      const turn = await callHandlerService.processTurn(this.callSid, text, confidence, this.business, trace);
+      const callState = turn.action === 'respond'
+        ? turn.callState
+        : await callHandlerService.recordTurnTrace(this.callSid, trace) || turn.callState;
+
+      if (turn.action === 'transfer') {
+        await this.redirect(await callHandlerService.handleTransfer(
+          this.callSid, callState, this.business, turn.reason
+        ));
+      } else if (turn.action === 'end') {
+        await this.redirect(await callHandlerService.handleCallEnd(
+          this.callSid, turn.reason, callState, callState ? this.business : undefined,
+          { goodbyeMessage: turn.goodbyeMessage }
+        ));
+      } else {
+        await this.speak(turn.text, trace);
+      }
+
+    } catch (error) {
+      await callHandlerService.logTurnError(error, this.callSid, text, this.business);
+      await this.speak('סליחה, לא הבנתי. אפשר לחזור על זה?').catch(() => {});
+
+    } finally {
+      this.processing = false;
+    }
+
+    // Caller kept talking while we were thinking
+    if (this.queuedUtterances.length > 0 && !this.redirected) {
+      const queued = this.queuedUtterances.join(' ');
+      this.queuedUtterances = [];
+      this.runTurn(queued, 1).catch(error => logger.error('Media stream turn error:', error));
+    }
+  }
+
+  /**
+   * Synthesize text and stream it to the caller
+   * A mark after the audio tells us when playback finished
+   * @param {Trace} trace - The turn being answered, stored once the audio is ready
+   */
+  async speak(text, trace = null) {
+    const responseId = ++this.responseId;
+
+    const usage = {};
+    const ttsStart = Date.now();
+    const audio = await ttsService.synthesizeForTwilio(text, {
+      businessId: this.business._id,
+      gender: this.business.botPersonality?.gender || 'female',
+      usage
+    });
+
+    if (trace) {
+      trace.record('tts', ttsStart, { cached: !usage.ttsCharacters });
+      await callHandlerService.recordTurnTrace(this.callSid, trace, usage.ttsCharacters);
+    } else {
+      await callHandlerService.recordTtsUsage(this.callSid, usage.ttsCharacters);
+    }
+
+    // Caller barged in or the call ended while synthesizing
+    if (responseId !== this.responseId || this.closed) return;
+
+    const payload = stripWavHeader(audio);
+    this.playing = true;
+
+    for (let offset = 0; offset < payload.length; offset += FRAME_BYTES) {
+      this.send({
+        event: 'media',
+        streamSid: this.streamSid,
+        media: {
+          payload: payload.subarray(offset, offset + FRAME_BYTES).toString('base64')
+        }
+      });
+    }
+
+    this.send({
+      event: 'mark',
+      streamSid: this.streamSid,
+      mark: { name: `response-${responseId}` }
+    });
+  }
+
+  /**
+   * Playback of a reply finished
+   */
+  handleMark(name) {
+    if (name !== `response-${this.responseId}`) return;
+
+    this.playing = false;
+    this.startSilenceTimer();
+  }
+
+  /**
+   * Prompt after silence, end the call after repeated silence
+   */
+  startSilenceTimer() {
+    clearTimeout(this.silenceTimer);
+
+    this.silenceTimer = setTimeout(async () => {
+      if (this.processing || this.redirected || this.closed) return;
+
+      try {
+        const callState = await callHandlerService.recordTimeout(this.callSid);
+
+        if (!callState || callState.timeoutCount >= 2) {
+          await this.redirect(await callHandlerService.handleCallEnd(
+            this.callSid, 'timeout', callState, callState ? this.business : undefined
+          ));
+          return;
+        }
+
+        await this.speak('האם אתה עדיין שם?');
+      } catch (error) {
+        logger.error('Media stream timeout error:', error);
+      }
+    }, callHandlerService.conversationTimeout);
+  }
+
+  /**
+   * Replace the call's TwiML (ends the stream)
+   */
+  async redirect(twiml) {
+    this.redirected = true;
+
+    if (!callHandlerService.twilioClient) {
+      logger.warn('Cannot redirect media stream call without Twilio client', { callSid: this.callSid });
+      this.ws.close();
+      return;
+    }
+
+    await callHandlerService.twilioClient.calls(this.callSid).update({ twiml });
+  }
+
+  /**
+   * Stream stopped - close recognition and finish the call if the caller hung up
+   */
+  async stop() {
+    if (this.closed) return;
+    this.closed = true;
+
+    clearTimeout(this.restartTimer);
+    clearTimeout(this.utteranceTimer);
+    clearTimeout(this.silenceTimer);
+
+    if (this.recognizer) {
+      this.recognizer.removeAllListeners('data');
+      this.recognizer.end();
+      this.recognizer = null;
+    }
+
+    logger.info('Media stream stopped', { callSid: this.callSid, redirected: this.redirected });
+
+    if (this.redirected || !this.callSid || !this.business) return;
+
+    try {
+      const callState = await callHandlerService.getCallState(this.callSid);
+      if (callState) {
+        await callHandlerService.handleCallEnd(
+          this.callSid, 'caller-hangup', callState, this.business, { silent: true }
+        );
+      }
+    } catch (error) {
+      logger.error('Media stream call end error:', error);
+    }
+  }
+
+  send(message) {
+    if (this.ws.readyState === this.ws.OPEN) {
+      this.ws.send(JSON.stringify(message));
+    }
+  }
+}
+
+class MediaStreamService {
+  constructor() {
+    this.path = '/media-stream';
+    this.wss = null;
+  }
+
+  /**
+   * Accept Twilio media stream WebSockets on the HTTP server
+   */
+  attach(server) {
+    this.wss = new WebSocketServer({ noServer: true });
+
+    server.on('upgrade', async (req, socket, head) => {
+      const { pathname } = new URL(req.url, 'http://localhost');
+
+      // Socket.IO handles its own upgrades
+      if (pathname !== this.path) return;
+
+      if (!(await validateTwilioUpgrade(req))) {
+        socket.write('HTTP/1.1 403 Forbidden\r\n\r\n');
+        socket.destroy();
+        return;
+      }
+
+      this.wss.handleUpgrade(req, socket, head, (ws) => {
+        new MediaStreamSession(ws);
+      });
+    });
+
+    logger.info(`Media streams accepted on ${this.path}`);
+  }
+}
+
+module.exports = new MediaStreamService();
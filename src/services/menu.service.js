@@ -0,0 +1,287 @@
+/**
+ * Menu Service
+ * Bulk import/export of a business's menuItems as CSV or JSON. Imports are
+ * partial updates: rows match existing items by id or Hebrew name and only
+ * the fields they carry change. A dry run returns the diff without saving.
+ */
+
+const logger = require('../utils/logger');
+const { parseCsvRecords, stringifyCsv } = require('../utils/csv');
+
+const FIELDS = [
+  'name', 'nameHebrew', 'description', 'descriptionHebrew', 'price', 'category',
+  'isAvailable', 'allergens', 'isVegan', 'isVegetarian', 'isGlutenFree'
+];
+const BOOLEAN_FIELDS = ['isAvailable', 'isVegan', 'isVegetarian', 'isGlutenFree'];
+
+// Hebrew names map to the stored (English) key
+const ALLERGENS = {
+  gluten: 'גלוטן',
+  peanuts: 'בוטנים',
+  nuts: 'אגוזים',
+  sesame: 'שומשום',
+  eggs: 'ביצים',
+  milk: 'חלב',
+  soy: 'סויה',
+  fish: 'דגים',
+  shellfish: 'פירות ים',
+  celery: 'סלרי',
+  mustard: 'חרדל',
+  sulfites: 'סולפיטים'
+};
+
+const TRUE_VALUES = ['true', 'yes', '1', 'כן', 'y'];
+const FALSE_VALUES = ['false', 'no', '0', 'לא', 'n'];
+
+const MAX_ITEMS = 1000;
+
+class MenuService {
+  /**
+   * Raw records from an upload
+   * @param {string} format - 'csv' or 'json'
+   * @param {string|Array|Object} content - CSV text, a JSON array, or { items: [...] }
+   */
+  parse(format, content) {
+    if (format === 'csv') {
+      return parseCsvRecords(content);
+    }
+
+    let data = content;
+    if (typeof content === 'string') {
+      try {
+        data = JSON.parse(content);
+      } catch (error) {
+        throw new Error(`Invalid JSON: ${error.message}`);
+      }
+    }
+
+    const items = Array.isArray(data) ? data : data?.items;
+    if (!Array.isArray(items)) {
+      throw new Error('JSON menu must be an array of items or { items: [...] }');
+    }
+    return items;
+  }
+
+  /**
+   * Validate a record into menu item fields
+   * CSV cells that are empty are left out, so they don't overwrite anything
+   * @returns {Object} { id, fields, errors }
+   */
+  normalize(record, row) {
+    const fields = {};
+    const errors = [];
+    const error = (field, message) => errors.push({ row, field, message });
+
+    // CSV headers arrive lower-cased
+    const byKey = {};
+    for (const [key, value] of Object.entries(record || {})) {
+      byKey[key.toLowerCase()] = value;
+    }
+
+    const id = byKey.id || byKey._id || null;
+
+    for (const field of FIELDS) {
+      let value = byKey[field.toLowerCase()];
+      if (value === undefined || value === null || value === '') continue;
+
+      if (BOOLEAN_FIELDS.includes(field)) {
+        if (typeof value !== 'boolean') {
+          const text = String(value).trim().toLowerCase();
+          if (TRUE_VALUES.includes(text)) value = true;
+          else if (FALSE_VALUES.includes(text)) value = false;
+          else {
+            error(field, `"${value}" is not a yes/no value`);
+            continue;
+          }
+        }
+        fields[field] = value;
+
+      } else if (field === 'price') {
+        const price = typeof value === 'number' ? value : Number(String(value).replace(/[₪\s,]/g, ''));
+        if (!Number.isFinite(price) || price < 0) {
+          error(field, `"${value}" is not a valid price`);
+          continue;
+        }
+        fields.price = Math.round(price * 100) / 100;
+
+      } else if (field === 'allergens') {
+        const names = Array.isArray(value) ? value : String(value).split(/[;|]/);
+        const allergens = [];
+        for (const name of names.map(n => String(n).trim()).filter(Boolean)) {
+          const key = ALLERGENS[name.toLowerCase()]
+            ? name.toLowerCase()
+            : Object.keys(ALLERGENS).find(k => ALLERGENS[k] === name);
+          if (key) allergens.push(key);
+          else error(field, `Unknown allergen "${name}"`);
+        }
+        fields.allergens = [...new Set(allergens)];
+
+      } else {
+        const text = String(value).trim();
+        if (field === 'category' && text.length > 50) {
+          error(field, 'Category is longer than 50 characters');
+          continue;
+        }
+        fields[field] = text;
+      }
+    }
+
+    // Vegan food is vegetarian
+    if (fields.isVegan === true && fields.isVegetarian === false) {
+      error('isVegetarian', 'A vegan item must also be vegetarian');
+    }
+
+    return { id, fields, errors };
+  }
+
+  /**
+   * Diff an upload against the current menu
+   * @param {Object} options - { format, removeMissing } - removeMissing removes items the upload doesn't list
+   * @returns {Object} { created, updated, removed, unchanged, newCategories, errors }
+   */
+  diff(business, records, options = {}) {
+    const current = business.menuItems || [];
+    const nameKey = (name) => String(name || '').trim().toLowerCase();
+    const diff = { created: [], updated: [], removed: [], unchanged: 0, newCategories: [], errors: [] };
+    const matched = new Set();
+    const seenNames = new Set();
+
+    if (records.length > MAX_ITEMS) {
+      diff.errors.push({ row: null, field: null, message: `Menu is limited to ${MAX_ITEMS} items` });
+      return diff;
+    }
+
+    records.forEach((record, i) => {
+      // Spreadsheet row numbers - the header is row 1; JSON items count from 1
+      const row = options.format === 'csv' ? i + 2 : i + 1;
+      const { id, fields, errors } = this.normalize(record, row);
+      diff.errors.push(...errors);
+
+      const existing = id
+        ? current.find(item => item._id.toString() === String(id))
+        : current.find(item => nameKey(item.nameHebrew) === nameKey(fields.nameHebrew));
+
+      if (id && !existing) {
+        diff.errors.push({ row, field: 'id', message: `No menu item with id ${id}` });
+        return;
+      }
+
+      const name = nameKey(fields.nameHebrew || existing?.nameHebrew);
+      if (seenNames.has(name)) {
+        diff.errors.push({ row, field: 'nameHebrew', message: `"${fields.nameHebrew}" appears twice` });
+        return;
+      }
+      seenNames.add(name);
+
+      if (fields.category && !(business.menuCategories || []).includes(fields.category) &&
+          !diff.newCategories.includes(fields.category)) {
+        diff.newCategories.push(fields.category);
+      }
+
+      if (!existing) {
+        if (!fields.nameHebrew) {
+          diff.errors.push({ row, field: 'nameHebrew', message: 'nameHebrew is required for a new item' });
+          return;
+        }
+        diff.created.push({ row, ...fields, name: fields.name || fields.nameHebrew });
+        return;
+      }
+
+      matched.add(existing._id.toString());
+
+      const changes = {};
+      for (const [field, value] of Object.entries(fields)) {
+        const from = field === 'allergens' ? [...(existing.allergens || [])] : existing[field];
+        const same = field === 'allergens'
+          ? [...from].sort().join() === [...value].sort().join()
+          : from === value;
+        if (!same) changes[field] = { from: from ?? null, to: value };
+      }
+
+      if (Object.keys(changes).length === 0) {
+        diff.unchanged++;
+      } else {
+        diff.updated.push({ row, id: existing._id, nameHebrew: existing.nameHebrew, changes });
+      }
+    });
+
+    if (options.removeMissing) {
+      diff.removed = current
+        .filter(item => !matched.has(item._id.toString()))
+        .map(item => ({ id: item._id, nameHebrew: item.nameHebrew }));
+    }
+
+    return diff;
+  }
+
+  /**
+   * Import parsed records (see parse)
+   * @param {Object} options - { format, dryRun, removeMissing }
+   * @returns {Object} The diff, with applied: true once saved
+   */
+  async import(business, records, options = {}) {
+    const diff = this.diff(business, records, options);
+
+    diff.applied = false;
+    if (options.dryRun || diff.errors.length > 0) return diff;
+
+    for (const { row, ...fields } of diff.created) {
+      business.menuItems.push(fields);
+    }
+
+    for (const { id, changes } of diff.updated) {
+      const item = business.menuItems.id(id);
+      for (const [field, { to }] of Object.entries(changes)) {
+        item[field] = to;
+      }
+    }
+
+    for (const { id } of diff.removed) {
+      business.menuItems.pull(id);
+    }
+
+    if (diff.newCategories.length > 0) {
+      business.menuCategories = [...(business.menuCategories || []), ...diff.newCategories];
+    }
+
+    await business.save();
+    diff.applied = true;
+
+    logger.info('Menu imported', {
+      businessId: business._id,
+      created: diff.created.length,
+      updated: diff.updated.length,
+      removed: diff.removed.length
+    });
+
+    return diff;
+  }
+
+  /**
+   * Menu as CSV (allergens joined with ";") or JSON
+   */
+  export(business, format = 'json') {
+    const items = (business.menuItems || []).map(item => {
+      const exported = { id: item._id.toString() };
+      for (const field of FIELDS) {
+        exported[field] = field === 'allergens' ? [...(item.allergens || [])] : item[field];
+      }
+      return exported;
+    });
+
+    if (format !== 'csv') {
+      return JSON.stringify({ items }, null, 2);
+    }
+
+    // The BOM makes Excel read the Hebrew as UTF-8
+    const columns = ['id', ...FIELDS];
+    return '\uFEFF' + stringifyCsv([
+      columns,
+      ...items.map(item => columns.map(column =>
+        column === 'allergens' ? item.allergens.join(';') : item[column]
+      ))
+    ]);
+  }
+}
+
+module.exports = new MenuService();
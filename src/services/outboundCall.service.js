@@ -0,0 +1,334 @@
+/**
+ * Outbound Call Service
+ * Schedules and places reservation reminder calls on a Bull queue
+ * Calls respect each business's quiet hours and Shabbat
+ */
+
+const Queue = require('bull');
+const twilio = require('twilio');
+const logger = require('../utils/logger');
+const { toE164 } = require('../utils/phone');
+const { Business, Call, Reservation, Error: ErrorModel } = require('../models');
+
+// How often due reminders are looked up and queued
+const SCAN_INTERVAL_MS = 5 * 60 * 1000;
+
+// Don't place a reminder call closer than this to the reservation
+const MIN_LEAD_TIME_MS = 60 * 60 * 1000;
+
+class OutboundCallService {
+  constructor() {
+    // Initialize Twilio only if credentials are available
+    if (process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN) {
+      this.twilioClient = twilio(
+        process.env.TWILIO_ACCOUNT_SID,
+        process.env.TWILIO_AUTH_TOKEN
+      );
+    } else {
+      this.twilioClient = null;
+    }
+
+    this.queue = null;
+    this.concurrency = parseInt(process.env.OUTBOUND_CALL_CONCURRENCY || 2);
+  }
+
+  /**
+   * Get the outbound call queue
+   */
+  getQueue() {
+    if (!this.queue) {
+      this.queue = new Queue('outbound-calls', process.env.REDIS_URL || 'redis://localhost:6379');
+
+      this.queue.on('failed', (job, error) => {
+        logger.error('Outbound call job failed', { jobId: job.id, name: job.name, error: error.message });
+      });
+    }
+    return this.queue;
+  }
+
+  /**
+   * Start processing jobs and the periodic reminder scan
+   */
+  async start() {
+    const queue = this.getQueue();
+
+    queue.process('schedule-reminders', 1, () => this.scheduleDueReminders());
+    queue.process('reminder-call', this.concurrency, (job) => this.processReminderJob(job));
+
+    await queue.add('schedule-reminders', {}, {
+      jobId: 'schedule-reminders',
+      repeat: { every: SCAN_INTERVAL_MS },
+      removeOnComplete: true,
+      removeOnFail: true
+    });
+
+    logger.info('Outbound call queue started');
+  }
+
+  async stop() {
+    if (this.queue) {
+      await this.queue.close();
+      this.queue = null;
+    }
+  }
+
+  /**
+   * Work out when to call, or null if there is no acceptable time
+   * Prefers hoursBefore the reservation; if that is in quiet hours or Shabbat,
+   * moves later (keeping the minimum lead time) or else earlier
+   */
+  getReminderTime(reservation, business, now = new Date()) {
+    const settings = business.reminderSettings;
+    const start = reservation.getStartTime(business.getTimezone());
+    const ideal = new Date(start.getTime() - settings.hoursBefore * 60 * 60 * 1000);
+    const latest = new Date(start.getTime() - MIN_LEAD_TIME_MS);
+
+    // Booked after the reminder would have gone out
+    if (reservation.createdAt && reservation.createdAt > ideal) return null;
+
+    const from = ideal < now ? now : ideal;
+
+    const later = business.findCallingTime(from, 1);
+    if (later && later <= latest) return later;
+
+    const earlier = business.findCallingTime(from, -1);
+    if (earlier && earlier >= now) return earlier;
+
+    return null;
+  }
+
+  /**
+   * Queue reminder calls that are due before the next scan
+   */
+  async scheduleDueReminders(now = new Date()) {
+    const businesses = await Business.find({
+      isActive: true,
+      isPaused: false,
+      'reminderSettings.enabled': true
+    });
+
+    let scheduled = 0;
+
+    for (const business of businesses) {
+      const horizon = new Date(
+        now.getTime() + business.reminderSettings.hoursBefore * 60 * 60 * 1000 + 2 * SCAN_INTERVAL_MS
+      );
+
+      const reservations = await Reservation.find({
+        business: business._id,
+        status: { $in: ['pending', 'confirmed'] },
+        reminderSent: false,
+        reminderStatus: { $exists: false },
+        // date is the day of the reservation, widen by a day for timezones
+        date: {
+          $gte: new Date(now.getTime() - 24 * 60 * 60 * 1000),
+          $lte: horizon
+        }
+      });
+
+      for (const reservation of reservations) {
+        if (reservation.getStartTime(business.getTimezone()) <= now) continue;
+
+        const callAt = this.getReminderTime(reservation, business, now);
+
+        if (!callAt) {
+          reservation.reminderStatus = 'skipped';
+          await reservation.save();
+          continue;
+        }
+
+        // Not due yet - a later scan will pick it up
+        if (callAt.getTime() > now.getTime() + 2 * SCAN_INTERVAL_MS) continue;
+
+        await this.enqueueReminder(reservation, callAt, now);
+        reservation.reminderStatus = 'scheduled';
+        await reservation.save();
+        scheduled++;
+      }
+    }
+
+    if (scheduled > 0) {
+      logger.info('Reminder calls scheduled', { count: scheduled });
+    }
+
+    return { scheduled };
+  }
+
+  /**
+   * Add a reminder call job
+   */
+  async enqueueReminder(reservation, callAt, now = new Date()) {
+    const attempt = (reservation.reminderAttempts || 0) + 1;
+
+    return this.getQueue().add('reminder-call', {
+      reservationId: reservation._id.toString(),
+      attempt
+    }, {
+      jobId: `reminder:${reservation._id}:${attempt}`,
+      delay: Math.max(0, callAt.getTime() - now.getTime()),
+      attempts: 3,
+      backoff: { type: 'exponential', delay: 60 * 1000 },
+      removeOnComplete: true
+    });
+  }
+
+  /**
+   * Place a reminder call
+   */
+  async processReminderJob(job) {
+    const { reservationId } = job.data;
+
+    const reservation = await Reservation.findById(reservationId);
+    if (!reservation || !['pending', 'confirmed'].includes(reservation.status) || reservation.reminderSent) {
+      return { skipped: 'reservation not eligible' };
+    }
+
+    const business = await Business.findById(reservation.business);
+    if (!business?.isActive || !business.reminderSettings?.enabled || !business.twilioPhoneNumber) {
+      reservation.reminderStatus = 'skipped';
+      await reservation.save();
+      return { skipped: 'business not eligible' };
+    }
+
+    // Delayed jobs can land in quiet hours (e.g. after retries)
+    if (!business.isCallingAllowed()) {
+      const callAt = this.getReminderTime(reservation, business);
+      if (!callAt) {
+        reservation.reminderStatus = 'skipped';
+        await reservation.save();
+        return { skipped: 'no calling window' };
+      }
+
+      await this.getQueue().add('reminder-call', job.data, {
+        jobId: `reminder:${reservation._id}:${job.data.attempt}:${callAt.getTime()}`,
+        delay: Math.max(0, callAt.getTime() - Date.now()),
+        removeOnComplete: true
+      });
+      return { deferredUntil: callAt };
+    }
+
+    if (!this.twilioClient) {
+      throw new Error('Twilio credentials not set');
+    }
+
+    const baseUrl = `${process.env.API_URL}/webhook/${business.botId}/outbound`;
+    const query = `reservationId=${encodeURIComponent(reservation._id)}`;
+
+    let twilioCall;
+    try {
+      twilioCall = await this.twilioClient.calls.create({
+        to: toE164(reservation.customerPhone),
+        from: business.twilioPhoneNumber,
+        url: `${baseUrl}/reminder?${query}`,
+        method: 'POST',
+        statusCallback: `${baseUrl}/status?${query}`,
+        statusCallbackMethod: 'POST',
+        statusCallbackEvent: ['completed'],
+        machineDetection: 'Enable'
+      });
+    } catch (error) {
+      await this.logReminderError(error, 'twilio', reservationId, job, business);
+      throw error;
+    }
+
+    // The customer is being dialed - failures from here on are recorded, never
+    // rethrown, so Bull doesn't call them again
+    try {
+      reservation.reminderStatus = 'calling';
+      reservation.reminderAttempts = (reservation.reminderAttempts || 0) + 1;
+      await reservation.save();
+
+      await Call.create({
+        business: business._id,
+        botId: business.botId,
+        twilioCallSid: twilioCall.sid,
+        callerNumber: business.twilioPhoneNumber,
+        calledNumber: reservation.customerPhone,
+        direction: 'outbound',
+        status: 'initiated',
+        startTime: new Date(),
+        reservation: reservation._id
+      });
+    } catch (error) {
+      logger.error('Reminder call record error:', error);
+      await this.logReminderError(error, 'database', reservationId, job, business);
+      return { callSid: twilioCall.sid, error: error.message };
+    }
+
+    logger.info('Reminder call placed', {
+      reservationId: reservation._id,
+      callSid: twilioCall.sid,
+      attempt: reservation.reminderAttempts
+    });
+
+    return { callSid: twilioCall.sid };
+  }
+
+  /**
+   * Log a failed reminder job - never throws, the job's own error matters more
+   */
+  async logReminderError(error, category, reservationId, job, business) {
+    try {
+      await ErrorModel.logError({
+        category,
+        severity: 'medium',
+        code: error.code,
+        message: `Reminder call failed: ${error.message}`,
+        details: { reservationId, attempt: job.data.attempt },
+        business: business._id
+      });
+    } catch (logError) {
+      logger.error('Error logging reminder failure:', logError);
+    }
+  }
+
+  /**
+   * Handle the final status of a reminder call
+   * Unanswered calls are retried up to maxAttempts
+   */
+  async handleReminderStatus(params, reservationId) {
+    const { CallStatus } = params;
+
+    const reservation = await Reservation.findById(reservationId);
+    if (!reservation || reservation.reminderStatus !== 'calling') return;
+
+    const unanswered = ['no-answer', 'busy', 'failed', 'canceled'].includes(CallStatus);
+
+    // Answered calls already recorded their outcome during the conversation
+    if (!unanswered) {
+      reservation.reminderStatus = 'answered';
+      reservation.reminderSent = true;
+      reservation.reminderSentAt = new Date();
+      await reservation.save();
+      return;
+    }
+
+    const business = await Business.findById(reservation.business);
+    const settings = business?.reminderSettings;
+
+    if (settings && reservation.reminderAttempts < settings.maxAttempts) {
+      const retryAt = new Date(Date.now() + settings.retryDelayMinutes * 60 * 1000);
+      const callAt = business.findCallingTime(retryAt, 1);
+      const latest = new Date(reservation.getStartTime(business.getTimezone()).getTime() - MIN_LEAD_TIME_MS);
+
+      if (callAt && callAt <= latest) {
+        await this.enqueueReminder(reservation, callAt);
+        reservation.reminderStatus = 'scheduled';
+        await reservation.save();
+        return;
+      }
+    }
+
+    reservation.reminderStatus = CallStatus === 'failed' ? 'failed' : 'no-answer';
+    await reservation.save();
+  }
+
+  /**
+   * Queue counts for monitoring
+   */
+  async getQueueStats() {
+    return this.getQueue().getJobCounts();
+  }
+}
+
+module.exports = new OutboundCallService();
@@ -0,0 +1,383 @@
+/**
+ * Post-Call Service
+ * Processes finished calls on a Bull queue, off the hangup path: summary,
+ * sentiment, missing info, business stats and owner alerts. Each step's
+ * outcome is kept on Call.processing, so a retried job only reruns what
+ * hasn't succeeded. Jobs out of attempts go to a dead-letter queue.
+ */
+
+const Queue = require('bull');
+const logger = require('../utils/logger');
+const gptService = require('./gpt.service');
+const emailService = require('./email.service');
+const rollupService = require('./rollup.service');
+const { Business, Call, Error: ErrorModel } = require('../models');
+
+const MAX_ATTEMPTS = 4;
+const BACKOFF_DELAY_MS = 30 * 1000;
+
+// In order - a step with after waits until those steps are through, a step
+// with recount runs again when an earlier step ran in the same pass
+const STEPS = [
+  { name: 'summary' },
+  { name: 'sentiment' },
+  { name: 'missingInfo' },
+  // Counted even when the LLM steps fail; a later pass adds their sentiment and cost
+  { name: 'stats', recount: true },
+  { name: 'notifications', after: ['summary', 'sentiment'] }
+];
+
+// Scores beyond this are positive / negative
+const SENTIMENT_THRESHOLD = 0.3;
+
+const MISSED_TRANSFER_STATUSES = ['no-answer', 'busy', 'failed'];
+
+const isThrough = (step) => ['done', 'skipped'].includes(step.status);
+
+class PostCallService {
+  constructor() {
+    this.queue = null;
+    this.deadLetterQueue = null;
+    this.concurrency = parseInt(process.env.POST_CALL_CONCURRENCY || 2);
+  }
+
+  /**
+   * Get the post-call queue
+   */
+  getQueue() {
+    if (!this.queue) {
+      this.queue = new Queue('post-call', process.env.REDIS_URL || 'redis://localhost:6379');
+
+      this.queue.on('failed', (job, error) => this.handleFailedJob(job, error));
+    }
+    return this.queue;
+  }
+
+  /**
+   * Jobs that ran out of attempts - never processed, kept for an admin to retry
+   */
+  getDeadLetterQueue() {
+    if (!this.deadLetterQueue) {
+      this.deadLetterQueue = new Queue('post-call-dead-letter', process.env.REDIS_URL || 'redis://localhost:6379');
+    }
+    return this.deadLetterQueue;
+  }
+
+  async start() {
+    this.getQueue().process('process-call', this.concurrency, (job) => this.process(job.data.callId));
+
+    logger.info('Post-call queue started');
+  }
+
+  async stop() {
+    if (this.queue) {
+      await this.queue.close();
+      this.queue = null;
+    }
+    if (this.deadLetterQueue) {
+      await this.deadLetterQueue.close();
+      this.deadLetterQueue = null;
+    }
+  }
+
+  /**
+   * Queue a finished call
+   * Without Redis the steps run in the background of this process, once
+   */
+  async enqueue(callId) {
+    await Call.updateOne(
+      { _id: callId },
+      { $set: { 'processing.status': 'queued', 'processing.queuedAt': new Date() } }
+    );
+
+    if (!process.env.REDIS_URL) {
+      this.process(callId).catch(async (error) => {
+        logger.error('Post-call processing error:', error);
+        try {
+          await Call.updateOne({ _id: callId }, { $set: { 'processing.status': 'failed' } });
+        } catch (updateError) {
+          logger.error('Post-call status update error:', updateError);
+        }
+      });
+      return null;
+    }
+
+    return this.getQueue().add('process-call', { callId: String(callId) }, {
+      jobId: `post-call:${callId}`,
+      attempts: MAX_ATTEMPTS,
+      backoff: { type: 'exponential', delay: BACKOFF_DELAY_MS },
+      removeOnComplete: true,
+      // Copied to the dead-letter queue instead
+      removeOnFail: true
+    });
+  }
+
+  /**
+   * Run the steps a call still needs
+   * Throws when a step failed, so the job is retried
+   */
+  async process(callId) {
+    const call = await Call.findById(callId);
+    if (!call) return { skipped: 'call not found' };
+
+    const business = await Business.findById(call.business);
+    if (!business) return { skipped: 'business not found' };
+
+    call.processing.status = 'processing';
+
+    const usage = [];
+    const failed = [];
+    let ran = false;
+
+    for (const { name, after = [], recount = false } of STEPS) {
+      const step = call.processing.steps[name];
+      if (isThrough(step) && !(recount && ran)) continue;
+      if (!after.every(dependency => isThrough(call.processing.steps[dependency]))) continue;
+
+      step.attempts++;
+      ran = true;
+
+      try {
+        const outcome = await this[`${name}Step`](call, business, usage);
+        step.status = outcome === false ? 'skipped' : 'done';
+        step.error = undefined;
+        step.completedAt = new Date();
+      } catch (error) {
+        logger.error(`Post-call ${name} step error:`, error);
+        step.status = 'failed';
+        step.error = error.message;
+        failed.push(name);
+      }
+
+      this.addUsage(call, usage.splice(0));
+    }
+
+    const complete = STEPS.every(({ name }) => isThrough(call.processing.steps[name]));
+    call.processing.status = complete ? 'completed' : 'retrying';
+    if (complete) call.processing.completedAt = new Date();
+    await call.save();
+
+    if (failed.length > 0) {
+      throw new Error(`Post-call steps failed: ${failed.join(', ')}`);
+    }
+
+    return { status: call.processing.status };
+  }
+
+  async summaryStep(call, business, usage) {
+    if (call.conversation.length === 0) return false;
+
+    const summary = await gptService.generateCallSummary(call.conversation, business, usage);
+    call.summary = summary;
+    call.summaryHebrew = summary;
+  }
+
+  async sentimentStep(call, business, usage) {
+    const callerText = call.conversation
+      .filter(turn => turn.role === 'user')
+      .map(turn => turn.content)
+      .join('\n');
+    if (!callerText) return false;
+
+    const score = await gptService.analyzeSentiment(callerText, business, usage);
+    call.sentimentScore = score;
+    call.sentiment = score > SENTIMENT_THRESHOLD ? 'positive'
+      : score < -SENTIMENT_THRESHOLD ? 'negative'
+        : 'neutral';
+  }
+
+  async missingInfoStep(call, business, usage) {
+    if (!business.aiConfig?.enableAutoFAQ || call.conversation.length === 0) return false;
+
+    const missingInfo = await gptService.detectMissingInfo(call.conversation, business, usage);
+    const now = new Date();
+
+    call.missingInfoDetected = missingInfo.map(info => ({ ...info, timestamp: now }));
+
+    if (missingInfo.length > 0) {
+      // Entries carry the call, so a rerun doesn't add them twice
+      await Business.updateOne(
+        { _id: business._id, 'missingInfo.call': { $ne: call._id } },
+        {
+          $push: {
+            missingInfo: {
+              $each: missingInfo.map(info => ({ ...info, call: call._id, detectedAt: now }))
+            }
+          }
+        }
+      );
+    }
+  }
+
+  /**
+   * Count the call in the business's daily and monthly rollups
+   * Safe to rerun - only what changed since the last count is added
+   */
+  async statsStep(call, business) {
+    // Saved first, so the cost counted includes the other steps' completions
+    await call.save();
+    await rollupService.recordCall(call, business.getTimezone());
+  }
+
+  /**
+   * Dashboard event, and an owner email for calls that need attention
+   * A crash after the email but before the call is saved sends it again
+   */
+  async notificationsStep(call, business) {
+    // Required here - the call handler queues calls with this service
+    const callHandlerService = require('./callHandler.service');
+    callHandlerService.emitCallEvent('call:processed', {
+      callId: call._id,
+      callSid: call.twilioCallSid,
+      businessId: business._id,
+      summary: call.summary,
+      sentiment: call.sentiment
+    });
+
+    const settings = business.callAlertSettings;
+    if (!settings?.enabled) return;
+
+    const reasons = [];
+    if (settings.negativeSentiment && call.sentiment === 'negative') reasons.push('שיחה שלילית');
+    if (settings.complaints && call.primaryIntent === 'complaint') reasons.push('תלונה');
+    if (settings.transfers && MISSED_TRANSFER_STATUSES.includes(call.transfer?.status)) {
+      reasons.push('העברה לנציג שלא נענתה');
+    }
+
+    if (reasons.length > 0) {
+      await emailService.sendCallAlert(business, call, reasons);
+    }
+  }
+
+  /**
+   * Add the steps' completions to the call's usage, so its costs include them
+   */
+  addUsage(call, usage) {
+    const metrics = call.metrics;
+
+    for (const entry of usage) {
+      let total = metrics.llmUsage.find(e => e.purpose === entry.purpose && e.model === entry.model);
+      if (!total) {
+        metrics.llmUsage.push({ purpose: entry.purpose, model: entry.model });
+        total = metrics.llmUsage[metrics.llmUsage.length - 1];
+      }
+
+      total.calls++;
+      total.promptTokens += entry.promptTokens || 0;
+      total.completionTokens += entry.completionTokens || 0;
+
+      metrics.gptTokensInput = (metrics.gptTokensInput || 0) + (entry.promptTokens || 0);
+      metrics.gptTokensOutput = (metrics.gptTokensOutput || 0) + (entry.completionTokens || 0);
+    }
+  }
+
+  /**
+   * Copy a job that ran out of attempts to the dead-letter queue
+   */
+  async handleFailedJob(job, error) {
+    logger.error('Post-call job failed', {
+      jobId: job.id,
+      attempt: job.attemptsMade,
+      error: error.message
+    });
+
+    if (job.attemptsMade < (job.opts.attempts || 1)) return;
+
+    try {
+      await this.getDeadLetterQueue().add('process-call', {
+        callId: job.data.callId,
+        error: error.message,
+        attempts: job.attemptsMade,
+        failedAt: new Date()
+      });
+
+      await Call.updateOne({ _id: job.data.callId }, { $set: { 'processing.status': 'failed' } });
+
+      await ErrorModel.logError({
+        category: 'system',
+        severity: 'medium',
+        message: `Post-call processing failed: ${error.message}`,
+        call: job.data.callId,
+        details: { jobId: job.id, attempts: job.attemptsMade }
+      });
+    } catch (deadLetterError) {
+      logger.error('Post-call dead-letter error:', deadLetterError);
+    }
+  }
+
+  /**
+   * Queue counts and how recent calls fared
+   */
+  async getStatus(since = new Date(Date.now() - 24 * 60 * 60 * 1000)) {
+    const [calls, queue, deadLetter] = await Promise.all([
+      Call.aggregate([
+        { $match: { endTime: { $gte: since } } },
+        { $group: { _id: '$processing.status', count: { $sum: 1 } } }
+      ]),
+      process.env.REDIS_URL ? this.getQueue().getJobCounts() : null,
+      process.env.REDIS_URL ? this.getDeadLetterQueue().count() : 0
+    ]);
+
+    return {
+      queue,
+      deadLetter,
+      calls: calls.reduce((acc, item) => {
+        acc[item._id || 'pending'] = item.count;
+        return acc;
+      }, {})
+    };
+  }
+
+  /**
+   * @returns {Array} [{ id, callId, error, attempts, failedAt }]
+   */
+  async getDeadLetters(limit = 100) {
+    if (!process.env.REDIS_URL) return [];
+
+    const jobs = await this.getDeadLetterQueue().getWaiting(0, limit - 1);
+    return jobs.map(job => ({ id: job.id, ...job.data }));
+  }
+
+  /**
+   * Queue a dead-lettered call again
+   * @returns {boolean} Whether the job was found
+   */
+  async retryDeadLetter(jobId) {
+    if (!process.env.REDIS_URL) return false;
+
+    const job = await this.getDeadLetterQueue().getJob(jobId);
+    if (!job) return false;
+
+    await this.enqueue(job.data.callId);
+    await job.remove();
+    return true;
+  }
+
+  /**
+   * Run steps of a call again, e.g. after fixing the business's LLM settings
+   * @param {Array} steps - Step names; by default the ones that haven't succeeded
+   */
+  async reprocess(callId, steps = null) {
+    const call = await Call.findById(callId).select('processing');
+    if (!call) return null;
+
+    const names = (steps || STEPS.map(s => s.name))
+      .filter(name => STEPS.some(s => s.name === name))
+      .filter(name => steps || !isThrough(call.processing.steps[name]));
+
+    if (names.length > 0) {
+      const update = {};
+      for (const name of names) {
+        update[`processing.steps.${name}.status`] = 'pending';
+        update[`processing.steps.${name}.error`] = null;
+      }
+      await Call.updateOne({ _id: callId }, { $set: update });
+    }
+
+    await this.enqueue(callId);
+
+    return { callId, steps: names };
+  }
+}
+
+module.exports = new PostCallService();
@@ -0,0 +1,377 @@
+/**
+ * Pricing Service
+ * Prices calls from versioned provider price entries and ILS exchange rates,
+ * both as of the call's start time. Built-in defaults apply wherever no
+ * stored entry does. Correcting an entry reprices the calls it covered.
+ */
+
+const NodeCache = require('node-cache');
+const logger = require('../utils/logger');
+const rollupService = require('./rollup.service');
+const { Call, PriceEntry, ExchangeRate } = require('../models');
+
+const EPOCH = new Date(0);
+
+// USD - until a stored entry covers a date
+const DEFAULT_PRICES = [
+  { provider: 'twilio', sku: 'voice', unit: 'minute', price: parseFloat(process.env.COST_PER_MINUTE_TWILIO || 0.02) },
+  { provider: 'google', sku: 'stt', unit: 'minute', price: parseFloat(process.env.COST_PER_MINUTE_GOOGLE_STT || 0.016) },
+  { provider: 'google', sku: 'tts', unit: 'million-characters', price: 16 },
+  { provider: 'openai', sku: 'gpt-3.5-turbo', unit: 'thousand-tokens', price: 0.0005, outputPrice: 0.0015 },
+  { provider: 'openai', sku: 'gpt-4-turbo', unit: 'thousand-tokens', price: 0.01, outputPrice: 0.03 },
+  { provider: 'openai', sku: 'gpt-4', unit: 'thousand-tokens', price: 0.03, outputPrice: 0.06 },
+  { provider: 'openai', sku: 'gpt-4o', unit: 'thousand-tokens', price: 0.0025, outputPrice: 0.01 },
+  { provider: 'openai', sku: 'gpt-4o-mini', unit: 'thousand-tokens', price: 0.00015, outputPrice: 0.0006 },
+  { provider: 'openai', sku: 'text-embedding-3-small', unit: 'thousand-tokens', price: 0.00002 },
+  { provider: 'openai', sku: 'text-embedding-3-large', unit: 'thousand-tokens', price: 0.00013 },
+  { provider: 'openai', sku: 'text-embedding-ada-002', unit: 'thousand-tokens', price: 0.0001 },
+  { provider: 'scripted', sku: 'scripted', unit: 'thousand-tokens', price: 0, outputPrice: 0 }
+].map(entry => ({ ...entry, effectiveFrom: EPOCH, isDefault: true }));
+
+const DEFAULT_RATE = {
+  currency: 'ILS',
+  rate: parseFloat(process.env.USD_TO_ILS || 3.7),
+  effectiveFrom: EPOCH,
+  isDefault: true
+};
+
+// For calls recorded before synthesized characters were counted
+const AVG_TTS_CHARS_PER_MINUTE = 800;
+
+const RECALCULATE_BATCH_SIZE = 200;
+
+const COST_FIELDS = ['twilio', 'googleSTT', 'googleTTS', 'openAI', 'total'];
+
+class PricingService {
+  constructor() {
+    this.cache = new NodeCache({ stdTTL: 300, useClones: false });
+  }
+
+  /**
+   * Stored price entries and rates, newest first
+   */
+  async getCatalog() {
+    let catalog = this.cache.get('catalog');
+
+    if (!catalog) {
+      const [prices, rates] = await Promise.all([
+        PriceEntry.find().select('-revisions').sort({ effectiveFrom: -1 }).lean(),
+        ExchangeRate.find({ currency: 'ILS' }).sort({ effectiveFrom: -1 }).lean()
+      ]);
+      catalog = { prices, rates };
+      this.cache.set('catalog', catalog);
+    }
+
+    return catalog;
+  }
+
+  invalidate() {
+    this.cache.del('catalog');
+  }
+
+  /**
+   * Entry in effect for a provider SKU at a date
+   */
+  findPrice(catalog, provider, sku, at) {
+    const applies = (entry) =>
+      entry.provider === provider && entry.sku === sku && entry.effectiveFrom <= at;
+
+    return catalog.prices.find(applies) || DEFAULT_PRICES.find(applies);
+  }
+
+  /**
+   * Token prices of a model at a date - the API reports dated versions
+   * (gpt-4o-mini-2024-07-18), so the longest SKU the model starts with wins
+   */
+  findTokenPrice(catalog, model, at) {
+    const name = String(model || '');
+
+    // Stored entries come before defaults and newest first; the sort is stable
+    const [entry] = [...catalog.prices, ...DEFAULT_PRICES]
+      .filter(e => e.unit === 'thousand-tokens' && e.effectiveFrom <= at && name.startsWith(e.sku))
+      .sort((a, b) => b.sku.length - a.sku.length);
+    if (entry) return entry;
+
+    const fallback = parseFloat(process.env.COST_PER_1K_TOKENS_GPT35 || 0.002);
+    return { price: fallback, outputPrice: fallback, isDefault: true };
+  }
+
+  findRate(catalog, at) {
+    return catalog.rates.find(rate => rate.effectiveFrom <= at) || DEFAULT_RATE;
+  }
+
+  /**
+   * Costs of a call as of its start time
+   * @param {Object} call - A Call document or lean object
+   * @returns {Object} { costs, usageCosts } - costs per service in USD with the total
+   *   in ILS; usageCosts is the USD cost of each metrics.llmUsage entry
+   */
+  async calculateCosts(call) {
+    const catalog = await this.getCatalog();
+    const at = call.startTime || new Date();
+    const minutes = (call.duration || 0) / 60;
+    const metrics = call.metrics || {};
+
+    const twilio = minutes * this.findPrice(catalog, 'twilio', 'voice', at).price;
+    const googleSTT = minutes * this.findPrice(catalog, 'google', 'stt', at).price;
+
+    const ttsCharacters = metrics.ttsCharacters ?? minutes * AVG_TTS_CHARS_PER_MINUTE;
+    const googleTTS = ttsCharacters / 1000000 * this.findPrice(catalog, 'google', 'tts', at).price;
+
+    // Calls from before per-purpose usage only have the totals
+    const usage = metrics.llmUsage?.length
+      ? metrics.llmUsage
+      : [{
+        model: metrics.gptModel,
+        promptTokens: metrics.gptTokensInput || 0,
+        completionTokens: metrics.gptTokensOutput || 0
+      }];
+
+    const usageCosts = usage.map(entry => {
+      const price = this.findTokenPrice(catalog, entry.model, at);
+      return (entry.promptTokens || 0) / 1000 * price.price +
+        (entry.completionTokens || 0) / 1000 * (price.outputPrice ?? price.price);
+    });
+    const openAI = usageCosts.reduce((sum, cost) => sum + cost, 0);
+
+    const { rate } = this.findRate(catalog, at);
+
+    return {
+      costs: {
+        twilio,
+        googleSTT,
+        googleTTS,
+        openAI,
+        total: (twilio + googleSTT + googleTTS + openAI) * rate,
+        exchangeRate: rate
+      },
+      usageCosts: metrics.llmUsage?.length ? usageCosts : []
+    };
+  }
+
+  /**
+   * Reprice the calls that started in [from, to)
+   * @returns {Object} { calls, updated, totalBefore, totalAfter } - totals in ILS
+   */
+  async recalculate(from, to = new Date()) {
+    this.invalidate();
+
+    const result = { calls: 0, updated: 0, totalBefore: 0, totalAfter: 0 };
+    const differs = (a, b) => Math.abs((a || 0) - (b || 0)) > 1e-9;
+
+    const cursor = Call.find({ startTime: { $gte: from, $lt: to } })
+      .select('business startTime endTime duration status hadErrors reservation sentiment sentimentScore metrics costs rollup')
+      .lean()
+      .cursor({ batchSize: RECALCULATE_BATCH_SIZE });
+
+    for await (const call of cursor) {
+      const { costs, usageCosts } = await this.calculateCosts(call);
+
+      result.calls++;
+      result.totalBefore += call.costs?.total || 0;
+      result.totalAfter += costs.total;
+
+      const llmUsage = call.metrics?.llmUsage || [];
+      const changed = COST_FIELDS.some(field => differs(call.costs?.[field], costs[field])) ||
+        usageCosts.some((cost, i) => differs(llmUsage[i].cost, cost));
+      if (!changed) continue;
+
+      const update = { costs };
+      if (usageCosts.length > 0) {
+        update['metrics.llmUsage'] = llmUsage.map((entry, i) => ({ ...entry, cost: usageCosts[i] }));
+      }
+
+      // updateOne skips the save hook, which would price the call again
+      await Call.updateOne({ _id: call._id }, { $set: update });
+      result.updated++;
+
+      // Move the difference in the rollups the call is counted in
+      if (call.rollup?.version) {
+        await rollupService.recordCall({ ...call, costs });
+      }
+    }
+
+    result.totalBefore = Math.round(result.totalBefore * 100) / 100;
+    result.totalAfter = Math.round(result.totalAfter * 100) / 100;
+
+    logger.info('Call costs recalculated', { from, to, ...result });
+    return result;
+  }
+
+  /**
+   * Period an entry was in effect - until the next entry for the same key
+   */
+  async getWindow(Model, entry, key) {
+    const next = await Model.findOne({
+      ...key,
+      _id: { $ne: entry._id },
+      effectiveFrom: { $gt: entry.effectiveFrom }
+    })
+      .sort({ effectiveFrom: 1 })
+      .select('effectiveFrom')
+      .lean();
+
+    return { from: entry.effectiveFrom, to: next?.effectiveFrom || new Date() };
+  }
+
+  /**
+   * Reprice the span of several windows - nothing to do for future dates
+   */
+  async repriceWindows(...windows) {
+    const from = new Date(Math.min(...windows.map(w => w.from)));
+    const to = new Date(Math.max(...windows.map(w => w.to)));
+
+    if (from >= new Date()) {
+      this.invalidate();
+      return { calls: 0, updated: 0, totalBefore: 0, totalAfter: 0 };
+    }
+
+    return this.recalculate(from, to);
+  }
+
+  /**
+   * Price entries and rates, with what applies now for every SKU
+   */
+  async getPriceList() {
+    const [prices, rates] = await Promise.all([
+      PriceEntry.find().sort({ provider: 1, sku: 1, effectiveFrom: -1 }).lean(),
+      ExchangeRate.find().sort({ effectiveFrom: -1 }).lean()
+    ]);
+
+    const now = new Date();
+    const catalog = { prices: [...prices].sort((a, b) => b.effectiveFrom - a.effectiveFrom), rates };
+    const skus = new Map(
+      [...DEFAULT_PRICES, ...prices].map(e => [`${e.provider}:${e.sku}`, e])
+    );
+
+    return {
+      current: [...skus.values()]
+        .map(e => this.findPrice(catalog, e.provider, e.sku, now))
+        .filter(Boolean),
+      prices,
+      defaults: DEFAULT_PRICES,
+      rates,
+      currentRate: this.findRate(catalog, now)
+    };
+  }
+
+  /**
+   * Add a price - a backdated one reprices the calls from its date
+   * @param {Object} data - { provider, sku, unit, price, outputPrice, effectiveFrom, note }
+   */
+  async addPrice(data, userId) {
+    const entry = await PriceEntry.create({
+      provider: data.provider,
+      sku: data.sku,
+      unit: data.unit,
+      price: data.price,
+      outputPrice: data.outputPrice,
+      effectiveFrom: data.effectiveFrom || new Date(),
+      note: data.note,
+      createdBy: userId
+    });
+
+    const window = await this.getWindow(PriceEntry, entry, { provider: entry.provider, sku: entry.sku });
+    const recalculation = await this.repriceWindows(window);
+
+    return { entry, recalculation };
+  }
+
+  /**
+   * Correct a price entry, keeping its previous values
+   * @param {Object} changes - { price, outputPrice, effectiveFrom, note }
+   * @returns {Object|null} { entry, recalculation }
+   */
+  async correctPrice(id, changes, userId) {
+    const entry = await PriceEntry.findById(id);
+    if (!entry) return null;
+
+    const key = { provider: entry.provider, sku: entry.sku };
+    const before = await this.getWindow(PriceEntry, entry, key);
+
+    entry.revisions.push({
+      price: entry.price,
+      outputPrice: entry.outputPrice,
+      effectiveFrom: entry.effectiveFrom,
+      note: entry.note,
+      changedBy: userId
+    });
+
+    for (const field of ['price', 'outputPrice', 'effectiveFrom', 'note']) {
+      if (changes[field] !== undefined) entry[field] = changes[field];
+    }
+    await entry.save();
+
+    const after = await this.getWindow(PriceEntry, entry, key);
+    const recalculation = await this.repriceWindows(before, after);
+
+    return { entry, recalculation };
+  }
+
+  /**
+   * @returns {Object|null} { entry, recalculation }
+   */
+  async deletePrice(id) {
+    const entry = await PriceEntry.findByIdAndDelete(id);
+    if (!entry) return null;
+
+    const window = await this.getWindow(PriceEntry, entry, { provider: entry.provider, sku: entry.sku });
+    const recalculation = await this.repriceWindows(window);
+
+    return { entry, recalculation };
+  }
+
+  /**
+   * @param {Object} data - { rate, effectiveFrom, source }
+   */
+  async addRate(data, userId) {
+    const rate = await ExchangeRate.create({
+      rate: data.rate,
+      effectiveFrom: data.effectiveFrom || new Date(),
+      source: data.source,
+      createdBy: userId
+    });
+
+    const window = await this.getWindow(ExchangeRate, rate, { currency: rate.currency });
+    const recalculation = await this.repriceWindows(window);
+
+    return { rate, recalculation };
+  }
+
+  /**
+   * @param {Object} changes - { rate, effectiveFrom, source }
+   * @returns {Object|null} { rate, recalculation }
+   */
+  async correctRate(id, changes) {
+    const rate = await ExchangeRate.findById(id);
+    if (!rate) return null;
+
+    const key = { currency: rate.currency };
+    const before = await this.getWindow(ExchangeRate, rate, key);
+
+    for (const field of ['rate', 'effectiveFrom', 'source']) {
+      if (changes[field] !== undefined) rate[field] = changes[field];
+    }
+    await rate.save();
+
+    const after = await this.getWindow(ExchangeRate, rate, key);
+    const recalculation = await this.repriceWindows(before, after);
+
+    return { rate, recalculation };
+  }
+
+  /**
+   * @returns {Object|null} { rate, recalculation }
+   */
+  async deleteRate(id) {
+    const rate = await ExchangeRate.findByIdAndDelete(id);
+    if (!rate) return null;
+
+    const window = await this.getWindow(ExchangeRate, rate, { currency: rate.currency });
+    const recalculation = await this.repriceWindows(window);
+
+    return { rate, recalculation };
+  }
+}
+
+module.exports = new PricingService();
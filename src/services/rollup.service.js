@@ -0,0 +1,470 @@
+/**
+ * Rollup Service
+ * Daily and monthly counters per business - calls, minutes, cost, reservations
+ * and sentiment - in the business timezone. A processed call adds its counters
+ * and keeps a copy (Call.rollup), so repricing or reprocessing it adds only the
+ * difference. Business.stats are the totals of the monthly rollups.
+ */
+
+const mongoose = require('mongoose');
+const moment = require('moment-timezone');
+const logger = require('../utils/logger');
+const { Business, Call, Reservation, StatsRollup } = require('../models');
+
+const BACKFILL_BATCH_SIZE = 500;
+
+// Counter paths of a rollup, as $inc / $set paths
+const FIELDS = [
+  'calls',
+  'completedCalls',
+  'errorCalls',
+  'reservationCalls',
+  'duration',
+  'billableMinutes',
+  'cost',
+  'reservations',
+  'sentiment.positive',
+  'sentiment.neutral',
+  'sentiment.negative',
+  'sentiment.scoreSum',
+  'sentiment.scored'
+];
+
+const SENTIMENTS = ['positive', 'neutral', 'negative'];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// { sentiment: { scored: 1 } } -> { 'sentiment.scored': 1 }
+const flatten = (object, prefix = '') => Object.entries(object || {}).reduce((acc, [key, value]) => (
+  value && typeof value === 'object'
+    ? Object.assign(acc, flatten(value, `${prefix}${key}.`))
+    : Object.assign(acc, { [`${prefix}${key}`]: value })
+), {});
+
+const emptyCounters = () => Object.fromEntries(FIELDS.map(path => [path, 0]));
+
+class RollupService {
+  /**
+   * Day and month a date falls in
+   * @returns {Object} { day: 'YYYY-MM-DD', month: 'YYYY-MM' }
+   */
+  getKeys(date, timezone) {
+    const at = moment(date).tz(timezone);
+    return { day: at.format('YYYY-MM-DD'), month: at.format('YYYY-MM') };
+  }
+
+  /**
+   * What a call adds to its day and month
+   */
+  getCounters(call) {
+    const duration = call.duration || 0;
+    const scored = typeof call.sentimentScore === 'number';
+
+    return {
+      calls: 1,
+      completedCalls: call.status === 'completed' ? 1 : 0,
+      errorCalls: call.hadErrors ? 1 : 0,
+      reservationCalls: call.reservation ? 1 : 0,
+      duration,
+      billableMinutes: Math.ceil(duration / 60),
+      cost: call.costs?.total || 0,
+      sentiment: {
+        ...Object.fromEntries(SENTIMENTS.map(label => [label, call.sentiment === label ? 1 : 0])),
+        scoreSum: scored ? call.sentimentScore : 0,
+        scored: scored ? 1 : 0
+      }
+    };
+  }
+
+  /**
+   * Count a call in its business's rollups, or add what changed since it was
+   * counted. The change is claimed on the call first, so a retry adds nothing.
+   * @param {Object} call - Document or lean object
+   * @param {string} timezone - Business timezone, for a call not counted yet
+   * @returns {boolean} Whether anything was added
+   */
+  async recordCall(call, timezone) {
+    const previous = call.rollup?.version ? {
+      day: call.rollup.day,
+      month: call.rollup.month,
+      counters: call.rollup.counters,
+      version: call.rollup.version,
+      countedAt: call.rollup.countedAt
+    } : null;
+
+    const { day, month } = previous || this.getKeys(call.startTime, timezone);
+    const counters = this.getCounters(call);
+
+    const before = flatten(previous?.counters);
+    const delta = {};
+    for (const [path, value] of Object.entries(flatten(counters))) {
+      if (Math.abs(value - (before[path] || 0)) > 1e-9) delta[path] = value - (before[path] || 0);
+    }
+    if (Object.keys(delta).length === 0) return false;
+
+    const rollup = { day, month, counters, version: (previous?.version || 0) + 1, countedAt: new Date() };
+    const claimed = await Call.updateOne(
+      { _id: call._id, 'rollup.version': previous ? previous.version : null },
+      { $set: { rollup } }
+    );
+    if (claimed.modifiedCount === 0) return false;
+
+    try {
+      await this.increment(call.business, { day, month }, delta, call.endTime || call.startTime);
+    } catch (error) {
+      // Give the claim back, so the retry adds it
+      await Call.updateOne(
+        { _id: call._id, 'rollup.version': rollup.version },
+        previous ? { $set: { rollup: previous } } : { $unset: { rollup: 1 } }
+      );
+      throw error;
+    }
+
+    call.rollup = rollup;
+    return true;
+  }
+
+  /**
+   * Count a new reservation on the day it was made
+   * Never throws - a missed count is repaired by backfill
+   */
+  async recordReservation(reservation, business) {
+    try {
+      const keys = this.getKeys(reservation.createdAt || new Date(), business.getTimezone());
+      await this.increment(business._id, keys, { reservations: 1 });
+    } catch (error) {
+      logger.error('Error counting reservation:', error);
+    }
+  }
+
+  /**
+   * Add to a day and its month, then refresh the business totals
+   */
+  async increment(businessId, { day, month }, delta, lastCallAt = null) {
+    const update = { $inc: delta };
+    if (lastCallAt && delta.calls) update.$max = { lastCallAt };
+
+    await Promise.all([
+      StatsRollup.updateOne({ business: businessId, period: 'day', key: day }, update, { upsert: true }),
+      StatsRollup.updateOne({ business: businessId, period: 'month', key: month }, update, { upsert: true })
+    ]);
+
+    await this.refreshBusinessStats(businessId);
+  }
+
+  /**
+   * Set Business.stats from the monthly rollups
+   */
+  async refreshBusinessStats(businessId) {
+    const business = new mongoose.Types.ObjectId(String(businessId));
+
+    const [totals, latest] = await Promise.all([
+      this.sum({ business, period: 'month' }),
+      StatsRollup.findOne({ business, period: 'month' }).sort({ key: -1 }).lean()
+    ]);
+
+    await Business.updateOne({ _id: business }, {
+      'stats.totalCalls': totals.calls,
+      'stats.totalMinutes': Math.round(totals.duration / 60),
+      'stats.totalReservations': totals.reservations,
+      'stats.totalCost': round(totals.cost),
+      'stats.avgCallDuration': totals.calls > 0 ? totals.duration / totals.calls : 0,
+      'stats.successRate': totals.calls > 0 ? totals.completedCalls / totals.calls * 100 : 0,
+      'stats.lastCallAt': totals.lastCallAt,
+      'stats.currentMonth': {
+        month: latest?.key,
+        calls: latest?.calls || 0,
+        minutes: latest?.billableMinutes || 0,
+        cost: round(latest?.cost || 0)
+      }
+    });
+  }
+
+  /**
+   * Sum rollups
+   * @returns {Object} Counters by path, and lastCallAt
+   */
+  async sum(match) {
+    const group = { _id: null, lastCallAt: { $max: '$lastCallAt' } };
+    for (const path of FIELDS) {
+      group[path.replace('.', '_')] = { $sum: `$${path}` };
+    }
+
+    const [row] = await StatsRollup.aggregate([{ $match: match }, { $group: group }]);
+
+    const totals = emptyCounters();
+    for (const path of FIELDS) {
+      totals[path] = row?.[path.replace('.', '_')] || 0;
+    }
+    totals.lastCallAt = row?.lastCallAt || null;
+    return totals;
+  }
+
+  /**
+   * Summed counters as call stats
+   */
+  toStats(totals) {
+    return {
+      totalCalls: totals.calls,
+      totalDuration: totals.duration,
+      totalCost: round(totals.cost),
+      avgDuration: totals.calls > 0 ? totals.duration / totals.calls : 0,
+      completedCalls: totals.completedCalls,
+      errorCalls: totals.errorCalls,
+      reservationCalls: totals.reservationCalls,
+      totalReservations: totals.reservations,
+      billableMinutes: totals.billableMinutes,
+      avgSentiment: totals['sentiment.scored'] > 0
+        ? totals['sentiment.scoreSum'] / totals['sentiment.scored']
+        : 0,
+      sentiment: Object.fromEntries(SENTIMENTS.map(label => [label, totals[`sentiment.${label}`]]))
+    };
+  }
+
+  /**
+   * A business's call stats - all time, or for the days from / to (YYYY-MM-DD)
+   */
+  async getTotals(businessId, { from, to } = {}) {
+    const match = { business: new mongoose.Types.ObjectId(String(businessId)) };
+
+    if (from || to) {
+      match.period = 'day';
+      match.key = {};
+      if (from) match.key.$gte = from;
+      if (to) match.key.$lte = to;
+    } else {
+      match.period = 'month';
+    }
+
+    return this.toStats(await this.sum(match));
+  }
+
+  /**
+   * Days with activity in the last days, oldest first
+   * @returns {Array} [{ _id: 'YYYY-MM-DD', calls, duration, cost, errors, reservations, ... }]
+   */
+  async getDaily(business, days = 30) {
+    const today = moment().tz(business.getTimezone());
+    const from = today.clone().subtract(days - 1, 'days').format('YYYY-MM-DD');
+
+    const rollups = await StatsRollup.find({
+      business: business._id,
+      period: 'day',
+      key: { $gte: from, $lte: today.format('YYYY-MM-DD') }
+    }).sort({ key: 1 }).lean();
+
+    return rollups.map(rollup => ({
+      _id: rollup.key,
+      calls: rollup.calls,
+      duration: rollup.duration,
+      billableMinutes: rollup.billableMinutes,
+      cost: round(rollup.cost),
+      errors: rollup.errorCalls,
+      reservations: rollup.reservations,
+      sentiment: rollup.sentiment
+    }));
+  }
+
+  /**
+   * A month's totals across businesses
+   * @param {string} month - YYYY-MM
+   * @param {Array} businessIds - Default all businesses
+   */
+  async getMonthTotals(month, businessIds = null) {
+    const match = { period: 'month', key: month };
+    if (businessIds) {
+      match.business = { $in: businessIds.map(id => new mongoose.Types.ObjectId(String(id))) };
+    }
+
+    return this.toStats(await this.sum(match));
+  }
+
+  /**
+   * A business's billable minutes for a month against its plan
+   * @param {string} month - YYYY-MM, default the current month in the business timezone
+   */
+  async getUsage(business, month = null) {
+    month = month || moment().tz(business.getTimezone()).format('YYYY-MM');
+
+    const rollup = await StatsRollup.findOne({ business: business._id, period: 'month', key: month }).lean();
+    const minutes = rollup?.billableMinutes || 0;
+    const minutesIncluded = business.billing?.minutesIncluded || 0;
+    const extraMinutes = Math.max(0, minutes - minutesIncluded);
+
+    return {
+      month,
+      calls: rollup?.calls || 0,
+      minutes,
+      minutesIncluded,
+      extraMinutes,
+      extraCost: round(extraMinutes * (business.billing?.pricePerExtraMinute || 0))
+    };
+  }
+
+  /**
+   * Every active business's usage for a month, most minutes first
+   */
+  async getBillingReport(month) {
+    const [businesses, rollups] = await Promise.all([
+      Business.find({ isActive: true }).select('nameHebrew billing'),
+      StatsRollup.find({ period: 'month', key: month }).lean()
+    ]);
+
+    const byBusiness = new Map(rollups.map(rollup => [String(rollup.business), rollup]));
+
+    return businesses.map(business => {
+      const rollup = byBusiness.get(String(business._id));
+      const minutes = rollup?.billableMinutes || 0;
+      const { plan, monthlyPrice, minutesIncluded, pricePerExtraMinute } = business.billing;
+      const extraMinutes = Math.max(0, minutes - minutesIncluded);
+
+      return {
+        businessId: business._id,
+        name: business.nameHebrew,
+        plan,
+        month,
+        calls: rollup?.calls || 0,
+        minutes,
+        minutesIncluded,
+        extraMinutes,
+        extraCost: round(extraMinutes * pricePerExtraMinute),
+        amountDue: round(monthlyPrice + extraMinutes * pricePerExtraMinute),
+        cost: round(rollup?.cost || 0) // What the calls cost us
+      };
+    }).sort((a, b) => b.minutes - a.minutes);
+  }
+
+  /**
+   * Rebuild rollups from call and reservation history
+   * Days in the range are replaced, their months summed again from the days.
+   * Calls finishing during a backfill of today may be counted twice - backfill
+   * past days, or run it when it's quiet.
+   * @param {Object} options - { businessId, from, to } - default all businesses, all history
+   */
+  async backfill({ businessId, from, to } = {}) {
+    const businesses = await Business.find(businessId ? { _id: businessId } : {})
+      .select('timezone createdAt');
+
+    const result = { businesses: 0, calls: 0, reservations: 0, days: 0 };
+
+    for (const business of businesses) {
+      const counts = await this.backfillBusiness(business, from, to);
+      result.businesses++;
+      result.calls += counts.calls;
+      result.reservations += counts.reservations;
+      result.days += counts.days;
+    }
+
+    logger.info('Stats rollups backfilled', { businessId, from, to, ...result });
+    return result;
+  }
+
+  async backfillBusiness(business, from, to = new Date()) {
+    const timezone = business.getTimezone();
+
+    if (!from) {
+      const first = await Call.findOne({ business: business._id }).sort({ startTime: 1 }).select('startTime');
+      from = first?.startTime && first.startTime < business.createdAt ? first.startTime : business.createdAt;
+    }
+
+    // Whole days
+    const start = moment(from || new Date()).tz(timezone).startOf('day');
+    const end = moment(to || new Date()).tz(timezone).endOf('day');
+    const range = { $gte: start.toDate(), $lte: end.toDate() };
+
+    const days = new Map();
+    const addTo = (key, counters, lastCallAt = null) => {
+      if (!days.has(key)) days.set(key, { ...emptyCounters(), lastCallAt: null });
+      const day = days.get(key);
+      for (const [path, value] of Object.entries(counters)) day[path] += value;
+      if (lastCallAt && (!day.lastCallAt || lastCallAt > day.lastCallAt)) day.lastCallAt = lastCallAt;
+    };
+
+    const counts = { calls: 0, reservations: 0, days: 0 };
+    let callUpdates = [];
+    const flushCalls = async () => {
+      if (callUpdates.length > 0) await Call.bulkWrite(callUpdates, { ordered: false });
+      callUpdates = [];
+    };
+
+    const calls = Call.find({ business: business._id, startTime: range })
+      .select('startTime endTime duration status hadErrors reservation costs sentiment sentimentScore rollup')
+      .lean()
+      .cursor({ batchSize: BACKFILL_BATCH_SIZE });
+
+    for await (const call of calls) {
+      const keys = this.getKeys(call.startTime, timezone);
+      const counters = this.getCounters(call);
+      addTo(keys.day, flatten(counters), call.endTime || call.startTime);
+      counts.calls++;
+
+      callUpdates.push({
+        updateOne: {
+          filter: { _id: call._id },
+          update: {
+            $set: {
+              rollup: { ...keys, counters, version: (call.rollup?.version || 0) + 1, countedAt: new Date() }
+            }
+          }
+        }
+      });
+      if (callUpdates.length >= BACKFILL_BATCH_SIZE) await flushCalls();
+    }
+    await flushCalls();
+
+    const reservations = Reservation.find({ business: business._id, createdAt: range })
+      .select('createdAt')
+      .lean()
+      .cursor({ batchSize: BACKFILL_BATCH_SIZE });
+
+    for await (const reservation of reservations) {
+      addTo(this.getKeys(reservation.createdAt, timezone).day, { reservations: 1 });
+      counts.reservations++;
+    }
+
+    // Replace the range's days
+    const dayRange = { $gte: start.format('YYYY-MM-DD'), $lte: end.format('YYYY-MM-DD') };
+    await StatsRollup.deleteMany({
+      business: business._id,
+      period: 'day',
+      key: { ...dayRange, $nin: [...days.keys()] }
+    });
+    if (days.size > 0) {
+      await StatsRollup.bulkWrite([...days].map(([key, { lastCallAt, ...counters }]) => ({
+        updateOne: {
+          filter: { business: business._id, period: 'day', key },
+          update: { $set: { ...counters, lastCallAt } },
+          upsert: true
+        }
+      })));
+    }
+    counts.days = days.size;
+
+    // Months the range touched, from all their days
+    for (const month = start.clone().startOf('month'); month.isSameOrBefore(end); month.add(1, 'month')) {
+      const key = month.format('YYYY-MM');
+      const totals = await this.sum({
+        business: business._id,
+        period: 'day',
+        key: { $gte: `${key}-01`, $lte: `${key}-31` }
+      });
+
+      if (totals.calls === 0 && totals.reservations === 0) {
+        await StatsRollup.deleteOne({ business: business._id, period: 'month', key });
+        continue;
+      }
+
+      const { lastCallAt, ...counters } = totals;
+      await StatsRollup.updateOne(
+        { business: business._id, period: 'month', key },
+        { $set: { ...counters, lastCallAt } },
+        { upsert: true }
+      );
+    }
+
+    await this.refreshBusinessStats(business._id);
+    return counts;
+  }
+}
+
+module.exports = new RollupService();
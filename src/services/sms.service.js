@@ -0,0 +1,324 @@
+/**
+ * SMS Service
+ * Reservation confirmations, follow-ups and waitlist offers over Twilio Messaging
+ * A fake transport keeps messages in memory for tests and local development
+ */
+
+const crypto = require('crypto');
+const twilio = require('twilio');
+const logger = require('../utils/logger');
+const { toE164 } = require('../utils/phone');
+const { Reservation, Error: ErrorModel } = require('../models');
+
+/**
+ * Sends through Twilio Messaging
+ */
+class TwilioSmsTransport {
+  constructor(client) {
+    this.client = client;
+  }
+
+  async send({ to, from, body, statusCallback }) {
+    const message = await this.client.messages.create({
+      to,
+      from,
+      body,
+      ...(statusCallback && { statusCallback })
+    });
+
+    return { sid: message.sid, status: message.status };
+  }
+}
+
+/**
+ * Keeps sent messages in memory
+ */
+class FakeSmsTransport {
+  constructor() {
+    this.sent = [];
+  }
+
+  async send(message) {
+    const sid = `SM${crypto.randomBytes(16).toString('hex')}`;
+    this.sent.push({ ...message, sid, sentAt: new Date() });
+
+    logger.info('Fake SMS sent', { to: message.to, sid });
+
+    return { sid, status: 'sent' };
+  }
+
+  clear() {
+    this.sent = [];
+  }
+}
+
+class SmsService {
+  constructor() {
+    // SMS_TRANSPORT=twilio|fake, defaults to twilio when credentials are set
+    const production = process.env.NODE_ENV === 'production';
+    const hasTwilio = process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN;
+    const driver = process.env.SMS_TRANSPORT || (hasTwilio ? 'twilio' : 'fake');
+
+    if (driver === 'twilio' && hasTwilio) {
+      this.transport = new TwilioSmsTransport(
+        twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN)
+      );
+    } else {
+      // The fake transport must be chosen explicitly in production
+      if (production && process.env.SMS_TRANSPORT !== 'fake') {
+        throw new Error('TWILIO_ACCOUNT_SID and TWILIO_AUTH_TOKEN must be set for SMS in production');
+      }
+
+      this.transport = new FakeSmsTransport();
+      if (driver === 'twilio') {
+        console.warn('⚠️ Twilio credentials not set - SMS will use the fake transport');
+      }
+    }
+
+    // Cancel links stay valid until the reservation, so they are signed, not expiring
+    this.secret = process.env.RESERVATION_LINK_SECRET;
+    if (!this.secret) {
+      if (production) {
+        throw new Error('RESERVATION_LINK_SECRET must be set in production');
+      }
+
+      this.secret = crypto.randomBytes(32).toString('hex');
+      console.warn('⚠️ RESERVATION_LINK_SECRET not set - cancel links will not survive a restart');
+    }
+  }
+
+  /**
+   * Replace the sending transport (tests)
+   */
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  /**
+   * Sign a document id for a public link
+   * @param {string} scope - What the link allows (cancel|claim)
+   */
+  sign(scope, id) {
+    return crypto
+      .createHmac('sha256', this.secret)
+      .update(`${scope}:${id}`)
+      .digest('hex');
+  }
+
+  /**
+   * Verify a public link token
+   */
+  verifyToken(scope, id, token) {
+    if (!token) return false;
+
+    const expected = Buffer.from(this.sign(scope, id));
+    const received = Buffer.from(String(token));
+
+    return expected.length === received.length &&
+           crypto.timingSafeEqual(expected, received);
+  }
+
+  /**
+   * Sign a reservation id for the public cancel link
+   */
+  signReservation(reservationId) {
+    return this.sign('cancel', reservationId);
+  }
+
+  /**
+   * Verify a cancel link token
+   */
+  verifyReservationToken(reservationId, token) {
+    return this.verifyToken('cancel', reservationId, token);
+  }
+
+  /**
+   * Public link that lets the customer cancel
+   */
+  getCancelUrl(reservation) {
+    const token = this.signReservation(reservation._id);
+    return `${process.env.API_URL}/api/public/reservations/${reservation._id}/cancel?token=${token}`;
+  }
+
+  /**
+   * Public link that lets a waitlisted customer claim a freed slot
+   */
+  getClaimUrl(entry) {
+    const token = this.sign('claim', entry._id);
+    return `${process.env.API_URL}/api/public/waitlist/${entry._id}/claim?token=${token}`;
+  }
+
+  /**
+   * Replace {placeholders}, leaving unknown ones as they are
+   */
+  fillTemplate(template, values) {
+    return template.replace(/\{(\w+)\}/g, (match, key) =>
+      values[key] !== undefined ? String(values[key]) : match
+    );
+  }
+
+  /**
+   * Fill template placeholders from a reservation
+   */
+  renderTemplate(template, reservation, business) {
+    return this.fillTemplate(template, {
+      customerName: reservation.customerName,
+      businessName: business.nameHebrew,
+      confirmationMessage: business.reservationSettings?.confirmationMessage || '',
+      reservationNumber: reservation.reservationNumber,
+      date: reservation.date.toLocaleDateString('he-IL', { timeZone: business.getTimezone() }),
+      time: reservation.time,
+      partySize: reservation.partySize,
+      serviceName: reservation.serviceName || '',
+      staffName: reservation.staffName || '',
+      cancelUrl: this.getCancelUrl(reservation)
+    });
+  }
+
+  /**
+   * Send a reservation SMS and record it on the reservation
+   * @param {string} kind - confirmation|cancellation
+   * @returns {Object|null} The recorded message, or null if nothing was sent
+   */
+  async sendReservationSms(reservation, business, kind = 'confirmation') {
+    const settings = business.reservationSettings || {};
+    if (!settings.smsEnabled || !reservation.customerPhone) return null;
+
+    const from = business.twilioPhoneNumber || process.env.TWILIO_PHONE_NUMBER;
+    const template = kind === 'cancellation'
+      ? settings.cancellationSmsTemplate
+      : reservation.service ? settings.appointmentSmsTemplate : settings.smsTemplate;
+
+    const to = toE164(reservation.customerPhone);
+    const body = this.renderTemplate(template, reservation, business);
+
+    try {
+      const result = await this.transport.send({
+        to,
+        from,
+        body,
+        statusCallback: `${process.env.API_URL}/webhook/${business.botId}/sms/status?reservationId=${reservation._id}`
+      });
+
+      const message = {
+        kind,
+        sid: result.sid,
+        to,
+        status: result.status || 'queued',
+        sentAt: new Date(),
+        statusUpdatedAt: new Date()
+      };
+
+      const update = { $push: { messages: message } };
+      if (kind === 'confirmation') {
+        update.confirmationSent = true;
+        update.confirmationSentAt = new Date();
+      }
+      await Reservation.findByIdAndUpdate(reservation._id, update);
+
+      logger.info('Reservation SMS sent', {
+        reservationId: reservation._id,
+        kind,
+        sid: result.sid
+      });
+
+      return message;
+
+    } catch (error) {
+      logger.error('SMS send error:', error);
+
+      await ErrorModel.logError({
+        category: 'twilio',
+        severity: 'medium',
+        code: error.code,
+        message: `Reservation SMS failed: ${error.message}`,
+        details: { reservationId: reservation._id, kind, to },
+        business: business._id
+      });
+
+      return null;
+    }
+  }
+
+  /**
+   * Tell a waitlisted customer a slot was freed
+   * @returns {string|null} Message sid, or null if nothing was sent
+   */
+  async sendWaitlistOffer(entry, business) {
+    const settings = business.waitlistSettings || {};
+
+    const to = toE164(entry.customerPhone);
+    const body = this.fillTemplate(settings.smsTemplate, {
+      customerName: entry.customerName,
+      businessName: business.nameHebrew,
+      date: entry.date.toLocaleDateString('he-IL', { timeZone: business.getTimezone() }),
+      time: entry.time,
+      partySize: entry.partySize,
+      claimMinutes: settings.claimMinutes,
+      claimUrl: this.getClaimUrl(entry)
+    });
+
+    try {
+      const result = await this.transport.send({
+        to,
+        from: business.twilioPhoneNumber || process.env.TWILIO_PHONE_NUMBER,
+        body
+      });
+
+      logger.info('Waitlist offer SMS sent', { entryId: entry._id, sid: result.sid });
+
+      return result.sid;
+
+    } catch (error) {
+      logger.error('Waitlist SMS send error:', error);
+
+      await ErrorModel.logError({
+        category: 'twilio',
+        severity: 'medium',
+        code: error.code,
+        message: `Waitlist SMS failed: ${error.message}`,
+        details: { entryId: entry._id, to },
+        business: business._id
+      });
+
+      return null;
+    }
+  }
+
+  /**
+   * Record a Twilio delivery status update
+   */
+  async handleStatusCallback(params) {
+    const { MessageSid, MessageStatus, ErrorCode } = params;
+    if (!MessageSid || !MessageStatus) return null;
+
+    const reservation = await Reservation.findOneAndUpdate(
+      { 'messages.sid': MessageSid },
+      {
+        $set: {
+          'messages.$.status': MessageStatus,
+          'messages.$.statusUpdatedAt': new Date(),
+          ...(ErrorCode && { 'messages.$.errorCode': ErrorCode })
+        }
+      },
+      { new: true }
+    );
+
+    if (['failed', 'undelivered'].includes(MessageStatus)) {
+      logger.warn('Reservation SMS not delivered', {
+        sid: MessageSid,
+        status: MessageStatus,
+        errorCode: ErrorCode,
+        reservationId: reservation?._id
+      });
+    }
+
+    return reservation;
+  }
+}
+
+const smsService = new SmsService();
+
+module.exports = smsService;
+module.exports.TwilioSmsTransport = TwilioSmsTransport;
+module.exports.FakeSmsTransport = FakeSmsTransport;
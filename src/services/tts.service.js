@@ -8,6 +8,7 @@ const textToSpeech = require('@google-cloud/text-to-speech');
 const NodeCache = require('node-cache');
 const crypto = require('crypto');
 const logger = require('../utils/logger');
+const audioStorage = require('./audioStorage.service');
 const { Error: ErrorModel } = require('../models');
 
 class TextToSpeechService {
@@ -42,10 +43,10 @@ class TextToSpeechService {
   /**
    * Convert text to speech
    * @param {string} text - Text to synthesize
-   * @param {Object} options - Voice options
+   * @param {Object} options - Voice options; options.usage.ttsCharacters counts billed characters
    * @returns {Buffer} Audio buffer
    */
-  async synthesize(text, options = {}) {
+  async synthesize(text, { usage, ...options } = {}) {
     const startTime = Date.now();
     
     try {
@@ -86,6 +87,11 @@ class TextToSpeechService {
       };
 
       const [response] = await this.client.synthesizeSpeech(request);
+
+      // Google bills the SSML characters sent; cache hits are free
+      if (usage) {
+        usage.ttsCharacters = (usage.ttsCharacters || 0) + ssml.length;
+      }
       
       // Cache the result
       this.cache.set(cacheKey, response.audioContent);
@@ -129,19 +135,18 @@ class TextToSpeechService {
 
   /**
    * Generate audio URL for Twilio TwiML
-   * Stores the audio and returns a URL
+   * Stores the audio and returns a signed, expiring URL
    */
-  async generateAudioUrl(text, options = {}) {
-    const audioBuffer = await this.synthesize(text, options);
-    
-    // In production, you'd upload to a CDN or serve from your server
-    // For now, we'll use base64 data URI which Twilio doesn't support directly
-    // So we need to serve this via an endpoint
-    
-    const cacheKey = this.generateCacheKey(text, options);
-    this.cache.set(`audio:${cacheKey}`, audioBuffer, 3600); // 1 hour
-    
-    return `${process.env.API_URL}/api/audio/${cacheKey}`;
+  async generateAudioUrl(text, { usage, ...options } = {}) {
+    const audioBuffer = await this.synthesize(text, { ...options, usage });
+
+    const key = audioStorage.buildKey(
+      this.generateCacheKey(text, options),
+      options.encoding
+    );
+    await audioStorage.save(key, audioBuffer);
+
+    return audioStorage.getSignedUrl(key);
   }
 
   /**
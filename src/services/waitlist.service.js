@@ -0,0 +1,303 @@
+/**
+ * Waitlist Service
+ * Keeps callers waiting for full reservation slots and offers freed
+ * capacity to them in priority order. Offers go out by SMS and expire
+ * if the customer doesn't claim the slot in time.
+ */
+
+const moment = require('moment-timezone');
+const logger = require('../utils/logger');
+const smsService = require('./sms.service');
+const rollupService = require('./rollup.service');
+const { Business, Reservation, WaitlistEntry } = require('../models');
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+class WaitlistService {
+  constructor() {
+    this.expiryTimer = null;
+  }
+
+  /**
+   * Add a customer to the waitlist for a slot
+   * @returns {Object|null} The entry, or null if the slot's waitlist is full
+   */
+  async addEntry(business, data) {
+    const settings = business.waitlistSettings || {};
+    const timezone = business.getTimezone();
+    const date = business.parseDay(data.date);
+    const day = moment(date).tz(timezone).format('YYYY-MM-DD');
+    const expiresAt = moment.tz(`${day} ${data.time}`, 'YYYY-MM-DD HH:mm', timezone).toDate();
+
+    if (expiresAt <= new Date()) {
+      throw new Error('Waitlist slot has already passed');
+    }
+
+    // Same customer asking again for the same slot keeps their place
+    const existing = await WaitlistEntry.findOne({
+      business: business._id,
+      customerPhone: data.customerPhone,
+      date,
+      time: data.time,
+      status: { $in: ['waiting', 'notified'] }
+    });
+    if (existing) return existing;
+
+    const waiting = await WaitlistEntry.countDocuments({
+      business: business._id,
+      date,
+      time: data.time,
+      status: 'waiting'
+    });
+    if (waiting >= (settings.maxEntriesPerSlot || 10)) {
+      return null;
+    }
+
+    const entry = await WaitlistEntry.create({
+      business: business._id,
+      call: data.call,
+      customerName: data.customerName,
+      customerPhone: data.customerPhone,
+      date,
+      time: data.time,
+      partySize: data.partySize,
+      seatingArea: data.seatingArea || 'any',
+      priority: data.priority || 0,
+      source: data.source || 'ai-bot',
+      notes: data.notes,
+      expiresAt
+    });
+
+    logger.info('Waitlist entry added', {
+      entryId: entry._id,
+      businessId: business._id,
+      date: day,
+      time: data.time,
+      partySize: data.partySize
+    });
+
+    return entry;
+  }
+
+  /**
+   * Capacity was freed on a day (cancellation, reschedule) - offer it
+   * Never throws, so callers don't have to guard it
+   */
+  async handleFreedCapacity(businessId, date, business = null) {
+    try {
+      business = business || await Business.findById(businessId);
+      if (!business?.waitlistSettings?.enabled) return null;
+
+      const day = moment(date).tz(business.getTimezone()).format('YYYY-MM-DD');
+      return await this.offerFreedSlots(business, day);
+
+    } catch (error) {
+      logger.error('Waitlist offer error:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Offer the first waiting entry of the day that now fits
+   * Outstanding offers hold their slot until claimed or expired
+   */
+  async offerFreedSlots(business, day) {
+    const timezone = business.getTimezone();
+    const from = moment.tz(day, timezone).startOf('day').toDate();
+    const to = moment.tz(day, timezone).endOf('day').toDate();
+
+    const entries = await WaitlistEntry.getQueue(business._id, from, to);
+    if (entries.length === 0) return null;
+
+    const outstanding = await WaitlistEntry.find({
+      business: business._id,
+      date: { $gte: from, $lte: to },
+      status: 'notified',
+      claimExpiresAt: { $gt: new Date() }
+    });
+
+    for (const entry of entries) {
+      const held = outstanding.some(offer => {
+        const duration = business.getSeatingDuration(Math.max(offer.partySize, entry.partySize));
+        return Math.abs(toMinutes(offer.time) - toMinutes(entry.time)) < duration;
+      });
+      if (held) continue;
+
+      const availability = await Reservation.checkAvailability(
+        business._id,
+        entry.date,
+        entry.time,
+        entry.partySize,
+        { business, seatingArea: entry.seatingArea, alternatives: false }
+      );
+      if (!availability.available) continue;
+
+      // An offer that couldn't be sent leaves the slot to the next in line
+      if (await this.notify(entry, business)) return entry;
+    }
+
+    return null;
+  }
+
+  /**
+   * Send the claim offer to a waitlisted customer
+   * @returns {Object|null} The entry, or null if the SMS failed - it stays waiting
+   */
+  async notify(entry, business) {
+    const claimMinutes = business.waitlistSettings?.claimMinutes || 30;
+
+    const sid = await smsService.sendWaitlistOffer(entry, business);
+    if (!sid) return null;
+
+    entry.status = 'notified';
+    entry.notifiedAt = new Date();
+    entry.claimExpiresAt = new Date(Math.min(
+      Date.now() + claimMinutes * 60 * 1000,
+      entry.expiresAt.getTime()
+    ));
+    entry.notificationCount = (entry.notificationCount || 0) + 1;
+    entry.notificationSid = sid;
+    await entry.save();
+
+    logger.info('Waitlist slot offered', {
+      entryId: entry._id,
+      businessId: business._id,
+      claimExpiresAt: entry.claimExpiresAt
+    });
+
+    return entry;
+  }
+
+  /**
+   * Turn an offer into a reservation
+   * @returns {Object} { claimed, reason, reservation, business }
+   */
+  async claim(entryId) {
+    const now = new Date();
+
+    // Atomic so a double submit can't book twice
+    const entry = await WaitlistEntry.findOneAndUpdate(
+      { _id: entryId, status: 'notified', claimExpiresAt: { $gt: now } },
+      { status: 'claimed', claimedAt: now },
+      { new: true }
+    );
+
+    if (!entry) {
+      const current = await WaitlistEntry.findById(entryId);
+      if (current?.status === 'claimed') {
+        return { claimed: true, alreadyClaimed: true, entry: current };
+      }
+      return { claimed: false, reason: 'expired', entry: current };
+    }
+
+    let business;
+    let reservation;
+
+    try {
+      business = await Business.findById(entry.business);
+
+      const availability = await Reservation.checkAvailability(
+        entry.business,
+        entry.date,
+        entry.time,
+        entry.partySize,
+        { business, seatingArea: entry.seatingArea, alternatives: false }
+      );
+
+      // Taken in the meantime (e.g. a manual booking) - back in line
+      if (!availability.available) {
+        entry.status = 'waiting';
+        entry.claimedAt = undefined;
+        entry.claimExpiresAt = undefined;
+        await entry.save();
+        return { claimed: false, reason: 'taken', entry };
+      }
+
+      reservation = await Reservation.create({
+        business: entry.business,
+        call: entry.call,
+        customerName: entry.customerName,
+        customerPhone: entry.customerPhone,
+        date: entry.date,
+        time: availability.time,
+        partySize: entry.partySize,
+        tableNumber: availability.table?.number,
+        seatingArea: availability.table?.area || entry.seatingArea,
+        status: 'confirmed',
+        source: 'waitlist'
+      });
+    } catch (error) {
+      // No reservation - the offer stands, so the customer can try again
+      await WaitlistEntry.updateOne(
+        { _id: entry._id, status: 'claimed' },
+        { $set: { status: 'notified' }, $unset: { claimedAt: 1 } }
+      ).catch(revertError => logger.error('Waitlist claim revert error:', revertError));
+      throw error;
+    }
+
+    entry.reservation = reservation._id;
+    await entry.save();
+
+    await rollupService.recordReservation(reservation, business);
+
+    await smsService.sendReservationSms(reservation, business, 'confirmation');
+
+    logger.info('Waitlist slot claimed', {
+      entryId: entry._id,
+      reservationId: reservation._id
+    });
+
+    return { claimed: true, entry, reservation, business };
+  }
+
+  /**
+   * Expire passed entries and lapsed offers, then offer lapsed slots onward
+   */
+  async expireEntries(now = new Date()) {
+    const lapsed = await WaitlistEntry.find({
+      status: 'notified',
+      claimExpiresAt: { $lte: now }
+    });
+
+    const { modifiedCount } = await WaitlistEntry.updateMany(
+      {
+        $or: [
+          { status: { $in: ['waiting', 'notified'] }, expiresAt: { $lte: now } },
+          { status: 'notified', claimExpiresAt: { $lte: now } }
+        ]
+      },
+      { status: 'expired' }
+    );
+
+    for (const entry of lapsed) {
+      if (entry.expiresAt > now) {
+        await this.handleFreedCapacity(entry.business, entry.date);
+      }
+    }
+
+    if (modifiedCount > 0) {
+      logger.info('Waitlist entries expired', { count: modifiedCount, lapsedOffers: lapsed.length });
+    }
+
+    return { expired: modifiedCount };
+  }
+
+  startExpiryCheck(intervalMs = 5 * 60 * 1000) {
+    if (this.expiryTimer) return;
+
+    this.expiryTimer = setInterval(() => {
+      this.expireEntries().catch(error => logger.error('Waitlist expiry error:', error));
+    }, intervalMs);
+    this.expiryTimer.unref();
+  }
+
+  stopExpiryCheck() {
+    clearInterval(this.expiryTimer);
+    this.expiryTimer = null;
+  }
+}
+
+module.exports = new WaitlistService();
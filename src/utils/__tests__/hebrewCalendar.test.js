@@ -0,0 +1,91 @@
+const moment = require('moment-timezone');
+const { getHebrewDate, getHolidays, getSunset, isRestDay, isRestTime } = require('../hebrewCalendar');
+
+const israelTime = (time) => moment.tz(time, 'YYYY-MM-DD HH:mm', 'Asia/Jerusalem').toDate();
+
+describe('hebrewCalendar', () => {
+  describe('getHebrewDate', () => {
+    it('reads the Hebrew date of a civil day', () => {
+      expect(getHebrewDate('2026-09-12')).toEqual({ day: 1, month: 'Tishri', year: 5787 });
+    });
+  });
+
+  describe('getHolidays', () => {
+    it('finds yom tov', () => {
+      expect(getHolidays('2027-04-22')).toEqual([
+        { key: 'pesach', name: 'פסח', type: 'yomtov', erev: false }
+      ]);
+    });
+
+    it('marks the day before yom tov as erev chag', () => {
+      expect(getHolidays('2026-09-20')).toEqual([
+        { key: 'yom-kippur', name: 'ערב יום כיפור', type: 'erev-chag', erev: true }
+      ]);
+    });
+
+    it('has no erev chag on the first day of a two-day yom tov', () => {
+      expect(getHolidays('2026-09-12')).toEqual([
+        { key: 'rosh-hashana', name: 'ראש השנה', type: 'yomtov', erev: false }
+      ]);
+    });
+
+    it('finds chol hamoed', () => {
+      expect(getHolidays('2026-09-28').map(h => h.key)).toEqual(['chol-hamoed-sukkot']);
+    });
+
+    it('is empty on a regular day', () => {
+      expect(getHolidays('2026-10-20')).toEqual([]);
+    });
+
+    it('postpones Tisha B\'Av from Shabbat to Sunday', () => {
+      expect(getHolidays('2025-08-02')).toEqual([]);
+      expect(getHolidays('2025-08-03').map(h => h.key)).toEqual(['tisha-bav']);
+    });
+
+    it('moves Yom HaZikaron and Yom HaAtzmaut away from Shabbat', () => {
+      // 5 Iyar 5785 was Saturday May 3rd - both moved back to Wednesday and Thursday
+      expect(getHolidays('2025-04-30').map(h => h.key)).toEqual(['yom-hazikaron']);
+      expect(getHolidays('2025-05-01').map(h => h.key)).toEqual(['yom-haatzmaut']);
+      expect(getHolidays('2025-05-02')).toEqual([]);
+    });
+
+    it('returns copies callers can change', () => {
+      getHolidays('2027-04-22')[0].name = 'changed';
+
+      expect(getHolidays('2027-04-22')[0].name).toBe('פסח');
+    });
+  });
+
+  describe('getSunset', () => {
+    it('is in the evening in Israel', () => {
+      const sunset = moment(getSunset('2026-06-21')).tz('Asia/Jerusalem');
+
+      expect(sunset.format('YYYY-MM-DD')).toBe('2026-06-21');
+      expect(sunset.hours()).toBe(19);
+    });
+  });
+
+  describe('isRestDay', () => {
+    it.each([
+      ['2026-10-24', true], // Shabbat
+      ['2026-09-21', true], // Yom Kippur
+      ['2026-09-28', false], // Chol hamoed
+      ['2026-10-23', false] // Friday
+    ])('%s is %s', (day, rest) => {
+      expect(isRestDay(day)).toBe(rest);
+    });
+  });
+
+  describe('isRestTime', () => {
+    it.each([
+      ['2026-10-23 12:00', false], // Friday noon
+      ['2026-10-23 18:00', true], // After candle lighting
+      ['2026-10-24 12:00', true], // Shabbat
+      ['2026-10-24 21:00', false], // After havdalah
+      ['2026-09-25 19:00', true], // Erev Sukkot evening
+      ['2026-10-21 18:00', false] // Wednesday evening
+    ])('%s is %s', (time, rest) => {
+      expect(isRestTime(israelTime(time))).toBe(rest);
+    });
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * CSV Utilities
+ * RFC 4180 parsing (quoted fields, escaped quotes, line breaks inside quotes)
+ * for spreadsheet exports, which often come with a BOM and CRLF line endings
+ */
+
+/**
+ * Parse CSV text into rows
+ * @returns {Array} Array of field arrays, blank lines skipped
+ */
+const parseCsv = (text) => {
+  const input = String(text).replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+};
+
+/**
+ * Parse CSV text with a header row into objects
+ * @returns {Array} [{ header: value }], headers trimmed and lower-cased
+ */
+const parseCsvRecords = (text) => {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return [];
+
+  const keys = header.map(key => key.trim().toLowerCase());
+  return rows.map(fields => {
+    const record = {};
+    keys.forEach((key, i) => {
+      record[key] = (fields[i] ?? '').trim();
+    });
+    return record;
+  });
+};
+
+/**
+ * Format rows as CSV, quoting fields that need it
+ * @param {Array} rows - Arrays of values; null/undefined become empty fields
+ */
+const stringifyCsv = (rows) => {
+  const escape = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return rows.map(row => row.map(escape).join(',')).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  parseCsv,
+  parseCsvRecords,
+  stringifyCsv
+};
@@ -0,0 +1,212 @@
+/**
+ * Hebrew Calendar Utilities
+ * Israeli holidays from the Hebrew date (Intl's hebrew calendar, no lookup
+ * tables per year) and Shabbat/chag times from a sunset approximation
+ */
+
+const moment = require('moment-timezone');
+
+const TIMEZONE = 'Asia/Jerusalem';
+
+// Sunset is computed for Jerusalem - conservative enough for the whole country
+const DEFAULT_LOCATION = { latitude: 31.778, longitude: 35.235 };
+
+// Minutes before sunset / after sunset that Shabbat and chag start / end
+const CANDLE_LIGHTING_MINUTES = 40;
+const HAVDALAH_MINUTES = 40;
+
+/**
+ * Holidays by Hebrew date (Israel)
+ * type: yomtov (closed like Shabbat), fast, memorial, national, minor (chol hamoed, Purim)
+ */
+const HOLIDAYS = [
+  { key: 'rosh-hashana', name: 'ראש השנה', month: 'Tishri', day: 1, type: 'yomtov' },
+  { key: 'rosh-hashana-2', name: 'ראש השנה', month: 'Tishri', day: 2, type: 'yomtov' },
+  { key: 'yom-kippur', name: 'יום כיפור', month: 'Tishri', day: 10, type: 'yomtov' },
+  { key: 'sukkot', name: 'סוכות', month: 'Tishri', day: 15, type: 'yomtov' },
+  { key: 'chol-hamoed-sukkot', name: 'חול המועד סוכות', month: 'Tishri', days: [16, 17, 18, 19, 20], type: 'minor' },
+  { key: 'simchat-torah', name: 'שמחת תורה', month: 'Tishri', day: 22, type: 'yomtov' },
+  { key: 'purim', name: 'פורים', month: ['Adar', 'Adar II'], day: 14, type: 'minor' },
+  { key: 'pesach', name: 'פסח', month: 'Nisan', day: 15, type: 'yomtov' },
+  { key: 'chol-hamoed-pesach', name: 'חול המועד פסח', month: 'Nisan', days: [16, 17, 18, 19, 20], type: 'minor' },
+  { key: 'shvii-shel-pesach', name: 'שביעי של פסח', month: 'Nisan', day: 21, type: 'yomtov' },
+  { key: 'yom-hashoah', name: 'יום השואה', month: 'Nisan', day: 27, type: 'memorial', shift: 'shoah' },
+  { key: 'yom-hazikaron', name: 'יום הזיכרון', month: 'Iyar', day: 4, type: 'memorial', shift: 'atzmaut' },
+  { key: 'yom-haatzmaut', name: 'יום העצמאות', month: 'Iyar', day: 5, type: 'national', shift: 'atzmaut' },
+  { key: 'shavuot', name: 'שבועות', month: 'Sivan', day: 6, type: 'yomtov' },
+  { key: 'tisha-bav', name: 'תשעה באב', month: 'Av', day: 9, type: 'fast', shift: 'postpone-shabbat' }
+];
+
+const hebrewFormatter = new Intl.DateTimeFormat('en-u-ca-hebrew', {
+  day: 'numeric',
+  month: 'long',
+  year: 'numeric',
+  timeZone: 'UTC'
+});
+
+/**
+ * Hebrew date of a civil day
+ * @param {string} day - YYYY-MM-DD
+ * @returns {Object} { day, month, year }
+ */
+const getHebrewDate = (day) => {
+  const parts = hebrewFormatter.formatToParts(new Date(`${day}T12:00:00Z`));
+  const get = (type) => parts.find(p => p.type === type)?.value;
+
+  return {
+    day: parseInt(get('day')),
+    month: get('month'),
+    year: parseInt(get('year'))
+  };
+};
+
+const addDays = (day, days) => moment.utc(day).add(days, 'days').format('YYYY-MM-DD');
+
+const weekdayOf = (day) => moment.utc(day).day();
+
+/**
+ * Whether a holiday's base Hebrew date falls on a civil day
+ */
+const isOnHebrewDate = (holiday, hebrew) => {
+  const months = [].concat(holiday.month);
+  const days = holiday.days || [holiday.day];
+  return months.includes(hebrew.month) && days.includes(hebrew.day);
+};
+
+/**
+ * Whether a holiday is observed on a civil day, including the rules that
+ * move memorial days and Tisha B'Av away from Shabbat
+ */
+const isObservedOn = (holiday, day) => {
+  if (!holiday.shift) return isOnHebrewDate(holiday, getHebrewDate(day));
+
+  // Find the civil day of the base date within a few days around `day`
+  for (let offset = -3; offset <= 3; offset++) {
+    const baseDay = addDays(day, offset);
+    if (!isOnHebrewDate(holiday, getHebrewDate(baseDay))) continue;
+
+    return getObservedDay(holiday, baseDay) === day;
+  }
+
+  return false;
+};
+
+/**
+ * Move a holiday's base day by its shifting rule
+ */
+const getObservedDay = (holiday, baseDay) => {
+  const weekday = weekdayOf(baseDay);
+
+  if (holiday.shift === 'postpone-shabbat') {
+    return weekday === 6 ? addDays(baseDay, 1) : baseDay;
+  }
+
+  if (holiday.shift === 'shoah') {
+    if (weekday === 5) return addDays(baseDay, -1);
+    if (weekday === 0) return addDays(baseDay, 1);
+    return baseDay;
+  }
+
+  // Yom HaAtzmaut (and Yom HaZikaron the day before) never touch Shabbat
+  const atzmautBase = holiday.key === 'yom-hazikaron' ? addDays(baseDay, 1) : baseDay;
+  const atzmautWeekday = weekdayOf(atzmautBase);
+  let atzmaut = atzmautBase;
+  if (atzmautWeekday === 5) atzmaut = addDays(atzmautBase, -1);
+  else if (atzmautWeekday === 6) atzmaut = addDays(atzmautBase, -2);
+  else if (atzmautWeekday === 1) atzmaut = addDays(atzmautBase, 1);
+
+  return holiday.key === 'yom-hazikaron' ? addDays(atzmaut, -1) : atzmaut;
+};
+
+// Availability checks look up the same few days many times
+const holidayCache = new Map();
+const HOLIDAY_CACHE_SIZE = 1000;
+
+/**
+ * Holidays observed on a civil day
+ * @param {string} day - YYYY-MM-DD
+ * @returns {Array} [{ key, name, type, erev }] - erev entries are the day before a yom tov
+ */
+const getHolidays = (day) => {
+  if (!holidayCache.has(day)) {
+    if (holidayCache.size >= HOLIDAY_CACHE_SIZE) holidayCache.clear();
+    holidayCache.set(day, findHolidays(day));
+  }
+  return holidayCache.get(day).map(holiday => ({ ...holiday }));
+};
+
+const findHolidays = (day) => {
+  const holidays = HOLIDAYS
+    .filter(holiday => isObservedOn(holiday, day))
+    .map(({ key, name, type }) => ({ key, name, type, erev: false }));
+
+  // Erev chag - skipped when the day itself is already yom tov (e.g. 1st day of Rosh Hashana)
+  if (!holidays.some(h => h.type === 'yomtov')) {
+    const tomorrow = addDays(day, 1);
+    const chag = HOLIDAYS.find(h => h.type === 'yomtov' && isObservedOn(h, tomorrow));
+    if (chag) {
+      holidays.push({ key: chag.key, name: `ערב ${chag.name}`, type: 'erev-chag', erev: true });
+    }
+  }
+
+  return holidays;
+};
+
+/**
+ * Sunset in UTC (NOAA approximation, about a minute off)
+ * @param {string} day - YYYY-MM-DD
+ * @returns {Date}
+ */
+const getSunset = (day, { latitude, longitude } = DEFAULT_LOCATION) => {
+  const rad = Math.PI / 180;
+  const date = moment.utc(day);
+  const gamma = 2 * Math.PI / 365 * (date.dayOfYear() - 1);
+
+  const eqTime = 229.18 * (0.000075 + 0.001868 * Math.cos(gamma) - 0.032077 * Math.sin(gamma) -
+    0.014615 * Math.cos(2 * gamma) - 0.040849 * Math.sin(2 * gamma));
+  const decl = 0.006918 - 0.399912 * Math.cos(gamma) + 0.070257 * Math.sin(gamma) -
+    0.006758 * Math.cos(2 * gamma) + 0.000907 * Math.sin(2 * gamma) -
+    0.002697 * Math.cos(3 * gamma) + 0.00148 * Math.sin(3 * gamma);
+
+  const hourAngle = Math.acos(
+    Math.cos(90.833 * rad) / (Math.cos(latitude * rad) * Math.cos(decl)) -
+    Math.tan(latitude * rad) * Math.tan(decl)
+  ) / rad;
+
+  const minutes = 720 - 4 * (longitude - hourAngle) - eqTime;
+  return date.clone().add(minutes, 'minutes').toDate();
+};
+
+/**
+ * Whether a civil day is Shabbat or yom tov (work is not allowed all day)
+ */
+const isRestDay = (day) => {
+  return weekdayOf(day) === 6 || getHolidays(day).some(h => h.type === 'yomtov');
+};
+
+/**
+ * Whether a moment falls in Shabbat or yom tov, candle lighting to havdalah
+ */
+const isRestTime = (date = new Date(), location = DEFAULT_LOCATION) => {
+  const at = moment(date).tz(TIMEZONE);
+  const today = at.format('YYYY-MM-DD');
+  const sunset = getSunset(today, location).getTime();
+  const time = at.valueOf();
+
+  // Started last evening and not over yet
+  if (isRestDay(today) && time < sunset + HAVDALAH_MINUTES * 60 * 1000) {
+    return true;
+  }
+
+  // Starts this evening
+  return isRestDay(addDays(today, 1)) && time >= sunset - CANDLE_LIGHTING_MINUTES * 60 * 1000;
+};
+
+module.exports = {
+  HOLIDAYS,
+  getHebrewDate,
+  getHolidays,
+  getSunset,
+  isRestDay,
+  isRestTime
+};
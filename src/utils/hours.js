@@ -0,0 +1,76 @@
+/**
+ * Opening Hours Utilities
+ * A day's hours are one or more intervals; a close at or before the open
+ * runs past midnight (a bar open 20:00-02:00)
+ */
+
+const DAY_MINUTES = 24 * 60;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const toTime = (minutes) => {
+  const dayMinutes = minutes % DAY_MINUTES;
+  return `${String(Math.floor(dayMinutes / 60)).padStart(2, '0')}:${String(dayMinutes % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Intervals of a weekly hours entry ({ isOpen, openTime, closeTime, intervals })
+ * @returns {Array} [{ openTime, closeTime }], empty when closed
+ */
+const getDayIntervals = (hours) => {
+  if (!hours?.isOpen) return [];
+
+  if (hours.intervals?.length) {
+    return hours.intervals.map(({ openTime, closeTime }) => ({ openTime, closeTime }));
+  }
+
+  return hours.openTime && hours.closeTime
+    ? [{ openTime: hours.openTime, closeTime: hours.closeTime }]
+    : [];
+};
+
+/**
+ * Intervals in minutes from midnight, sorted - overnight ones close after 24:00
+ * @returns {Array} [{ open, close }]
+ */
+const toIntervals = (intervals = []) => {
+  return intervals
+    .map(({ openTime, closeTime }) => {
+      const open = toMinutes(openTime);
+      let close = toMinutes(closeTime);
+      if (close <= open) close += DAY_MINUTES;
+      return { open, close };
+    })
+    .sort((a, b) => a.open - b.open);
+};
+
+/**
+ * Whether a time falls in a day's intervals or in the overnight tail of the day before
+ * @param {Array} today - Minute intervals of the day
+ * @param {Array} yesterday - Minute intervals of the day before
+ * @param {number} minutes - Minutes from midnight
+ */
+const isWithinIntervals = (today, yesterday, minutes) => {
+  return today.some(i => minutes >= i.open && minutes < i.close) ||
+    yesterday.some(i => minutes + DAY_MINUTES >= i.open && minutes + DAY_MINUTES < i.close);
+};
+
+/**
+ * Spoken/printed form, e.g. "12:00-15:00, 19:00-02:00"
+ */
+const formatIntervals = (intervals = []) => {
+  return intervals.map(i => `${i.openTime}-${i.closeTime}`).join(', ');
+};
+
+module.exports = {
+  DAY_MINUTES,
+  toMinutes,
+  toTime,
+  getDayIntervals,
+  toIntervals,
+  isWithinIntervals,
+  formatIntervals
+};
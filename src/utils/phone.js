@@ -0,0 +1,19 @@
+/**
+ * Phone Number Utilities
+ * Israeli numbers are stored as dialed (05X...) but Twilio needs E.164
+ */
+
+/**
+ * Convert an Israeli local number to E.164
+ */
+const toE164 = (phone) => {
+  const digits = String(phone || '').replace(/[^\d+]/g, '');
+  if (digits.startsWith('+')) return digits;
+  if (digits.startsWith('972')) return `+${digits}`;
+  if (digits.startsWith('0')) return `+972${digits.slice(1)}`;
+  return digits;
+};
+
+module.exports = {
+  toE164
+};
@@ -0,0 +1,24 @@
+/**
+ * Vector Similarity
+ */
+
+/**
+ * Cosine similarity of two equal-length vectors, 0 when either is all zeros
+ */
+const cosineSimilarity = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+};
+
+module.exports = {
+  cosineSimilarity
+};
@@ -0,0 +1,67 @@
+/**
+ * Turn Tracing
+ * Times the stages of a conversation turn as spans, from the webhook (or the
+ * end of the caller's speech in stream mode) until the reply is ready to play
+ */
+
+// Stages in turn order
+const STAGES = ['webhook', 'stt', 'extraction', 'faq', 'knowledge', 'llm', 'tool', 'tts'];
+
+class Trace {
+  constructor(startedAt = Date.now()) {
+    this.startedAt = startedAt;
+    this.spans = [];
+  }
+
+  /**
+   * Time fn as a span - recorded even if it throws
+   * @param {Object} attributes - { detail, cached }
+   */
+  async span(name, fn, attributes = {}) {
+    const start = Date.now();
+    try {
+      return await fn();
+    } finally {
+      this.record(name, start, attributes);
+    }
+  }
+
+  /**
+   * Record a span that started at start (ms timestamp) and ends now
+   */
+  record(name, start, attributes = {}) {
+    this.spans.push({
+      name,
+      start: start - this.startedAt,
+      duration: Date.now() - start,
+      ...attributes
+    });
+  }
+
+  /**
+   * The trace as stored on the turn - stages sums spans of the same name
+   * @returns {Object} { total, stages, spans }
+   */
+  finish() {
+    const stages = {};
+    for (const span of this.spans) {
+      stages[span.name] = (stages[span.name] || 0) + span.duration;
+    }
+
+    return { total: Date.now() - this.startedAt, stages, spans: this.spans };
+  }
+}
+
+/**
+ * Nearest-rank percentile of numbers sorted ascending
+ */
+const percentile = (sorted, p) => {
+  if (sorted.length === 0) return 0;
+  return sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil(p / 100 * sorted.length) - 1))];
+};
+
+module.exports = {
+  Trace,
+  STAGES,
+  percentile
+};